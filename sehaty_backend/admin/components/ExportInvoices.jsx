@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Box, Button, Label, Text } from '@adminjs/design-system';
+import { ApiClient } from 'adminjs';
+
+const api = new ApiClient();
+
+// Turn the base64 PDF sent by the server into a file download
+const downloadPdf = (base64, filename) => {
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const ExportInvoices = (props) => {
+  const { records, resource, action } = props;
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      const response = await api.bulkAction({
+        resourceId: resource.id,
+        actionName: action.name,
+        recordIds: records.map((record) => record.id),
+        method: 'post',
+      });
+
+      downloadPdf(response.data.file, response.data.filename);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Box variant="grey">
+      <Label>Export invoices</Label>
+      <Text mb="lg">
+        {records.length} order{records.length === 1 ? '' : 's'} selected, one invoice per page.
+      </Text>
+      {error && <Text color="error" mb="lg">{error}</Text>}
+      <Button variant="primary" onClick={handleExport} disabled={isExporting}>
+        {isExporting ? 'Exporting...' : 'Download PDF'}
+      </Button>
+    </Box>
+  );
+};
+
+export default ExportInvoices;
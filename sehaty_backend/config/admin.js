@@ -16,6 +16,7 @@ import PromoCode from '../models/PromoCodeModel.js';
 import Reminder from '../models/Reminder.js';
 import Review from '../models/ReviewModel.js';
 import Stock from '../models/StockModel.js';
+import StockReservation from '../models/StockReservationModel.js';
 import Wishlist from '../models/WishlistModel.js';
 import bcrypt from 'bcrypt';
 import { fileURLToPath } from 'url';
@@ -30,14 +31,22 @@ import CategoryResource from './resources/CategoryResource.js';
 import AddressResource from './resources/AddressResource.js';
 import CartResource from './resources/CartResource.js';
 import DeliveryResource from './resources/DeliveryResource.js';
+import DeliverySlotResource from './resources/DeliverySlotResource.js';
 import NotificationResource from './resources/NotificationResource.js';
+import PaymentDiscrepancyResource from './resources/PaymentDiscrepancyResource.js';
 import PaymentMethodResource from './resources/PaymentMethodResource.js';
 import PharmacyMedicineResource from './resources/PharmacyMedicineResource.js';
 import PrescriptionResource from './resources/PrescriptionResource.js';
 import PromoCodeResource from './resources/PromoCodeResource.js';
+import PromoRedemptionResource from './resources/PromoRedemptionResource.js';
 import ReminderResource from './resources/ReminderResource.js';
 import ReviewResource from './resources/ReviewResource.js';
 import StockResource from './resources/StockResource.js';
+import StockReservationResource from './resources/StockReservationResource.js';
+import SubstitutionResource from './resources/SubstitutionResource.js';
+import WalletResource from './resources/WalletResource.js';
+import WalletTopUpResource from './resources/WalletTopUpResource.js';
+import WalletTransactionResource from './resources/WalletTransactionResource.js';
 import WishlistResource from './resources/WishlistResource.js';
 
 // Get the directory name
@@ -51,6 +60,7 @@ const componentLoader = new ComponentLoader();
 const components = {
   ImageUpload: componentLoader.add('ImageUpload', path.resolve(__dirname, '../admin/components/ImageUpload.jsx')),
   ImagePreview: componentLoader.add('ImagePreview', path.resolve(__dirname, '../admin/components/ImagePreview.jsx')),
+  ExportInvoices: componentLoader.add('ExportInvoices', path.resolve(__dirname, '../admin/components/ExportInvoices.jsx')),
 };
 
 // Patch UserResource to add custom components
@@ -72,24 +82,47 @@ const userResourceWithComponents = {
   },
 };
 
+// Patch OrderResource to add the invoice export screen
+const orderResourceWithComponents = {
+  ...OrderResource,
+  options: {
+    ...OrderResource.options,
+    actions: {
+      ...OrderResource.options.actions,
+      exportInvoices: {
+        ...OrderResource.options.actions.exportInvoices,
+        component: components.ExportInvoices,
+      },
+    },
+  },
+};
+
 const adminOptions = {
   resources: [
     userResourceWithComponents,
     MedicineResource,
     PharmacyResource,
-    OrderResource,
+    orderResourceWithComponents,
     CategoryResource,
     AddressResource,
     CartResource,
     DeliveryResource,
+    DeliverySlotResource,
     NotificationResource,
+    PaymentDiscrepancyResource,
     PaymentMethodResource,
     PharmacyMedicineResource,
     PrescriptionResource,
     PromoCodeResource,
+    PromoRedemptionResource,
     ReminderResource,
     ReviewResource,
     StockResource,
+    StockReservationResource,
+    SubstitutionResource,
+    WalletResource,
+    WalletTopUpResource,
+    WalletTransactionResource,
     WishlistResource,
   ],
   rootPath: '/admin',
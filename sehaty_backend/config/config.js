@@ -10,11 +10,56 @@ export const config = {
   app: {
     deepLinkScheme: process.env.DEEP_LINK_SCHEME || "sehaty",
   },
+  order: {
+    currency: "EGP",
+    // Base delivery fee per pharmacy shipment, pharmacies can set their own
+    deliveryFee: Number(process.env.DEFAULT_DELIVERY_FEE) || 25,
+    deliveryFeePerKm: Number(process.env.DEFAULT_DELIVERY_FEE_PER_KM) || 0,
+    // Used when a pharmacy has no delivery radius set
+    deliveryRadiusKm: Number(process.env.DEFAULT_DELIVERY_RADIUS_KM) || 20,
+    // Delivery quotes are signed so checkout can trust them until they expire,
+    // without a secret no quotes are given or accepted
+    deliveryQuoteSecret: process.env.DELIVERY_QUOTE_SECRET || process.env.JWT_SECRET,
+    deliveryQuoteMinutes: Number(process.env.DELIVERY_QUOTE_MINUTES) || 30,
+    // How long stock stays held for an unpaid order, matches the Paymob payment key lifetime
+    reservationMinutes: Number(process.env.STOCK_RESERVATION_MINUTES) || 60,
+    // How long the response to an order placed with an Idempotency-Key is kept for repeats
+    idempotencyKeyHours: Number(process.env.IDEMPOTENCY_KEY_HOURS) || 24,
+    // Unpaid Paymob orders are checked with Paymob and given up on after this long
+    paymentTimeoutMinutes: Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 60,
+    // How long a failed payment can be retried before the order is cancelled
+    paymentRetryHours: Number(process.env.PAYMENT_RETRY_HOURS) || 24,
+    // How long a click-and-collect order waits at the pharmacy before it is cancelled
+    pickupHoldHours: Number(process.env.PICKUP_HOLD_HOURS) || 48,
+    // Pharmacy working hours are local times in this zone
+    timeZone: process.env.APP_TIME_ZONE || "Africa/Cairo",
+    // Scheduled delivery windows, pharmacies can set their own capacity
+    deliverySlotMinutes: Number(process.env.DELIVERY_SLOT_MINUTES) || 120,
+    deliverySlotCapacity: Number(process.env.DELIVERY_SLOT_CAPACITY) || 5,
+    // A window can be booked until this long before it starts
+    deliverySlotLeadMinutes: Number(process.env.DELIVERY_SLOT_LEAD_MINUTES) || 60,
+    deliverySlotDays: Number(process.env.DELIVERY_SLOT_DAYS) || 3,
+    // Average courier speed in the city, used for arrival estimates
+    courierSpeedKmh: Number(process.env.COURIER_SPEED_KMH) || 25,
+  },
+  payments: {
+    // Offer the local fake card provider, for running checkout without Paymob
+    fakeProvider: process.env.PAYMENTS_FAKE_PROVIDER === "true",
+  },
+  wallet: {
+    // Limits on a single Paymob top-up
+    minTopUp: Number(process.env.WALLET_MIN_TOP_UP) || 10,
+    maxTopUp: Number(process.env.WALLET_MAX_TOP_UP) || 5000,
+  },
   paymob: {
     apiKey: process.env.PAYMOB_API_KEY || "your_paymob_api_key",
     iframeId: process.env.PAYMOB_IFRAME_ID || "your_iframe_id",
     integrationId: process.env.PAYMOB_INTEGRATION_ID || "your_integration_id",
     hmacSecret: process.env.PAYMOB_HMAC_SECRET || "your_hmac_secret",
+    // Point at a local stub to exercise payments and refunds without Paymob
+    baseUrl: process.env.PAYMOB_BASE_URL || "https://accept.paymobsolutions.com/api",
+    // Days of Paymob transactions the daily reconciliation looks at, overlapping runs catch late ones
+    reconciliationDays: Number(process.env.PAYMOB_RECONCILIATION_DAYS) || 2,
     // Environment mode (test or production)
     mode: process.env.PAYMOB_MODE || "test",
     // Test mode configuration
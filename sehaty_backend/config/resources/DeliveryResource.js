@@ -14,6 +14,16 @@ const DeliveryResource = {
       deliveryPersonId: {
         reference: 'User',
       },
+      assignedBy: {
+        reference: 'User',
+      },
+      'proof.recordedBy': {
+        reference: 'User',
+      },
+      // Only the customer and the courier at the door should see the code
+      otp: {
+        isVisible: false,
+      },
     },
   },
 };
@@ -0,0 +1,24 @@
+import DeliverySlot from '../../models/DeliverySlotModel.js';
+
+const DeliverySlotResource = {
+  resource: DeliverySlot,
+  options: {
+    navigation: {
+      name: 'Order Management',
+      icon: 'Calendar',
+    },
+    properties: {
+      pharmacyId: {
+        reference: 'Pharmacy',
+      },
+    },
+    // Bookings follow the orders, they are not edited by hand
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default DeliverySlotResource;
@@ -8,6 +8,10 @@ const MedicineResource = {
       icon: 'Package',
     },
     properties: {
+      // Built from the name and ingredient fields whenever they are saved
+      search: {
+        isVisible: false,
+      },
       categoryId: {
         reference: 'Category',
         type: 'reference',
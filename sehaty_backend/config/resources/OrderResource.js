@@ -1,4 +1,50 @@
 import Order from '../../models/OrderModel.js';
+import { approveRefund, rejectRefund } from '../../utils/refunds.js';
+import { loadInvoiceData, renderInvoicesPdf } from '../../utils/invoice.js';
+
+// Run a refund review from the admin panel and report back on the record page
+const refundAction = (review, successMessage) => async (request, response, context) => {
+  const { record, currentAdmin } = context;
+  const order = await Order.findById(record.id());
+
+  try {
+    await review(order, {
+      user: { _id: currentAdmin?._id || currentAdmin?.id },
+      note: request.payload?.note,
+    });
+  } catch (error) {
+    return {
+      record: record.toJSON(currentAdmin),
+      notice: { message: error.message, type: 'error' },
+    };
+  }
+
+  const updated = await context.resource.findOne(record.id());
+  return {
+    record: updated.toJSON(currentAdmin),
+    notice: { message: successMessage, type: 'success' },
+  };
+};
+
+// GET shows the selection, POST sends back the invoices as one base64 PDF
+const exportInvoices = async (request, response, context) => {
+  const { records, currentAdmin } = context;
+  const result = { records: records.map((record) => record.toJSON(currentAdmin)) };
+
+  if (request.method !== 'post') return result;
+
+  const invoices = await Promise.all(records.map((record) => loadInvoiceData(record.id())));
+  const pdf = await renderInvoicesPdf(invoices.filter(Boolean));
+
+  return {
+    ...result,
+    file: pdf.toString('base64'),
+    filename: `invoices-${new Date().toISOString().slice(0, 10)}.pdf`,
+  };
+};
+
+const hasRefundToReview = ({ record }) =>
+  ['pending', 'failed'].includes(record?.params?.refundStatus);
 
 const OrderResource = {
   resource: Order,
@@ -11,16 +57,82 @@ const OrderResource = {
       userId: {
         reference: 'User',
       },
+      parentOrderId: {
+        reference: 'Order',
+      },
+      pharmacyId: {
+        reference: 'Pharmacy',
+      },
+      subOrders: {
+        reference: 'Order',
+        isArray: true,
+      },
       items: {
         type: 'mixed',
         isArray: true,
       },
+      // Prescription a prescription-only line is dispensed against
+      'items.prescriptionId': {
+        reference: 'Prescription',
+      },
+      statusHistory: {
+        type: 'mixed',
+        isArray: true,
+        isVisible: { list: false, filter: false, show: true, edit: false },
+      },
       deliveryAddress: {
         reference: 'Address',
       },
       promoCode: {
         reference: 'PromoCode',
       },
+      'refunds.photos': {
+        isArray: true,
+        isVisible: { list: false, filter: false, show: true, edit: false },
+      },
+      'refunds.requestedBy': {
+        reference: 'User',
+      },
+      'refunds.reviewedBy': {
+        reference: 'User',
+      },
+      // The code is the customer's proof of collection, only shown on the record page
+      'pickup.code': {
+        isVisible: { list: false, filter: false, show: true, edit: false },
+      },
+      'pickup.collectedBy': {
+        reference: 'User',
+      },
+      'pharmacyReview.reviewedBy': {
+        reference: 'User',
+      },
+      'packing.packedBy': {
+        reference: 'User',
+      },
+    },
+    actions: {
+      approveRefund: {
+        actionType: 'record',
+        icon: 'CheckCircle',
+        guard: 'Approve this refund and send the money back to the customer?',
+        component: false,
+        isVisible: hasRefundToReview,
+        handler: refundAction(approveRefund, 'Refund approved'),
+      },
+      rejectRefund: {
+        actionType: 'record',
+        icon: 'XCircle',
+        guard: 'Reject this refund request?',
+        component: false,
+        isVisible: hasRefundToReview,
+        handler: refundAction(rejectRefund, 'Refund rejected'),
+      },
+      // The download component is attached in config/admin.js
+      exportInvoices: {
+        actionType: 'bulk',
+        icon: 'Download',
+        handler: exportInvoices,
+      },
     },
   },
 };
@@ -0,0 +1,101 @@
+import PaymentDiscrepancy from '../../models/PaymentDiscrepancyModel.js';
+import {
+  reconcilePaymobTransactions,
+  resolveDiscrepancy,
+} from '../../utils/paymobReconciliation.js';
+
+// Mark a mismatch as dealt with and report back on the record page
+const resolve = async (request, response, context) => {
+  const { record, currentAdmin } = context;
+  const discrepancy = await PaymentDiscrepancy.findById(record.id());
+
+  try {
+    await resolveDiscrepancy(discrepancy, {
+      user: { _id: currentAdmin?._id || currentAdmin?.id },
+      note: request.payload?.note,
+    });
+  } catch (error) {
+    return {
+      record: record.toJSON(currentAdmin),
+      notice: { message: error.message, type: 'error' },
+    };
+  }
+
+  const updated = await context.resource.findOne(record.id());
+  return {
+    record: updated.toJSON(currentAdmin),
+    notice: { message: 'Discrepancy resolved', type: 'success' },
+  };
+};
+
+// Run the daily reconciliation now instead of waiting for the night
+const reconcileNow = async (request, response, context) => {
+  try {
+    const found = await reconcilePaymobTransactions();
+    const newCount = found.filter((discrepancy) => discrepancy.isNew).length;
+
+    return {
+      notice: {
+        message: `Reconciliation done: ${newCount} new, ${found.length - newCount} already known`,
+        type: 'success',
+      },
+    };
+  } catch (error) {
+    return { notice: { message: `Reconciliation failed: ${error.message}`, type: 'error' } };
+  }
+};
+
+const PaymentDiscrepancyResource = {
+  resource: PaymentDiscrepancy,
+  options: {
+    navigation: {
+      name: 'Order Management',
+      icon: 'AlertTriangle',
+    },
+    listProperties: ['type', 'status', 'orderId', 'expectedAmount', 'chargedAmount', 'lastSeenAt'],
+    filterProperties: ['type', 'status', 'orderId', 'createdAt'],
+    properties: {
+      orderId: {
+        reference: 'Order',
+      },
+      topUpId: {
+        reference: 'WalletTopUp',
+      },
+      substitutionId: {
+        reference: 'Substitution',
+      },
+      resolvedBy: {
+        reference: 'User',
+      },
+      transactionIds: {
+        isArray: true,
+      },
+      key: {
+        isVisible: { list: false, filter: false, show: true, edit: false },
+      },
+    },
+    // Found by the reconciliation job, only resolved by hand
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+      resolve: {
+        actionType: 'record',
+        icon: 'CheckCircle',
+        guard: 'Mark this discrepancy as resolved?',
+        component: false,
+        isVisible: ({ record }) => record?.params?.status === 'open',
+        handler: resolve,
+      },
+      reconcileNow: {
+        actionType: 'resource',
+        icon: 'RefreshCw',
+        guard: 'Compare recent Paymob transactions with our orders now?',
+        component: false,
+        handler: reconcileNow,
+      },
+    },
+  },
+};
+
+export default PaymentDiscrepancyResource;
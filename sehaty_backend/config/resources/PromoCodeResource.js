@@ -8,9 +8,20 @@ const PromoCodeResource = {
       icon: 'Tag',
     },
     properties: {
-      // Add any custom properties or configurations here
+      categories: {
+        reference: 'Category',
+        isArray: true,
+      },
+      pharmacies: {
+        reference: 'Pharmacy',
+        isArray: true,
+      },
+      // Maintained by checkout, not by hand
+      usageCount: {
+        isVisible: { list: true, filter: true, show: true, edit: false },
+      },
     },
   },
 };
 
-export default PromoCodeResource; 
\ No newline at end of file
+export default PromoCodeResource;
@@ -0,0 +1,29 @@
+import PromoRedemption from '../../models/PromoRedemptionModel.js';
+
+const PromoRedemptionResource = {
+  resource: PromoRedemption,
+  options: {
+    navigation: {
+      name: 'Promo Codes',
+      icon: 'Tag',
+    },
+    properties: {
+      promoCodeId: {
+        reference: 'PromoCode',
+      },
+      userId: {
+        reference: 'User',
+      },
+      orderId: {
+        reference: 'Order',
+      },
+    },
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default PromoRedemptionResource;
@@ -0,0 +1,33 @@
+import StockReservation from '../../models/StockReservationModel.js';
+
+const StockReservationResource = {
+  resource: StockReservation,
+  options: {
+    navigation: {
+      name: 'Stock Management',
+      icon: 'Package',
+    },
+    properties: {
+      orderId: {
+        reference: 'Order',
+      },
+      parentOrderId: {
+        reference: 'Order',
+      },
+      userId: {
+        reference: 'User',
+      },
+      items: {
+        type: 'mixed',
+        isArray: true,
+      },
+    },
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default StockReservationResource;
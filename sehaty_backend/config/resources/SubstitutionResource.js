@@ -0,0 +1,38 @@
+import Substitution from '../../models/SubstitutionModel.js';
+
+// Replacements proposed by pharmacies, answered by customers in the app
+const SubstitutionResource = {
+  resource: Substitution,
+  options: {
+    navigation: {
+      name: 'Order Management',
+      icon: 'Repeat',
+    },
+    listProperties: ['orderId', 'pharmacyId', 'status', 'priceDifference', 'createdAt'],
+    filterProperties: ['orderId', 'parentOrderId', 'pharmacyId', 'userId', 'status', 'createdAt'],
+    properties: {
+      orderId: {
+        reference: 'Order',
+      },
+      parentOrderId: {
+        reference: 'Order',
+      },
+      userId: {
+        reference: 'User',
+      },
+      pharmacyId: {
+        reference: 'Pharmacy',
+      },
+      proposedBy: {
+        reference: 'User',
+      },
+    },
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default SubstitutionResource;
@@ -0,0 +1,25 @@
+import Wallet from '../../models/WalletModel.js';
+
+// Balances follow the ledger, adjustments go through POST /api/wallet/:userId/adjustments
+const WalletResource = {
+  resource: Wallet,
+  options: {
+    navigation: {
+      name: 'Wallets',
+      icon: 'CreditCard',
+    },
+    listProperties: ['userId', 'balance', 'currency', 'updatedAt'],
+    properties: {
+      userId: {
+        reference: 'User',
+      },
+    },
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default WalletResource;
@@ -0,0 +1,25 @@
+import WalletTopUp from '../../models/WalletTopUpModel.js';
+
+const WalletTopUpResource = {
+  resource: WalletTopUp,
+  options: {
+    navigation: {
+      name: 'Wallets',
+      icon: 'CreditCard',
+    },
+    listProperties: ['userId', 'amount', 'status', 'paidAt', 'createdAt'],
+    filterProperties: ['userId', 'status', 'createdAt'],
+    properties: {
+      userId: {
+        reference: 'User',
+      },
+    },
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default WalletTopUpResource;
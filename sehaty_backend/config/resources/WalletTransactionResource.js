@@ -0,0 +1,39 @@
+import WalletTransaction from '../../models/WalletTransactionModel.js';
+
+// The wallet ledger is append-only
+const WalletTransactionResource = {
+  resource: WalletTransaction,
+  options: {
+    navigation: {
+      name: 'Wallets',
+      icon: 'CreditCard',
+    },
+    listProperties: ['userId', 'type', 'amount', 'balanceAfter', 'orderId', 'createdAt'],
+    filterProperties: ['userId', 'type', 'orderId', 'createdAt'],
+    sort: {
+      sortBy: 'createdAt',
+      direction: 'desc',
+    },
+    properties: {
+      userId: {
+        reference: 'User',
+      },
+      orderId: {
+        reference: 'Order',
+      },
+      topUpId: {
+        reference: 'WalletTopUp',
+      },
+      createdBy: {
+        reference: 'User',
+      },
+    },
+    actions: {
+      new: { isAccessible: false },
+      edit: { isAccessible: false },
+      delete: { isAccessible: false },
+    },
+  },
+};
+
+export default WalletTransactionResource;
@@ -2,9 +2,18 @@ import Order from "../models/OrderModel.js";
 import Cart from "../models/CartModel.js";
 import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
 import Stock from "../models/StockModel.js";
-import Delivery from "../models/DeliveryModel.js";
 import PromoCode from "../models/PromoCodeModel.js";
-import PaymobService from "../utils/paymob.service.js";
+import PaymobService, {
+  orderIdFromReference,
+  substitutionIdFromReference,
+  topUpIdFromReference,
+} from "../utils/paymob.service.js";
+import { settleOrderPayment } from "../utils/orderPayment.js";
+import fakeProvider from "../utils/payments/fakeProvider.js";
+import { paymentProviderOf } from "../utils/payments/index.js";
+import paymobProvider from "../utils/payments/paymobProvider.js";
+import { settleSubstitutionPayment } from "../utils/substitutions.js";
+import { completeWalletTopUp, failWalletTopUp } from "../utils/wallet.js";
 import {config} from '../config/config.js';
 
 // Handle transaction processed callback (POST)
@@ -12,43 +21,32 @@ export const handlePaymobCallback = async (req, res) => {
   try {
     console.log("Received Paymob transaction processed callback:", req.body);
     
-    const result = await PaymobService.processCallback(req.body);
+    // Paymob sends the signature of the callback in the query string
+    const result = await paymobProvider.handleWebhook({ ...req.body, hmac: req.query.hmac });
+
+    // Wallet top-ups credit the wallet instead of an order
+    if (result.topUpId) {
+      if (result.success) {
+        await completeWalletTopUp(result.topUpId, result.transactionId);
+        return res.status(200).send("Callback processed successfully");
+      }
+
+      await failWalletTopUp(result.topUpId, result.transactionId);
+      return res.status(400).send("Payment failed");
+    }
+
+    // The difference of a replaced order line
+    if (result.substitutionId) {
+      await settleSubstitutionPayment(result.substitutionId, result);
+      return result.success
+        ? res.status(200).send("Callback processed successfully")
+        : res.status(400).send("Payment failed");
+    }
     
+    // Paymob may report the same outcome more than once
+    const order = await settleOrderPayment(result.orderId, result);
+
     if (result.success) {
-      const order = await Order.findById(result.orderId);
-      
-      // Update order status
-      order.isPaid = true;
-      order.paidAt = new Date();
-      order.paymob = {
-        ...order.paymob,
-        transactionId: result.transactionId,
-        paymentStatus: "paid"
-      };
-      order.status = "confirmed";
-      
-      await order.save();
-      
-      // Update stock
-      for (const item of order.items) {
-        await PharmacyMedicine.findOneAndUpdate(
-          { medicineId: item.medicine, pharmacyId: item.pharmacyId },
-          { $inc: { stock: -item.quantity } }
-        );
-      }
-      
-      // Create delivery record
-      await Delivery.create({
-        orderId: order._id,
-        status: "pending"
-      });
-      
-      // Clear cart
-      await Cart.findOneAndUpdate(
-        { userId: order.userId },
-        { $set: { items: [] } }
-      );
-      
       console.log(`Order ${order._id} payment completed successfully`);
       res.status(200).send("Callback processed successfully");
     } else {
@@ -71,54 +69,45 @@ export const handlePaymobResponse = async (req, res) => {
       throw new Error("No order ID provided");
     }
 
-    // Validate HMAC if provided
-    if (hmac) {
-      const isValid = await PaymobService.validateRedirectionHMAC(hmac, req.query);
-      if (!isValid) {
-        console.error("HMAC validation failed for redirection callback");
-        // Continue with redirect even if HMAC validation fails
-      }
+    // Anyone can open this URL, only a result Paymob signed is trusted
+    if (!hmac || !PaymobService.validateRedirectionHMAC(hmac, req.query)) {
+      console.error("HMAC validation failed for redirection callback");
+      return res.status(403).send("Invalid payment signature");
     }
 
-    const order = await Order.findById(merchant_order_id);
-    if (!order) {
-      throw new Error("Order not found");
+    const topUpId = topUpIdFromReference(merchant_order_id);
+    if (topUpId) {
+      if (success === 'true') {
+        await completeWalletTopUp(topUpId, req.query.id);
+      } else if (success === 'false') {
+        await failWalletTopUp(topUpId, req.query.id);
+      }
+
+      return res.redirect(`${config.app.deepLinkScheme}://wallet-top-up/${topUpId}`);
     }
 
-    // Check if payment was successful
-    if (success === 'true') {
-      // Update order status if not already updated
-      if (!order.isPaid) {
-        order.isPaid = true;
-        order.paidAt = new Date();
-        order.paymob = {
-          ...order.paymob,
+    const substitutionId = substitutionIdFromReference(merchant_order_id);
+    if (substitutionId) {
+      if (success === 'true' || success === 'false') {
+        await settleSubstitutionPayment(substitutionId, {
+          success: success === 'true',
           transactionId: req.query.id,
-          paymentStatus: "paid"
-        };
-        order.status = "confirmed";
-        await order.save();
-
-        // Update stock
-        for (const item of order.items) {
-          await PharmacyMedicine.findOneAndUpdate(
-            { medicineId: item.medicine, pharmacyId: item.pharmacyId },
-            { $inc: { stock: -item.quantity } }
-          );
-        }
-
-        // Create delivery record
-        await Delivery.create({
-          orderId: order._id,
-          status: "pending"
         });
-
-        // Clear cart
-        await Cart.findOneAndUpdate(
-          { userId: order.userId },
-          { $set: { items: [] } }
-        );
       }
+
+      return res.redirect(`${config.app.deepLinkScheme}://substitution/${substitutionId}`);
+    }
+
+    const orderId = orderIdFromReference(merchant_order_id);
+    const order =
+      success === 'true' || success === 'false'
+        ? await settleOrderPayment(orderId, {
+            success: success === 'true',
+            transactionId: req.query.id,
+          })
+        : await Order.findById(orderId);
+    if (!order) {
+      throw new Error("Order not found");
     }
 
     // Redirect to the app using the stored return URL
@@ -127,14 +116,79 @@ export const handlePaymobResponse = async (req, res) => {
     }
 
     // Fallback redirect
-    res.redirect(`${config.app.deepLinkScheme}://payment-complete/${merchant_order_id}`);
+    res.redirect(`${config.app.deepLinkScheme}://payment-complete/${orderId}`);
   } catch (error) {
     console.error("Response handling failed:", error);
     // Even on error, try to redirect back to app
-    if (req.query?.merchant_order_id) {
-      res.redirect(`${config.app.deepLinkScheme}://payment-complete/${req.query.merchant_order_id}`);
+    const topUpId = req.query?.merchant_order_id && topUpIdFromReference(req.query.merchant_order_id);
+    const substitutionId =
+      req.query?.merchant_order_id && substitutionIdFromReference(req.query.merchant_order_id);
+    if (topUpId) {
+      res.redirect(`${config.app.deepLinkScheme}://wallet-top-up/${topUpId}`);
+    } else if (substitutionId) {
+      res.redirect(`${config.app.deepLinkScheme}://substitution/${substitutionId}`);
+    } else if (req.query?.merchant_order_id) {
+      res.redirect(
+        `${config.app.deepLinkScheme}://payment-complete/${orderIdFromReference(req.query.merchant_order_id)}`
+      );
     } else {
       res.status(400).send("Error processing response");
     }
   }
-};
\ No newline at end of file
+};
+
+// Payment page of the local fake provider, where a card provider would show its own
+export const showFakePaymentPage = async (req, res) => {
+  const intent = fakeProvider.isEnabled() && fakeProvider.findIntent(req.params.intentId);
+  if (!intent) {
+    return res.status(404).send("Payment not found");
+  }
+
+  // Links rather than forms, the answer redirects into the app
+  const link = (outcome, label) =>
+    `<p><a href="${req.baseUrl}/fake/${intent.intentId}/${outcome}">${label}</a></p>`;
+
+  res.type("html").send(
+    `<!DOCTYPE html><html><head><meta name="viewport" content="width=device-width, initial-scale=1">` +
+      `<title>Test payment</title></head><body>` +
+      `<h1>Test payment</h1><p>Order ${intent.orderId}: ${intent.amount.toFixed(2)} EGP</p>` +
+      `<p>No money is charged.</p>` +
+      link("pay", "Pay") +
+      link("decline", "Decline") +
+      `</body></html>`
+  );
+};
+
+// The fake page's answer, settled like a provider callback and sent back to the app
+export const completeFakePayment = async (req, res) => {
+  try {
+    if (!["pay", "decline"].includes(req.params.outcome)) {
+      return res.status(400).json({ message: "Unknown payment outcome" });
+    }
+
+    // Only orders placed with the fake provider can be paid here
+    const intent = fakeProvider.isEnabled() && fakeProvider.findIntent(req.params.intentId);
+    const order = intent && (await Order.findById(intent.orderId));
+    if (!order || paymentProviderOf(order) !== fakeProvider) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    const result = await fakeProvider.handleWebhook({
+      intentId: req.params.intentId,
+      success: req.params.outcome === "pay",
+    });
+
+    if (result.substitutionId) {
+      await settleSubstitutionPayment(result.substitutionId, result);
+      return res.redirect(
+        `${config.app.deepLinkScheme}://substitution/${result.substitutionId}`
+      );
+    }
+
+    await settleOrderPayment(result.orderId, result);
+
+    res.redirect(`${config.app.deepLinkScheme}://payment-complete/${result.orderId}`);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
@@ -2,6 +2,15 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import User from '../models/UserModel.js';
 import { sendOtpEmail } from '../utils/emailService.js';
+import {
+  ORDER_EVENTS,
+  NOTIFICATION_CHANNELS,
+  resolvePreferences
+} from '../utils/orderNotifier.js';
+import { normalizeText } from '../utils/searchText.js';
+
+// Searches kept on an account
+const MAX_RECENT_SEARCHES = 10;
 
 // Register new user
 export const register = async (req, res) => {
@@ -522,4 +531,94 @@ export const resendOtp = async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Get the channels the user receives each order event on
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    res.json({ preferences: resolvePreferences(req.user) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Turn push or email on or off per order event,
+// e.g. { preferences: { order_shipped: { email: false } } }
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== 'object') {
+      return res.status(400).json({ message: 'Preferences are required' });
+    }
+
+    for (const [event, channels] of Object.entries(preferences)) {
+      if (!ORDER_EVENTS[event]) {
+        return res.status(400).json({ message: `Unknown notification event: ${event}` });
+      }
+
+      const invalid = Object.entries(channels || {}).find(
+        ([channel, enabled]) =>
+          !NOTIFICATION_CHANNELS.includes(channel) || typeof enabled !== 'boolean'
+      );
+      if (invalid) {
+        return res.status(400).json({ message: `Invalid setting ${event}.${invalid[0]}` });
+      }
+    }
+
+    const user = await User.findById(req.user._id);
+    for (const [event, channels] of Object.entries(preferences)) {
+      const current = user.notificationPreferences.get(event)?.toObject() || {};
+      user.notificationPreferences.set(event, { ...current, ...channels });
+    }
+    await user.save();
+
+    res.json({ preferences: resolvePreferences(user) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The user's latest searches, newest first
+export const getRecentSearches = async (req, res) => {
+  try {
+    res.json({ searches: req.user.recentSearches });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Remember a search, searching the same words again moves it to the top
+export const addRecentSearch = async (req, res) => {
+  try {
+    const query = typeof req.body?.query === 'string' ? req.body.query.trim() : '';
+
+    if (!normalizeText(query)) {
+      return res.status(400).json({ message: 'A search query is required' });
+    }
+    if (query.length > 100) {
+      return res.status(400).json({ message: 'Search query is too long' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const key = normalizeText(query);
+    user.recentSearches = [
+      { query, searchedAt: new Date() },
+      ...user.recentSearches.filter((search) => normalizeText(search.query) !== key),
+    ].slice(0, MAX_RECENT_SEARCHES);
+    await user.save();
+
+    res.status(201).json({ searches: user.recentSearches });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const clearRecentSearches = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $set: { recentSearches: [] } });
+    res.json({ searches: [] });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
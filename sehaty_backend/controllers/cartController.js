@@ -1,8 +1,15 @@
+import mongoose from 'mongoose';
 import Cart from '../models/CartModel.js';
 import Wishlist from '../models/WishlistModel.js';
 import PharmacyMedicine from '../models/PharmacyMedicineModel.js';
 import Medicine from '../models/MedicineModel.js';
 import Pharmacy from '../models/PharmacyModel.js';
+import Prescription from '../models/PrescriptionModel.js';
+import { priceOrder } from '../utils/pricing.js';
+import { loadDeliveryAddress } from '../utils/deliveryQuote.js';
+import { prescriptionProblem } from '../utils/prescriptions.js';
+
+const PRESCRIPTION_SUMMARY = 'title doctorName status validUntil';
 
 // Add item to cart
 export const addToCart = async (req, res) => {
@@ -194,6 +201,56 @@ export const updateCartItem = async (req, res) => {
   }
 };
 
+// Attach a prescription to a prescription-only cart item, or detach it with null.
+// One still waiting for review is accepted here, checkout needs it approved.
+export const setCartItemPrescription = async (req, res) => {
+  try {
+    const { prescriptionId } = req.body;
+
+    const cart = await Cart.findOne({ userId: req.user._id });
+    const item = cart?.items.id(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in cart' });
+    }
+
+    if (prescriptionId) {
+      const medicine = await Medicine.findById(item.medicineId).select('name prescriptionRequired');
+      if (!medicine?.prescriptionRequired) {
+        return res.status(400).json({ message: 'This medicine does not need a prescription' });
+      }
+
+      const prescription = mongoose.isValidObjectId(prescriptionId)
+        ? await Prescription.findById(prescriptionId)
+        : null;
+      const problem = await prescriptionProblem(
+        prescription,
+        {
+          userId: req.user._id,
+          medicineId: medicine._id,
+          name: medicine.name,
+          quantity: item.quantity,
+        },
+        { statuses: ['pending', 'approved'] }
+      );
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+    }
+
+    item.prescriptionId = prescriptionId || undefined;
+    await cart.save();
+
+    const updatedCart = await Cart.findById(cart._id)
+      .populate('items.medicineId')
+      .populate('items.pharmacyId')
+      .populate('items.prescriptionId', PRESCRIPTION_SUMMARY);
+
+    res.json(updatedCart);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
 // Remove from cart
 export const removeFromCart = async (req, res) => {
   try {
@@ -222,7 +279,8 @@ export const getCart = async (req, res) => {
   try {
     const cart = await Cart.findOne({ userId: req.user._id })
       .populate('items.medicineId')
-      .populate('items.pharmacyId');
+      .populate('items.pharmacyId')
+      .populate('items.prescriptionId', PRESCRIPTION_SUMMARY);
 
     if (!cart) {
       return res.json({ items: [] });
@@ -307,4 +365,57 @@ export const clearCart = async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Check a promo code against the cart and preview the discount
+export const applyPromoCode = async (req, res) => {
+  try {
+    const { code, fulfillment } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Promo code is required' });
+    }
+
+    // Checkout screens may send the items being bought, otherwise use the cart
+    let items = req.body.items;
+    if (!items) {
+      const cart = await Cart.findOne({ userId: req.user._id });
+      items = (cart?.items || []).map((item) => ({
+        medicineId: item.medicineId,
+        pharmacyId: item.pharmacyId,
+        quantity: item.quantity,
+      }));
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    // Free delivery codes need the real delivery fees of the chosen address
+    const address = req.body.address && fulfillment !== 'pickup'
+      ? await loadDeliveryAddress(req.body.address, req.user)
+      : null;
+
+    const pricing = await priceOrder({
+      items,
+      promoCode: code,
+      user: req.user,
+      address,
+      fulfillment,
+    });
+    const { promoCode } = pricing;
+
+    res.json({
+      promo: {
+        code: promoCode.code,
+        description: promoCode.description,
+        type: promoCode.type,
+        discount: pricing.breakdown.promoDiscount,
+      },
+      shipments: pricing.shipments,
+      priceBreakdown: pricing.breakdown,
+      deliveryQuote: pricing.delivery?.token,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,201 @@
+import Delivery from "../models/DeliveryModel.js";
+import Order from "../models/OrderModel.js";
+import {
+  acceptDelivery,
+  assignCourier,
+  completeDelivery,
+  declineDelivery,
+  isDeliveryCourier,
+  recordCourierLocation,
+  updateDeliveryProgress,
+} from "../utils/deliveries.js";
+import { canManageOrder } from "../utils/pharmacyAccess.js";
+
+// Statuses a courier still has work to do on
+const ACTIVE_STATUSES = ["assigned", "picked_up", "in_transit"];
+
+// What a courier needs to deliver: the items, where to collect them and where to bring them
+const populateDelivery = (query) =>
+  query.populate({
+    path: "orderId",
+    select: "items pharmacyId deliveryAddress deliverySlot userId status trackingNumber total paymentMethod isPaid",
+    populate: [
+      { path: "pharmacyId", select: "name address phone location" },
+      { path: "deliveryAddress" },
+      { path: "userId", select: "name phone" },
+    ],
+  });
+
+// Load a delivery the current user may work on as its courier
+const findCourierDelivery = async (req, res) => {
+  const delivery = await Delivery.findById(req.params.id).catch(() => null);
+
+  if (!delivery || delivery.isDeleted) {
+    res.status(404).json({ message: "Delivery not found" });
+    return null;
+  }
+
+  if (!isDeliveryCourier(req.user, delivery)) {
+    res.status(403).json({ message: "Not authorized to update this delivery" });
+    return null;
+  }
+
+  return delivery;
+};
+
+// Deliveries of the current courier, or all of them for admins
+export const getDeliveries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, courier } = req.query;
+
+    const query = { isDeleted: false };
+    if (req.user.role === "courier") {
+      query.deliveryPersonId = req.user._id;
+      query.status = status || { $in: ACTIVE_STATUSES };
+    } else {
+      if (status) query.status = status;
+      if (courier) query.deliveryPersonId = courier;
+    }
+
+    const deliveries = await populateDelivery(
+      Delivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    );
+    const total = await Delivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDeliveries: total,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const getDeliveryById = async (req, res) => {
+  try {
+    const delivery = await populateDelivery(Delivery.findById(req.params.id)).catch(() => null);
+
+    if (!delivery || delivery.isDeleted) {
+      return res.status(404).json({ message: "Delivery not found" });
+    }
+
+    const order = await Order.findById(delivery.orderId?._id);
+    if (
+      !isDeliveryCourier(req.user, delivery) &&
+      !(order && (await canManageOrder(req.user, order)))
+    ) {
+      return res.status(403).json({ message: "Not authorized to view this delivery" });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Hand a delivery to a courier (admin/pharmacy only)
+export const assignDelivery = async (req, res) => {
+  try {
+    const { courierId } = req.body;
+    const delivery = await Delivery.findById(req.params.id).catch(() => null);
+
+    if (!delivery || delivery.isDeleted) {
+      return res.status(404).json({ message: "Delivery not found" });
+    }
+
+    const order = await Order.findById(delivery.orderId);
+    if (!order || !(await canManageOrder(req.user, order))) {
+      return res.status(403).json({ message: "Not authorized to assign this delivery" });
+    }
+
+    if (!courierId) {
+      return res.status(400).json({ message: "Courier is required" });
+    }
+
+    await assignCourier(delivery, { courierId, user: req.user });
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+export const acceptAssignedDelivery = async (req, res) => {
+  try {
+    const delivery = await findCourierDelivery(req, res);
+    if (!delivery) return;
+
+    await acceptDelivery(delivery);
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+export const declineAssignedDelivery = async (req, res) => {
+  try {
+    const delivery = await findCourierDelivery(req, res);
+    if (!delivery) return;
+
+    await declineDelivery(delivery);
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Mark a delivery picked up, in transit or failed
+export const updateDeliveryStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const delivery = await findCourierDelivery(req, res);
+    if (!delivery) return;
+
+    await updateDeliveryProgress(delivery, status, { user: req.user, reason });
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Hand the order over, with a photo or the code the customer reads out
+export const confirmDelivery = async (req, res) => {
+  try {
+    const delivery = await findCourierDelivery(req, res);
+    if (!delivery) return;
+
+    const photo = req.file ? `/uploads/deliveries/${req.file.filename}` : undefined;
+    await completeDelivery(delivery, { user: req.user, photo, otp: req.body.otp });
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Courier position, for apps that cannot keep the live tracking socket open
+export const updateCourierLocation = async (req, res) => {
+  try {
+    const delivery = await findCourierDelivery(req, res);
+    if (!delivery) return;
+
+    await recordCourierLocation(delivery, req.body);
+
+    res.json({
+      currentLocation: delivery.currentLocation,
+      estimatedArrivalAt: delivery.estimatedArrivalAt,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
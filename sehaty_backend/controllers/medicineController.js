@@ -1,8 +1,11 @@
 import Medicine from '../models/MedicineModel.js';
 import Review from '../models/ReviewModel.js';
 import Category from '../models/CategoryModel.js';
-import PharmacyMedicine from '../models/PharmacyMedicineModel.js';
 import Pharmacy from '../models/PharmacyModel.js';
+import { findMedicineAlternatives } from '../utils/medicineAlternatives.js';
+import { listCatalog, nearFromQuery, pageFromQuery } from '../utils/catalog.js';
+import { searchMedicineIndex } from '../utils/medicineSearch.js';
+import { suggestSearches } from '../utils/searchSuggestions.js';
 
 export const createMedicine = async (req, res) => {
   try {
@@ -15,93 +18,48 @@ export const createMedicine = async (req, res) => {
 };
 
 
+// Medicines on pharmacy shelves, one row per medicine and pharmacy. Filtered,
+// sorted (sort=newest|price_asc|price_desc|rating|distance) and paged by the
+// database; lat and lng add the distance to each pharmacy.
 export const getMedicines = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const category = req.query.category;
-    const search = req.query.search;
-    const minPrice = req.query.minPrice;
-    const maxPrice = req.query.maxPrice;
-    const prescriptionRequired = req.query.prescriptionRequired;
-    const pharmacyId = req.query.pharmacyId;
-
-    const pharmacyMedicineQuery = { isAvailable: true, isDeleted: false };
-    if (pharmacyId) {
-      pharmacyMedicineQuery.pharmacyId = pharmacyId;
-    }
-
-    const pharmacyMedicines = await PharmacyMedicine.find(pharmacyMedicineQuery)
-      .populate({
-        path: 'medicineId',
-        match: { isDeleted: false },
-        populate: { path: 'categoryId' }
-      })
-      .populate('pharmacyId');
-
-    const availableMedicines = pharmacyMedicines
-      .filter(pm => pm.medicineId)
-      .map(pm => ({
-        ...pm.medicineId.toObject(),
-        pharmacyInfo: {
-          pharmacyId: pm.pharmacyId._id,
-          pharmacyName: pm.pharmacyId.name,
-          price: pm.price,
-          stock: pm.stock,
-          discount: pm.discount,
-          isAvailable: pm.isAvailable
-        }
-      }));
-
-    let filteredMedicines = availableMedicines;
-
-    if (category) {
-      filteredMedicines = filteredMedicines.filter(
-        medicine => medicine.categoryId._id.toString() === category
-      );
-    }
-
-    if (search) {
-      const searchRegex = new RegExp(search, 'i');
-      filteredMedicines = filteredMedicines.filter(
-        medicine => 
-          medicine.name.match(searchRegex) || 
-          medicine.description.match(searchRegex)
-      );
-    }
-
-    if (prescriptionRequired) {
-      filteredMedicines = filteredMedicines.filter(
-        medicine => medicine.prescriptionRequired === (prescriptionRequired === 'true')
-      );
-    }
-
-    if (minPrice || maxPrice) {
-      filteredMedicines = filteredMedicines.filter(medicine => {
-        const price = medicine.pharmacyInfo.price;
-        if (minPrice && maxPrice) {
-          return price >= minPrice && price <= maxPrice;
-        } else if (minPrice) {
-          return price >= minPrice;
-        } else if (maxPrice) {
-          return price <= maxPrice;
-        }
-        return true;
-      });
-    }
+    const { page, limit } = pageFromQuery(req.query);
+
+    const { items, total } = await listCatalog({
+      pharmacyId: req.query.pharmacyId,
+      category: req.query.category,
+      search: req.query.search,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      prescriptionRequired: req.query.prescriptionRequired,
+      near: nearFromQuery(req.query),
+      sort: req.query.sort,
+      page,
+      limit,
+    });
 
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedMedicines = filteredMedicines.slice(startIndex, endIndex);
+    const medicines = items.map((item) => ({
+      ...item.medicine,
+      categoryId: item.category || null,
+      pharmacyInfo: {
+        pharmacyId: item.pharmacy._id,
+        pharmacyName: item.pharmacy.name,
+        price: item.price,
+        stock: item.stock,
+        discount: item.discount,
+        isAvailable: item.isAvailable,
+        ...(item.distance !== undefined && { distance: item.distance }),
+      },
+    }));
 
     res.json({
-      medicines: paginatedMedicines,
+      medicines,
       currentPage: page,
-      totalPages: Math.ceil(filteredMedicines.length / limit),
-      totalMedicines: filteredMedicines.length
+      totalPages: Math.ceil(total / limit),
+      totalMedicines: total
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
 
@@ -277,103 +235,44 @@ export const addSampleMedicines = async (req, res) => {
   }
 };
 
+// Fuzzy search in Arabic or English over names, generic names, active
+// ingredients and manufacturers, ranked by relevance and availability.
+// Every medicine lists the pharmacies that have it, cheapest first.
 export const searchMedicines = async (req, res) => {
   try {
-    const { query, category, minPrice, maxPrice, pharmacyId } = req.query;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-
-    const searchQuery = { isDeleted: false };
-
-    if (query) {
-      searchQuery.$or = [
-        { name: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ];
-    }
-
-    if (category) {
-      searchQuery.category = category;
-    }
-
-    if (pharmacyId) {
-      searchQuery.pharmacyId = pharmacyId;
-    }
-
-    let medicines = await Medicine.find(searchQuery)
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .sort({ createdAt: -1 });
-
-    if (minPrice || maxPrice) {
-      medicines = medicines.filter(medicine => {
-        const price = medicine.price;
-        if (minPrice && maxPrice) {
-          return price >= minPrice && price <= maxPrice;
-        } else if (minPrice) {
-          return price >= minPrice;
-        } else if (maxPrice) {
-          return price <= maxPrice;
-        }
-        return true;
-      });
-    }
-
-    const total = await Medicine.countDocuments(searchQuery);
+    const { page, limit } = pageFromQuery(req.query);
+
+    const { items, total } = await searchMedicineIndex(req.query.query, {
+      category: req.query.category,
+      prescriptionRequired: req.query.prescriptionRequired,
+      pharmacyId: req.query.pharmacyId,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      page,
+      limit,
+    });
 
     res.json({
-      medicines,
+      medicines: items,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalMedicines: total
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
 
-const findAlternativesByActiveIngredient = async (medicine) => {
+// Autocomplete while typing: medicine names, active ingredients, categories
+// and pharmacies starting with q, each group with its total count
+export const suggestMedicines = async (req, res) => {
   try {
-    // Find medicines with the same active ingredient
-    const alternatives = await Medicine.find({
-      _id: { $ne: medicine._id }, // Exclude the current medicine
-      activeIngredient: medicine.activeIngredient,
-      isDeleted: false,
-      isAvailable: true
-    });
-
-    const alternativesWithPharmacyInfo = await Promise.all(
-      alternatives.map(async (alt) => {
-        const pharmacyMedicine = await PharmacyMedicine.findOne({
-          medicineId: alt._id,
-          isAvailable: true,
-          isDeleted: false,
-          stock: { $gt: 0 }
-        }).populate('pharmacyId');
-
-        if (pharmacyMedicine) {
-          return {
-            ...alt.toObject(),
-            pharmacyInfo: {
-              pharmacyId: pharmacyMedicine.pharmacyId._id,
-              pharmacyName: pharmacyMedicine.pharmacyId.name,
-              price: pharmacyMedicine.price,
-              stock: pharmacyMedicine.stock,
-              discount: pharmacyMedicine.discount,
-              isAvailable: pharmacyMedicine.isAvailable
-            }
-          };
-        }
-        return null;
-      })
-    );
-
-    return alternativesWithPharmacyInfo.filter(alt => alt !== null);
+    res.json(await suggestSearches(req.query.q));
   } catch (error) {
-    console.error('Error finding alternatives by active ingredient:', error);
-    return [];
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
+
 export const getMedicineAlternatives = async (req, res) => {
   try {
     const medicine = await Medicine.findById(req.params.id);
@@ -382,53 +281,11 @@ export const getMedicineAlternatives = async (req, res) => {
       return res.status(404).json({ message: 'Medicine not found' });
     }
 
-    let alternatives = [];
-
-    if (medicine.alternatives && medicine.alternatives.length > 0) {
-      const populatedMedicine = await Medicine.findById(req.params.id)
-        .populate('alternatives');
-
-      const alternativesWithPharmacyInfo = await Promise.all(
-        populatedMedicine.alternatives.map(async (alt) => {
-          const pharmacyMedicine = await PharmacyMedicine.findOne({
-            medicineId: alt._id,
-            isAvailable: true,
-            isDeleted: false,
-            stock: { $gt: 0 }
-          }).populate('pharmacyId');
-
-          if (pharmacyMedicine) {
-            return {
-              ...alt.toObject(),
-              pharmacyInfo: {
-                pharmacyId: pharmacyMedicine.pharmacyId._id,
-                pharmacyName: pharmacyMedicine.pharmacyId.name,
-                price: pharmacyMedicine.price,
-                stock: pharmacyMedicine.stock,
-                discount: pharmacyMedicine.discount,
-                isAvailable: pharmacyMedicine.isAvailable
-              }
-            };
-          }
-          return null;
-        })
-      );
-
-      alternatives = alternativesWithPharmacyInfo.filter(alt => alt !== null);
-    }
+    const { alternatives, source } = await findMedicineAlternatives(medicine);
 
-    if (alternatives.length === 0) {
-      alternatives = await findAlternativesByActiveIngredient(medicine);
-    }
-
-    res.json({
-      alternatives,
-      source: alternatives.length > 0 ? 
-        (medicine.alternatives && medicine.alternatives.length > 0 ? 'predefined' : 'activeIngredient') : 
-        'none'
-    });
+    res.json({ alternatives, source });
   } catch (error) {
     console.error('Get medicine alternatives error:', error);
     res.status(500).json({ message: error.message });
   }
-}; 
\ No newline at end of file
+};
\ No newline at end of file
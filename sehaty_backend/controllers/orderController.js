@@ -1,11 +1,59 @@
+import fs from "fs/promises";
 import Order from "../models/OrderModel.js";
 import Cart from "../models/CartModel.js";
-import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
-import Stock from "../models/StockModel.js";
 import Delivery from "../models/DeliveryModel.js";
 import PromoCode from "../models/PromoCodeModel.js";
 import PaymobService from "../utils/paymob.service.js";
+import { priceOrder } from "../utils/pricing.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { reserveStock } from "../utils/stockReservation.js";
+import {
+  failOrderPayment,
+  retryPayment,
+  settleOrderPayment,
+  startOrderPayment,
+} from "../utils/orderPayment.js";
+import {
+  availablePaymentMethods,
+  paymentProviderOf,
+  resolvePaymentProvider,
+} from "../utils/payments/index.js";
+import { redeemPromo } from "../utils/promoEngine.js";
+import { openRefund, approveRefund, rejectRefund, latestRefund } from "../utils/refunds.js";
+import { cancelOrderAndShipments } from "../utils/orderCancellation.js";
+import { rebuildCartFromOrder } from "../utils/reorder.js";
+import { loadInvoiceData, renderInvoicesPdf, invoiceNumber } from "../utils/invoice.js";
+import { loadDeliveryAddress } from "../utils/deliveryQuote.js";
+import { notifyOrderEvent, notifyOrderStatus } from "../utils/orderNotifier.js";
+import { getAvailableSlots, reserveDeliverySlots } from "../utils/deliverySlots.js";
+import {
+  assignPickupCodes,
+  confirmPickup,
+  findPickupOrder,
+  pickupQrDataUrl,
+} from "../utils/pickup.js";
+import {
+  PHARMACY_STATUSES,
+  assertTransition,
+  canTransition,
+  statusEntry,
+} from "../utils/orderStatus.js";
+import { canManageOrder } from "../utils/pharmacyAccess.js";
+import {
+  PRESCRIPTION_DETAILS,
+  matchPrescriptions,
+  requirePrescriptions,
+} from "../utils/prescriptions.js";
+import { hasOpenSubstitution } from "../utils/substitutions.js";
+import { applyOrderStatus } from "../utils/orderFulfilment.js";
+import {
+  createSubOrders,
+  createSubOrderDeliveries,
+  rollUpParentStatus,
+  getShipments,
+} from "../utils/orderSplit.js";
 import {config} from '../config/config.js';
+
 // Register webhook endpoint
 export const registerPaymobWebhook = async (req, res) => {
   try {
@@ -26,7 +74,7 @@ export const registerPaymobWebhook = async (req, res) => {
 
 
 
-// Verify Paymob payment status
+// Verify the payment status with the order's provider
 export const verifyPayment = async (req, res) => {
   try {
     const { orderId } = req.params;
@@ -41,33 +89,26 @@ export const verifyPayment = async (req, res) => {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    // If not Paymob payment or already paid
-    if (order.paymentMethod !== "paymob" || order.isPaid) {
+    // Only orders paid on a provider's page can still be waiting for payment
+    const provider = paymentProviderOf(order);
+    if (provider.flow !== "redirect" || order.isPaid) {
       return res.json({
         isPaid: order.isPaid,
         status: order.status,
       });
     }
 
-    // If Paymob transaction ID exists, verify with Paymob
-    if (order.paymob?.transactionId) {
-      const paymentDetails = await PaymobService.verifyPayment(
-        order.paymob.transactionId
-      );
-
-      if (paymentDetails.success) {
-        order.isPaid = true;
-        order.paidAt = new Date();
-        order.paymob.paymentStatus = "paid";
-        order.status = "confirmed";
-        await order.save();
-      }
-    }
+    // Ask the provider, the callback may not have reached us
+    const { state, transactionId } = await provider.verify(order);
+    const current =
+      state === "paid"
+        ? await settleOrderPayment(order._id, { success: true, transactionId })
+        : order;
 
     res.json({
-      isPaid: order.isPaid,
-      status: order.status,
-      paymentStatus: order.paymob?.paymentStatus,
+      isPaid: current.isPaid,
+      status: current.status,
+      paymentStatus: current.paymob?.paymentStatus,
     });
   } catch (error) {
     console.error("Payment verification error:", error);
@@ -76,162 +117,227 @@ export const verifyPayment = async (req, res) => {
 };
 
 
+// Preview the server-side price breakdown of a checkout
+export const previewOrderPricing = async (req, res) => {
+  try {
+    const { items, promoCode, fulfillment } = req.body;
+    const address = req.body.address && fulfillment !== "pickup"
+      ? await loadDeliveryAddress(req.body.address, req.user)
+      : null;
+    const pricing = await priceOrder({
+      items,
+      promoCode,
+      user: req.user,
+      address,
+      fulfillment,
+    });
+    // Prescription-only items the checkout would be refused for
+    const prescriptionRequired = await matchPrescriptions(req.user, pricing.items);
+
+    res.json({
+      fulfillment: pricing.fulfillment,
+      items: pricing.items,
+      prescriptionRequired,
+      shipments: pricing.shipments,
+      priceBreakdown: pricing.breakdown,
+      deliveryQuote: pricing.delivery?.token,
+      // What every pharmacy of this checkout accepts
+      paymentMethods: await availablePaymentMethods(
+        pricing.shipments.map((shipment) => shipment.pharmacyId)
+      ),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message, ...error.details });
+  }
+};
+
+// Quote the delivery fee of each pharmacy for a cart and an address
+export const getDeliveryQuote = async (req, res) => {
+  try {
+    const { items } = req.body;
+    const address = await loadDeliveryAddress(req.body.address, req.user);
+    const pricing = await priceOrder({ items, user: req.user, address });
+    const { delivery } = pricing;
+
+    res.json({
+      deliveryQuote: delivery.token,
+      expiresAt: delivery.expiresAt,
+      shipments: delivery.shipments,
+      deliveryFee: pricing.breakdown.deliveryFee,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message, ...error.details });
+  }
+};
+
+// Delivery windows the pharmacies of a cart can all deliver in
+export const getDeliverySlots = async (req, res) => {
+  try {
+    const pharmacyIds = String(req.query.pharmacies || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    if (pharmacyIds.length === 0) {
+      return res.status(400).json({ message: "Pharmacies are required" });
+    }
+
+    const slots = await getAvailableSlots(pharmacyIds);
+
+    res.json({ timeZone: config.order.timeZone, slots });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
 // Create new order
 export const createOrder = async (req, res) => {
   try {
-    const { items, address, paymentMethod, subtotal, deliveryFee, total } =
+    const { items, paymentMethod, promoCode, total, deliveryQuote, fulfillment, deliverySlot } =
       req.body;
+    const isPickup = fulfillment === "pickup";
 
-    // Validate items and calculate total
-    let totalPrice = 0;
-    const orderItems = [];
+    if (isPickup && deliverySlot) {
+      return res
+        .status(400)
+        .json({ message: "Delivery slots cannot be booked for pickup orders" });
+    }
 
-    for (const item of items) {
-      // Validate required fields
-      if (!item.medicineId || !item.pharmacyId) {
-        return res.status(400).json({
-          message: "Invalid item data: missing medicineId or pharmacyId",
-        });
-      }
+    // Pickup orders are collected at the pharmacy and need no address
+    const address = isPickup ? null : await loadDeliveryAddress(req.body.address, req.user);
 
-      const pharmacyMedicine = await PharmacyMedicine.findOne({
-        medicineId: item.medicineId,
-        pharmacyId: item.pharmacyId,
-        isAvailable: true,
-        isDeleted: false,
+    // Prices, discounts and fees come from the catalog and a signed delivery
+    // quote, not from the client
+    const pricing = await priceOrder({
+      items,
+      promoCode,
+      user: req.user,
+      address,
+      deliveryQuote,
+      fulfillment,
+    });
+    const { breakdown } = pricing;
+
+    // Prescription-only medicines are dispensed against an approved prescription
+    // of the customer, each line is linked to the one it uses up
+    await requirePrescriptions(req.user, pricing.items);
+
+    // The client shows a total before placing the order, make sure it still holds
+    if (total !== undefined && Math.abs(parseFloat(total) - breakdown.total) > 0.01) {
+      return res.status(409).json({
+        message: "Order total has changed, please review your order",
+        priceBreakdown: breakdown,
       });
+    }
 
-      if (!pharmacyMedicine) {
-        return res.status(400).json({
-          message: `Medicine ${item.medicineId} is not available in pharmacy ${item.pharmacyId}`,
-        });
+    // Every pharmacy of the checkout has to accept the payment method
+    const provider = await resolvePaymentProvider(
+      paymentMethod,
+      pricing.shipments.map((shipment) => shipment.pharmacyId)
+    );
+    const paysLater = provider.flow === "redirect";
+    const paysNow = provider.flow === "instant";
+
+    // Order, sub-orders, stock reservations and an instant payment are written
+    // as one unit, so two buyers can never both take the last unit and an
+    // order is never placed without its payment
+    const { order, subOrders } = await runInTransaction(async (session) => {
+      // Create the checkout (parent) order
+      const order = new Order({
+        userId: req.user._id,
+        items: pricing.items,
+        subtotal: breakdown.subtotal,
+        deliveryFee: breakdown.deliveryFee,
+        total: breakdown.total,
+        discount: breakdown.promoDiscount,
+        priceBreakdown: breakdown,
+        promoCode: pricing.promoCode?._id,
+        paymentMethod,
+        fulfillment: pricing.fulfillment,
+        deliveryAddress: address?._id,
+        status: paysLater ? "payment_pending" : paysNow ? "confirmed" : "pending",
+        isPaid: !paysLater, // Assuming other methods are paid immediately
+        paidAt: paysNow ? new Date() : undefined,
+      });
+      order.statusHistory.push(
+        statusEntry(order.status, {
+          user: req.user,
+          note: paysNow ? "Order placed and paid" : "Order placed",
+        })
+      );
+
+      await order.save({ session });
+
+      // Fails the whole checkout when the payment is refused, e.g. a short wallet balance
+      if (paysNow) {
+        await provider.createIntent(order, { user: req.user, address, session });
       }
 
-      if (pharmacyMedicine.stock < item.quantity) {
-        return res.status(400).json({
-          message: `Insufficient stock for medicine ${item.medicineId}`,
-        });
+      // Count the promo code use against its limits
+      if (pricing.promoCode) {
+        await redeemPromo(
+          {
+            promoCode: pricing.promoCode,
+            user: req.user,
+            orderId: order._id,
+            discount: breakdown.promoDiscount,
+          },
+          { session }
+        );
       }
 
-      orderItems.push({
-        medicine: item.medicineId,
-        pharmacyId: item.pharmacyId,
-        quantity: item.quantity,
-        price: item.price,
-      });
+      // Split into one sub-order per pharmacy
+      const subOrders = await createSubOrders(order, pricing.shipments, { session });
 
-      totalPrice += item.price * item.quantity;
-    }
+      // Each pharmacy hands its part over against its own code
+      if (isPickup) {
+        await assignPickupCodes(subOrders, { session });
+      }
 
-    // Validate totals
-    if (Math.abs(totalPrice - subtotal) > 0.01) {
-      return res.status(400).json({
-        message: "Subtotal mismatch with calculated total",
-      });
-    }
+      // Every pharmacy delivers in the window the customer booked
+      if (deliverySlot) {
+        order.deliverySlot = await reserveDeliverySlots(subOrders, deliverySlot, { session });
+        order.estimatedDeliveryDate = order.deliverySlot.end;
+        await order.save({ session });
+      }
 
-    // Create order
-    const order = new Order({
-      userId: req.user._id,
-      items: orderItems,
-      subtotal: parseFloat(subtotal),
-      deliveryFee: parseFloat(deliveryFee),
-      total: parseFloat(total),
-      paymentMethod,
-      address,
-      status: paymentMethod === "paymob" ? "payment_pending" : "pending",
-      isPaid: paymentMethod !== "paymob", // Assuming other methods are paid immediately
+      // Unpaid card orders only hold their stock until the payment window closes
+      await reserveStock(subOrders, { session, hold: paysLater });
+
+      return { order, subOrders };
     });
+    // From here on a retry must get this order back, not place another one
+    res.locals.idempotencyCommitted = true;
 
-    await order.save();
-    // Handle Paymob payment
-    if (paymentMethod === "paymob") {
+    // The customer pays on the provider's page
+    if (paysLater) {
       try {
-        const user = req.user;
-        const billingData = {
-          first_name: user.firstName || "Customer",
-          last_name: user.lastName || "User",
-          email: user.email,
-          phone_number: user.phone || "+201000000000",
-          country: "EG",
-          city: address.city || "Cairo",
-          street: address.street || "N/A",
-          building: address.building || "N/A",
-          floor: address.floor || "N/A",
-          apartment: address.apartment || "N/A",
-        };
-
-        const amountCents = Math.round(total * 100);
-        const returnUrl = `${config.app.deepLinkScheme}://payment-complete/${order._id}`;
-        const { paymentUrl, paymobOrderId } = await PaymobService.getPaymentUrl(
-          order._id,
-          amountCents,
-          billingData,
-          returnUrl
-        );
-
-        // Update order with Paymob details
-        order.paymob = {
-          iframeId: PaymobService.iframeId,
-          orderId: paymobOrderId,
-          paymentStatus: "pending",
-          callbackUrl: `${config.server.baseUrl}/api/payment/paymob/callback`,
-          returnUrl: returnUrl
-        };
-        
-        await order.save();
+        const { paymentUrl, returnUrl } = await startOrderPayment(order, {
+          user: req.user,
+          address,
+        });
 
         return res.status(201).json({
           ...order.toObject(),
+          subOrders,
           paymentUrl,
           requiresPayment: true,
           deepLink: returnUrl
         });
-      } catch (paymobError) {
-        console.error("Paymob error:", paymobError);
-        // If Paymob fails, mark order as failed
-        order.status = "payment_failed";
-        await order.save();
+      } catch (paymentError) {
+        console.error("Payment provider error:", paymentError);
+        // If the provider fails, mark order as failed and give the stock back
+        await failOrderPayment(order);
 
         return res.status(500).json({
           message: "Payment initiation failed",
-          error: paymobError.message,
+          error: paymentError.message,
         });
       }
     }
 
-    // Update stock
-    for (const item of items) {
-      const pharmacyMedicine = await PharmacyMedicine.findOne({
-        medicineId: item.medicineId,
-        pharmacyId: item.pharmacyId,
-        isAvailable: true,
-      });
-
-      if (pharmacyMedicine) {
-        pharmacyMedicine.stock -= item.quantity;
-        await pharmacyMedicine.save();
-
-        // Update stock record
-        const stock = await Stock.findOne({
-          pharmacyId: item.pharmacyId,
-          medicineId: item.medicineId,
-        });
-
-        if (stock) {
-          stock.quantity = pharmacyMedicine.stock;
-          await stock.save();
-        }
-      }
-    }
-
-    // Create delivery record
-    const delivery = new Delivery({
-      orderId: order._id,
-      status: "pending",
-    });
-
-    await delivery.save();
+    // Create a delivery record for each sub-order
+    await createSubOrderDeliveries(order);
 
     // Clear user's cart
     await Cart.findOneAndUpdate(
@@ -239,10 +345,13 @@ export const createOrder = async (req, res) => {
       { $set: { items: [] } }
     );
 
-    res.status(201).json(order);
+    // Card orders are announced once the payment is confirmed
+    await notifyOrderEvent(order, paysNow ? "order_confirmed" : "order_placed");
+
+    res.status(201).json({ ...order.toObject(), subOrders });
   } catch (error) {
     console.error("Create order error:", error);
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message, ...error.details });
   }
 };
 
@@ -253,13 +362,19 @@ export const getUserOrders = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const status = req.query.status;
 
-    const query = { userId: req.user._id, isDeleted: false };
+    // Sub-orders are listed under their checkout order, not on their own
+    const query = { userId: req.user._id, parentOrderId: null, isDeleted: false };
     if (status) query.status = status;
 
     const orders = await Order.find(query)
       .populate("items.medicine")
       .populate("deliveryAddress")
       .populate("promoCode")
+      .populate({
+        path: "subOrders",
+        select: "pharmacyId status trackingNumber subtotal deliveryFee total",
+        populate: { path: "pharmacyId", select: "name" },
+      })
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createdAt: -1 });
@@ -282,6 +397,7 @@ export const getOrderById = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate("items.medicine")
+      .populate("items.prescriptionId", PRESCRIPTION_DETAILS)
       .populate("deliveryAddress")
       .populate("promoCode");
 
@@ -289,62 +405,107 @@ export const getOrderById = async (req, res) => {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    // Check if user is authorized to view this order
-    if (
-      order.userId.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    // The customer, or the pharmacy packing the order and checking its prescriptions
+    const isCustomer = order.userId.toString() === req.user._id.toString();
+    if (!isCustomer && !(await canManageOrder(req.user, order))) {
       return res
         .status(403)
         .json({ message: "Not authorized to view this order" });
     }
 
-    // Get delivery status
-    const delivery = await Delivery.findOne({ orderId: order._id });
+    // Get delivery status, the courier code is for the customer's eyes
+    const deliveryQuery = Delivery.findOne({ orderId: order._id });
+    if (isCustomer || req.user.role === "admin") deliveryQuery.select("+otp");
+    const delivery = await deliveryQuery;
+
+    // Each pharmacy ships its part of the checkout separately
+    const shipments = await getShipments(order._id);
 
-    res.json({ order, delivery });
+    res.json({ order, delivery, shipments });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Statuses in which the order is handed over as packed
+const HANDOVER_STATUSES = ["ready_for_pickup", "shipped", "delivered"];
+
 // Update order status
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
     const order = await Order.findById(req.params.id);
 
     if (!order || order.isDeleted) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    // Check if user is authorized to update this order
-    if (req.user.role !== "admin" && req.user.role !== "pharmacy_owner") {
+    // Admins manage every order, pharmacy owners only their own pharmacy's
+    if (!(await canManageOrder(req.user, order))) {
       return res
         .status(403)
         .json({ message: "Not authorized to update this order" });
     }
 
-    order.status = status;
-    if (status === "delivered") {
-      order.deliveredAt = new Date();
+    if (req.user.role !== "admin" && !PHARMACY_STATUSES.includes(status)) {
+      return res
+        .status(403)
+        .json({ message: `Not authorized to set order status to ${status}` });
     }
 
-    await order.save();
+    assertTransition(order.status, status);
 
-    // Update delivery status
-    const delivery = await Delivery.findOne({ orderId: order._id });
-    if (delivery) {
-      delivery.status = status === "delivered" ? "delivered" : "in_transit";
-      if (status === "delivered") {
-        delivery.actualDeliveryDate = new Date();
+    // A line with a proposed replacement cannot leave the pharmacy yet
+    if (HANDOVER_STATUSES.includes(status) && (await hasOpenSubstitution(order._id))) {
+      return res
+        .status(400)
+        .json({ message: "The customer has not answered a proposed replacement yet" });
+    }
+
+    // Couriers ship delivery orders by picking them up and deliver them with
+    // proof of delivery, pharmacies hand pickup orders over by checking the
+    // customer's code
+    if (status === "shipped" && order.fulfillment !== "pickup") {
+      return res
+        .status(400)
+        .json({ message: "Delivery orders are shipped when the courier picks them up" });
+    }
+    if (status === "delivered" && order.fulfillment !== "pickup") {
+      return res
+        .status(400)
+        .json({ message: "Delivery orders are marked delivered by the courier with proof of delivery" });
+    }
+    if (status === "delivered" && req.user.role !== "admin") {
+      return res
+        .status(400)
+        .json({ message: "Confirm pickup orders with the customer's pickup code" });
+    }
+
+    if (status === "cancelled") {
+      // Like any cancellation: stock, delivery slot, replacements and payment go back
+      await cancelOrderAndShipments(order, { user: req.user, reason: note });
+    } else if (order.parentOrderId) {
+      // A single shipment changed, the checkout order follows its shipments
+      await applyOrderStatus(order, status, { user: req.user, note });
+      await rollUpParentStatus(order.parentOrderId);
+    } else {
+      const subOrders = await Order.find({ parentOrderId: order._id });
+
+      for (const subOrder of subOrders) {
+        if (canTransition(subOrder.status, status)) {
+          await applyOrderStatus(subOrder, status, { user: req.user, note });
+        }
       }
-      await delivery.save();
+
+      await applyOrderStatus(order, status, { user: req.user, note });
     }
 
+    // One message for the order that was changed, not one per shipment
+    await notifyOrderStatus(order, { reason: note });
+
     res.json(order);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
 
@@ -369,41 +530,287 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (["delivered", "cancelled"].includes(order.status)) {
+    if (!canTransition(order.status, "cancelled")) {
       return res.status(400).json({ message: "Order cannot be cancelled" });
     }
 
-    order.status = "cancelled";
-    order.cancellationReason = cancellationReason;
-    await order.save();
+    await cancelOrderAndShipments(order, {
+      user: req.user,
+      reason: cancellationReason,
+    });
+    await notifyOrderStatus(order, { reason: cancellationReason });
+
+    res.json({ message: "Order cancelled successfully" });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Open a new payment page for an unpaid order
+export const retryOrderPayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.isDeleted) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    try {
+      const { paymentUrl, returnUrl } = await retryPayment(order, { user: req.user });
 
-    // Restore stock
-    for (const item of order.items) {
-      const pharmacyMedicine = await PharmacyMedicine.findOne({
-        medicineId: item.medicineId,
-        pharmacyId: item.pharmacyId,
-        isAvailable: true,
+      res.json({
+        orderId: order._id,
+        status: order.status,
+        paymentUrl,
+        requiresPayment: true,
+        deepLink: returnUrl,
       });
+    } catch (paymentError) {
+      if (paymentError.status) throw paymentError;
 
-      if (pharmacyMedicine) {
-        pharmacyMedicine.stock += item.quantity;
-        await pharmacyMedicine.save();
+      console.error("Payment provider error:", paymentError);
+      // The stock taken for this attempt goes back until the next one
+      await failOrderPayment(order);
 
-        // Update stock record
-        const stock = await Stock.findOne({
-          pharmacyId: item.pharmacyId,
-          medicineId: item.medicineId,
-        });
+      res.status(500).json({
+        message: "Payment initiation failed",
+        error: paymentError.message,
+      });
+    }
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
 
-        if (stock) {
-          stock.quantity = pharmacyMedicine.stock;
-          await stock.save();
-        }
-      }
+// Uploaded files of a request that was turned down
+const discardUploads = (files = []) =>
+  Promise.all(
+    files.map((file) =>
+      fs.unlink(file.path).catch((error) =>
+        console.error(`Could not remove upload ${file.path}:`, error.message)
+      )
+    )
+  );
+
+// Ask for a refund on a delivered or cancelled order
+export const requestRefund = async (req, res) => {
+  // The photos are stored before the order is checked, keep them only on a refund that was opened
+  let opened = false;
+  try {
+    const { reason, amount } = req.body;
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.isDeleted) {
+      return res.status(404).json({ message: "Order not found" });
     }
 
-    res.json({ message: "Order cancelled successfully" });
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to request a refund for this order" });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: "Please tell us why you want a refund" });
+    }
+
+    const photos = (req.files || []).map((file) => `/uploads/refunds/${file.filename}`);
+
+    await openRefund(order, { user: req.user, reason: reason.trim(), photos, amount });
+    opened = true;
+
+    res.status(201).json({
+      message: "Refund requested successfully",
+      refundStatus: order.refundStatus,
+      refund: latestRefund(order),
+      refunds: order.refunds,
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
+  } finally {
+    if (!opened) await discardUploads(req.files);
+  }
+};
+
+// Load an order with a refund the current user may review
+const findReviewableOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order || order.isDeleted) {
+    res.status(404).json({ message: "Order not found" });
+    return null;
+  }
+
+  if (!(await canManageOrder(req.user, order))) {
+    res.status(403).json({ message: "Not authorized to review refunds for this order" });
+    return null;
+  }
+
+  return order;
+};
+
+// Approve a refund request and pay the money back (admin/pharmacy only)
+export const approveOrderRefund = async (req, res) => {
+  try {
+    const order = await findReviewableOrder(req, res);
+    if (!order) return;
+
+    const { amount, note } = req.body;
+    await approveRefund(order, { user: req.user, amount, note });
+
+    res.json({
+      message: "Refund approved",
+      refundStatus: order.refundStatus,
+      refundAmount: order.refundAmount,
+      refund: latestRefund(order),
+      refunds: order.refunds,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Reject a refund request (admin/pharmacy only)
+export const rejectOrderRefund = async (req, res) => {
+  try {
+    const order = await findReviewableOrder(req, res);
+    if (!order) return;
+
+    await rejectRefund(order, { user: req.user, note: req.body.note });
+
+    res.json({
+      message: "Refund rejected",
+      refundStatus: order.refundStatus,
+      refund: latestRefund(order),
+      refunds: order.refunds,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Rebuild the cart from a past order, reporting what changed since then
+export const reorder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.isDeleted) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to reorder this order" });
+    }
+
+    const { cart, report } = await rebuildCartFromOrder(order, req.user._id);
+
+    res.json({
+      cart,
+      ...report,
+      message:
+        report.added.length > 0
+          ? "Items added to your cart"
+          : "None of the items from this order are available right now",
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Download the PDF invoice of an order
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.isDeleted) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // The customer, admins and the pharmacies fulfilling it may see the invoice
+    const isCustomer = order.userId.toString() === req.user._id.toString();
+    if (!isCustomer && !(await canManageOrder(req.user, order))) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this invoice" });
+    }
+
+    const invoice = await loadInvoiceData(order._id);
+    const pdf = await renderInvoicesPdf([invoice]);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoiceNumber(order)}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Pickup codes of a click-and-collect order, one per pharmacy
+export const getOrderPickup = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.isDeleted) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (order.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    if (order.fulfillment !== "pickup") {
+      return res.status(400).json({ message: "This order is delivered, not picked up" });
+    }
+
+    const shipments = order.parentOrderId
+      ? [order]
+      : await Order.find({ parentOrderId: order._id }).sort({ createdAt: 1 });
+    await Order.populate(shipments, { path: "pharmacyId", select: "name address phone" });
+
+    const pickups = await Promise.all(
+      shipments
+        .filter((shipment) => shipment.pickup?.code)
+        .map(async (shipment) => ({
+          orderId: shipment._id,
+          pharmacy: shipment.pharmacyId,
+          status: shipment.status,
+          code: shipment.pickup.code,
+          qrCode: await pickupQrDataUrl(shipment),
+          readyAt: shipment.pickup.readyAt,
+          expiresAt: shipment.pickup.expiresAt,
+          collectedAt: shipment.pickup.collectedAt,
+        }))
+    );
+
+    res.json({ orderId: order._id, status: order.status, pickups });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Hand a pickup order over, from a scanned QR code or a typed code (admin/pharmacy only)
+export const confirmOrderPickup = async (req, res) => {
+  try {
+    const { qr, code, pharmacyId } = req.body;
+    const order = await findPickupOrder({ qr, code, pharmacyId });
+
+    if (!(await canManageOrder(req.user, order))) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to hand over this order" });
+    }
+
+    await confirmPickup(order, { user: req.user });
+
+    res.json({ message: "Order collected", order });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
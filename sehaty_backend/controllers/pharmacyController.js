@@ -2,21 +2,8 @@ import Pharmacy from '../models/PharmacyModel.js';
 import Medicine from '../models/MedicineModel.js';
 import Address from '../models/AddressModel.js';
 import PharmacyMedicine from '../models/PharmacyMedicineModel.js';
-
-const haversineDistance = (lat1, lon1, lat2, lon2) => {
-  const toRad = (x) => (x * Math.PI) / 180;
-
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLon / 2) ** 2;
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // distance in kilometers
-};
+import { haversineDistance } from '../utils/geo.js';
+import { listCatalog, pageFromQuery } from '../utils/catalog.js';
 
 export const getPharmacies = async (req, res) => {
   try {
@@ -278,103 +265,40 @@ export const removeMedicine = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+// Medicines on one pharmacy's shelf, filtered, sorted and paged by the database
 export const getPharmacyMedicines = async (req, res) => {
   try {
-    const pharmacyId = req.params.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search;
-    const category = req.query.category;
-    const minPrice = req.query.minPrice;
-    const maxPrice = req.query.maxPrice;
-
-    console.log('Getting medicines for pharmacy:', pharmacyId);
-
-    const pharmacyMedicines = await PharmacyMedicine.find({
-      pharmacyId,
-      isAvailable: true,
-      isDeleted: false
-    })
-      .populate({
-        path: 'medicineId',
-        match: { isDeleted: false },
-        populate: { path: 'categoryId' }
-      })
-      .sort({ createdAt: -1 });
-
-    console.log('Found pharmacy medicines:', pharmacyMedicines.map(pm => ({
-      medicineId: pm.medicineId?._id,
-      pharmacyId: pm.pharmacyId,
-      price: pm.price,
-      stock: pm.stock,
-      isAvailable: pm.isAvailable
-    })));
-
-    let medicines = pharmacyMedicines
-      .filter(pm => pm.medicineId)
-      .map(pm => ({
-        ...pm.medicineId.toObject(),
-        price: pm.price,
-        stock: pm.stock,
-        discount: pm.discount,
-        isAvailable: pm.isAvailable
-      }));
-
-    console.log('Processed medicines:', medicines.map(m => ({
-      id: m._id,
-      name: m.name,
-      price: m.price,
-      stock: m.stock
-    })));
-
-    if (search) {
-      const searchRegex = new RegExp(search, 'i');
-      medicines = medicines.filter(
-        medicine => 
-          medicine.name.match(searchRegex) || 
-          medicine.description.match(searchRegex)
-      );
-    }
-
-    if (category) {
-      medicines = medicines.filter(
-        medicine => medicine.categoryId._id.toString() === category
-      );
-    }
-
-    if (minPrice || maxPrice) {
-      medicines = medicines.filter(medicine => {
-        const price = medicine.price;
-        if (minPrice && maxPrice) {
-          return price >= minPrice && price <= maxPrice;
-        } else if (minPrice) {
-          return price >= minPrice;
-        } else if (maxPrice) {
-          return price <= maxPrice;
-        }
-        return true;
-      });
-    }
-
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedMedicines = medicines.slice(startIndex, endIndex);
+    const { page, limit } = pageFromQuery(req.query);
+
+    const { items, total } = await listCatalog({
+      pharmacyId: req.params.id,
+      category: req.query.category,
+      search: req.query.search,
+      minPrice: req.query.minPrice,
+      maxPrice: req.query.maxPrice,
+      prescriptionRequired: req.query.prescriptionRequired,
+      sort: req.query.sort,
+      page,
+      limit,
+    });
 
-    console.log('Sending response with medicines:', paginatedMedicines.map(m => ({
-      id: m._id,
-      name: m.name,
-      price: m.price,
-      stock: m.stock
-    })));
+    const medicines = items.map((item) => ({
+      ...item.medicine,
+      categoryId: item.category || null,
+      price: item.price,
+      stock: item.stock,
+      discount: item.discount,
+      isAvailable: item.isAvailable
+    }));
 
     res.json({
-      medicines: paginatedMedicines,
+      medicines,
       currentPage: page,
-      totalPages: Math.ceil(medicines.length / limit),
-      totalMedicines: medicines.length
+      totalPages: Math.ceil(total / limit),
+      totalMedicines: total
     });
   } catch (error) {
     console.error('Get pharmacy medicines error:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
-}; 
\ No newline at end of file
+};
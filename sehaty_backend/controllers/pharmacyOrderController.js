@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { renderPackingSlipPdf } from "../utils/invoice.js";
+import {
+  acceptPharmacyOrder,
+  packPharmacyOrder,
+  rejectPharmacyOrder,
+} from "../utils/orderFulfilment.js";
+import { ORDER_STATUSES } from "../utils/orderStatus.js";
+import { ownsPharmacy } from "../utils/pharmacyAccess.js";
+import { PRESCRIPTION_DETAILS } from "../utils/prescriptions.js";
+
+// Load the pharmacy in the URL, admins see every pharmacy, owners only theirs
+const findOwnedPharmacy = async (req, res) => {
+  const pharmacy = mongoose.isValidObjectId(req.params.id)
+    ? await Pharmacy.findById(req.params.id)
+    : null;
+
+  if (!pharmacy || pharmacy.isDeleted) {
+    res.status(404).json({ message: "Pharmacy not found" });
+    return null;
+  }
+
+  if (req.user.role !== "admin" && !(await ownsPharmacy(req.user, pharmacy._id))) {
+    res.status(403).json({ message: "Not authorized to manage orders of this pharmacy" });
+    return null;
+  }
+
+  return pharmacy;
+};
+
+// Load a shipment of the pharmacy in the URL
+const findPharmacyOrder = async (req, res) => {
+  const pharmacy = await findOwnedPharmacy(req, res);
+  if (!pharmacy) return null;
+
+  const order = mongoose.isValidObjectId(req.params.orderId)
+    ? await Order.findOne({ _id: req.params.orderId, pharmacyId: pharmacy._id, isDeleted: false })
+    : null;
+
+  if (!order) {
+    res.status(404).json({ message: "Order not found" });
+    return null;
+  }
+
+  return order;
+};
+
+// Orders of a pharmacy, newest first. Filters: status (comma separated),
+// fulfillment, from/to (placing date) and search (tracking number).
+export const getPharmacyOrders = async (req, res) => {
+  try {
+    const pharmacy = await findOwnedPharmacy(req, res);
+    if (!pharmacy) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const { status, fulfillment, from, to, search } = req.query;
+
+    // A parameter given more than once arrives as an array, each filter takes one value
+    for (const [name, value] of Object.entries({ status, fulfillment, search })) {
+      if (value !== undefined && typeof value !== "string") {
+        return res.status(400).json({ message: `Invalid ${name} filter` });
+      }
+    }
+
+    // Each pharmacy works on its own shipment of a checkout
+    const query = { pharmacyId: pharmacy._id, isDeleted: false };
+
+    if (status) {
+      const statuses = status.split(",");
+      const unknown = statuses.filter((value) => !ORDER_STATUSES.includes(value));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Invalid order status: ${unknown.join(", ")}` });
+      }
+      query.status = { $in: statuses };
+    }
+    if (fulfillment) query.fulfillment = fulfillment;
+    if (from || to) {
+      const createdAt = {};
+      if (from) createdAt.$gte = new Date(from);
+      if (to) createdAt.$lte = new Date(to);
+      if (Object.values(createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+      query.createdAt = createdAt;
+    }
+    if (search) {
+      const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.trackingNumber = { $regex: `^${pattern}`, $options: "i" };
+    }
+
+    const orders = await Order.find(query)
+      .select("-pickup.code")
+      .populate("userId", "name phone")
+      .populate("deliveryAddress")
+      .populate("items.medicine", "name image prescriptionRequired")
+      .populate("items.prescriptionId", PRESCRIPTION_DETAILS)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalOrders: total,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Take an order and start packing it
+export const acceptOrder = async (req, res) => {
+  try {
+    const order = await findPharmacyOrder(req, res);
+    if (!order) return;
+
+    res.json(await acceptPharmacyOrder(order, { user: req.user, note: req.body?.note }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Turn an order down, the customer is told why and refunded
+export const rejectOrder = async (req, res) => {
+  try {
+    const order = await findPharmacyOrder(req, res);
+    if (!order) return;
+
+    res.json(await rejectPharmacyOrder(order, { user: req.user, reason: req.body?.reason }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Mark an accepted order as packed, pickup orders become ready at the counter
+export const packOrder = async (req, res) => {
+  try {
+    const order = await findPharmacyOrder(req, res);
+    if (!order) return;
+
+    res.json(await packPharmacyOrder(order, { user: req.user, note: req.body?.note }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Download the packing slip of an order as a PDF
+export const getPackingSlip = async (req, res) => {
+  try {
+    const order = await findPharmacyOrder(req, res);
+    if (!order) return;
+
+    const pdf = await renderPackingSlipPdf(order._id);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="packing-slip-${order.trackingNumber || order._id}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
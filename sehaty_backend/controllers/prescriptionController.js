@@ -136,7 +136,7 @@ export const getUserPrescriptions = async (req, res) => {
         path: 'medicines.medicineId',
         select: 'name genericName image'
       })
-      .select('doctorName doctorSpecialty image title createDate validUntil status')
+      .select('doctorName doctorSpecialty image title createDate validUntil status medicines')
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createDate: -1 });
@@ -0,0 +1,159 @@
+import Order from "../models/OrderModel.js";
+import Substitution from "../models/SubstitutionModel.js";
+import { canManageOrder } from "../utils/pharmacyAccess.js";
+import {
+  acceptSubstitution,
+  listSubstituteOptions,
+  proposeSubstitution,
+  rejectSubstitution,
+  withdrawSubstitution,
+} from "../utils/substitutions.js";
+
+const isCustomer = (req, order) => order.userId.toString() === req.user._id.toString();
+
+// Load an order the current user packs as its pharmacy
+const findManagedOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order || order.isDeleted) {
+    res.status(404).json({ message: "Order not found" });
+    return null;
+  }
+
+  if (!(await canManageOrder(req.user, order))) {
+    res.status(403).json({ message: "Not authorized to change items of this order" });
+    return null;
+  }
+
+  return order;
+};
+
+// Load a replacement of the order in the URL, the caller checks who may answer it
+const findSubstitution = async (req, res) => {
+  const substitution = await Substitution.findById(req.params.substitutionId);
+  const orderId = req.params.id;
+
+  if (
+    !substitution ||
+    (substitution.orderId.toString() !== orderId &&
+      substitution.parentOrderId?.toString() !== orderId)
+  ) {
+    res.status(404).json({ message: "Substitution not found" });
+    return null;
+  }
+
+  return substitution;
+};
+
+// Replacements of an order, or of every shipment of a checkout
+export const getOrderSubstitutions = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.isDeleted) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (!isCustomer(req, order) && !(await canManageOrder(req.user, order))) {
+      return res.status(403).json({ message: "Not authorized to view this order" });
+    }
+
+    const substitutions = await Substitution.find({
+      $or: [{ orderId: order._id }, { parentOrderId: order._id }],
+    })
+      .populate("pharmacyId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ substitutions });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Alternatives the pharmacy has in stock for an order line (admin/pharmacy only)
+export const getSubstituteOptions = async (req, res) => {
+  try {
+    const order = await findManagedOrder(req, res);
+    if (!order) return;
+
+    res.json(await listSubstituteOptions(order, req.params.itemId));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Propose a replacement for an order line that is out of stock (admin/pharmacy only)
+export const createSubstitution = async (req, res) => {
+  try {
+    const order = await findManagedOrder(req, res);
+    if (!order) return;
+
+    const { itemId, medicineId, quantity, note } = req.body;
+    const substitution = await proposeSubstitution(order, {
+      itemId,
+      medicineId,
+      quantity,
+      note,
+      user: req.user,
+    });
+
+    res.status(201).json(substitution);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Take a proposed replacement back (admin/pharmacy only)
+export const withdrawOrderSubstitution = async (req, res) => {
+  try {
+    const order = await findManagedOrder(req, res);
+    if (!order) return;
+
+    const substitution = await findSubstitution(req, res);
+    if (!substitution) return;
+
+    res.json(await withdrawSubstitution(substitution, { reason: req.body.reason }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Accept a replacement. A higher total paid by card comes back with a payment page.
+export const acceptOrderSubstitution = async (req, res) => {
+  try {
+    const substitution = await findSubstitution(req, res);
+    if (!substitution) return;
+
+    if (substitution.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to answer this replacement" });
+    }
+
+    const { substitution: accepted, paymentUrl, returnUrl } = await acceptSubstitution(
+      substitution,
+      { user: req.user }
+    );
+
+    res.json({
+      substitution: accepted,
+      ...(paymentUrl && { paymentUrl, requiresPayment: true, deepLink: returnUrl }),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Turn a replacement down
+export const rejectOrderSubstitution = async (req, res) => {
+  try {
+    const substitution = await findSubstitution(req, res);
+    if (!substitution) return;
+
+    if (substitution.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to answer this replacement" });
+    }
+
+    res.json(await rejectSubstitution(substitution, { reason: req.body.reason }));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
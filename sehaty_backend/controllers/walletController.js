@@ -0,0 +1,106 @@
+import User from "../models/UserModel.js";
+import WalletTopUp from "../models/WalletTopUpModel.js";
+import WalletTransaction from "../models/WalletTransactionModel.js";
+import {
+  adjustWallet,
+  getWallet,
+  startWalletTopUp,
+} from "../utils/wallet.js";
+
+// Get the current user's wallet balance
+export const getWalletBalance = async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user._id);
+    res.json({ balance: wallet.balance, currency: wallet.currency });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get the current user's wallet history, newest first
+export const getWalletTransactions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { userId: req.user._id };
+    if (req.query.type) query.type = req.query.type;
+
+    const transactions = await WalletTransaction.find(query)
+      .populate("orderId", "trackingNumber total")
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WalletTransaction.countDocuments(query);
+
+    res.json({
+      transactions,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalTransactions: total,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Start adding money to the wallet through Paymob
+export const createWalletTopUp = async (req, res) => {
+  try {
+    const { topUp, paymentUrl, returnUrl } = await startWalletTopUp(req.user, req.body.amount);
+
+    res.status(201).json({
+      topUpId: topUp._id,
+      amount: topUp.amount,
+      status: topUp.status,
+      paymentUrl,
+      deepLink: returnUrl,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+// Where a top-up stands, the app asks after returning from the payment page
+export const getWalletTopUp = async (req, res) => {
+  try {
+    const topUp = await WalletTopUp.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).catch(() => null);
+
+    if (!topUp) {
+      return res.status(404).json({ message: "Top-up not found" });
+    }
+
+    const wallet = await getWallet(req.user._id);
+    res.json({
+      topUpId: topUp._id,
+      amount: topUp.amount,
+      status: topUp.status,
+      balance: wallet.balance,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Credit or debit a customer's wallet by hand (admin only)
+export const createWalletAdjustment = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { wallet, transaction } = await adjustWallet(user._id, {
+      amount: req.body.amount,
+      note: req.body.note,
+      user: req.user,
+    });
+
+    res.status(201).json({ balance: wallet.balance, transaction });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
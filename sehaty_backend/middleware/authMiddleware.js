@@ -1,6 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/UserModel.js';
 
+// The active user a JWT was issued to, throws when the token is not valid
+export const findUserByToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findOne({ _id: decoded.userId, isDeleted: false });
+};
+
 export const protect = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -8,8 +14,7 @@ export const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findOne({ _id: decoded.userId, isDeleted: false });
+    const user = await findUserByToken(token);
 
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
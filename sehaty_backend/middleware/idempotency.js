@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKeyModel.js';
+import { config } from '../config/config.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (body) =>
+  crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+/**
+ * Make a route safe to retry with an `Idempotency-Key` header.
+ *
+ * The first response for a user and key is stored and sent again for
+ * repeats of the same request; the same key with a different body is
+ * refused. Server errors are not stored, so the request can be retried,
+ * unless the handler set `res.locals.idempotencyCommitted` to say its work
+ * was already saved. Requests without the header are handled as before.
+ * Mount after `protect`.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: 'Idempotency-Key is too long' });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req.body);
+
+  try {
+    const record = await IdempotencyKey.create({
+      userId: req.user._id,
+      key,
+      scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + config.order.idempotencyKeyHours * 3600000),
+    });
+
+    // Keep the JSON body to replay it, whatever sends the response
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // Every response settles the key, so it never stays "processing"
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+
+      const keep = res.locals.idempotencyCommitted || res.statusCode < 500;
+      const saved = keep
+        ? IdempotencyKey.updateOne(
+            { _id: record._id },
+            { status: 'completed', responseStatus: res.statusCode, responseBody }
+          )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+      saved.catch((error) => console.error('Could not store idempotent response:', error.message));
+    };
+    res.on('finish', settle);
+
+    // A client that hung up gets no 'finish', settle once the handler answers
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      if (res.writableEnded) return settle();
+
+      const end = res.end.bind(res);
+      res.end = (...args) => {
+        settle();
+        return end(...args);
+      };
+    });
+
+    return next();
+  } catch (error) {
+    if (error.code !== 11000) {
+      return res.status(500).json({ message: error.message });
+    }
+  }
+
+  // The key was used before
+  const existing = await IdempotencyKey.findOne({ userId: req.user._id, scope, key });
+
+  if (!existing) {
+    // It expired in the meantime
+    return res.status(409).json({ message: 'Please retry the request' });
+  }
+
+  if (existing.requestHash !== requestHash) {
+    return res.status(422).json({
+      message: 'This Idempotency-Key was already used for a different request',
+    });
+  }
+
+  if (existing.status === 'processing') {
+    return res.status(409).json({
+      message: 'This request is still being processed, please wait',
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(existing.responseStatus).json(existing.responseBody);
+};
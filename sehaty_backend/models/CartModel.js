@@ -27,6 +27,11 @@ const cartSchema = new mongoose.Schema({
       required: true,
       get: v => Number(v.toFixed(2)),
       set: v => Number(v.toFixed(2))
+    },
+    // Prescription the customer attached for a prescription-only medicine
+    prescriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Prescription",
     }
   }],
   isDeleted: { type: Boolean, default: false },
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { orderEvents } from "../utils/orderEvents.js";
 
 const deliverySchema = new mongoose.Schema({
   orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
@@ -8,12 +9,55 @@ const deliverySchema = new mongoose.Schema({
     enum: ['pending', 'assigned', 'picked_up', 'in_transit', 'delivered', 'failed'],
     default: 'pending'
   },
+  // Who handed the delivery to the courier, an admin or the pharmacy
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: Date,
+  acceptedAt: Date,
+  pickedUpAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  // Code the customer reads out to the courier at the door
+  otp: { type: String, select: false },
+  proof: {
+    method: { type: String, enum: ['photo', 'otp'] },
+    // Path under /uploads of the photo taken at hand-over
+    photo: String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: Date,
+  },
+  // Last position reported by the courier
+  currentLocation: {
+    latitude: Number,
+    longitude: Number,
+    heading: Number,
+    updatedAt: Date,
+  },
+  estimatedArrivalAt: Date,
   trackingNumber: String,
   estimatedDeliveryDate: Date,
+  // Window the customer booked at checkout
+  scheduledSlot: {
+    start: Date,
+    end: Date,
+  },
   actualDeliveryDate: Date,
   deliveryNotes: String,
   isDeleted: { type: Boolean, default: false },
   deletedAt: Date,
 }, { timestamps: true });
 
+deliverySchema.index({ orderId: 1 });
+deliverySchema.index({ deliveryPersonId: 1, status: 1 });
+
+// Tell live tracking and notifications about status changes
+deliverySchema.pre('save', function () {
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+});
+
+deliverySchema.post('save', function (delivery) {
+  if (delivery.$locals.statusChanged) {
+    orderEvents.emit('delivery', delivery);
+  }
+});
+
 export default mongoose.model("Delivery", deliverySchema); 
\ No newline at end of file
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Bookings of one pharmacy delivery window, created the first time the window is booked
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    pharmacyId: { type: mongoose.Schema.Types.ObjectId, ref: "Pharmacy", required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    // Orders currently booked into the window, never above the pharmacy's capacity
+    booked: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+deliverySlotSchema.index({ pharmacyId: 1, start: 1 }, { unique: true });
+
+export default mongoose.model("DeliverySlot", deliverySlotSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// The outcome of a request sent with an Idempotency-Key, replayed when the key comes back
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    key: { type: String, required: true },
+    // Method and path the key was used on
+    scope: { type: String, required: true },
+    // Hash of the request body, a key only ever stands for one request
+    requestHash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+// Let MongoDB drop keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
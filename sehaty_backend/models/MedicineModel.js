@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { buildMedicineSearch, MEDICINE_SEARCH_FIELDS } from '../utils/searchText.js';
 
 const medicineSchema = new mongoose.Schema(
   {
@@ -36,6 +37,24 @@ const medicineSchema = new mongoose.Schema(
     totalReviews: { type: Number, default: 0 },
     isDeleted: { type: Boolean, default: false },
     deletedAt: Date,
+    // Normalised words and trigrams of the searchable fields, kept up to date below
+    search: {
+      type: new mongoose.Schema(
+        {
+          terms: {
+            name: [String],
+            genericName: [String],
+            activeIngredient: [String],
+            manufacture: [String],
+          },
+          grams: [String],
+          ingredient: String,
+          version: Number,
+        },
+        { _id: false }
+      ),
+      select: false,
+    },
   },
   { 
     timestamps: true,
@@ -44,4 +63,90 @@ const medicineSchema = new mongoose.Schema(
   }
 );
 
+medicineSchema.index({ categoryId: 1, isDeleted: 1 });
+medicineSchema.index({ "search.grams": 1 });
+medicineSchema.index({ "search.ingredient": 1 });
+medicineSchema.index({ "search.terms.name": 1 });
+medicineSchema.index({ "search.terms.activeIngredient": 1 });
+
+const searchFieldsChanged = (medicine) =>
+  Object.keys(MEDICINE_SEARCH_FIELDS).some((field) => medicine.isModified(field));
+
+medicineSchema.pre('save', function () {
+  if (this.isNew || searchFieldsChanged(this)) {
+    this.search = buildMedicineSearch(this);
+  }
+});
+
+medicineSchema.pre('insertMany', function (next, docs) {
+  for (const doc of docs) {
+    doc.search = buildMedicineSearch(doc);
+  }
+  next();
+});
+
+// Whether an update sets or clears a field the search index is built from
+const updateTouchesSearch = (update) => {
+  // Pipeline updates can read any field, index again to be safe
+  if (!update || Array.isArray(update)) return Boolean(update);
+
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') ? Object.keys(value || {}) : [key]
+  );
+  return paths.some((path) => Object.hasOwn(MEDICINE_SEARCH_FIELDS, path.split('.')[0]));
+};
+
+// Admin edits go through findOneAndUpdate, index the stored result again
+// when a searched field changed, inside the caller's session
+medicineSchema.post('findOneAndUpdate', async function (doc) {
+  if (!doc || !updateTouchesSearch(this.getUpdate())) return;
+
+  const session = this.getOptions().session || null;
+  const medicine = await this.model.findById(doc._id).session(session).lean();
+  if (medicine) {
+    await this.model.updateOne(
+      { _id: medicine._id },
+      { $set: { search: buildMedicineSearch(medicine) } },
+      { timestamps: false, session }
+    );
+  }
+});
+
+// Medicines an updateOne or updateMany is about to change, by query. The
+// filter may no longer match once the update ran.
+const medicinesToIndex = new WeakMap();
+
+medicineSchema.pre(['updateOne', 'updateMany'], async function () {
+  if (!updateTouchesSearch(this.getUpdate())) return;
+
+  const session = this.getOptions().session || null;
+  medicinesToIndex.set(this, await this.model.distinct('_id', this.getFilter()).session(session));
+});
+
+// Scripts and bulk edits go through updateOne and updateMany, index the
+// medicines they changed and any they inserted again
+medicineSchema.post(['updateOne', 'updateMany'], async function (result) {
+  const ids = medicinesToIndex.get(this);
+  if (!ids) return;
+  medicinesToIndex.delete(this);
+
+  if (result?.upsertedId) ids.push(result.upsertedId);
+  if (ids.length === 0) return;
+
+  const session = this.getOptions().session || null;
+  const medicines = await this.model.find({ _id: { $in: ids } }).session(session).lean();
+  if (medicines.length === 0) return;
+
+  await this.model.bulkWrite(
+    medicines.map((medicine) => ({
+      updateOne: {
+        filter: { _id: medicine._id },
+        update: { $set: { search: buildMedicineSearch(medicine) } },
+        timestamps: false,
+      },
+    })),
+    { session }
+  );
+});
+
 export default mongoose.model("Medicine", medicineSchema);
@@ -5,6 +5,9 @@ const notificationSchema = new mongoose.Schema({
   title: String,
   body: String,
   type: { type: String, enum: ['reminder', 'order', 'promotion', 'system'], default: 'system' },
+  // Order notifications: the order and the lifecycle event they are about
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  event: String,
   isRead: { type: Boolean, default: false },
   isDeleted: { type: Boolean, default: false },
   deletedAt: Date,
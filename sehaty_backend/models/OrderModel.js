@@ -1,13 +1,31 @@
 import mongoose from "mongoose";
+import { orderEvents } from "../utils/orderEvents.js";
 
 const orderSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Set on sub-orders: the checkout order they were split from
+    parentOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    // Set on sub-orders: the pharmacy fulfilling this part of the checkout
+    pharmacyId: { type: mongoose.Schema.Types.ObjectId, ref: "Pharmacy" },
+    subOrders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
     items: [
       {
         medicine: { type: mongoose.Schema.Types.ObjectId, ref: "Medicine" },
+        pharmacyId: { type: mongoose.Schema.Types.ObjectId, ref: "Pharmacy" },
+        // Snapshot of the catalog at checkout time
+        name: String,
+        unitPrice: Number,
+        discount: Number,
         quantity: Number,
         price: Number,
+        lineTotal: Number,
+        // Prescription the line is dispensed against, for prescription-only medicines
+        prescriptionId: { type: mongoose.Schema.Types.ObjectId, ref: "Prescription" },
       },
     ],
     status: {
@@ -18,33 +36,124 @@ const orderSchema = new mongoose.Schema(
         "payment_failed",
         "confirmed",
         "processing",
+        "ready_for_pickup",
         "shipped",
         "delivered",
         "cancelled",
       ],
       default: "pending",
     },
+    statusHistory: [
+      {
+        status: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        role: String,
+        note: String,
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    subtotal: Number,
+    deliveryFee: Number,
+    total: Number,
+    priceBreakdown: {
+      itemsTotal: Number,
+      itemDiscount: Number,
+      subtotal: Number,
+      promoDiscount: Number,
+      deliveryFee: Number,
+      total: Number,
+      currency: { type: String, default: "EGP" },
+    },
     totalPrice: Number,
     discount: Number,
     finalPrice: Number,
     paymentMethod: String,
+    // pickup: click-and-collect, the customer collects the order at the pharmacy
+    fulfillment: {
+      type: String,
+      enum: ["delivery", "pickup"],
+      default: "delivery",
+    },
+    pickup: {
+      // Shown by the customer at the counter, unique among the pharmacy's open pickups
+      code: String,
+      readyAt: Date,
+      // Uncollected orders are cancelled after this
+      expiresAt: Date,
+      collectedAt: Date,
+      collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+    // Set on sub-orders: the pharmacy's answer to the order
+    pharmacyReview: {
+      decision: { type: String, enum: ["accepted", "rejected"] },
+      reason: String,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewedAt: Date,
+    },
+    packing: {
+      packedAt: Date,
+      packedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
     deliveryAddress: { type: mongoose.Schema.Types.ObjectId, ref: "Address" },
+    // Delivery window booked at checkout, unset for as-soon-as-possible delivery
+    deliverySlot: {
+      // Set on sub-orders: the pharmacy window the order is booked into
+      slotId: { type: mongoose.Schema.Types.ObjectId, ref: "DeliverySlot" },
+      start: Date,
+      end: Date,
+      releasedAt: Date,
+    },
     trackingNumber: String,
     estimatedDeliveryDate: Date,
     deliveredAt: Date,
     isPaid: { type: Boolean, default: false },
     paidAt: Date,
+    // Unpaid Paymob orders: end of the payment window while payment_pending,
+    // end of the retry window once payment_failed
+    paymentDueAt: Date,
     promoCode: { type: mongoose.Schema.Types.ObjectId, ref: "PromoCode" },
     orderNotes: String,
     cancellationReason: String,
+    // Status of the latest refund request, kept on the order for filtering
     refundStatus: {
       type: String,
-      enum: ["none", "pending", "approved", "rejected"],
+      // failed: approved, but the payment provider did not return the money
+      enum: ["none", "pending", "approved", "rejected", "failed"],
     },
+    // Total of the approved refunds
     refundAmount: Number,
+    // Every refund request on the order, oldest first
+    refunds: [
+      {
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected", "failed"],
+          default: "pending",
+        },
+        reason: String,
+        photos: [String],
+        requestedAmount: Number,
+        requestedAt: Date,
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reviewedAt: Date,
+        reviewNote: String,
+        // What was actually paid back, the reviewer may lower the requested amount
+        amount: Number,
+        refundedAt: Date,
+        // Refund transaction id returned by the payment provider
+        transactionId: String,
+        failureReason: String,
+      },
+    ],
     isDeleted: { type: Boolean, default: false },
     deletedAt: Date,
     paymob: {
+      // Paymob's own order id, a new one for every payment attempt
+      orderId: String,
+      attempts: { type: Number, default: 0 },
+      // What the current attempt asks Paymob for, the total may change later
+      amountCents: Number,
       transactionId: String,
       iframeId: String,
       token: String,
@@ -60,4 +169,23 @@ const orderSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+orderSchema.index({ parentOrderId: 1 });
+orderSchema.index({ userId: 1, parentOrderId: 1, createdAt: -1 });
+orderSchema.index({ pharmacyId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ refundStatus: 1 });
+orderSchema.index({ pharmacyId: 1, "pickup.code": 1 });
+orderSchema.index({ status: 1, "pickup.expiresAt": 1 });
+orderSchema.index({ status: 1, paymentDueAt: 1 });
+
+// Tell live tracking and notifications about status changes
+orderSchema.pre("save", function () {
+  this.$locals.statusChanged = !this.isNew && this.isModified("status");
+});
+
+orderSchema.post("save", function (order) {
+  if (order.$locals.statusChanged) {
+    orderEvents.emit("status", order);
+  }
+});
+
 export default mongoose.model("Order", orderSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// A mismatch between our orders and Paymob's transactions, kept until an admin resolves it
+const paymentDiscrepancySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["missing_callback", "unknown_order", "amount_mismatch", "duplicate_charge"],
+      required: true,
+    },
+    // Identifies the mismatch so a daily run does not record it twice
+    key: { type: String, required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    topUpId: { type: mongoose.Schema.Types.ObjectId, ref: "WalletTopUp" },
+    substitutionId: { type: mongoose.Schema.Types.ObjectId, ref: "Substitution" },
+    merchantOrderId: String,
+    paymobOrderId: String,
+    transactionIds: [String],
+    expectedAmount: Number,
+    chargedAmount: Number,
+    details: String,
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    lastSeenAt: Date,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: Date,
+    resolutionNote: String,
+  },
+  { timestamps: true }
+);
+
+paymentDiscrepancySchema.index({ key: 1 }, { unique: true });
+paymentDiscrepancySchema.index({ status: 1, type: 1 });
+
+export default mongoose.model("PaymentDiscrepancy", paymentDiscrepancySchema);
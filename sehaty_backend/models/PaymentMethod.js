@@ -7,6 +7,11 @@ const paymentMethodSchema = new mongoose.Schema({
     enum: ["cash", "card", "paypal", "wallet", "bank", "other"],
     lowercase: true,
   },
+  // Provider that takes the payment, records without one map by name (card is Paymob)
+  provider: {
+    type: String,
+    enum: ["paymob", "cash", "wallet", "fake"],
+  },
   description: String,
   isActive: { type: Boolean, default: true },
   isDeleted: { type: Boolean, default: false },
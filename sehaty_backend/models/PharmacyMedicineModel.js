@@ -30,4 +30,10 @@ const pharmacyMedicineSchema = new mongoose.Schema(
   }
 );
 
+// Catalog listings page through available shelves by date or price
+pharmacyMedicineSchema.index({ isAvailable: 1, isDeleted: 1, createdAt: -1 });
+pharmacyMedicineSchema.index({ isAvailable: 1, isDeleted: 1, price: 1 });
+pharmacyMedicineSchema.index({ pharmacyId: 1, isAvailable: 1, isDeleted: 1, createdAt: -1 });
+pharmacyMedicineSchema.index({ medicineId: 1, pharmacyId: 1 });
+
 export default mongoose.model("PharmacyMedicine", pharmacyMedicineSchema);
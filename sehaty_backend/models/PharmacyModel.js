@@ -61,10 +61,23 @@ const pharmacySchema = new mongoose.Schema(
       type: String,
       enum: ["delivery", "pickup"],
     }],
+    // Furthest delivery distance in kilometers
     deliveryRadius: {
       type: Number,
       min: 0
     },
+    // Delivery pricing, unset values fall back to the platform defaults
+    deliveryFees: {
+      base: { type: Number, min: 0 },
+      perKm: { type: Number, min: 0 },
+      // Shipments worth at least this much are delivered for free
+      freeOver: { type: Number, min: 0 },
+    },
+    // Orders per scheduled delivery window, 0 turns scheduled delivery off
+    deliverySlotCapacity: {
+      type: Number,
+      min: 0
+    },
     paymentMethods: [{
       type: mongoose.Schema.Types.ObjectId, 
       ref: "PaymentMethod" 
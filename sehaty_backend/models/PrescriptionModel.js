@@ -13,6 +13,12 @@ const prescriptionSchema = new Schema(
         ref: 'Medicine',
         required: true
       },
+      // Packs the doctor prescribed, orders against the prescription stop there
+      quantity: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
       dosage: {
         amount: Number,
         unit: String,
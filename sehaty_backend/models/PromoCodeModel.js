@@ -1,9 +1,28 @@
 import mongoose from 'mongoose';
 
 const promoCodeSchema = new mongoose.Schema({
-  code: { type: String, required: true, unique: true },
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_delivery'],
+    default: 'percentage',
+  },
   discountPercentage: Number,
+  // Amount off in EGP for fixed-amount codes
+  discountAmount: Number,
   maxDiscountAmount: Number,
+  minOrderValue: { type: Number, default: 0 },
+  // Redemptions allowed across all users, unlimited when empty
+  usageLimit: Number,
+  usageCount: { type: Number, default: 0 },
+  // Redemptions allowed per user, unlimited when empty
+  perUserLimit: Number,
+  firstOrderOnly: { type: Boolean, default: false },
+  // When set, the code only applies to items from these categories / pharmacies
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  pharmacies: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Pharmacy' }],
+  startDate: Date,
   expiryDate: Date,
   isActive: { type: Boolean, default: true },
   isDeleted: { type: Boolean, default: false },
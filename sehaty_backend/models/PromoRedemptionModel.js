@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// One use of a promo code by a checkout order
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  discount: Number,
+  status: {
+    type: String,
+    enum: ['redeemed', 'rolled_back'],
+    default: 'redeemed',
+  },
+  rolledBackAt: Date,
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+promoRedemptionSchema.index({ orderId: 1 }, { unique: true });
+
+export default mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Stock taken off the shelf for one (sub-)order until it is paid or released
+const stockReservationSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    parentOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    items: [
+      {
+        pharmacyId: { type: mongoose.Schema.Types.ObjectId, ref: "Pharmacy", required: true },
+        medicineId: { type: mongoose.Schema.Types.ObjectId, ref: "Medicine", required: true },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["held", "committed", "released"],
+      default: "held",
+    },
+    expiresAt: Date,
+    committedAt: Date,
+    releasedAt: Date,
+    releaseReason: String,
+  },
+  { timestamps: true }
+);
+
+stockReservationSchema.index({ orderId: 1 }, { unique: true });
+stockReservationSchema.index({ parentOrderId: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("StockReservation", stockReservationSchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// An order line as priced for the customer
+const lineSchema = new mongoose.Schema(
+  {
+    medicine: { type: mongoose.Schema.Types.ObjectId, ref: "Medicine", required: true },
+    name: String,
+    unitPrice: Number,
+    discount: Number,
+    quantity: { type: Number, min: 1 },
+    price: Number,
+    lineTotal: Number,
+  },
+  { _id: false }
+);
+
+// A replacement a pharmacy proposes for an order line it cannot supply. The
+// replacement stock is set aside while the customer decides.
+const substitutionSchema = new mongoose.Schema(
+  {
+    // The sub-order the line belongs to
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    parentOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    pharmacyId: { type: mongoose.Schema.Types.ObjectId, ref: "Pharmacy", required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    original: lineSchema,
+    replacement: lineSchema,
+    // predefined: listed in Medicine.alternatives, activeIngredient: same active ingredient
+    source: { type: String, enum: ["predefined", "activeIngredient"] },
+    note: String,
+    // payment_pending: accepted, waiting for the customer to pay the difference
+    status: {
+      type: String,
+      enum: ["proposed", "payment_pending", "accepted", "rejected", "withdrawn"],
+      default: "proposed",
+    },
+    // Change of the order total, positive when the customer pays more
+    priceDifference: Number,
+    proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    respondedAt: Date,
+    rejectionReason: String,
+    // How the difference was settled with the order's payment provider
+    settlement: {
+      type: { type: String, enum: ["none", "charge", "refund", "on_delivery"] },
+      amount: Number,
+      status: { type: String, enum: ["pending", "paid", "refunded", "failed"] },
+      transactionId: String,
+      // Refund of a difference paid after the replacement was closed
+      refundTransactionId: String,
+      failureReason: String,
+      settledAt: Date,
+    },
+    paymob: {
+      orderId: String,
+      attempts: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+substitutionSchema.index({ orderId: 1, itemId: 1, status: 1 });
+substitutionSchema.index({ parentOrderId: 1 });
+substitutionSchema.index({ userId: 1, status: 1 });
+
+export default mongoose.model("Substitution", substitutionSchema);
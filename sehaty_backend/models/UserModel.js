@@ -37,7 +37,7 @@ const userSchema = new mongoose.Schema(
     image: { type: String, required: false },
     role: {
       type: String,
-      enum: ["user", "admin", "pharmacy_owner"],
+      enum: ["user", "admin", "pharmacy_owner", "courier"],
       default: "user",
     },
     isVerified: {
@@ -115,6 +115,29 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Channels chosen per order event, e.g. { order_shipped: { email: false } }.
+    // Channels left unset are on
+    notificationPreferences: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          push: Boolean,
+          email: Boolean,
+        },
+        { _id: false }
+      ),
+      default: {},
+    },
+    // What the user searched for, latest first, offered again in the search box
+    recentSearches: [
+      new mongoose.Schema(
+        {
+          query: String,
+          searchedAt: Date,
+        },
+        { _id: false }
+      ),
+    ],
   },
   { timestamps: true }
 );
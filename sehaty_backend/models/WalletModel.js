@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// A customer's wallet. The balance is the running total of its ledger and is
+// only ever changed together with a WalletTransaction entry.
+const walletSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    balance: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: "EGP" },
+  },
+  { timestamps: true }
+);
+
+walletSchema.index({ userId: 1 }, { unique: true });
+
+export default mongoose.model("Wallet", walletSchema);
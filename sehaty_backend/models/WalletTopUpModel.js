@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Money a customer is adding to their wallet through Paymob. The wallet is
+// only credited once Paymob confirms the payment.
+const walletTopUpSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 0 },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed"],
+      default: "pending",
+    },
+    paymob: {
+      orderId: String,
+      transactionId: String,
+    },
+    paidAt: Date,
+  },
+  { timestamps: true }
+);
+
+walletTopUpSchema.index({ userId: 1, createdAt: -1 });
+walletTopUpSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model("WalletTopUp", walletTopUpSchema);
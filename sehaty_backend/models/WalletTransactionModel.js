@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// One movement of money in or out of a wallet. Entries are never changed or
+// removed, a mistake is corrected with an adjustment.
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: {
+      type: String,
+      // substitution: the difference of an order line replaced during fulfilment
+      enum: ["top_up", "order_payment", "refund", "adjustment", "substitution"],
+      required: true,
+    },
+    // Credits are positive, debits negative
+    amount: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    topUpId: { type: mongoose.Schema.Types.ObjectId, ref: "WalletTopUp" },
+    description: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+// An order is paid from the wallet and a top-up credited at most once
+walletTransactionSchema.index(
+  { orderId: 1 },
+  { unique: true, partialFilterExpression: { type: "order_payment" } }
+);
+walletTransactionSchema.index(
+  { topUpId: 1 },
+  { unique: true, partialFilterExpression: { type: "top_up" } }
+);
+
+// The ledger is append-only
+const appendOnly = () => new Error("Wallet transactions cannot be changed or deleted");
+
+walletTransactionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  function (next) {
+    next(appendOnly());
+  }
+);
+walletTransactionSchema.pre("save", function (next) {
+  next(this.isNew ? undefined : appendOnly());
+});
+
+export default mongoose.model("WalletTransaction", walletTransactionSchema);
@@ -9,7 +9,12 @@ import {
   resetPassword,
   verifyOtp,
   resendOtp,
-  logout
+  logout,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getRecentSearches,
+  addRecentSearch,
+  clearRecentSearches
 } from '../controllers/authController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import { validate } from '../middleware/validation.js';
@@ -66,5 +71,10 @@ router.get('/me', protect, getCurrentUser);
 router.put('/profile', protect, upload.single('image'), updateProfile);
 router.put('/change-password', protect, changePassword);
 router.post('/logout', protect, logout);
+router.get('/notification-preferences', protect, getNotificationPreferences);
+router.put('/notification-preferences', protect, updateNotificationPreferences);
+router.get('/recent-searches', protect, getRecentSearches);
+router.post('/recent-searches', protect, addRecentSearch);
+router.delete('/recent-searches', protect, clearRecentSearches);
 
 export default router;
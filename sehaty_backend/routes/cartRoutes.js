@@ -4,8 +4,10 @@ import {
   getCart,
   addToCart,
   updateCartItem,
+  setCartItemPrescription,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyPromoCode
 } from '../controllers/cartController.js';
 
 const router = express.Router();
@@ -22,10 +24,16 @@ router.post('/items', addToCart);
 // Update cart item
 router.put('/items/:id', updateCartItem);
 
+// Attach a prescription to a prescription-only item
+router.put('/items/:id/prescription', setCartItemPrescription);
+
 // Remove item from cart
 router.delete('/items/:medicineId/:pharmacyId', removeFromCart);
 
 // Clear cart
 router.delete('/', clearCart);
 
+// Check a promo code against the cart
+router.post('/apply-promo', applyPromoCode);
+
 export default router; 
\ No newline at end of file
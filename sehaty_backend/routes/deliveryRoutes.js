@@ -0,0 +1,77 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { protect, checkRole } from '../middleware/authMiddleware.js';
+import {
+  getDeliveries,
+  getDeliveryById,
+  assignDelivery,
+  acceptAssignedDelivery,
+  declineAssignedDelivery,
+  updateDeliveryStatus,
+  confirmDelivery,
+  updateCourierLocation,
+} from '../controllers/deliveryController.js';
+
+const router = express.Router();
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Ensure uploads/deliveries directory exists
+const deliveriesDir = path.join(__dirname, '..', 'uploads', 'deliveries');
+if (!fs.existsSync(deliveriesDir)) {
+  fs.mkdirSync(deliveriesDir, { recursive: true, mode: 0o755 });
+}
+
+// Photo taken by the courier as proof of delivery
+const proofPhoto = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, deliveriesDir);
+    },
+    filename: function (req, file, cb) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'proof-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// All routes are protected
+router.use(protect);
+
+// Deliveries of the current courier, or all of them for admins
+router.get('/', checkRole(['courier', 'admin']), getDeliveries);
+
+// Get a specific delivery
+router.get('/:id', getDeliveryById);
+
+// Hand a delivery to a courier (admin/pharmacy only)
+router.patch('/:id/assign', checkRole(['admin', 'pharmacy_owner']), assignDelivery);
+
+// Courier actions
+router.patch('/:id/accept', checkRole(['courier', 'admin']), acceptAssignedDelivery);
+router.patch('/:id/decline', checkRole(['courier', 'admin']), declineAssignedDelivery);
+router.patch('/:id/status', checkRole(['courier', 'admin']), updateDeliveryStatus);
+router.patch('/:id/location', checkRole(['courier', 'admin']), updateCourierLocation);
+
+// Proof of delivery: a photo, or the code the customer reads out
+router.post(
+  '/:id/deliver',
+  checkRole(['courier', 'admin']),
+  proofPhoto.single('photo'),
+  confirmDelivery
+);
+
+export default router;
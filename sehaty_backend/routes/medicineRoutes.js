@@ -7,6 +7,7 @@ import {
   updateMedicine,
   deleteMedicine,
   searchMedicines,
+  suggestMedicines,
   addReview,
   addSampleMedicines,
   getMedicineAlternatives
@@ -17,6 +18,7 @@ const router = express.Router();
 // Public routes
 router.get('/', getMedicines);
 router.get('/search', searchMedicines);
+router.get('/suggest', suggestMedicines);
 router.get('/:id', getMedicineById);
 router.get('/:id/alternatives', getMedicineAlternatives);
 
@@ -1,22 +1,89 @@
 import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
 import { protect } from '../middleware/authMiddleware.js';
+import { idempotent } from '../middleware/idempotency.js';
 import {
   createOrder,
+  previewOrderPricing,
+  getDeliveryQuote,
+  getDeliverySlots,
   getUserOrders,
   getOrderById,
   updateOrderStatus,
   cancelOrder,
+  retryOrderPayment,
   registerPaymobWebhook,
+  requestRefund,
+  approveOrderRefund,
+  rejectOrderRefund,
+  reorder,
+  getOrderInvoice,
+  getOrderPickup,
+  confirmOrderPickup,
   // handlePaymobCallback
 } from '../controllers/orderController.js';
+import {
+  getOrderSubstitutions,
+  getSubstituteOptions,
+  createSubstitution,
+  withdrawOrderSubstitution,
+  acceptOrderSubstitution,
+  rejectOrderSubstitution
+} from '../controllers/substitutionController.js';
 
 const router = express.Router();
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Ensure uploads/refunds directory exists
+const refundsDir = path.join(__dirname, '..', 'uploads', 'refunds');
+if (!fs.existsSync(refundsDir)) {
+  fs.mkdirSync(refundsDir, { recursive: true, mode: 0o755 });
+}
+
+// Photos sent along with a refund request
+const refundPhotos = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, refundsDir);
+    },
+    filename: function (req, file, cb) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'refund-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
 
 // All routes are protected
 router.use(protect);
 
-// Create a new order
-router.post('/', createOrder);
+// Create a new order, an Idempotency-Key makes retries safe
+router.post('/', idempotent, createOrder);
+
+// Preview server-side pricing for a checkout
+router.post('/pricing', previewOrderPricing);
+
+// Quote delivery fees for a cart and a delivery address
+router.post('/delivery-quote', getDeliveryQuote);
+
+// Delivery windows that can still be booked, ?pharmacies=<id>,<id>
+router.get('/delivery-slots', getDeliverySlots);
+
+// Hand over a pickup order by its code or QR code (admin/pharmacy only)
+router.post('/pickup/confirm', confirmOrderPickup);
 
 // Get all orders for the current user
 router.get('/', getUserOrders);
@@ -24,12 +91,41 @@ router.get('/', getUserOrders);
 // Get a specific order
 router.get('/:id', getOrderById);
 
+// Download the PDF invoice of an order
+router.get('/:id/invoice', getOrderInvoice);
+
+// Pickup codes and QR codes of a click-and-collect order
+router.get('/:id/pickup', getOrderPickup);
+
 // Update order status (admin/pharmacy only)
 router.patch('/:id/status', updateOrderStatus);
 
 // Cancel an order
 router.delete('/:id', cancelOrder);
 
+// Pay an unpaid card order again
+router.post('/:id/retry-payment', retryOrderPayment);
+
+// Put the items of a past order back into the cart
+router.post('/:id/reorder', reorder);
+
+// Ask for a refund, with up to 5 photos
+router.post('/:id/refund', refundPhotos.array('photos', 5), requestRefund);
+
+// Review a refund request (admin/pharmacy only)
+router.patch('/:id/refund/approve', approveOrderRefund);
+router.patch('/:id/refund/reject', rejectOrderRefund);
+
+// Replacements for out-of-stock items, proposed by the pharmacy while packing
+router.get('/:id/substitutions', getOrderSubstitutions);
+router.get('/:id/items/:itemId/substitutes', getSubstituteOptions); // admin/pharmacy only
+router.post('/:id/substitutions', createSubstitution); // admin/pharmacy only
+router.post('/:id/substitutions/:substitutionId/withdraw', withdrawOrderSubstitution); // admin/pharmacy only
+
+// The customer's answer to a replacement
+router.post('/:id/substitutions/:substitutionId/accept', acceptOrderSubstitution);
+router.post('/:id/substitutions/:substitutionId/reject', rejectOrderSubstitution);
+
 router.post('/paymob/webhook/register', registerPaymobWebhook);
 // router.post('/paymob/callback', handlePaymobCallback);
 
@@ -1,8 +1,11 @@
 import express from 'express';
 import {
   handlePaymobCallback,
-  handlePaymobResponse
+  handlePaymobResponse,
+  showFakePaymentPage,
+  completeFakePayment
 } from '../controllers/PaymentController.js';
+import { config } from '../config/config.js';
 
 const router = express.Router();
 
@@ -10,4 +13,10 @@ const router = express.Router();
 router.post('/paymob/callback', handlePaymobCallback); // Transaction processed callback
 router.get('/paymob/callback', handlePaymobResponse); // Transaction response callback
 
+// Payment page of the local fake provider, only where it is switched on
+if (config.payments.fakeProvider) {
+  router.get('/fake/:intentId', showFakePaymentPage);
+  router.get('/fake/:intentId/:outcome', completeFakePayment);
+}
+
 export default router; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from "express";
-import { protect } from "../middleware/authMiddleware.js";
+import { checkRole, protect } from "../middleware/authMiddleware.js";
 import {
   getPharmacies,
   getPharmacy,
@@ -11,6 +11,13 @@ import {
   removeMedicine,
   getPharmacyMedicines,
 } from "../controllers/pharmacyController.js";
+import {
+  getPharmacyOrders,
+  acceptOrder,
+  rejectOrder,
+  packOrder,
+  getPackingSlip,
+} from "../controllers/pharmacyOrderController.js";
 
 const router = express.Router();
 
@@ -27,4 +34,12 @@ router.post("/:id/medicines", protect, addMedicine);
 router.put("/:id/medicines/:medicineId", protect, updateMedicine);
 router.delete("/:id/medicines/:medicineId", protect, removeMedicine);
 
+// Order inbox of a pharmacy (owner/admin only)
+const ownerOnly = [protect, checkRole(["pharmacy_owner", "admin"])];
+router.get("/:id/orders", ownerOnly, getPharmacyOrders);
+router.post("/:id/orders/:orderId/accept", ownerOnly, acceptOrder);
+router.post("/:id/orders/:orderId/reject", ownerOnly, rejectOrder);
+router.post("/:id/orders/:orderId/pack", ownerOnly, packOrder);
+router.get("/:id/orders/:orderId/packing-slip", ownerOnly, getPackingSlip);
+
 export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { protect, checkRole } from '../middleware/authMiddleware.js';
+import {
+  getWalletBalance,
+  getWalletTransactions,
+  createWalletTopUp,
+  getWalletTopUp,
+  createWalletAdjustment,
+} from '../controllers/walletController.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Balance and history of the current user's wallet
+router.get('/', getWalletBalance);
+router.get('/transactions', getWalletTransactions);
+
+// Add money through Paymob, credited once the payment is confirmed
+router.post('/top-ups', createWalletTopUp);
+router.get('/top-ups/:id', getWalletTopUp);
+
+// Manual corrections to a customer's wallet (admin only)
+router.post('/:userId/adjustments', checkRole(['admin']), createWalletAdjustment);
+
+export default router;
@@ -0,0 +1,20 @@
+import cron from 'node-cron';
+import { expireUnpaidOrders } from '../utils/orderPayment.js';
+
+// Run every 5 minutes: settle card orders that were never paid
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const { paid, failed, cancelled } = await expireUnpaidOrders();
+    if (paid.length > 0) {
+      console.log(`Confirmed late card payments for orders: ${paid.join(', ')}`);
+    }
+    if (failed.length > 0) {
+      console.log(`Marked unpaid orders as payment failed: ${failed.join(', ')}`);
+    }
+    if (cancelled.length > 0) {
+      console.log(`Cancelled orders whose payment was never retried: ${cancelled.join(', ')}`);
+    }
+  } catch (err) {
+    console.error("Payment expiry cron job error:", err);
+  }
+});
@@ -0,0 +1,14 @@
+import cron from 'node-cron';
+import { cancelExpiredPickups } from '../utils/pickup.js';
+
+// Run every 15 minutes: cancel pickup orders nobody came to collect
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const orderIds = await cancelExpiredPickups();
+    if (orderIds.length > 0) {
+      console.log(`Cancelled uncollected pickup orders: ${orderIds.join(', ')}`);
+    }
+  } catch (err) {
+    console.error("Pickup expiry cron job error:", err);
+  }
+});
@@ -0,0 +1,19 @@
+import cron from 'node-cron';
+import { reconcilePaymobTransactions } from '../utils/paymobReconciliation.js';
+
+// Run daily at 3 AM: compare Paymob transactions with our orders
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const found = await reconcilePaymobTransactions();
+    const newOnes = found.filter((discrepancy) => discrepancy.isNew);
+    if (newOnes.length > 0) {
+      console.log(
+        `Paymob reconciliation found ${newOnes.length} new discrepancies: ${newOnes
+          .map((discrepancy) => discrepancy.key)
+          .join(', ')}`
+      );
+    }
+  } catch (err) {
+    console.error("Paymob reconciliation cron job error:", err);
+  }
+});
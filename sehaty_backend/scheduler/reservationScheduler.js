@@ -0,0 +1,14 @@
+import cron from 'node-cron';
+import { releaseExpiredReservations } from '../utils/stockReservation.js';
+
+// Run every minute: give back stock held for payments that never came
+cron.schedule('* * * * *', async () => {
+  try {
+    const orderIds = await releaseExpiredReservations();
+    if (orderIds.length > 0) {
+      console.log(`Released expired stock reservations for orders: ${orderIds.join(', ')}`);
+    }
+  } catch (err) {
+    console.error("Stock reservation cron job error:", err);
+  }
+});
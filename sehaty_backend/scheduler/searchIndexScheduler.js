@@ -0,0 +1,14 @@
+import cron from 'node-cron';
+import { indexStaleMedicines } from '../utils/medicineSearch.js';
+
+// Run every 10 minutes: add medicines missing from the search index
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const count = await indexStaleMedicines();
+    if (count > 0) {
+      console.log(`Added ${count} medicines to the search index`);
+    }
+  } catch (err) {
+    console.error("Search index cron job error:", err);
+  }
+});
@@ -10,10 +10,20 @@ import Cart from '../models/CartModel.js';
 import Wishlist from '../models/WishlistModel.js';
 import Address from '../models/AddressModel.js';
 import PharmacyMedicine from '../models/PharmacyMedicineModel.js';
+import PaymentMethod from '../models/PaymentMethod.js';
 import bcrypt from 'bcrypt';
 
 dotenv.config();
 
+// ======================
+// PAYMENT METHODS
+// ======================
+const paymentMethods = [
+  { name: 'cash', provider: 'cash', description: 'Cash on delivery or at pickup' },
+  { name: 'card', provider: 'paymob', description: 'Credit/Debit card through Paymob' },
+  { name: 'wallet', provider: 'wallet', description: 'Sehaty wallet balance' },
+];
+
 // ======================
 // CATEGORIES (10 items)
 // ======================
@@ -850,10 +860,15 @@ const seedDatabase = async () => {
       Cart.deleteMany({}),
       Wishlist.deleteMany({}),
       Address.deleteMany({}),
-      PharmacyMedicine.deleteMany({})
+      PharmacyMedicine.deleteMany({}),
+      PaymentMethod.deleteMany({})
     ]);
     console.log('Cleared existing data');
 
+    // Create payment methods, pharmacies without their own list accept them all
+    const createdPaymentMethods = await PaymentMethod.insertMany(paymentMethods);
+    console.log(`Created ${createdPaymentMethods.length} payment methods`);
+
     // Create categories
     const createdCategories = await Category.insertMany(categories);
     console.log(`Created ${createdCategories.length} categories`);
@@ -1,4 +1,5 @@
 import express from 'express';
+import http from 'http';
 import cors from 'cors';
 import morgan from 'morgan';
 import helmet from 'helmet';
@@ -12,6 +13,7 @@ import userRoutes from './routes/userRoutes.js';
 import medicineRoutes from './routes/medicineRoutes.js';
 import pharmacyRoutes from './routes/pharmacyRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import deliveryRoutes from './routes/deliveryRoutes.js';
 import prescriptionRoutes from './routes/prescriptionRoutes.js';
 import addressRoutes from './routes/addressRoutes.js';
 import reminderRoutes from './routes/reminderRoutes.js';
@@ -19,6 +21,7 @@ import cartRoutes from './routes/cartRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import wishlistRoutes from './routes/wishlistRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
+import walletRoutes from './routes/walletRoutes.js';
 import AdminJS from 'adminjs';
 import AdminJSExpress from '@adminjs/express';
 import * as AdminJSMongoose from '@adminjs/mongoose';
@@ -29,7 +32,13 @@ import User from './models/UserModel.js';
 import path from 'path';
 import MongoStore from 'connect-mongo';
 import uploadRoutes from './routes/uploadRoutes.js';
+import { initRealtime } from './utils/realtime.js';
 import './scheduler/reminderScheduler.js';
+import './scheduler/reservationScheduler.js';
+import './scheduler/pickupScheduler.js';
+import './scheduler/paymentExpiryScheduler.js';
+import './scheduler/reconciliationScheduler.js';
+import './scheduler/searchIndexScheduler.js';
 import fs from 'fs';
 dotenv.config();
 
@@ -66,7 +75,7 @@ app.use(cors({
   origin: ["*"],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Idempotency-Key'],
 }));
 
 // Increase payload size limit for file uploads
@@ -99,11 +108,13 @@ app.use('/api/medicines', medicineRoutes);
 app.use('/api/pharmacies', pharmacyRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/deliveries', deliveryRoutes);
 app.use('/api/reminders', reminderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/wallet', walletRoutes);
 app.use('/api/addresses', addressRoutes);
 app.use('/api/upload', uploadRoutes);
 
@@ -129,7 +140,11 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5050;
 
-app.listen(PORT, '0.0.0.0', () => {
+// Live order tracking shares the HTTP server with the API
+const server = http.createServer(app);
+initRealtime(server);
+
+server.listen(PORT, '0.0.0.0', () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Uploads directory: ${uploadsDir}`);
   console.log(`AdminJS started on http://0.0.0.0:${PORT}/admin`);
@@ -0,0 +1,40 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import { listCatalog, pageFromQuery } from "../utils/catalog.js";
+
+describe("pageFromQuery", () => {
+  it("defaults to the first page of 10", () => {
+    assert.deepEqual(pageFromQuery({}), { page: 1, limit: 10 });
+  });
+
+  it("keeps pages from 1 and page sizes up to 50", () => {
+    assert.deepEqual(pageFromQuery({ page: "-1", limit: "0" }), { page: 1, limit: 1 });
+    assert.deepEqual(pageFromQuery({ page: "3", limit: "100000" }), { page: 3, limit: 50 });
+  });
+
+  it("refuses values that are not whole numbers", () => {
+    for (const query of [{ page: "abc" }, { page: "1.5" }, { limit: "ten" }, { page: ["1", "2"] }]) {
+      assert.throws(() => pageFromQuery(query), { status: 400 });
+    }
+  });
+});
+
+describe("listCatalog", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("pages within the bounds whatever it is asked for", async () => {
+    const aggregate = mock.method(PharmacyMedicine, "aggregate", () => ({
+      allowDiskUse: async () => [{ items: [], total: [] }],
+    }));
+
+    await listCatalog({ page: -1, limit: 5000 });
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    const { items } = pipeline.at(-1).$facet;
+    assert.deepEqual(
+      items.filter((stage) => stage.$skip !== undefined || stage.$limit !== undefined),
+      [{ $skip: 0 }, { $limit: 50 }]
+    );
+  });
+});
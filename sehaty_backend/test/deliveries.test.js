@@ -0,0 +1,50 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Delivery from "../models/DeliveryModel.js";
+import { syncDeliveryStatus } from "../utils/deliveries.js";
+
+describe("syncDeliveryStatus", () => {
+  const order = { _id: new mongoose.Types.ObjectId(), cancellationReason: "Out of stock" };
+
+  afterEach(() => mock.restoreAll());
+
+  const deliveryIn = (status) => {
+    const delivery = new Delivery({ orderId: order._id, status });
+    mock.method(delivery, "save", async () => delivery);
+    mock.method(Delivery, "findOne", async () => delivery);
+    return delivery;
+  };
+
+  it("fails the delivery of a cancelled order", async () => {
+    const delivery = deliveryIn("assigned");
+
+    await syncDeliveryStatus(order, "cancelled");
+
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.failureReason, "Out of stock");
+  });
+
+  it("leaves deliveries alone that cannot make the move", async () => {
+    for (const [from, orderStatus] of [
+      ["pending", "delivered"],
+      ["assigned", "delivered"],
+      ["delivered", "cancelled"],
+    ]) {
+      const delivery = deliveryIn(from);
+
+      await syncDeliveryStatus(order, orderStatus);
+
+      assert.equal(delivery.status, from);
+      assert.equal(delivery.save.mock.callCount(), 0);
+    }
+  });
+
+  it("does not start a delivery when the order is shipped", async () => {
+    const delivery = deliveryIn("assigned");
+
+    await syncDeliveryStatus(order, "shipped");
+
+    assert.equal(delivery.status, "assigned");
+  });
+});
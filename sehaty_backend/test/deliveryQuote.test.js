@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Pharmacy from "../models/PharmacyModel.js";
+import { quoteDelivery, verifyDeliveryQuote } from "../utils/deliveryQuote.js";
+import { config } from "../config/config.js";
+
+describe("delivery quotes", () => {
+  const pharmacyId = new mongoose.Types.ObjectId();
+  const address = { _id: new mongoose.Types.ObjectId(), latitude: 30.05, longitude: 31.24 };
+  const shipments = [{ pharmacyId, subtotal: 150 }];
+
+  let secret;
+
+  beforeEach(() => {
+    secret = config.order.deliveryQuoteSecret;
+    config.order.deliveryQuoteSecret = "test_quote_secret";
+    mock.method(Pharmacy, "find", () => ({
+      select: async () => [
+        { _id: pharmacyId, name: "Nile Pharmacy", location: { coordinates: [31.24, 30.05] } },
+      ],
+    }));
+  });
+
+  afterEach(() => {
+    config.order.deliveryQuoteSecret = secret;
+    mock.restoreAll();
+  });
+
+  it("accepts the fees it signed for the same checkout", async () => {
+    const { token } = await quoteDelivery({ address, shipments });
+
+    const fees = verifyDeliveryQuote(token, { addressId: address._id, shipments });
+
+    assert.equal(fees.get(pharmacyId.toString()), config.order.deliveryFee);
+  });
+
+  it("neither gives nor accepts quotes without a signing secret", async () => {
+    const { token } = await quoteDelivery({ address, shipments });
+    config.order.deliveryQuoteSecret = undefined;
+
+    await assert.rejects(quoteDelivery({ address, shipments }), { status: 503 });
+    assert.throws(() => verifyDeliveryQuote(token, { addressId: address._id, shipments }), {
+      status: 503,
+    });
+  });
+});
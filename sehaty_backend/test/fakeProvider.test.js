@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Cart from "../models/CartModel.js";
+import Delivery from "../models/DeliveryModel.js";
+import Notification from "../models/NotificationModel.js";
+import Order from "../models/OrderModel.js";
+import PaymentMethod from "../models/PaymentMethod.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import StockReservation from "../models/StockReservationModel.js";
+import User from "../models/UserModel.js";
+import { completeFakePayment } from "../controllers/PaymentController.js";
+import fakeProvider from "../utils/payments/fakeProvider.js";
+import { resolvePaymentProvider } from "../utils/payments/index.js";
+import { startOrderPayment } from "../utils/orderPayment.js";
+import { approveRefund, openRefund } from "../utils/refunds.js";
+import { config } from "../config/config.js";
+
+// The fake payment page's buttons, answered by the payment controller
+const submitFakePage = async (paymentUrl, outcome) => {
+  const intentId = paymentUrl.split("/").at(-1);
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    redirect(location) {
+      this.location = location;
+      return this;
+    },
+  };
+
+  await completeFakePayment({ params: { intentId, outcome } }, res);
+  return res;
+};
+
+describe("checkout with the fake payment provider", () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), email: "customer@example.com" };
+
+  let order;
+  let deliveries;
+  let clearedCarts;
+  let committed;
+
+  beforeEach(() => {
+    config.payments.fakeProvider = true;
+    order = new Order({
+      userId: customer._id,
+      status: "payment_pending",
+      paymentMethod: "fake",
+      fulfillment: "delivery",
+      total: 120,
+      trackingNumber: "SH-1001",
+    });
+    deliveries = [];
+    clearedCarts = [];
+    committed = [];
+
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Order, "findById", async (id) => (String(id) === String(order._id) ? order : null));
+    mock.method(Order, "findOneAndUpdate", async (filter, update) => {
+      if (order.isPaid || !filter.status.$in.includes(order.status)) return null;
+      order.set(update.$set);
+      return order;
+    });
+    // A checkout from one pharmacy, shipped as one order
+    mock.method(Order, "find", async () => []);
+    mock.method(Order, "updateMany", async () => ({ modifiedCount: 0 }));
+    mock.method(Order, "exists", async () => null);
+    mock.method(StockReservation, "updateMany", async (filter) => {
+      committed.push(filter);
+      return { modifiedCount: 1 };
+    });
+    mock.method(StockReservation, "find", () => ({ session: async () => [] }));
+    mock.method(mongoose, "startSession", async () => ({
+      withTransaction: async (work) => work(),
+      endSession: async () => {},
+    }));
+    mock.method(Delivery, "exists", async () => null);
+    mock.method(Delivery, "create", async (delivery) => deliveries.push(delivery));
+    mock.method(Cart, "findOneAndUpdate", async (filter) => clearedCarts.push(filter.userId));
+    mock.method(Notification, "create", async (notification) => notification);
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    // No payment methods set up in the admin panel, every enabled provider is offered
+    mock.method(PaymentMethod, "find", async () => []);
+    mock.method(Pharmacy, "find", () => ({ select: async () => [] }));
+  });
+
+  afterEach(() => {
+    config.payments.fakeProvider = false;
+    mock.restoreAll();
+  });
+
+  it("is only offered when switched on", async () => {
+    assert.equal(await resolvePaymentProvider("fake", []), fakeProvider);
+
+    config.payments.fakeProvider = false;
+    await assert.rejects(resolvePaymentProvider("fake", []), {
+      status: 400,
+      message: 'Payment method "fake" is not available for this order',
+    });
+  });
+
+  it("takes an order from payment to fulfilment and refunds it", async () => {
+    const { paymentUrl, returnUrl } = await startOrderPayment(order, { user: customer });
+    assert.match(paymentUrl, /\/api\/payment\/fake\/fake_intent_/);
+    assert.equal(returnUrl, `${config.app.deepLinkScheme}://payment-complete/${order._id}`);
+    assert.ok(order.paymentDueAt > new Date());
+
+    const res = await submitFakePage(paymentUrl, "pay");
+
+    assert.equal(res.location, returnUrl);
+    assert.equal(order.isPaid, true);
+    assert.equal(order.status, "confirmed");
+    assert.equal(committed.length, 1);
+    assert.deepEqual(
+      deliveries.map((delivery) => delivery.orderId),
+      [order._id]
+    );
+    assert.deepEqual(clearedCarts, [customer._id]);
+
+    // Pressing pay again changes nothing
+    await submitFakePage(paymentUrl, "pay");
+    assert.equal(deliveries.length, 1);
+
+    order.status = "delivered";
+    await openRefund(order, { user: customer, reason: "Wrong medicine", amount: 40 });
+    await approveRefund(order, { user: { _id: new mongoose.Types.ObjectId() } });
+
+    assert.equal(order.refundStatus, "approved");
+    assert.equal(order.refundAmount, 40);
+    assert.match(order.refunds[0].transactionId, /^fake_refund_/);
+  });
+
+  it("fails the order when the payment is declined", async () => {
+    const { paymentUrl } = await startOrderPayment(order, { user: customer });
+
+    const res = await submitFakePage(paymentUrl, "decline");
+
+    assert.equal(res.location, `${config.app.deepLinkScheme}://payment-complete/${order._id}`);
+    assert.equal(order.isPaid, false);
+    assert.equal(order.status, "payment_failed");
+    assert.equal(deliveries.length, 0);
+
+    // The answer of a page already submitted stands
+    await submitFakePage(paymentUrl, "pay");
+    assert.equal(order.isPaid, false);
+
+    await assert.rejects(openRefund(order, { user: customer, reason: "Never paid" }), {
+      status: 400,
+    });
+  });
+
+  it("pays no order placed with another provider", async () => {
+    const { paymentUrl } = await startOrderPayment(order, { user: customer });
+    order.paymentMethod = "paymob";
+
+    const res = await submitFakePage(paymentUrl, "pay");
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(order.isPaid, false);
+  });
+
+  it("pays nothing once it is switched off", async () => {
+    const { paymentUrl } = await startOrderPayment(order, { user: customer });
+    config.payments.fakeProvider = false;
+
+    const res = await submitFakePage(paymentUrl, "pay");
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(order.isPaid, false);
+  });
+
+  it("answers an unknown payment page with a 404", async () => {
+    const res = await submitFakePage("http://localhost/api/payment/fake/fake_intent_x", "pay");
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.message, "Payment not found");
+  });
+});
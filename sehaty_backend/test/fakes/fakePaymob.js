@@ -0,0 +1,110 @@
+import http from "http";
+
+/**
+ * A local stand-in for the Paymob API for the tests. Serves the transactions
+ * it is given and refunds them:
+ *
+ *   const fake = await startFakePaymob({ transactions });
+ *   const paymob = new PaymobService({ baseUrl: fake.baseUrl });
+ *   await reconcilePaymobTransactions({ paymob });
+ *   await fake.close();
+ *
+ * Transactions use Paymob's shape, e.g.
+ * { id, success, pending, amount_cents, created_at, order: { id, merchant_order_id } }.
+ * Refunds made are listed in `refunds`, a refund over what is left of the
+ * transaction is declined the way Paymob declines it.
+ */
+export const startFakePaymob = ({ transactions = [], pageSize = 50, port = 0 } = {}) => {
+  const refunds = [];
+
+  const newestFirst = () =>
+    [...transactions].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) =>
+    new Promise((resolve) => {
+      let data = "";
+      req.on("data", (chunk) => (data += chunk));
+      req.on("end", () => resolve(data ? JSON.parse(data) : {}));
+    });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const body = req.method === "POST" ? await readBody(req) : {};
+
+    if (req.method === "POST" && url.pathname === "/auth/tokens") {
+      return send(res, 201, { token: "fake-paymob-token" });
+    }
+
+    if (req.method === "GET" && url.pathname === "/acceptance/portal-transactions") {
+      const page = Number(url.searchParams.get("page")) || 1;
+      const all = newestFirst();
+      const results = all.slice((page - 1) * pageSize, page * pageSize);
+      return send(res, 200, {
+        count: all.length,
+        next: page * pageSize < all.length ? `?page=${page + 1}` : null,
+        previous: page > 1 ? `?page=${page - 1}` : null,
+        results,
+      });
+    }
+
+    const verify = /^\/acceptance\/transactions\/([^/]+)\/verify$/.exec(url.pathname);
+    if (req.method === "GET" && verify) {
+      const transaction = transactions.find((candidate) => String(candidate.id) === verify[1]);
+      return transaction ? send(res, 200, transaction) : send(res, 404, { detail: "Not found." });
+    }
+
+    if (req.method === "POST" && url.pathname === "/ecommerce/orders/transaction_inquiry") {
+      const transaction = newestFirst().find(
+        (candidate) => String(candidate.order?.id) === String(body.order_id)
+      );
+      return transaction ? send(res, 200, transaction) : send(res, 404, { detail: "Not found." });
+    }
+
+    if (req.method === "POST" && url.pathname === "/acceptance/void_refund/refund") {
+      const transaction = transactions.find(
+        (candidate) => String(candidate.id) === String(body.transaction_id)
+      );
+      if (!transaction) return send(res, 404, { detail: "Not found." });
+
+      const refunded = refunds
+        .filter((refund) => refund.parent_transaction === transaction.id)
+        .reduce((sum, refund) => sum + refund.amount_cents, 0);
+      const amountCents = Number(body.amount_cents);
+      if (amountCents > Number(transaction.amount_cents) - refunded) {
+        return send(res, 200, {
+          success: false,
+          data: { message: "Refund amount exceeds the captured amount" },
+        });
+      }
+
+      const refund = {
+        id: `refund-${refunds.length + 1}`,
+        success: true,
+        is_refund: true,
+        amount_cents: amountCents,
+        parent_transaction: transaction.id,
+        created_at: new Date().toISOString(),
+      };
+      refunds.push(refund);
+      return send(res, 200, refund);
+    }
+
+    send(res, 404, { detail: "Not found." });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        transactions,
+        refunds,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
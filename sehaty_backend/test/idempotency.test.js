@@ -0,0 +1,121 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import IdempotencyKey from "../models/IdempotencyKeyModel.js";
+import { idempotent } from "../middleware/idempotency.js";
+
+describe("idempotent", () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  let server;
+  let baseUrl;
+  let keys;
+  let placed;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+
+    app.post("/orders", idempotent, (req, res) => {
+      placed += 1;
+      res.status(201).json({ orderId: placed });
+    });
+    app.post("/redirect", idempotent, (req, res) => res.redirect("/orders/1"));
+    app.post("/broken", idempotent, () => {
+      throw new Error("Database is down");
+    });
+    app.post("/fails-after-order", idempotent, (req, res) => {
+      placed += 1;
+      res.locals.idempotencyCommitted = true;
+      res.status(500).json({ message: "Payment initiation failed" });
+    });
+
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    keys = new Map();
+    placed = 0;
+
+    const recordOf = (filter) => [...keys.values()].find((record) => record._id === filter._id);
+    mock.method(IdempotencyKey, "create", async (record) => {
+      const id = `${record.scope} ${record.key}`;
+      if (keys.has(id)) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+      keys.set(id, { ...record, _id: id, status: "processing" });
+      return keys.get(id);
+    });
+    mock.method(IdempotencyKey, "findOne", async ({ scope, key }) => keys.get(`${scope} ${key}`));
+    mock.method(IdempotencyKey, "updateOne", async (filter, update) =>
+      Object.assign(recordOf(filter), update)
+    );
+    mock.method(IdempotencyKey, "deleteOne", async (filter) => keys.delete(filter._id));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Keys are settled once the response is out, give that a moment
+  const settled = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+  const post = async (path, key, body = { items: [1] }) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      redirect: "manual",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": key },
+      body: JSON.stringify(body),
+    });
+    await settled();
+    return response;
+  };
+
+  it("replays the first response to repeats of a request", async () => {
+    const first = await post("/orders", "checkout-1");
+    const repeat = await post("/orders", "checkout-1");
+
+    assert.equal(repeat.status, 201);
+    assert.deepEqual(await repeat.json(), await first.json());
+    assert.equal(repeat.headers.get("idempotent-replayed"), "true");
+    assert.equal(placed, 1);
+  });
+
+  it("refuses the same key for a different request", async () => {
+    await post("/orders", "checkout-1");
+    const other = await post("/orders", "checkout-1", { items: [2] });
+
+    assert.equal(other.status, 422);
+    assert.equal(placed, 1);
+  });
+
+  it("settles the key of responses not sent as JSON", async () => {
+    await post("/redirect", "redirect-1");
+
+    const [record] = keys.values();
+    assert.equal(record.status, "completed");
+    assert.equal(record.responseStatus, 302);
+  });
+
+  it("lets a request that failed before saving anything be retried", async () => {
+    const failed = await post("/broken", "broken-1");
+
+    assert.equal(failed.status, 500);
+    assert.equal(keys.size, 0);
+  });
+
+  it("keeps the key once the order exists, even when the response is an error", async () => {
+    await post("/fails-after-order", "checkout-2");
+    const retry = await post("/fails-after-order", "checkout-2");
+
+    assert.equal(retry.status, 500);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal(placed, 1);
+  });
+});
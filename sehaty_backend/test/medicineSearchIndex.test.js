@@ -0,0 +1,86 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Medicine from "../models/MedicineModel.js";
+
+describe("search index of updated medicines", () => {
+  const medicineId = new mongoose.Types.ObjectId();
+
+  let reads;
+  let writes;
+
+  beforeEach(() => {
+    reads = [];
+    writes = [];
+    mock.method(Medicine.collection, "findOneAndUpdate", async () => ({
+      _id: medicineId,
+      name: "Panadol Extra",
+    }));
+    mock.method(Medicine.collection, "findOne", async (filter, options) => {
+      reads.push(options);
+      return { _id: medicineId, name: "Panadol Extra", activeIngredient: "Paracetamol" };
+    });
+    mock.method(Medicine.collection, "updateOne", async (filter, update, options) => {
+      writes.push({ update, options });
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("is rebuilt when a searched field changes", async () => {
+    await Medicine.findOneAndUpdate({ _id: medicineId }, { name: "Panadol Extra" }, { new: true });
+
+    assert.equal(writes.length, 1);
+    assert.deepEqual(writes[0].update.$set.search.terms.name, ["panadol", "extra"]);
+    assert.deepEqual(writes[0].update.$set.search.terms.activeIngredient, ["paracetamol"]);
+  });
+
+  it("is rebuilt for operator updates of a searched field", async () => {
+    await Medicine.findOneAndUpdate({ _id: medicineId }, { $unset: { genericName: 1 } });
+
+    assert.equal(writes.length, 1);
+  });
+
+  it("is rebuilt for every medicine a bulk update of a searched field changed", async () => {
+    const otherId = new mongoose.Types.ObjectId();
+    mock.method(Medicine, "distinct", () => ({ session: async () => [medicineId, otherId] }));
+    mock.method(Medicine.collection, "updateMany", async () => ({ acknowledged: true }));
+    mock.method(Medicine, "find", (filter) => ({
+      session: () => ({
+        lean: async () =>
+          filter._id.$in.map((_id) => ({ _id, name: "Brufen", manufacture: "Abbott" })),
+      }),
+    }));
+    const bulkWrite = mock.method(Medicine, "bulkWrite", async () => ({}));
+
+    await Medicine.updateMany({ manufacture: "Abbot" }, { $set: { manufacture: "Abbott" } });
+
+    const operations = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(
+      operations.map(({ updateOne }) => updateOne.filter._id),
+      [medicineId, otherId]
+    );
+    assert.deepEqual(operations[0].updateOne.update.$set.search.terms.manufacture, ["abbott"]);
+  });
+
+  it("is left alone by updates of other fields", async () => {
+    await Medicine.findOneAndUpdate(
+      { _id: medicineId },
+      { $set: { rating: 4.5 }, $inc: { totalReviews: 1 } },
+      { new: true }
+    );
+
+    assert.equal(reads.length, 0);
+    assert.equal(writes.length, 0);
+  });
+
+  it("is left alone by bulk updates of other fields", async () => {
+    const distinct = mock.method(Medicine, "distinct");
+    mock.method(Medicine.collection, "updateMany", async () => ({ acknowledged: true }));
+
+    await Medicine.updateMany({}, { $set: { isDeleted: false } });
+
+    assert.equal(distinct.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,181 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Cart from "../models/CartModel.js";
+import Delivery from "../models/DeliveryModel.js";
+import Notification from "../models/NotificationModel.js";
+import Order from "../models/OrderModel.js";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import PromoRedemption from "../models/PromoRedemptionModel.js";
+import Stock from "../models/StockModel.js";
+import StockReservation from "../models/StockReservationModel.js";
+import Substitution from "../models/SubstitutionModel.js";
+import User from "../models/UserModel.js";
+import fakeProvider from "../utils/payments/fakeProvider.js";
+import { settleOrderPayment } from "../utils/orderPayment.js";
+import { config } from "../config/config.js";
+
+// A query result that can still be chained like a Mongoose query
+const query = (value) =>
+  Object.assign(Promise.resolve(value), {
+    select() {
+      return this;
+    },
+    session() {
+      return this;
+    },
+  });
+
+const reservedItem = (quantity) => ({
+  pharmacyId: new mongoose.Types.ObjectId(),
+  medicineId: new mongoose.Types.ObjectId(),
+  quantity,
+});
+
+describe("settleOrderPayment", () => {
+  const customer = { _id: new mongoose.Types.ObjectId() };
+
+  let order;
+  let released;
+  let deliveries;
+
+  // A fake payment that went through for the order
+  const pay = async () => {
+    const { paymentUrl } = await fakeProvider.createIntent(order);
+    const intentId = paymentUrl.split("/").at(-1);
+    return fakeProvider.handleWebhook({ intentId, success: true });
+  };
+
+  beforeEach(() => {
+    config.payments.fakeProvider = true;
+    order = new Order({
+      userId: customer._id,
+      status: "payment_pending",
+      paymentMethod: "fake",
+      fulfillment: "delivery",
+      total: 120,
+    });
+    released = [];
+    deliveries = [];
+
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    // Claims the order only while it matches, like the database does in one write
+    mock.method(Order, "findOneAndUpdate", async (filter, update) => {
+      const matches =
+        String(filter._id) === String(order._id) &&
+        order.isPaid === filter.isPaid &&
+        filter.status.$in.includes(order.status);
+      if (!matches) return null;
+
+      order.set(update.$set);
+      return order;
+    });
+    mock.method(Order, "findById", (id) => query(String(id) === String(order._id) ? order : null));
+    mock.method(Order, "find", () => query([]));
+    mock.method(Order, "updateMany", async () => ({ modifiedCount: 0 }));
+    mock.method(Order, "exists", async () => null);
+    mock.method(StockReservation, "updateMany", async () => ({ modifiedCount: 1 }));
+    mock.method(StockReservation, "find", () => query(released));
+    mock.method(StockReservation, "findOneAndUpdate", async () => null);
+    mock.method(mongoose, "startSession", async () => ({
+      withTransaction: async (work) => work(),
+      endSession: async () => {},
+    }));
+    mock.method(Delivery, "exists", async () => null);
+    mock.method(Delivery, "findOne", async () => null);
+    mock.method(Delivery, "create", async (delivery) => deliveries.push(delivery));
+    mock.method(Cart, "findOneAndUpdate", async () => null);
+    mock.method(Substitution, "find", async () => []);
+    mock.method(PromoRedemption, "findOneAndUpdate", async () => null);
+    mock.method(Notification, "create", async (notification) => notification);
+    mock.method(User, "findById", () => query(null));
+  });
+
+  afterEach(() => {
+    config.payments.fakeProvider = false;
+    mock.restoreAll();
+  });
+
+  it("confirms an order once when its payment is reported twice at the same time", async () => {
+    const payment = await pay();
+
+    await Promise.all([
+      settleOrderPayment(order._id, payment),
+      settleOrderPayment(order._id, payment),
+    ]);
+
+    assert.equal(order.isPaid, true);
+    assert.equal(order.status, "confirmed");
+    assert.equal(
+      order.statusHistory.filter((entry) => entry.status === "confirmed").length,
+      1
+    );
+    assert.equal(deliveries.length, 1);
+  });
+
+  it("takes the stock back for a payment that arrives after it failed", async () => {
+    order.status = "payment_failed";
+    const item = reservedItem(2);
+    const reservation = {
+      status: "released",
+      releaseReason: "payment_failed",
+      items: [{ ...item, toObject: () => item }],
+      save: async () => {},
+    };
+    released = [reservation];
+    const taken = [];
+    mock.method(PharmacyMedicine, "findOneAndUpdate", async (filter, update) => {
+      taken.push(update.$inc.stock);
+      return { stock: 8 };
+    });
+    mock.method(Stock, "updateOne", async () => ({}));
+
+    await settleOrderPayment(order._id, await pay());
+
+    assert.equal(order.status, "confirmed");
+    assert.deepEqual(taken, [-2]);
+    assert.equal(reservation.status, "committed");
+    assert.equal(reservation.releaseReason, undefined);
+  });
+
+  it("cancels and refunds an order whose stock sold out before the payment arrived", async () => {
+    order.status = "payment_failed";
+    const item = reservedItem(1);
+    released = [
+      { status: "released", releaseReason: "expired", items: [{ ...item, toObject: () => item }] },
+    ];
+    mock.method(PharmacyMedicine, "findOneAndUpdate", async () => null);
+
+    await settleOrderPayment(order._id, await pay());
+
+    assert.equal(order.isPaid, true);
+    assert.equal(order.status, "cancelled");
+    assert.equal(order.refundStatus, "approved");
+    assert.equal(order.refundAmount, 120);
+    assert.equal(deliveries.length, 0);
+  });
+
+  it("refunds a payment for an order that was cancelled meanwhile", async () => {
+    order.status = "cancelled";
+
+    const settled = await settleOrderPayment(order._id, await pay());
+
+    assert.equal(settled.status, "cancelled");
+    assert.equal(order.isPaid, true);
+    assert.equal(order.refundStatus, "approved");
+    assert.equal(order.refundAmount, 120);
+    assert.equal(deliveries.length, 0);
+  });
+
+  it("leaves a paid order alone when the payment is reported again", async () => {
+    order.isPaid = true;
+    order.status = "delivered";
+
+    const settled = await settleOrderPayment(order._id, await pay());
+
+    assert.equal(settled.status, "delivered");
+    assert.equal(order.refundStatus, undefined);
+  });
+});
@@ -0,0 +1,104 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import PaymentDiscrepancy from "../models/PaymentDiscrepancyModel.js";
+import Substitution from "../models/SubstitutionModel.js";
+import WalletTopUp from "../models/WalletTopUpModel.js";
+import { PaymobService, merchantOrderReference, topUpReference } from "../utils/paymob.service.js";
+import { reconcilePaymobTransactions } from "../utils/paymobReconciliation.js";
+import { startFakePaymob } from "./fakes/fakePaymob.js";
+
+const now = new Date();
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 3600000).toISOString();
+
+const charge = (id, merchantOrderId, amountCents, extra = {}) => ({
+  id,
+  success: true,
+  pending: false,
+  is_voided: false,
+  amount_cents: amountCents,
+  created_at: hoursAgo(1),
+  order: { id: 9000 + id, merchant_order_id: merchantOrderId },
+  ...extra,
+});
+
+describe("reconcilePaymobTransactions", () => {
+  const paidOrder = { _id: new mongoose.Types.ObjectId(), total: 150, isPaid: true };
+  const unpaidOrder = { _id: new mongoose.Types.ObjectId(), total: 80, isPaid: false };
+  const topUp = { _id: new mongoose.Types.ObjectId(), amount: 200, status: "paid" };
+
+  let fake;
+  let discrepancies;
+
+  before(async () => {
+    fake = await startFakePaymob({
+      pageSize: 2,
+      transactions: [
+        charge(1, merchantOrderReference(paidOrder._id), 15000),
+        // The customer paid twice, once with a retry of the same order
+        charge(2, merchantOrderReference(paidOrder._id, 2), 15000),
+        charge(3, unpaidOrder._id.toString(), 8000),
+        charge(4, topUpReference(topUp._id), 19000),
+        charge(5, new mongoose.Types.ObjectId().toString(), 5000),
+        // Not money taken, and too old to look at
+        charge(6, unpaidOrder._id.toString(), 8000, { success: false }),
+        charge(7, new mongoose.Types.ObjectId().toString(), 5000, { created_at: hoursAgo(24 * 10) }),
+      ],
+    });
+  });
+
+  after(() => fake.close());
+
+  beforeEach(() => {
+    discrepancies = new Map();
+    mock.method(Order, "find", () => ({ select: async () => [paidOrder, unpaidOrder] }));
+    mock.method(WalletTopUp, "find", async () => [topUp]);
+    mock.method(Substitution, "find", async () => []);
+    mock.method(PaymentDiscrepancy, "updateOne", async (filter, update) => {
+      const isNew = !discrepancies.has(filter.key);
+      if (isNew) discrepancies.set(filter.key, update.$setOnInsert);
+      return { upsertedCount: isNew ? 1 : 0 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const reconcile = () =>
+    reconcilePaymobTransactions({ paymob: new PaymobService({ baseUrl: fake.baseUrl }), now });
+
+  it("flags every mismatch between Paymob's charges and our payments", async () => {
+    const found = await reconcile();
+    const byType = (type) => found.filter((discrepancy) => discrepancy.type === type);
+
+    assert.equal(found.length, 4);
+
+    const [duplicate] = byType("duplicate_charge");
+    assert.equal(duplicate.orderId, paidOrder._id);
+    assert.deepEqual([...duplicate.transactionIds].sort(), ["1", "2"]);
+    assert.equal(duplicate.chargedAmount, 300);
+
+    const [missing] = byType("missing_callback");
+    assert.equal(missing.orderId, unpaidOrder._id);
+    assert.deepEqual(missing.transactionIds, ["3"]);
+
+    const [mismatch] = byType("amount_mismatch");
+    assert.equal(mismatch.topUpId, topUp._id);
+    assert.equal(mismatch.expectedAmount, 200);
+    assert.equal(mismatch.chargedAmount, 190);
+
+    const [unknown] = byType("unknown_order");
+    assert.deepEqual(unknown.transactionIds, ["5"]);
+
+    assert.ok(found.every((discrepancy) => discrepancy.isNew));
+  });
+
+  it("reports a mismatch found before as not new", async () => {
+    await reconcile();
+    const found = await reconcile();
+
+    assert.equal(found.length, 4);
+    assert.ok(found.every((discrepancy) => !discrepancy.isNew));
+    assert.equal(discrepancies.size, 4);
+  });
+});
@@ -0,0 +1,45 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { getPharmacyOrders } from "../controllers/pharmacyOrderController.js";
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe("getPharmacyOrders", () => {
+  const pharmacy = { _id: new mongoose.Types.ObjectId() };
+
+  afterEach(() => mock.restoreAll());
+
+  it("refuses filters given more than once", async () => {
+    mock.method(Pharmacy, "findById", async () => pharmacy);
+    const find = mock.method(Order, "find");
+
+    for (const query of [
+      { status: ["pending", "confirmed"] },
+      { search: ["SH-1", "SH-2"] },
+      { fulfillment: ["pickup", "delivery"] },
+    ]) {
+      const res = response();
+      await getPharmacyOrders(
+        { params: { id: pharmacy._id.toString() }, query, user: { role: "admin" } },
+        res
+      );
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, /^Invalid \w+ filter$/);
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,30 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import PromoCode from "../models/PromoCodeModel.js";
+import { findPromoCode } from "../utils/promoEngine.js";
+
+describe("findPromoCode", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("looks up the code as typed and in upper case", async () => {
+    const promoCode = { code: "SAVE10" };
+    const findOne = mock.method(PromoCode, "findOne", () => ({ session: async () => promoCode }));
+
+    assert.equal(await findPromoCode("  save10 "), promoCode);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].code, { $in: ["save10", "SAVE10"] });
+  });
+
+  it("returns null when no code was given", async () => {
+    assert.equal(await findPromoCode(undefined), null);
+    assert.equal(await findPromoCode(null), null);
+  });
+
+  it("refuses blank codes and codes that are not text", async () => {
+    const findOne = mock.method(PromoCode, "findOne");
+
+    for (const code of ["", "   ", 42, ["SAVE10"], { $ne: null }]) {
+      await assert.rejects(findPromoCode(code), { status: 400, message: "Invalid promo code" });
+    }
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+});
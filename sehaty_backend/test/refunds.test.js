@@ -0,0 +1,136 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Notification from "../models/NotificationModel.js";
+import Order from "../models/OrderModel.js";
+import User from "../models/UserModel.js";
+import PaymobService from "../utils/paymob.service.js";
+import { approveRefund, openRefund, refundableAmount } from "../utils/refunds.js";
+import { startFakePaymob } from "./fakes/fakePaymob.js";
+
+describe("refunds of card orders", () => {
+  const customer = { _id: new mongoose.Types.ObjectId() };
+  const admin = { _id: new mongoose.Types.ObjectId() };
+
+  let fake;
+  let paymobBaseUrl;
+
+  before(async () => {
+    fake = await startFakePaymob({
+      transactions: [
+        { id: 501, success: true, pending: false, amount_cents: 20000 },
+        // Paymob captured less than the order asks for, it declines the rest
+        { id: 502, success: true, pending: false, amount_cents: 5000 },
+      ],
+    });
+    paymobBaseUrl = PaymobService.baseUrl;
+    PaymobService.baseUrl = fake.baseUrl;
+  });
+
+  after(async () => {
+    PaymobService.baseUrl = paymobBaseUrl;
+    await fake.close();
+  });
+
+  beforeEach(() => {
+    fake.refunds.length = 0;
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Order, "exists", async () => null);
+    mock.method(Notification, "create", async (notification) => notification);
+    mock.method(User, "findById", () => ({ select: async () => null }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const paidOrder = (transactionId) =>
+    new Order({
+      userId: customer._id,
+      status: "delivered",
+      paymentMethod: "paymob",
+      isPaid: true,
+      total: 200,
+      paymob: { transactionId },
+    });
+
+  it("refunds part of the payment to the card", async () => {
+    const order = paidOrder("501");
+
+    await openRefund(order, { user: customer, reason: "One box was damaged", amount: 60 });
+    assert.equal(order.refundStatus, "pending");
+    assert.equal(order.refunds[0].requestedAmount, 60);
+
+    await approveRefund(order, { user: admin });
+
+    assert.equal(order.refundStatus, "approved");
+    assert.equal(order.refundAmount, 60);
+    assert.equal(order.refunds[0].transactionId, "refund-1");
+    assert.deepEqual(
+      fake.refunds.map((refund) => [refund.parent_transaction, refund.amount_cents]),
+      [[501, 6000]]
+    );
+  });
+
+  it("takes further requests after an approved refund, up to what is left", async () => {
+    const order = paidOrder("501");
+    await openRefund(order, { user: customer, reason: "Damaged", amount: 60 });
+    await approveRefund(order, { user: admin });
+
+    await assert.rejects(
+      openRefund(order, { user: customer, reason: "More damage", amount: 150 }),
+      { status: 400, message: "Refund amount must be between 0 and 140 EGP" }
+    );
+
+    await openRefund(order, { user: customer, reason: "More damage" });
+    assert.equal(order.refunds[1].requestedAmount, 140);
+    await approveRefund(order, { user: admin });
+
+    assert.equal(order.refundAmount, 200);
+    assert.equal(refundableAmount(order), 0);
+    assert.deepEqual(
+      order.refunds.map((refund) => [refund.status, refund.amount, refund.transactionId]),
+      [
+        ["approved", 60, "refund-1"],
+        ["approved", 140, "refund-2"],
+      ]
+    );
+    assert.deepEqual(
+      fake.refunds.map((refund) => refund.amount_cents),
+      [6000, 14000]
+    );
+
+    await assert.rejects(openRefund(order, { user: customer, reason: "Again" }), {
+      status: 400,
+      message: "This order has already been fully refunded",
+    });
+  });
+
+  it("refuses a second request while one is waiting for review", async () => {
+    const order = paidOrder("501");
+    await openRefund(order, { user: customer, reason: "Damaged", amount: 60 });
+
+    await assert.rejects(openRefund(order, { user: customer, reason: "Again", amount: 10 }), {
+      status: 400,
+      message: "A refund has already been requested for this order",
+    });
+  });
+
+  it("keeps a refund Paymob declines open to be approved again", async () => {
+    const order = paidOrder("502");
+    await openRefund(order, { user: customer, reason: "Not delivered" });
+
+    await assert.rejects(approveRefund(order, { user: admin }), { status: 502 });
+
+    assert.equal(order.refundStatus, "failed");
+    assert.equal(order.refunds[0].failureReason, "Refund amount exceeds the captured amount");
+    assert.equal(order.refundAmount, undefined);
+    assert.equal(fake.refunds.length, 0);
+
+    await approveRefund(order, { user: admin, amount: 50 });
+
+    assert.equal(order.refundStatus, "approved");
+    assert.equal(order.refundAmount, 50);
+    assert.equal(order.refunds[0].failureReason, undefined);
+  });
+});
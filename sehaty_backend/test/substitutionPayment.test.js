@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Notification from "../models/NotificationModel.js";
+import Order from "../models/OrderModel.js";
+import Substitution from "../models/SubstitutionModel.js";
+import User from "../models/UserModel.js";
+import fakeProvider from "../utils/payments/fakeProvider.js";
+import { settleSubstitutionPayment } from "../utils/substitutions.js";
+import { config } from "../config/config.js";
+
+describe("settleSubstitutionPayment", () => {
+  let order;
+  let substitution;
+
+  // The customer pays the difference on the fake payment page
+  const payDifference = async () => {
+    const { paymentUrl } = await fakeProvider.chargeDifference(order, substitution);
+    const intentId = paymentUrl.split("/").at(-1);
+    return fakeProvider.handleWebhook({ intentId, success: true });
+  };
+
+  beforeEach(() => {
+    config.payments.fakeProvider = true;
+    order = new Order({
+      userId: new mongoose.Types.ObjectId(),
+      status: "processing",
+      paymentMethod: "fake",
+      isPaid: true,
+      total: 100,
+    });
+    substitution = new Substitution({
+      orderId: order._id,
+      status: "payment_pending",
+      priceDifference: 15,
+      replacement: { name: "Brufen 400" },
+      settlement: { type: "charge", amount: 15, status: "pending" },
+    });
+
+    mock.method(Order, "findById", async () => order);
+    mock.method(Substitution, "findById", async () => substitution);
+    // Claims the replacement only while it matches, like the database does in one write
+    mock.method(Substitution, "findOneAndUpdate", async (filter, update) => {
+      const statuses = filter.status.$in || [filter.status];
+      const settlements = filter["settlement.status"]?.$in;
+      if (
+        !statuses.includes(substitution.status) ||
+        (settlements && !settlements.includes(substitution.settlement.status))
+      ) {
+        return null;
+      }
+
+      substitution.set(update.$set);
+      return substitution;
+    });
+    mock.method(Substitution, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(Notification, "create", async (notification) => notification);
+    mock.method(User, "findById", () => ({ select: async () => null }));
+  });
+
+  afterEach(() => {
+    config.payments.fakeProvider = false;
+    mock.restoreAll();
+  });
+
+  it("refunds a difference paid after the replacement was withdrawn", async () => {
+    const payment = await payDifference();
+    substitution.status = "withdrawn";
+
+    const settled = await settleSubstitutionPayment(substitution._id, payment);
+
+    assert.equal(settled.status, "withdrawn");
+    assert.equal(settled.settlement.status, "refunded");
+    assert.equal(settled.settlement.transactionId, payment.transactionId);
+    assert.match(settled.settlement.refundTransactionId, /^fake_refund_/);
+  });
+
+  it("refunds a late payment once when it is reported again", async () => {
+    const payment = await payDifference();
+    substitution.status = "rejected";
+    const refundDifference = mock.method(fakeProvider, "refundDifference");
+
+    await settleSubstitutionPayment(substitution._id, payment);
+    await settleSubstitutionPayment(substitution._id, payment);
+
+    assert.equal(refundDifference.mock.callCount(), 1);
+  });
+
+  it("ignores a declined payment for a closed replacement", async () => {
+    substitution.status = "withdrawn";
+
+    const settled = await settleSubstitutionPayment(substitution._id, { success: false });
+
+    assert.equal(settled.settlement.status, "pending");
+  });
+});
@@ -0,0 +1,201 @@
+import mongoose from "mongoose";
+import Category from "../models/CategoryModel.js";
+import Medicine from "../models/MedicineModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import { httpError } from "./httpError.js";
+
+const EARTH_RADIUS_KM = 6371;
+// Most rows one catalog page returns
+const MAX_PAGE_SIZE = 50;
+
+// Sort orders of the catalog. Shelf fields are sorted before the lookups so
+// the indexes on PharmacyMedicine can serve them.
+const SORTS = {
+  newest: { stage: { createdAt: -1, _id: -1 }, early: true },
+  price_asc: { stage: { price: 1, _id: 1 }, early: true },
+  price_desc: { stage: { price: -1, _id: 1 }, early: true },
+  rating: { stage: { "medicine.rating": -1, "medicine.totalReviews": -1, _id: 1 } },
+  distance: { stage: { distance: 1, _id: 1 } },
+};
+
+export const CATALOG_SORTS = Object.keys(SORTS);
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toObjectId = (id, label) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(400, `Invalid ${label}`);
+  }
+  return new mongoose.Types.ObjectId(id.toString());
+};
+
+// Great-circle distance from a point to the pharmacy, in kilometers
+const distanceExpression = ({ lat, lng }) => {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const pharmacyLat = { $degreesToRadians: { $arrayElemAt: ["$pharmacy.location.coordinates", 1] } };
+  const pharmacyLng = { $degreesToRadians: { $arrayElemAt: ["$pharmacy.location.coordinates", 0] } };
+  const halfSin = (from, to) => ({
+    $pow: [{ $sin: { $divide: [{ $subtract: [from, to] }, 2] } }, 2],
+  });
+
+  return {
+    $multiply: [
+      2 * EARTH_RADIUS_KM,
+      {
+        $asin: {
+          $sqrt: {
+            $add: [
+              halfSin(pharmacyLat, toRad(lat)),
+              {
+                $multiply: [
+                  Math.cos(toRad(lat)),
+                  { $cos: pharmacyLat },
+                  halfSin(pharmacyLng, toRad(lng)),
+                ],
+              },
+            ],
+          },
+        },
+      },
+    ],
+  };
+};
+
+// Page and page size of a catalog request: pages start at 1 and are never
+// larger than MAX_PAGE_SIZE, values that are not whole numbers are refused
+export const pageFromQuery = ({ page, limit }) => {
+  const parse = (value, fallback, label) => {
+    if (value === undefined || value === "") return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw httpError(400, `Invalid ${label}`);
+    }
+    return number;
+  };
+
+  return {
+    page: Math.max(1, parse(page, 1, "page")),
+    limit: Math.min(Math.max(1, parse(limit, 10, "limit")), MAX_PAGE_SIZE),
+  };
+};
+
+/**
+ * Page through what pharmacies have on their shelves, filtered, sorted and
+ * counted by the database. Every row is one medicine at one pharmacy.
+ *
+ * Filters: pharmacyId, category, search (name or description), minPrice,
+ * maxPrice, prescriptionRequired. `near` ({ lat, lng }) adds the distance to
+ * the pharmacy and is needed to sort by distance.
+ */
+export const listCatalog = async ({
+  pharmacyId,
+  category,
+  search,
+  minPrice,
+  maxPrice,
+  prescriptionRequired,
+  near,
+  sort = "newest",
+  page = 1,
+  limit = 10,
+} = {}) => {
+  const order = SORTS[sort];
+  if (!order) {
+    throw httpError(400, `Invalid sort, use one of: ${CATALOG_SORTS.join(", ")}`);
+  }
+  if (sort === "distance" && !near) {
+    throw httpError(400, "Sorting by distance needs lat and lng");
+  }
+  const paging = pageFromQuery({ page, limit });
+
+  const shelfMatch = { isAvailable: true, isDeleted: false };
+  if (pharmacyId) shelfMatch.pharmacyId = toObjectId(pharmacyId, "pharmacy");
+  if (minPrice || maxPrice) {
+    shelfMatch.price = {};
+    if (minPrice) shelfMatch.price.$gte = parseFloat(minPrice);
+    if (maxPrice) shelfMatch.price.$lte = parseFloat(maxPrice);
+  }
+
+  const medicineMatch = { isDeleted: false };
+  if (category) medicineMatch.categoryId = toObjectId(category, "category");
+  if (prescriptionRequired) medicineMatch.prescriptionRequired = prescriptionRequired === "true";
+  if (search) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: "i" };
+    medicineMatch.$or = [{ name: pattern }, { description: pattern }];
+  }
+
+  const pipeline = [{ $match: shelfMatch }];
+  if (order.early) pipeline.push({ $sort: order.stage });
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: Medicine.collection.name,
+        localField: "medicineId",
+        foreignField: "_id",
+        pipeline: [{ $match: medicineMatch }],
+        as: "medicine",
+      },
+    },
+    { $unwind: "$medicine" },
+    {
+      $lookup: {
+        from: Pharmacy.collection.name,
+        localField: "pharmacyId",
+        foreignField: "_id",
+        pipeline: [
+          { $match: { isDeleted: { $ne: true } } },
+          { $project: { name: 1, location: 1 } },
+        ],
+        as: "pharmacy",
+      },
+    },
+    { $unwind: "$pharmacy" }
+  );
+
+  if (near) {
+    pipeline.push({ $addFields: { distance: distanceExpression(near) } });
+  }
+
+  const pageItems = order.early ? [] : [{ $sort: order.stage }];
+  pageItems.push(
+    { $skip: (paging.page - 1) * paging.limit },
+    { $limit: paging.limit },
+    {
+      $lookup: {
+        from: Category.collection.name,
+        localField: "medicine.categoryId",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+    { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } }
+  );
+
+  pipeline.push({
+    $facet: {
+      items: pageItems,
+      total: [{ $count: "count" }],
+    },
+  });
+
+  const [result] = await PharmacyMedicine.aggregate(pipeline).allowDiskUse(true);
+
+  return {
+    items: result.items,
+    total: result.total[0]?.count || 0,
+  };
+};
+
+// The point a catalog request sorts by distance from, null without one
+export const nearFromQuery = ({ lat, lng }) => {
+  if (lat === undefined || lng === undefined) return null;
+
+  const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+  if (isNaN(point.lat) || isNaN(point.lng)) {
+    throw httpError(400, "Invalid lat or lng");
+  }
+  return point;
+};
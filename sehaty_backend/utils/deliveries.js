@@ -0,0 +1,292 @@
+import crypto from "crypto";
+import Delivery from "../models/DeliveryModel.js";
+import Order from "../models/OrderModel.js";
+import User from "../models/UserModel.js";
+import Address from "../models/AddressModel.js";
+import { haversineDistance } from "./geo.js";
+import { httpError } from "./httpError.js";
+import { notifyUser } from "./notifications.js";
+import { orderEvents } from "./orderEvents.js";
+import { notifyOrderStatus } from "./orderNotifier.js";
+import { setOrderStatus } from "./orderStatus.js";
+import { rollUpParentStatus } from "./orderSplit.js";
+import { hasOpenSubstitution } from "./substitutions.js";
+import { config } from "../config/config.js";
+
+// Allowed moves between delivery statuses, anything not listed is refused
+export const DELIVERY_TRANSITIONS = {
+  pending: ["assigned", "failed"],
+  // Assigned deliveries can be handed to another courier until they are picked up
+  assigned: ["assigned", "pending", "picked_up", "failed"],
+  picked_up: ["in_transit", "delivered", "failed"],
+  in_transit: ["delivered", "failed"],
+  failed: ["assigned"],
+  delivered: [],
+};
+
+// Delivery status that follows from an order status, if any. Shipping is
+// left out: a delivery order is shipped by the courier picking it up.
+const DELIVERY_STATUS_FOR = {
+  delivered: "delivered",
+  cancelled: "failed",
+};
+
+const assertDeliveryTransition = (delivery, status) => {
+  if (!(DELIVERY_TRANSITIONS[delivery.status] || []).includes(status)) {
+    throw httpError(400, `Cannot change delivery status from ${delivery.status} to ${status}`);
+  }
+};
+
+// Keep the delivery record of an order in step after the order status changed
+export const syncDeliveryStatus = async (order, status) => {
+  const deliveryStatus = DELIVERY_STATUS_FOR[status];
+  if (!deliveryStatus) return;
+
+  // The order has already changed, a delivery that cannot follow keeps its own status
+  const delivery = await Delivery.findOne({ orderId: order._id });
+  if (!delivery || !(DELIVERY_TRANSITIONS[delivery.status] || []).includes(deliveryStatus)) return;
+
+  delivery.status = deliveryStatus;
+  if (status === "delivered") {
+    delivery.actualDeliveryDate = new Date();
+  }
+  if (status === "cancelled") {
+    delivery.failedAt = new Date();
+    delivery.failureReason = order.cancellationReason || "Order cancelled";
+  }
+  await delivery.save();
+};
+
+// Walk the order of a delivery through `statuses` from where it stands
+// and re-derive its checkout status
+const advanceOrder = async (order, statuses, { user, note }) => {
+  const current = statuses.indexOf(order.status);
+  for (const status of statuses.slice(current + 1)) {
+    setOrderStatus(order, status, { user, note });
+  }
+  await order.save();
+
+  if (order.parentOrderId) {
+    await rollUpParentStatus(order.parentOrderId);
+  }
+};
+
+const notifyCustomer = (order, title, body) =>
+  notifyUser(order.userId, {
+    title,
+    body,
+    type: "order",
+    data: { orderId: order.parentOrderId || order._id, status: order.status },
+  }).catch((error) => console.error("Delivery notification failed:", error.message));
+
+// The assigned courier, or an admin acting for them
+export const isDeliveryCourier = (user, delivery) =>
+  user.role === "admin" ||
+  (user.role === "courier" &&
+    delivery.deliveryPersonId?.toString() === user._id.toString());
+
+// Hand a delivery to a courier, or to another one before it is picked up
+export const assignCourier = async (delivery, { courierId, user }) => {
+  const courier = await User.findOne({
+    _id: courierId,
+    role: "courier",
+    isDeleted: false,
+  }).catch(() => null);
+
+  if (!courier) {
+    throw httpError(400, "Courier not found");
+  }
+
+  assertDeliveryTransition(delivery, "assigned");
+
+  delivery.status = "assigned";
+  delivery.deliveryPersonId = courier._id;
+  delivery.assignedBy = user._id;
+  delivery.assignedAt = new Date();
+  delivery.acceptedAt = undefined;
+  delivery.failedAt = undefined;
+  delivery.failureReason = undefined;
+  await delivery.save();
+
+  await notifyUser(courier._id, {
+    title: "New delivery",
+    body: `Delivery ${delivery.trackingNumber || delivery._id} has been assigned to you.`,
+    type: "order",
+    data: { deliveryId: delivery._id },
+  }).catch((error) => console.error("Delivery notification failed:", error.message));
+
+  return delivery;
+};
+
+export const acceptDelivery = async (delivery) => {
+  if (delivery.status !== "assigned") {
+    throw httpError(400, "Only assigned deliveries can be accepted");
+  }
+
+  delivery.acceptedAt = new Date();
+  await delivery.save();
+  return delivery;
+};
+
+// The courier gives the delivery back, it waits for another assignment
+export const declineDelivery = async (delivery) => {
+  if (delivery.status !== "assigned") {
+    throw httpError(400, "Only assigned deliveries can be declined");
+  }
+
+  delivery.status = "pending";
+  delivery.deliveryPersonId = undefined;
+  delivery.acceptedAt = undefined;
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Move a delivery to picked_up, in_transit or failed and bring its order
+ * along: a picked up order is shipped, a failed delivery goes back to the
+ * pharmacy. Picking up gives the customer the code to confirm receipt with.
+ */
+export const updateDeliveryProgress = async (delivery, status, { user, reason } = {}) => {
+  if (!["picked_up", "in_transit", "failed"].includes(status)) {
+    throw httpError(400, `Invalid delivery status: ${status}`);
+  }
+  assertDeliveryTransition(delivery, status);
+
+  const order = await Order.findById(delivery.orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+
+  if (status === "failed") {
+    if (!reason) {
+      throw httpError(400, "A reason is required when a delivery fails");
+    }
+
+    delivery.status = "failed";
+    delivery.failedAt = new Date();
+    delivery.failureReason = reason;
+    delivery.deliveryPersonId = undefined;
+    await delivery.save();
+
+    if (order.status === "shipped") {
+      await advanceOrder(order, ["processing"], { user, note: `Delivery failed: ${reason}` });
+    }
+    return delivery;
+  }
+
+  if (!["confirmed", "processing", "shipped"].includes(order.status)) {
+    throw httpError(400, "Order is not ready to be shipped");
+  }
+
+  // A line with a proposed replacement cannot leave the pharmacy yet
+  if (status === "picked_up" && (await hasOpenSubstitution(order._id))) {
+    throw httpError(400, "The customer has not answered a proposed replacement yet");
+  }
+
+  if (status === "picked_up") {
+    delivery.pickedUpAt = new Date();
+    delivery.otp = crypto.randomInt(0, 10000).toString().padStart(4, "0");
+  }
+  delivery.status = status;
+  await delivery.save();
+
+  await advanceOrder(order, ["processing", "shipped"], {
+    user,
+    note: status === "picked_up" ? "Picked up by the courier" : "On the way",
+  });
+
+  if (status === "picked_up") {
+    await notifyCustomer(
+      order,
+      "Your order is on the way",
+      `Give the courier code ${delivery.otp} when you receive your order.`
+    );
+  }
+
+  return delivery;
+};
+
+const otpMatches = (expected, given) =>
+  Boolean(expected) &&
+  expected.length === given.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+
+/**
+ * Close a delivery with proof it reached the customer: a photo taken at
+ * the door or the code the customer reads out. Marks the order delivered.
+ */
+export const completeDelivery = async (delivery, { user, photo, otp }) => {
+  assertDeliveryTransition(delivery, "delivered");
+
+  const withOtp = await Delivery.findById(delivery._id).select("+otp");
+  if (otp !== undefined && otp !== null && otp !== "") {
+    if (!otpMatches(withOtp.otp, String(otp).trim())) {
+      throw httpError(400, "Delivery code is not correct");
+    }
+    delivery.proof = { method: "otp" };
+  } else if (photo) {
+    delivery.proof = { method: "photo", photo };
+  } else {
+    throw httpError(400, "A photo or the customer's delivery code is required");
+  }
+
+  const order = await Order.findById(delivery.orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+
+  delivery.proof.recordedBy = user._id;
+  delivery.proof.recordedAt = new Date();
+  delivery.status = "delivered";
+  delivery.actualDeliveryDate = delivery.proof.recordedAt;
+  await delivery.save();
+
+  await advanceOrder(order, ["delivered"], { user, note: "Delivered by the courier" });
+  await notifyOrderStatus(order);
+
+  return delivery;
+};
+
+const isCoordinate = (value, limit) =>
+  typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Store the position a courier reported for a delivery on its way and
+ * estimate when it arrives, from the straight-line distance to the
+ * customer's address at an average city speed.
+ */
+export const recordCourierLocation = async (delivery, { latitude, longitude, heading }) => {
+  latitude = Number(latitude);
+  longitude = Number(longitude);
+  if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+    throw httpError(400, "Invalid coordinates");
+  }
+
+  if (!["picked_up", "in_transit"].includes(delivery.status)) {
+    throw httpError(400, "Location is only shared while the order is on its way");
+  }
+
+  const order = await Order.findById(delivery.orderId).select("deliveryAddress");
+  const address = order?.deliveryAddress
+    ? await Address.findById(order.deliveryAddress).select("latitude longitude")
+    : null;
+
+  const now = new Date();
+  delivery.currentLocation = {
+    latitude,
+    longitude,
+    heading: Number.isFinite(Number(heading)) ? Number(heading) : undefined,
+    updatedAt: now,
+  };
+
+  if (address) {
+    const distanceKm = haversineDistance(latitude, longitude, address.latitude, address.longitude);
+    const minutes = (distanceKm / config.order.courierSpeedKmh) * 60;
+    delivery.estimatedArrivalAt = new Date(now.getTime() + Math.ceil(minutes) * 60000);
+  }
+
+  await delivery.save();
+  orderEvents.emit("location", delivery);
+
+  return delivery;
+};
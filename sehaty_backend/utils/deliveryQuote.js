@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import Address from "../models/AddressModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { haversineDistance } from "./geo.js";
+import { httpError } from "./httpError.js";
+import { roundMoney } from "./money.js";
+import { config } from "../config/config.js";
+
+// The delivery address of a checkout, it has to belong to the buyer
+export const loadDeliveryAddress = async (addressId, user) => {
+  if (!addressId) {
+    throw httpError(400, "Delivery address is required");
+  }
+
+  const address = await Address.findOne({
+    _id: addressId,
+    userId: user._id,
+    isDeleted: false,
+  }).catch(() => null);
+
+  if (!address) {
+    throw httpError(400, "Delivery address not found");
+  }
+
+  return address;
+};
+
+// Fee of one shipment: base plus distance, free above the pharmacy's threshold
+const deliveryFeeFor = (pharmacy, distanceKm, subtotal) => {
+  const fees = pharmacy.deliveryFees || {};
+  if (fees.freeOver && subtotal >= fees.freeOver) return 0;
+
+  const base = fees.base ?? config.order.deliveryFee;
+  const perKm = fees.perKm ?? config.order.deliveryFeePerKm;
+  return roundMoney(base + perKm * distanceKm);
+};
+
+// A quote signed with a secret anyone could know would let customers set their own fees
+const sign = (payload) => {
+  if (!config.order.deliveryQuoteSecret) {
+    throw httpError(503, "Delivery quotes are not available, no signing secret is configured");
+  }
+
+  return crypto
+    .createHmac("sha256", config.order.deliveryQuoteSecret)
+    .update(payload)
+    .digest("base64url");
+};
+
+/**
+ * Quote the delivery of each pharmacy shipment to an address.
+ *
+ * Throws a 400 listing the pharmacies that cannot deliver there. The
+ * returned token signs the fees, so checkout can charge exactly what the
+ * customer was shown as long as the cart does not change.
+ */
+export const quoteDelivery = async ({ address, shipments }) => {
+  const pharmacies = await Pharmacy.find({
+    _id: { $in: shipments.map((shipment) => shipment.pharmacyId) },
+  }).select("name location deliveryRadius deliveryFees deliveryOptions");
+
+  const quotes = shipments.map((shipment) => {
+    const pharmacy = pharmacies.find(
+      (candidate) => candidate._id.toString() === shipment.pharmacyId.toString()
+    );
+    const quote = {
+      pharmacyId: shipment.pharmacyId.toString(),
+      pharmacyName: pharmacy?.name,
+      subtotal: shipment.subtotal,
+    };
+
+    const [longitude, latitude] = pharmacy?.location?.coordinates || [];
+    if (!pharmacy || latitude === undefined) {
+      return { ...quote, deliverable: false, reason: "Pharmacy location is unknown" };
+    }
+
+    if (pharmacy.deliveryOptions?.length > 0 && !pharmacy.deliveryOptions.includes("delivery")) {
+      return { ...quote, deliverable: false, reason: "Pharmacy does not deliver" };
+    }
+
+    const distanceKm = roundMoney(
+      haversineDistance(address.latitude, address.longitude, latitude, longitude)
+    );
+    const radiusKm = pharmacy.deliveryRadius || config.order.deliveryRadiusKm;
+
+    if (distanceKm > radiusKm) {
+      return {
+        ...quote,
+        distanceKm,
+        radiusKm,
+        deliverable: false,
+        reason: `Address is ${distanceKm} km away, the pharmacy delivers up to ${radiusKm} km`,
+      };
+    }
+
+    return {
+      ...quote,
+      distanceKm,
+      radiusKm,
+      deliverable: true,
+      fee: deliveryFeeFor(pharmacy, distanceKm, shipment.subtotal),
+    };
+  });
+
+  const undeliverable = quotes.filter((quote) => !quote.deliverable);
+  if (undeliverable.length > 0) {
+    throw httpError(
+      400,
+      `${undeliverable.map((quote) => quote.pharmacyName || "A pharmacy").join(", ")} cannot deliver to this address`,
+      { undeliverable }
+    );
+  }
+
+  const expiresAt = new Date(Date.now() + config.order.deliveryQuoteMinutes * 60000);
+  const payload = Buffer.from(
+    JSON.stringify({
+      addressId: address._id.toString(),
+      shipments: quotes.map(({ pharmacyId, subtotal, fee }) => ({ pharmacyId, subtotal, fee })),
+      expiresAt: expiresAt.getTime(),
+    })
+  ).toString("base64url");
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt,
+    shipments: quotes,
+  };
+};
+
+/**
+ * Check a signed delivery quote against the checkout it is used for.
+ * Returns the quoted fee of each pharmacy keyed by pharmacy id.
+ */
+export const verifyDeliveryQuote = (token, { addressId, shipments }) => {
+  const [payload, signature] = String(token).split(".");
+  const expected = payload ? sign(payload) : "";
+
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw httpError(400, "Invalid delivery quote");
+  }
+
+  const quote = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+  if (quote.expiresAt < Date.now()) {
+    throw httpError(409, "Delivery quote has expired, please review your order");
+  }
+
+  const fees = new Map(quote.shipments.map((shipment) => [shipment.pharmacyId, shipment]));
+  const matches =
+    quote.addressId === addressId.toString() &&
+    fees.size === shipments.length &&
+    shipments.every((shipment) => {
+      const quoted = fees.get(shipment.pharmacyId.toString());
+      return quoted && Math.abs(quoted.subtotal - shipment.subtotal) <= 0.01;
+    });
+
+  if (!matches) {
+    throw httpError(409, "Delivery quote does not match your order, please review it");
+  }
+
+  return new Map([...fees].map(([pharmacyId, { fee }]) => [pharmacyId, fee]));
+};
@@ -0,0 +1,219 @@
+import mongoose from "mongoose";
+import DeliverySlot from "../models/DeliverySlotModel.js";
+import Order from "../models/OrderModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { httpError } from "./httpError.js";
+import { config } from "../config/config.js";
+
+const MINUTE = 60000;
+const DAY_MINUTES = 24 * 60;
+
+const zoneFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: config.order.timeZone,
+  hourCycle: "h23",
+  weekday: "long",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+});
+
+// Calendar fields of an instant in the app's time zone
+const zonedParts = (date) => {
+  const parts = Object.fromEntries(
+    zoneFormat.formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    weekday: parts.weekday.toLowerCase(),
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+};
+
+// The instant a local wall clock time falls on in the app's time zone
+const atZonedTime = ({ year, month, day }, minutes) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const local = zonedParts(new Date(guess));
+  const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - guess;
+  return new Date(guess - offset);
+};
+
+// Minutes after midnight of a working hours entry, "8:00 AM" or "20:00"
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(value || "").trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]) % (match[3] ? 12 : 24);
+  if (match[3]?.toUpperCase() === "PM") hours += 12;
+  return hours * 60 + Number(match[2]);
+};
+
+const slotCapacity = (pharmacy) =>
+  pharmacy.deliverySlotCapacity ?? config.order.deliverySlotCapacity;
+
+/**
+ * Delivery windows of a pharmacy over the next few days, worked out from
+ * its working hours. Windows starting too soon to prepare are left out.
+ */
+export const pharmacyDeliveryWindows = (pharmacy, now = new Date()) => {
+  const { deliverySlotMinutes, deliverySlotLeadMinutes, deliverySlotDays } = config.order;
+  const earliest = now.getTime() + deliverySlotLeadMinutes * MINUTE;
+  const windows = [];
+
+  if (slotCapacity(pharmacy) <= 0) return windows;
+
+  for (let offset = 0; offset < deliverySlotDays; offset++) {
+    const day = zonedParts(new Date(now.getTime() + offset * DAY_MINUTES * MINUTE));
+    const hours = pharmacy.workingHours?.[day.weekday];
+    const open = parseClock(hours?.open);
+    let close = parseClock(hours?.close);
+    if (open === null || close === null) continue;
+
+    // "11:59 PM" means open until midnight, an earlier close is past midnight
+    if (close === DAY_MINUTES - 1) close = DAY_MINUTES;
+    if (close <= open) close += DAY_MINUTES;
+
+    for (let start = open; start + deliverySlotMinutes <= close; start += deliverySlotMinutes) {
+      const startsAt = atZonedTime(day, start);
+      if (startsAt.getTime() < earliest) continue;
+
+      windows.push({
+        start: startsAt,
+        end: new Date(startsAt.getTime() + deliverySlotMinutes * MINUTE),
+      });
+    }
+  }
+
+  return windows;
+};
+
+const loadPharmacies = (pharmacyIds) =>
+  Pharmacy.find({ _id: { $in: pharmacyIds }, isDeleted: false }).select(
+    "name workingHours deliverySlotCapacity"
+  );
+
+/**
+ * Delivery windows every given pharmacy can still take an order in, so a
+ * checkout split over several pharmacies arrives in the same window.
+ * Closed and fully booked windows are left out.
+ */
+export const getAvailableSlots = async (pharmacyIds, now = new Date()) => {
+  const ids = [...new Set(pharmacyIds.map((id) => id.toString()))];
+  if (ids.length === 0 || !ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw httpError(400, "Invalid pharmacy id");
+  }
+
+  const pharmacies = await loadPharmacies(ids);
+  if (pharmacies.length !== ids.length) {
+    throw httpError(400, "Unknown pharmacy");
+  }
+
+  const bookings = await DeliverySlot.find({
+    pharmacyId: { $in: ids },
+    start: { $gte: now },
+  });
+  const bookedIn = (pharmacy, start) =>
+    bookings.find(
+      (slot) =>
+        slot.pharmacyId.toString() === pharmacy._id.toString() &&
+        slot.start.getTime() === start.getTime()
+    )?.booked || 0;
+
+  let slots = null;
+  for (const pharmacy of pharmacies) {
+    const open = pharmacyDeliveryWindows(pharmacy, now)
+      .map((window) => ({
+        ...window,
+        remaining: slotCapacity(pharmacy) - bookedIn(pharmacy, window.start),
+      }))
+      .filter((window) => window.remaining > 0);
+
+    slots = slots === null
+      ? open
+      : slots
+          .map((slot) => {
+            const match = open.find((window) => window.start.getTime() === slot.start.getTime());
+            return match && { ...slot, remaining: Math.min(slot.remaining, match.remaining) };
+          })
+          .filter(Boolean);
+  }
+
+  return slots;
+};
+
+/**
+ * Book the chosen delivery window for every sub-order of a checkout.
+ *
+ * The booking counter is bumped with a guarded update so concurrent
+ * checkouts cannot overbook a window. Meant to run inside the order
+ * transaction; returns the booked window.
+ */
+export const reserveDeliverySlots = async (subOrders, start, { session } = {}) => {
+  const startsAt = new Date(start);
+  if (Number.isNaN(startsAt.getTime())) {
+    throw httpError(400, "Invalid delivery slot");
+  }
+
+  const pharmacies = await loadPharmacies(subOrders.map((subOrder) => subOrder.pharmacyId));
+  let end;
+
+  for (const subOrder of subOrders) {
+    const pharmacy = pharmacies.find(
+      (candidate) => candidate._id.toString() === subOrder.pharmacyId.toString()
+    );
+    const window = pharmacy &&
+      pharmacyDeliveryWindows(pharmacy).find(
+        (candidate) => candidate.start.getTime() === startsAt.getTime()
+      );
+
+    if (!window) {
+      throw httpError(400, `${pharmacy?.name || "A pharmacy"} does not deliver in this time slot`);
+    }
+
+    await DeliverySlot.updateOne(
+      { pharmacyId: pharmacy._id, start: window.start },
+      { $setOnInsert: { end: window.end } },
+      { upsert: true, session }
+    );
+
+    const slot = await DeliverySlot.findOneAndUpdate(
+      { pharmacyId: pharmacy._id, start: window.start, booked: { $lt: slotCapacity(pharmacy) } },
+      { $inc: { booked: 1 } },
+      { new: true, session }
+    );
+
+    if (!slot) {
+      throw httpError(409, `This time slot is fully booked at ${pharmacy.name}, please pick another`);
+    }
+
+    subOrder.deliverySlot = { slotId: slot._id, start: window.start, end: window.end };
+    subOrder.estimatedDeliveryDate = window.end;
+    await subOrder.save({ session });
+    end = window.end;
+  }
+
+  return { start: startsAt, end };
+};
+
+// Free the delivery window of a cancelled order, safe to call more than once
+export const releaseDeliverySlot = async (order) => {
+  const slotId = order.deliverySlot?.slotId;
+  if (!slotId || order.deliverySlot.releasedAt) return;
+
+  const releasedAt = new Date();
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, "deliverySlot.releasedAt": null },
+    { $set: { "deliverySlot.releasedAt": releasedAt } }
+  );
+  if (modifiedCount === 0) return;
+
+  order.deliverySlot.releasedAt = releasedAt;
+  await DeliverySlot.updateOne(
+    { _id: slotId, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } }
+  );
+};
@@ -35,4 +35,42 @@ export const sendOtpEmail = async (email, otp) => {
     console.error('Email sending failed:', error);
     return false;
   }
-}; 
\ No newline at end of file
+}; 
+
+// Order messages carry reasons typed by customers and pharmacies, they are shown as text
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+/**
+ * Email a customer about their order.
+ * @param {string} email - Recipient address
+ * @param {Object} content - subject, heading, message and the order reference
+ */
+export const sendOrderEmail = async (email, { subject, heading, message, reference }) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `${subject} - Sehaty`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1B794B;">${escapeHtml(heading)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <div style="background-color: #f5f5f5; padding: 20px; text-align: center; margin: 20px 0;">
+          <p style="margin: 0; color: #666;">Order reference</p>
+          <h1 style="color: #1B794B; margin: 0; font-size: 24px;">${escapeHtml(reference)}</h1>
+        </div>
+        <p>You can follow your order from the Orders tab in the Sehaty app.</p>
+        <hr style="border: 1px solid #eee; margin: 20px 0;">
+        <p style="color: #666; font-size: 12px;">This is an automated email, please do not reply. You can turn these emails off in the app's notification settings.</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Email sending failed:', error);
+    return false;
+  }
+};
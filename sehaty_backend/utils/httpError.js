@@ -0,0 +1,9 @@
+// Error carrying the HTTP status a controller should answer with
+export const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+export default httpError;
@@ -0,0 +1,315 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import Order from "../models/OrderModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { config } from "../config/config.js";
+
+const BRAND_COLOR = "#1B794B";
+const MUTED_COLOR = "#606060";
+
+const money = (value) => `${(value || 0).toFixed(2)} ${config.order.currency}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 16).replace("T", " ") : "-";
+
+// Where the QR code on an invoice takes the customer
+export const orderLink = (order) => `${config.app.deepLinkScheme}://orders/${order._id}`;
+
+export const invoiceNumber = (order) =>
+  `INV-${order._id.toString().slice(-8).toUpperCase()}`;
+
+/**
+ * Load everything an invoice shows: the order, its customer and address,
+ * and one section per pharmacy shipment with that pharmacy's details.
+ */
+export const loadInvoiceData = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate("userId", "name email phone")
+    .populate("deliveryAddress")
+    .populate("promoCode", "code");
+
+  if (!order) return null;
+
+  // Sub-orders are paid through their checkout, the transaction lives there
+  const parentOrder = order.parentOrderId
+    ? await Order.findById(order.parentOrderId).select("paymob")
+    : null;
+
+  let sections;
+  const subOrders = order.parentOrderId
+    ? []
+    : await Order.find({ parentOrderId: order._id }).sort({ createdAt: 1 });
+
+  if (subOrders.length > 0) {
+    sections = subOrders.map((subOrder) => ({
+      pharmacyId: subOrder.pharmacyId,
+      trackingNumber: subOrder.trackingNumber,
+      items: subOrder.items,
+      deliveryFee: subOrder.deliveryFee,
+    }));
+  } else {
+    // A single shipment, or an order placed before checkouts were split
+    const pharmacyIds = [
+      ...new Set(order.items.map((item) => item.pharmacyId?.toString()).filter(Boolean)),
+    ];
+    sections = pharmacyIds.length > 0
+      ? pharmacyIds.map((pharmacyId) => ({
+          pharmacyId,
+          trackingNumber: order.trackingNumber,
+          items: order.items.filter((item) => item.pharmacyId?.toString() === pharmacyId),
+        }))
+      : [{ items: order.items, trackingNumber: order.trackingNumber }];
+  }
+
+  const pharmacies = await Pharmacy.find({
+    _id: { $in: sections.map((section) => section.pharmacyId).filter(Boolean) },
+  }).select("name address phone");
+
+  for (const section of sections) {
+    section.pharmacy = pharmacies.find(
+      (pharmacy) => pharmacy._id.toString() === section.pharmacyId?.toString()
+    );
+  }
+
+  return {
+    order,
+    sections,
+    transactionId: order.paymob?.transactionId || parentOrder?.paymob?.transactionId,
+  };
+};
+
+const drawHeader = async (doc, { order }) => {
+  const qr = await QRCode.toBuffer(orderLink(order), { margin: 1, width: 90 });
+
+  doc.fillColor(BRAND_COLOR).fontSize(22).text("Sehaty", 50, 50);
+  doc.fillColor(MUTED_COLOR).fontSize(10).text("Tax invoice / receipt", 50, 78);
+  doc.image(qr, doc.page.width - 140, 45, { width: 90 });
+
+  doc.fillColor("#000").fontSize(10);
+  doc.text(`Invoice: ${invoiceNumber(order)}`, 50, 105);
+  doc.text(`Order: ${order._id}`);
+  doc.text(`Date: ${formatDate(order.createdAt)}`);
+  doc.text(`Status: ${order.status}`);
+  doc.moveDown();
+};
+
+const drawCustomer = (doc, { order }) => {
+  const customer = order.userId;
+  const address = order.deliveryAddress;
+
+  doc.fillColor(BRAND_COLOR).fontSize(12).text("Billed to");
+  doc.fillColor("#000").fontSize(10);
+  if (customer) {
+    doc.text(customer.name || customer.email || "");
+    if (customer.phone) doc.text(customer.phone);
+  }
+  if (order.fulfillment === "pickup") {
+    doc.text("Collected at the pharmacy");
+  } else if (address) {
+    doc.text(
+      [address.street, address.city, address.state, address.country]
+        .filter(Boolean)
+        .join(", ")
+    );
+  }
+  doc.moveDown();
+};
+
+const drawSection = (doc, section) => {
+  const { pharmacy } = section;
+
+  doc.fillColor(BRAND_COLOR).fontSize(12).text(pharmacy?.name || "Pharmacy");
+  doc.fillColor(MUTED_COLOR).fontSize(9);
+  if (pharmacy?.address) doc.text(pharmacy.address);
+  if (pharmacy?.phone) doc.text(`Tel: ${pharmacy.phone}`);
+  if (section.trackingNumber) doc.text(`Tracking: ${section.trackingNumber}`);
+  doc.moveDown(0.5);
+
+  const columns = { name: 50, quantity: 300, price: 360, discount: 430, total: 490 };
+  const headerY = doc.y;
+  doc.fillColor("#000").fontSize(9);
+  doc.text("Item", columns.name, headerY);
+  doc.text("Qty", columns.quantity, headerY);
+  doc.text("Unit price", columns.price, headerY);
+  doc.text("Disc.", columns.discount, headerY);
+  doc.text("Total", columns.total, headerY);
+  doc
+    .moveTo(50, doc.y + 2)
+    .lineTo(doc.page.width - 50, doc.y + 2)
+    .strokeColor("#ddd")
+    .stroke();
+  doc.moveDown(0.5);
+
+  for (const item of section.items) {
+    const y = doc.y;
+    const unitPrice = item.unitPrice ?? item.price;
+    const lineTotal = item.lineTotal ?? (item.price || 0) * item.quantity;
+
+    doc.text(item.name || item.medicine?.toString() || "Item", columns.name, y, { width: 240 });
+    const rowBottom = doc.y;
+    doc.text(String(item.quantity), columns.quantity, y);
+    doc.text(money(unitPrice), columns.price, y);
+    doc.text(item.discount ? `${item.discount}%` : "-", columns.discount, y);
+    doc.text(money(lineTotal), columns.total, y);
+    doc.y = Math.max(doc.y, rowBottom);
+  }
+
+  if (section.deliveryFee !== undefined) {
+    doc.fillColor(MUTED_COLOR).text(`Delivery fee: ${money(section.deliveryFee)}`, 50);
+  }
+  doc.fillColor("#000").moveDown();
+};
+
+const drawTotals = (doc, { order, transactionId }) => {
+  const breakdown = order.priceBreakdown || {};
+  const rows = [
+    ["Items", breakdown.itemsTotal ?? order.subtotal],
+    ["Item discounts", breakdown.itemDiscount ? -breakdown.itemDiscount : null],
+    ["Subtotal", breakdown.subtotal ?? order.subtotal],
+    [
+      order.promoCode ? `Promo (${order.promoCode.code})` : "Promo discount",
+      breakdown.promoDiscount ? -breakdown.promoDiscount : null,
+    ],
+    ["Delivery fee", breakdown.deliveryFee ?? order.deliveryFee],
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  doc.fontSize(10);
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.text(label, 330, y);
+    doc.text(money(value), 450, y, { width: 95, align: "right" });
+  }
+
+  const y = doc.y + 4;
+  doc.fillColor(BRAND_COLOR).fontSize(12);
+  doc.text("Total", 330, y);
+  doc.text(money(order.total ?? order.finalPrice), 450, y, { width: 95, align: "right" });
+
+  doc.fillColor("#000").fontSize(10).moveDown();
+  doc.text(`Payment method: ${order.paymentMethod || "-"}`, 50);
+  doc.text(`Paid: ${order.isPaid ? `yes, ${formatDate(order.paidAt)}` : "no"}`);
+  if (transactionId) doc.text(`Paymob transaction: ${transactionId}`);
+  if (order.refundAmount) doc.text(`Refunded: ${money(order.refundAmount)}`);
+};
+
+// Draw one invoice on the current page of the document
+const drawInvoice = async (doc, data) => {
+  await drawHeader(doc, data);
+  drawCustomer(doc, data);
+  for (const section of data.sections) {
+    drawSection(doc, section);
+  }
+  drawTotals(doc, data);
+};
+
+/**
+ * Render the invoices of one or more orders into a single PDF, one order
+ * per page. Resolves with the PDF as a Buffer.
+ */
+export const renderInvoicesPdf = async (invoices) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, autoFirstPage: false });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  for (const data of invoices) {
+    doc.addPage();
+    await drawInvoice(doc, data);
+  }
+
+  doc.end();
+  return finished;
+};
+
+/**
+ * Render the packing slip of a pharmacy's shipment: what to pack and where
+ * it goes, without prices. Resolves with the PDF as a Buffer.
+ */
+export const renderPackingSlipPdf = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate("userId", "name phone")
+    .populate("deliveryAddress")
+    .populate("pharmacyId", "name address phone")
+    .populate("items.prescriptionId", "title doctorName validUntil");
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const qr = await QRCode.toBuffer(orderLink(order), { margin: 1, width: 90 });
+  doc.fillColor(BRAND_COLOR).fontSize(22).text("Packing slip", 50, 50);
+  doc.fillColor(MUTED_COLOR).fontSize(10).text(order.pharmacyId?.name || "", 50, 78);
+  doc.image(qr, doc.page.width - 140, 45, { width: 90 });
+
+  doc.fillColor("#000").fontSize(10);
+  doc.text(`Tracking: ${order.trackingNumber || order._id}`, 50, 105);
+  doc.text(`Placed: ${formatDate(order.createdAt)}`);
+  if (order.deliverySlot?.start) {
+    doc.text(
+      `Delivery window: ${formatDate(order.deliverySlot.start)} - ${formatDate(order.deliverySlot.end)}`
+    );
+  }
+  doc.moveDown();
+
+  const customer = order.userId;
+  const address = order.deliveryAddress;
+  doc.fillColor(BRAND_COLOR).fontSize(12).text(
+    order.fulfillment === "pickup" ? "Collected at the counter by" : "Deliver to"
+  );
+  doc.fillColor("#000").fontSize(10);
+  if (customer) {
+    doc.text(customer.name || "");
+    if (customer.phone) doc.text(customer.phone);
+  }
+  if (order.fulfillment !== "pickup" && address) {
+    doc.text(
+      [address.street, address.city, address.state, address.country]
+        .filter(Boolean)
+        .join(", ")
+    );
+  }
+  if (order.orderNotes) doc.text(`Notes: ${order.orderNotes}`);
+  doc.moveDown();
+
+  const columns = { check: 50, name: 75, quantity: 320, prescription: 360 };
+  const headerY = doc.y;
+  doc.fontSize(9);
+  doc.text("Item", columns.name, headerY);
+  doc.text("Qty", columns.quantity, headerY);
+  doc.text("Prescription", columns.prescription, headerY);
+  doc
+    .moveTo(50, doc.y + 2)
+    .lineTo(doc.page.width - 50, doc.y + 2)
+    .strokeColor("#ddd")
+    .stroke();
+  doc.moveDown(0.5);
+
+  for (const item of order.items) {
+    const y = doc.y;
+    const prescription = item.prescriptionId;
+
+    doc.rect(columns.check, y, 9, 9).strokeColor("#000").stroke();
+    doc.text(item.name || item.medicine?.toString() || "Item", columns.name, y, { width: 235 });
+    const rowBottom = doc.y;
+    doc.text(String(item.quantity), columns.quantity, y);
+    doc.text(
+      prescription
+        ? `${prescription.title}, Dr. ${prescription.doctorName}, valid until ${formatDate(prescription.validUntil).slice(0, 10)}`
+        : "-",
+      columns.prescription,
+      y,
+      { width: doc.page.width - 50 - columns.prescription }
+    );
+    doc.y = Math.max(doc.y, rowBottom) + 4;
+  }
+
+  doc.end();
+  return finished;
+};
@@ -0,0 +1,76 @@
+import Medicine from '../models/MedicineModel.js';
+import PharmacyMedicine from '../models/PharmacyMedicineModel.js';
+
+// Attach the first pharmacy that has the medicine in stock, null when none has.
+// With a pharmacyId only that pharmacy's shelf is looked at.
+const withPharmacyInfo = async (alt, pharmacyId) => {
+  const pharmacyMedicine = await PharmacyMedicine.findOne({
+    medicineId: alt._id,
+    ...(pharmacyId && { pharmacyId }),
+    isAvailable: true,
+    isDeleted: false,
+    stock: { $gt: 0 }
+  }).populate('pharmacyId');
+
+  if (!pharmacyMedicine) return null;
+
+  return {
+    ...alt.toObject(),
+    pharmacyInfo: {
+      pharmacyId: pharmacyMedicine.pharmacyId._id,
+      pharmacyName: pharmacyMedicine.pharmacyId.name,
+      price: pharmacyMedicine.price,
+      stock: pharmacyMedicine.stock,
+      discount: pharmacyMedicine.discount,
+      isAvailable: pharmacyMedicine.isAvailable
+    }
+  };
+};
+
+const inStock = async (medicines, pharmacyId) =>
+  (await Promise.all(medicines.map((alt) => withPharmacyInfo(alt, pharmacyId))))
+    .filter(alt => alt !== null);
+
+const findAlternativesByActiveIngredient = async (medicine, pharmacyId) => {
+  try {
+    // Find medicines with the same active ingredient
+    const alternatives = await Medicine.find({
+      _id: { $ne: medicine._id }, // Exclude the current medicine
+      activeIngredient: medicine.activeIngredient,
+      isDeleted: false,
+      isAvailable: true
+    });
+
+    return inStock(alternatives, pharmacyId);
+  } catch (error) {
+    console.error('Error finding alternatives by active ingredient:', error);
+    return [];
+  }
+};
+
+/**
+ * Alternatives of a medicine that some pharmacy has in stock.
+ * The predefined alternatives win, the active ingredient is the fallback.
+ * Pass a pharmacyId to only look at what that pharmacy has in stock.
+ */
+export const findMedicineAlternatives = async (medicine, { pharmacyId } = {}) => {
+  let alternatives = [];
+
+  if (medicine.alternatives && medicine.alternatives.length > 0) {
+    const populatedMedicine = await Medicine.findById(medicine._id)
+      .populate('alternatives');
+
+    alternatives = await inStock(populatedMedicine.alternatives, pharmacyId);
+  }
+
+  if (alternatives.length > 0) {
+    return { alternatives, source: 'predefined' };
+  }
+
+  alternatives = await findAlternativesByActiveIngredient(medicine, pharmacyId);
+
+  return {
+    alternatives,
+    source: alternatives.length > 0 ? 'activeIngredient' : 'none'
+  };
+};
@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import Medicine from "../models/MedicineModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import { httpError } from "./httpError.js";
+import {
+  allowedTypos,
+  editDistance,
+  buildMedicineSearch,
+  MEDICINE_SEARCH_FIELDS,
+  SEARCH_INDEX_VERSION,
+  tokenize,
+  trigrams,
+} from "./searchText.js";
+
+// Most medicines scored for one query, those sharing the most trigrams with it
+const MAX_CANDIDATES = 300;
+// Share of the query's trigrams a medicine needs to be scored at all
+const MIN_GRAM_SHARE = 0.4;
+// Medicines scoring lower are not a match
+const MIN_RELEVANCE = 0.3;
+// A name match this good also brings up the medicines sharing its active ingredient
+const STRONG_MATCH = 0.7;
+// Those rank at this share of the name match
+const SAME_INGREDIENT_SHARE = 0.6;
+// Part of the ranking that goes to being in stock, the rest is relevance
+const AVAILABILITY_WEIGHT = 0.2;
+// Medicines indexed per run of the backfill
+const INDEX_BATCH_SIZE = 500;
+
+const TOP_WEIGHT = Math.max(...Object.values(MEDICINE_SEARCH_FIELDS));
+
+const toObjectId = (id, label) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(400, `Invalid ${label}`);
+  }
+  return new mongoose.Types.ObjectId(id.toString());
+};
+
+// How well a query word matches an indexed word, from 0 to 1
+const wordScore = (word, term) => {
+  if (term === word) return 1;
+  if (term.startsWith(word)) return 0.9;
+
+  const typos = allowedTypos(word);
+  if (typos > 0) {
+    const distance = editDistance(word, term, typos);
+    if (distance <= typos) return 0.8 - 0.1 * distance;
+
+    // A word still being typed, with a typo in it
+    if (term.length > word.length && editDistance(word, term.slice(0, word.length), 1) <= 1) {
+      return 0.6;
+    }
+  }
+
+  if (word.length >= 3 && term.includes(word)) return 0.5;
+  return 0;
+};
+
+// Relevance of a medicine for the query words, and the field that matched best
+const scoreMedicine = (words, search) => {
+  let total = 0;
+  const fieldTotals = {};
+
+  for (const word of words) {
+    let best = 0;
+    let bestField = null;
+
+    for (const [field, weight] of Object.entries(MEDICINE_SEARCH_FIELDS)) {
+      for (const term of search?.terms?.[field] || []) {
+        const score = (weight * wordScore(word, term)) / TOP_WEIGHT;
+        if (score > best) {
+          best = score;
+          bestField = field;
+        }
+      }
+    }
+
+    total += best;
+    if (bestField) fieldTotals[bestField] = (fieldTotals[bestField] || 0) + best;
+  }
+
+  const matchedOn = Object.keys(fieldTotals).sort((a, b) => fieldTotals[b] - fieldTotals[a])[0];
+  return { relevance: total / words.length, matchedOn };
+};
+
+// Pharmacies with each medicine in stock, cheapest first
+const findShelves = async (medicineIds, { pharmacyId, minPrice, maxPrice }) => {
+  const match = {
+    medicineId: { $in: medicineIds },
+    isAvailable: true,
+    isDeleted: false,
+    stock: { $gt: 0 },
+  };
+  if (pharmacyId) match.pharmacyId = toObjectId(pharmacyId, "pharmacy");
+  if (minPrice || maxPrice) {
+    match.price = {};
+    if (minPrice) match.price.$gte = parseFloat(minPrice);
+    if (maxPrice) match.price.$lte = parseFloat(maxPrice);
+  }
+
+  const groups = await PharmacyMedicine.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Pharmacy.collection.name,
+        localField: "pharmacyId",
+        foreignField: "_id",
+        pipeline: [{ $match: { isDeleted: { $ne: true } } }, { $project: { name: 1 } }],
+        as: "pharmacy",
+      },
+    },
+    { $unwind: "$pharmacy" },
+    { $sort: { price: 1, _id: 1 } },
+    {
+      $group: {
+        _id: "$medicineId",
+        options: {
+          $push: {
+            pharmacyId: "$pharmacy._id",
+            pharmacyName: "$pharmacy.name",
+            price: "$price",
+            stock: "$stock",
+            discount: "$discount",
+            isAvailable: "$isAvailable",
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(groups.map((group) => [group._id.toString(), group.options]));
+};
+
+/**
+ * Fuzzy search over the name, generic name, active ingredient and manufacturer
+ * of medicines, in Arabic or English. Candidates are fetched by the trigrams
+ * they share with the query, then scored word by word so small typos still
+ * match. A strong match on a brand name also returns the medicines with the
+ * same active ingredient. Medicines in stock rank above those that are not.
+ *
+ * Filters: category, prescriptionRequired, and on the pharmacy shelves
+ * pharmacyId, minPrice and maxPrice.
+ */
+export const searchMedicineIndex = async (
+  query,
+  { category, prescriptionRequired, pharmacyId, minPrice, maxPrice, page = 1, limit = 10 } = {}
+) => {
+  const words = tokenize(query);
+  if (words.length === 0) {
+    throw httpError(400, "A search query is required");
+  }
+
+  const medicineMatch = { isDeleted: false };
+  if (category) medicineMatch.categoryId = toObjectId(category, "category");
+  if (prescriptionRequired) medicineMatch.prescriptionRequired = prescriptionRequired === "true";
+
+  const grams = trigrams(words);
+  const candidates = await Medicine.aggregate([
+    { $match: { ...medicineMatch, "search.grams": { $in: grams } } },
+    { $addFields: { gramHits: { $size: { $setIntersection: ["$search.grams", grams] } } } },
+    { $match: { gramHits: { $gte: Math.max(1, Math.ceil(grams.length * MIN_GRAM_SHARE)) } } },
+    { $sort: { gramHits: -1, _id: 1 } },
+    { $limit: MAX_CANDIDATES },
+  ]);
+
+  const matches = candidates
+    .map((medicine) => ({ medicine, ...scoreMedicine(words, medicine.search) }))
+    .filter((match) => match.relevance >= MIN_RELEVANCE);
+
+  // Brand names lead to their generics and the other brands of the same ingredient
+  const strong = matches.filter(
+    (match) => match.matchedOn === "name" && match.relevance >= STRONG_MATCH
+  );
+  if (strong.length > 0) {
+    const related = await Medicine.find({
+      ...medicineMatch,
+      _id: { $nin: matches.map((match) => match.medicine._id) },
+      "search.ingredient": {
+        $in: strong.map((match) => match.medicine.search.ingredient).filter(Boolean),
+      },
+    })
+      .select("+search")
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    for (const medicine of related) {
+      const source = strong.find(
+        (match) => match.medicine.search.ingredient === medicine.search.ingredient
+      );
+      matches.push({
+        medicine,
+        relevance: source.relevance * SAME_INGREDIENT_SHARE,
+        matchedOn: "activeIngredient",
+      });
+    }
+  }
+
+  const shelves = await findShelves(
+    matches.map((match) => match.medicine._id),
+    { pharmacyId, minPrice, maxPrice }
+  );
+  const shelfFilter = Boolean(pharmacyId || minPrice || maxPrice);
+
+  const ranked = matches
+    .map((match) => {
+      const options = shelves.get(match.medicine._id.toString()) || [];
+      const inStock = match.medicine.isAvailable !== false && options.length > 0;
+      return {
+        ...match,
+        options,
+        score: match.relevance * (1 - AVAILABILITY_WEIGHT) + (inStock ? AVAILABILITY_WEIGHT : 0),
+      };
+    })
+    // Shelf filters leave out medicines no matching pharmacy has
+    .filter((match) => !shelfFilter || match.options.length > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.medicine.rating || 0) - (a.medicine.rating || 0) ||
+        String(a.medicine.name).localeCompare(String(b.medicine.name))
+    );
+
+  const items = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map(({ medicine: { search, gramHits, ...medicine }, relevance, matchedOn, options }) => ({
+      ...medicine,
+      relevance: Number(relevance.toFixed(3)),
+      matchedOn,
+      pharmacyInfo: options[0] || null,
+      pharmacyOptions: options,
+    }));
+
+  return { items, total: ranked.length };
+};
+
+// Index medicines saved before the search index existed or with an older
+// layout of it. Returns how many were indexed.
+export const indexStaleMedicines = async () => {
+  const medicines = await Medicine.find({ "search.version": { $ne: SEARCH_INDEX_VERSION } })
+    .select(Object.keys(MEDICINE_SEARCH_FIELDS).join(" "))
+    .limit(INDEX_BATCH_SIZE)
+    .lean();
+
+  if (medicines.length === 0) return 0;
+
+  await Medicine.bulkWrite(
+    medicines.map((medicine) => ({
+      updateOne: {
+        filter: { _id: medicine._id },
+        update: { $set: { search: buildMedicineSearch(medicine) } },
+        timestamps: false,
+      },
+    }))
+  );
+
+  return medicines.length;
+};
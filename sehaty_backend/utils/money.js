@@ -0,0 +1,20 @@
+// Round an amount of money to piasters
+export const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Spread an amount over shares proportionally, the last share absorbs rounding
+export const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!amount || !totalWeight) return weights.map(() => 0);
+
+  let remaining = amount;
+  let lastIndex = weights.length - 1;
+  while (lastIndex > 0 && !weights[lastIndex]) lastIndex -= 1;
+
+  return weights.map((weight, index) => {
+    if (index === lastIndex) return roundMoney(remaining);
+    if (index > lastIndex) return 0;
+    const share = roundMoney((amount * weight) / totalWeight);
+    remaining -= share;
+    return share;
+  });
+};
@@ -0,0 +1,38 @@
+import Notification from "../models/NotificationModel.js";
+import User from "../models/UserModel.js";
+import admin from "./firebase.js";
+
+/**
+ * Push a notification to a user's device, if they registered one.
+ *
+ * A failed push is logged and never fails the caller.
+ */
+export const sendPush = async (userId, { title, body, data = {} }) => {
+  try {
+    const user = await User.findById(userId).select("firebase_token");
+    if (user?.firebase_token) {
+      await admin.messaging().send({
+        notification: { title, body },
+        // FCM data values must be strings
+        data: Object.fromEntries(
+          Object.entries(data).map(([key, value]) => [key, String(value)])
+        ),
+        token: user.firebase_token,
+      });
+    }
+  } catch (error) {
+    console.error(`Push notification to ${userId} failed:`, error.message);
+  }
+};
+
+/**
+ * Store an in-app notification for a user and push it to their device.
+ *
+ * A failed push is logged and never fails the caller, the stored
+ * notification is still shown in the app.
+ */
+export const notifyUser = async (userId, { title, body, type = "system", data = {} }) => {
+  const notification = await Notification.create({ userId, title, body, type });
+  await sendPush(userId, { title, body, data });
+  return notification;
+};
@@ -0,0 +1,119 @@
+import Order from "../models/OrderModel.js";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import Stock from "../models/StockModel.js";
+import { syncDeliveryStatus } from "./deliveries.js";
+import { releaseDeliverySlot } from "./deliverySlots.js";
+import { canTransition, setOrderStatus } from "./orderStatus.js";
+import { rollUpParentStatus } from "./orderSplit.js";
+import { rollbackPromo } from "./promoEngine.js";
+import { paymentProviderOf } from "./payments/index.js";
+import { openRefund } from "./refunds.js";
+import { releaseReservations } from "./stockReservation.js";
+import { withdrawOpenSubstitutions } from "./substitutions.js";
+
+// Put the items of a cancelled order back on the pharmacy shelves
+const restoreStock = async (items) => {
+  for (const item of items) {
+    const pharmacyMedicine = await PharmacyMedicine.findOne({
+      medicineId: item.medicine,
+      pharmacyId: item.pharmacyId,
+      isAvailable: true,
+    });
+
+    if (pharmacyMedicine) {
+      pharmacyMedicine.stock += item.quantity;
+      await pharmacyMedicine.save();
+
+      // Update stock record
+      const stock = await Stock.findOne({
+        pharmacyId: item.pharmacyId,
+        medicineId: item.medicine,
+      });
+
+      if (stock) {
+        stock.quantity = pharmacyMedicine.stock;
+        await stock.save();
+      }
+    }
+  }
+};
+
+// Give back the stock of a cancelled order
+const releaseOrderStock = async (order) => {
+  const released = await releaseReservations(order._id, "cancelled");
+
+  // Orders placed before reservations existed took their stock directly
+  if (released === null && (order.isPaid || paymentProviderOf(order).flow !== "redirect")) {
+    await restoreStock(order.items);
+  }
+};
+
+// A payment taken online has to go back to the customer, queue it for review
+const openCancellationRefund = async (order, user, reason) => {
+  if (!order.isPaid || paymentProviderOf(order).flow === "on_delivery") return;
+
+  try {
+    await openRefund(order, { user, reason: reason || "Order cancelled" });
+  } catch (error) {
+    // The cancellation itself went through, the refund can still be requested by hand
+    console.error(`Could not open a refund for order ${order._id}:`, error.message);
+  }
+};
+
+// Once the whole checkout is cancelled its promo code use is given back
+export const rollbackCancelledPromo = async (parentOrderId) => {
+  const parentOrder = await Order.findById(parentOrderId).select("status");
+  if (parentOrder?.status === "cancelled") {
+    await rollbackPromo(parentOrderId);
+  }
+};
+
+// Cancel one order document and undo what it held: stock, delivery slot and payment
+const cancelShipment = async (order, { user, reason }) => {
+  setOrderStatus(order, "cancelled", { user, note: reason });
+  order.cancellationReason = reason;
+  await order.save();
+  await releaseOrderStock(order);
+  await withdrawOpenSubstitutions(order._id, reason || "Order cancelled");
+  await releaseDeliverySlot(order);
+  await syncDeliveryStatus(order, "cancelled");
+  await openCancellationRefund(order, user, reason);
+};
+
+/**
+ * Cancel an order and everything that depends on it.
+ *
+ * Cancelling a sub-order leaves the other pharmacies' parts in place and
+ * re-derives the checkout status. Cancelling a checkout cancels every
+ * shipment that has not left the pharmacy yet. The caller checks that the
+ * order itself may be cancelled.
+ */
+export const cancelOrderAndShipments = async (order, { user, reason } = {}) => {
+  if (order.parentOrderId) {
+    await cancelShipment(order, { user, reason });
+    await rollUpParentStatus(order.parentOrderId);
+    await rollbackCancelledPromo(order.parentOrderId);
+    return;
+  }
+
+  const subOrders = await Order.find({ parentOrderId: order._id });
+
+  for (const subOrder of subOrders) {
+    if (!canTransition(subOrder.status, "cancelled")) continue;
+    await cancelShipment(subOrder, { user, reason });
+  }
+
+  if (subOrders.length > 0) {
+    setOrderStatus(order, "cancelled", { user, note: reason });
+    order.cancellationReason = reason;
+    await order.save();
+
+    // Shipments that were already sent keep the order going
+    await rollUpParentStatus(order._id);
+  } else {
+    // Orders placed before the split hold their items directly
+    await cancelShipment(order, { user, reason });
+  }
+
+  await rollbackCancelledPromo(order._id);
+};
@@ -0,0 +1,14 @@
+import { EventEmitter } from "events";
+
+/**
+ * In-process events about orders, so live tracking and notifications can
+ * follow order changes without every writer knowing about them. Listeners
+ * run synchronously and have to catch their own errors.
+ *
+ * - "status"   (order)    an order was saved with a new status
+ * - "delivery" (delivery) a delivery record changed status
+ * - "location" (delivery) a courier reported a new position
+ */
+export const orderEvents = new EventEmitter();
+
+export default orderEvents;
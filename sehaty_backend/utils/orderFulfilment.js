@@ -0,0 +1,114 @@
+import { syncDeliveryStatus } from "./deliveries.js";
+import { httpError } from "./httpError.js";
+import { cancelOrderAndShipments } from "./orderCancellation.js";
+import { notifyOrderEvent, notifyOrderStatus } from "./orderNotifier.js";
+import { setOrderStatus, statusEntry } from "./orderStatus.js";
+import { rollUpParentStatus } from "./orderSplit.js";
+import { notifyPickupReady, startPickupHold } from "./pickup.js";
+import { hasOpenSubstitution } from "./substitutions.js";
+
+// Statuses in which a pharmacy still decides whether it takes the order
+const REVIEWABLE_STATUSES = ["pending", "confirmed"];
+
+// Set the status of a single order and keep its delivery record in step
+export const applyOrderStatus = async (order, status, { user, note } = {}) => {
+  setOrderStatus(order, status, { user, note });
+
+  // Packed pickup shipments wait at the counter for a limited time
+  const isPickupReady = status === "ready_for_pickup" && order.pickup?.code;
+  if (isPickupReady) {
+    startPickupHold(order);
+  }
+
+  await order.save();
+
+  if (isPickupReady) {
+    await notifyPickupReady(order);
+  }
+
+  await syncDeliveryStatus(order, status);
+};
+
+const assertReviewable = (order) => {
+  if (order.pharmacyReview?.decision || !REVIEWABLE_STATUSES.includes(order.status)) {
+    throw httpError(400, "This order has already been accepted or rejected");
+  }
+};
+
+// The checkout follows its shipments
+const rollUp = async (order) => {
+  if (order.parentOrderId) {
+    await rollUpParentStatus(order.parentOrderId);
+  }
+};
+
+/**
+ * A pharmacy takes a shipment and starts packing it. Orders paid on
+ * delivery are confirmed on the way, paid ones already are.
+ */
+export const acceptPharmacyOrder = async (order, { user, note } = {}) => {
+  assertReviewable(order);
+
+  const wasPending = order.status === "pending";
+  order.pharmacyReview = { decision: "accepted", reviewedBy: user._id, reviewedAt: new Date() };
+
+  if (wasPending) {
+    setOrderStatus(order, "confirmed", { user, note: "Accepted by the pharmacy" });
+  }
+  await applyOrderStatus(order, "processing", { user, note });
+  await rollUp(order);
+
+  if (wasPending) {
+    await notifyOrderEvent(order, "order_confirmed");
+  }
+
+  return order;
+};
+
+// A pharmacy turns a shipment down. It is cancelled and refunded like any cancellation.
+export const rejectPharmacyOrder = async (order, { user, reason } = {}) => {
+  if (!reason?.trim()) {
+    throw httpError(400, "A reason is required to reject an order");
+  }
+  assertReviewable(order);
+
+  order.pharmacyReview = {
+    decision: "rejected",
+    reason,
+    reviewedBy: user._id,
+    reviewedAt: new Date(),
+  };
+  await cancelOrderAndShipments(order, { user, reason });
+  await notifyOrderStatus(order, { reason });
+
+  return order;
+};
+
+/**
+ * Mark an accepted shipment as packed. Pickup orders then wait at the
+ * counter, delivery orders for the courier.
+ */
+export const packPharmacyOrder = async (order, { user, note } = {}) => {
+  if (order.status !== "processing" || order.packing?.packedAt) {
+    throw httpError(400, "Only accepted orders that are not packed yet can be packed");
+  }
+
+  // A line with a proposed replacement cannot be packed yet
+  if (await hasOpenSubstitution(order._id)) {
+    throw httpError(400, "The customer has not answered a proposed replacement yet");
+  }
+
+  order.packing = { packedAt: new Date(), packedBy: user._id };
+
+  if (order.fulfillment === "pickup") {
+    await applyOrderStatus(order, "ready_for_pickup", { user, note: note || "Packed" });
+    await rollUp(order);
+  } else {
+    order.statusHistory.push(
+      statusEntry(order.status, { user, note: note || "Packed, waiting for the courier" })
+    );
+    await order.save();
+  }
+
+  return order;
+};
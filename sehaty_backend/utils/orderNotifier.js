@@ -0,0 +1,115 @@
+import Notification from "../models/NotificationModel.js";
+import User from "../models/UserModel.js";
+import { sendOrderEmail } from "./emailService.js";
+import { sendPush } from "./notifications.js";
+
+// Customer-facing order events and what they say. The in-app notification is
+// always kept, push and email can be turned off per event.
+export const ORDER_EVENTS = {
+  order_placed: {
+    title: "Order placed",
+    message: (ref) => `We received your order ${ref} and the pharmacy will confirm it shortly.`,
+  },
+  order_confirmed: {
+    title: "Order confirmed",
+    message: (ref) => `Your order ${ref} is confirmed and being prepared.`,
+  },
+  order_shipped: {
+    title: "Order on the way",
+    message: (ref) => `Your order ${ref} has left the pharmacy and is on its way to you.`,
+  },
+  order_delivered: {
+    title: "Order delivered",
+    message: (ref) => `Your order ${ref} has been delivered. Get well soon!`,
+  },
+  order_cancelled: {
+    title: "Order cancelled",
+    message: (ref, { reason }) =>
+      `Your order ${ref} has been cancelled${reason ? `: ${reason}` : "."}`,
+  },
+  substitution_proposed: {
+    title: "Replacement suggested",
+    message: (ref, { reason }) =>
+      `An item of your order ${ref} is out of stock${reason ? `: ${reason}` : "."} Open the order to accept or reject the replacement.`,
+  },
+  payment_failed: {
+    title: "Payment failed",
+    message: (ref) =>
+      `The payment for your order ${ref} did not go through and no money was taken. You can retry the payment from the order page.`,
+  },
+};
+
+export const NOTIFICATION_CHANNELS = ["push", "email"];
+
+// Event announced when an order reaches a status, if any
+const EVENT_FOR_STATUS = {
+  confirmed: "order_confirmed",
+  shipped: "order_shipped",
+  delivered: "order_delivered",
+  cancelled: "order_cancelled",
+  payment_failed: "payment_failed",
+};
+
+// Channels of every order event for a user, unset ones default to on
+export const resolvePreferences = (user) =>
+  Object.fromEntries(
+    Object.keys(ORDER_EVENTS).map((event) => {
+      const chosen = user.notificationPreferences?.get(event);
+      return [
+        event,
+        Object.fromEntries(
+          NOTIFICATION_CHANNELS.map((channel) => [channel, chosen?.[channel] ?? true])
+        ),
+      ];
+    })
+  );
+
+// Sub-orders carry a tracking number, checkout orders are shown by id
+const orderReference = (order) =>
+  order.trackingNumber || `#${order._id.toString().slice(-8).toUpperCase()}`;
+
+/**
+ * Tell a customer about an order event on the channels they chose.
+ *
+ * Never fails the caller: notifications go out after the order change is
+ * saved, a broken push or mail server must not undo it.
+ */
+export const notifyOrderEvent = async (order, event, { reason } = {}) => {
+  const template = ORDER_EVENTS[event];
+  if (!template) return;
+
+  try {
+    const user = await User.findById(order.userId).select("email notificationPreferences");
+    if (!user) return;
+
+    const channels = resolvePreferences(user)[event];
+    const reference = orderReference(order);
+    const title = template.title;
+    const body = template.message(reference, { reason });
+    // The app opens the checkout order, shipments are shown inside it
+    const orderId = order.parentOrderId || order._id;
+
+    await Notification.create({
+      userId: user._id,
+      title,
+      body,
+      type: "order",
+      orderId,
+      event,
+    });
+
+    if (channels.push) {
+      await sendPush(user._id, { title, body, data: { orderId, event, status: order.status } });
+    }
+
+    if (channels.email && user.email) {
+      await sendOrderEmail(user.email, { subject: title, heading: title, message: body, reference });
+    }
+  } catch (error) {
+    console.error(`Order notification ${event} for ${order._id} failed:`, error.message);
+  }
+};
+
+// Announce the status an order has just reached
+export const notifyOrderStatus = (order, options) =>
+  notifyOrderEvent(order, EVENT_FOR_STATUS[order.status], options);
@@ -0,0 +1,272 @@
+import Address from "../models/AddressModel.js";
+import Cart from "../models/CartModel.js";
+import Order from "../models/OrderModel.js";
+import { httpError } from "./httpError.js";
+import { cancelOrderAndShipments } from "./orderCancellation.js";
+import { notifyOrderStatus } from "./orderNotifier.js";
+import {
+  createSubOrderDeliveries,
+  updateSubOrders,
+} from "./orderSplit.js";
+import { setOrderStatus, statusEntry } from "./orderStatus.js";
+import { paymentProviderOf, redirectProviderCodes } from "./payments/index.js";
+import { approveRefund, openRefund } from "./refunds.js";
+import {
+  commitReservations,
+  reclaimReleasedReservations,
+  reholdReservations,
+  releaseReservations,
+} from "./stockReservation.js";
+import { runInTransaction } from "./transaction.js";
+import { config } from "../config/config.js";
+
+const MINUTE = 60000;
+
+// States a checkout order waits for its payment in
+const AWAITING_PAYMENT = ["payment_pending", "payment_failed"];
+
+/**
+ * Open the provider's payment page for a checkout order. Every call is a new
+ * attempt, the order is saved with where the payment stands. Returns the
+ * page URL and the deep link back into the app.
+ */
+export const startOrderPayment = async (order, { user, address }) => {
+  const intent = await paymentProviderOf(order).createIntent(order, { user, address });
+
+  order.paymentDueAt = new Date(Date.now() + config.order.paymentTimeoutMinutes * MINUTE);
+  await order.save();
+
+  return intent;
+};
+
+/**
+ * Let the customer pay an unpaid order again. A failed order holds its
+ * stock again first, it was given back when the payment failed.
+ */
+export const retryPayment = async (order, { user }) => {
+  if (paymentProviderOf(order).flow !== "redirect" || order.isPaid || order.parentOrderId) {
+    throw httpError(400, "Only unpaid card orders can be paid again");
+  }
+  if (!["payment_pending", "payment_failed"].includes(order.status)) {
+    throw httpError(400, "This order can no longer be paid");
+  }
+
+  if (order.status === "payment_failed") {
+    await runInTransaction((session) => reholdReservations(order._id, { session }));
+
+    setOrderStatus(order, "payment_pending", { user, note: "Payment retried" });
+    await order.save();
+    await updateSubOrders(
+      order._id,
+      { status: "payment_pending" },
+      { user, note: "Payment retried" }
+    );
+  }
+
+  const address = order.deliveryAddress ? await Address.findById(order.deliveryAddress) : null;
+  return startOrderPayment(order, { user, address });
+};
+
+// Mark an unpaid order in one of these states as paid. One write, so two
+// reports of the same payment can never both claim it.
+const claimPayment = (orderId, statuses) =>
+  Order.findOneAndUpdate(
+    { _id: orderId, isPaid: false, status: { $in: statuses } },
+    { $set: { isPaid: true, paidAt: new Date() } },
+    { new: true }
+  );
+
+// Send back a payment the order cannot be fulfilled for
+const refundPayment = async (order, reason) => {
+  try {
+    if (order.refundStatus !== "pending") {
+      await openRefund(order, { reason });
+    }
+    await approveRefund(order, { note: reason });
+  } catch (error) {
+    // The refund stays open for an admin to approve
+    console.error(`Could not refund the payment of order ${order._id}:`, error.message);
+  }
+};
+
+/**
+ * Start fulfilling a checkout order claimed with claimPayment. The stock a
+ * failed payment or an expired hold gave back is taken again; when it is
+ * gone, or the order was cancelled meanwhile, the payment is refunded.
+ * Returns "confirmed", "cancelled" or "refunded".
+ */
+const completePaidOrder = async (order, transactionId) => {
+  paymentProviderOf(order).recordOutcome(order, { status: "paid", transactionId });
+
+  if (order.status === "cancelled") {
+    await order.save();
+    await refundPayment(order, "Paid after the order was cancelled");
+    return "refunded";
+  }
+
+  if (!(await reclaimReleasedReservations(order._id))) {
+    const reason = "The items sold out before the payment arrived";
+    await cancelOrderAndShipments(order, { reason });
+    await refundPayment(order, reason);
+    return "cancelled";
+  }
+
+  order.status = "confirmed";
+  order.statusHistory.push(statusEntry("confirmed", { note: "Payment received" }));
+
+  await order.save();
+
+  await updateSubOrders(
+    order._id,
+    {
+      isPaid: true,
+      paidAt: order.paidAt,
+      status: "confirmed"
+    },
+    { note: "Payment received" }
+  );
+
+  // The stock was held when the order was placed, make it final
+  await commitReservations(order._id);
+
+  // Create a delivery record for each sub-order
+  await createSubOrderDeliveries(order);
+
+  // Clear cart
+  await Cart.findOneAndUpdate(
+    { userId: order.userId },
+    { $set: { items: [] } }
+  );
+
+  return "confirmed";
+};
+
+// Mark a checkout order as failed and give its held stock back,
+// the customer can retry the payment for a while
+export const failOrderPayment = async (order, transactionId, { note = "Payment failed" } = {}) => {
+  if (order.isPaid) return;
+
+  order.status = "payment_failed";
+  order.statusHistory.push(statusEntry("payment_failed", { note }));
+  paymentProviderOf(order).recordOutcome(order, { status: "failed", transactionId });
+  order.paymentDueAt = new Date(Date.now() + config.order.paymentRetryHours * 60 * MINUTE);
+
+  await order.save();
+  await updateSubOrders(
+    order._id,
+    { status: "payment_failed" },
+    { note }
+  );
+  await releaseReservations(order._id, "payment_failed");
+};
+
+/**
+ * Apply a provider's callback to its checkout order and tell the customer.
+ * Providers may report the same outcome more than once, and a success may
+ * arrive after the order was failed or cancelled. Returns the order.
+ */
+export const settleOrderPayment = async (orderId, { success, transactionId }) => {
+  if (success) {
+    const claimed =
+      (await claimPayment(orderId, AWAITING_PAYMENT)) ||
+      (await claimPayment(orderId, ["cancelled"]));
+
+    if (claimed) {
+      const outcome = await completePaidOrder(claimed, transactionId);
+      if (outcome === "confirmed") {
+        await notifyOrderStatus(claimed);
+      } else if (outcome === "cancelled") {
+        await notifyOrderStatus(claimed, { reason: claimed.cancellationReason });
+      }
+      return claimed;
+    }
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw httpError(404, "Order not found");
+  }
+
+  if (!success) {
+    const alreadySettled = order.isPaid || order.status === "payment_failed";
+    await failOrderPayment(order, transactionId);
+    if (!alreadySettled) {
+      await notifyOrderStatus(order);
+    }
+  }
+
+  return order;
+};
+
+// Unpaid checkout orders whose payment or retry window has closed
+const overdueOrders = (status, now, graceMs) =>
+  Order.find({
+    status,
+    paymentMethod: { $in: redirectProviderCodes() },
+    isPaid: false,
+    parentOrderId: null,
+    isDeleted: { $ne: true },
+    $or: [
+      { paymentDueAt: { $lte: now } },
+      // Orders placed before payment deadlines were stored
+      { paymentDueAt: null, updatedAt: { $lte: new Date(now.getTime() - graceMs) } },
+    ],
+  });
+
+/**
+ * Settle card orders nobody finished paying for.
+ *
+ * Orders still waiting for payment are checked with their provider: a payment that
+ * went through confirms the order, anything else fails it and gives its
+ * stock back. Failed orders that were not retried in time are cancelled.
+ * Returns the order ids per outcome.
+ */
+export const expireUnpaidOrders = async (now = new Date()) => {
+  const result = { paid: [], failed: [], cancelled: [] };
+
+  const pending = await overdueOrders(
+    "payment_pending",
+    now,
+    config.order.paymentTimeoutMinutes * MINUTE
+  );
+
+  for (const order of pending) {
+    try {
+      const { state, transactionId } = await paymentProviderOf(order).verify(order);
+      // The provider is still processing it, look again on the next run
+      if (state === "pending") continue;
+
+      if (state === "paid") {
+        await settleOrderPayment(order._id, { success: true, transactionId });
+        result.paid.push(order._id);
+      } else {
+        await failOrderPayment(order, transactionId, {
+          note: state === "abandoned" ? "Payment not completed in time" : "Payment failed",
+        });
+        result.failed.push(order._id);
+        await notifyOrderStatus(order);
+      }
+    } catch (error) {
+      console.error(`Could not settle unpaid order ${order._id}:`, error.message);
+    }
+  }
+
+  const failed = await overdueOrders(
+    "payment_failed",
+    now,
+    config.order.paymentRetryHours * 60 * MINUTE
+  );
+
+  for (const order of failed) {
+    try {
+      const reason = "Payment was not completed";
+      await cancelOrderAndShipments(order, { reason });
+      result.cancelled.push(order._id);
+      await notifyOrderStatus(order, { reason });
+    } catch (error) {
+      console.error(`Could not cancel unpaid order ${order._id}:`, error.message);
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import Order from "../models/OrderModel.js";
+import Delivery from "../models/DeliveryModel.js";
+import { orderEvents } from "./orderEvents.js";
+import { statusEntry } from "./orderStatus.js";
+
+// Short, human readable tracking number, e.g. SH-LX3K9A2B-4F1C
+export const generateTrackingNumber = () => {
+  const time = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(2).toString("hex").toUpperCase();
+  return `SH-${time}-${random}`;
+};
+
+// Create one child order per pharmacy shipment under the given parent order
+export const createSubOrders = async (parentOrder, shipments, { session } = {}) => {
+  const subOrders = [];
+
+  for (const shipment of shipments) {
+    const { items, itemsTotal, itemDiscount, subtotal, promoDiscount, deliveryFee, total } =
+      shipment;
+
+    const subOrder = new Order({
+      userId: parentOrder.userId,
+      parentOrderId: parentOrder._id,
+      pharmacyId: shipment.pharmacyId,
+      items,
+      subtotal,
+      deliveryFee,
+      total,
+      priceBreakdown: {
+        itemsTotal,
+        itemDiscount,
+        subtotal,
+        promoDiscount,
+        deliveryFee,
+        total,
+        currency: parentOrder.priceBreakdown?.currency,
+      },
+      promoCode: parentOrder.promoCode,
+      paymentMethod: parentOrder.paymentMethod,
+      fulfillment: parentOrder.fulfillment,
+      deliveryAddress: parentOrder.deliveryAddress,
+      status: parentOrder.status,
+      statusHistory: parentOrder.statusHistory.map(
+        ({ status, changedBy, role, note, changedAt }) => ({
+          status,
+          changedBy,
+          role,
+          note,
+          changedAt,
+        })
+      ),
+      isPaid: parentOrder.isPaid,
+      paidAt: parentOrder.paidAt,
+      trackingNumber: generateTrackingNumber(),
+    });
+
+    await subOrder.save({ session });
+    subOrders.push(subOrder);
+  }
+
+  parentOrder.subOrders = subOrders.map((subOrder) => subOrder._id);
+  await parentOrder.save({ session });
+
+  return subOrders;
+};
+
+// Create a delivery record for each sub-order of a parent order
+export const createSubOrderDeliveries = async (parentOrder) => {
+  // Pickup orders are collected at the pharmacy, nothing to deliver
+  if (parentOrder.fulfillment === "pickup") return;
+
+  const subOrders = await Order.find({ parentOrderId: parentOrder._id });
+
+  // Orders placed before the split have no children and are shipped as one
+  const shipments = subOrders.length > 0 ? subOrders : [parentOrder];
+
+  for (const shipment of shipments) {
+    const exists = await Delivery.exists({ orderId: shipment._id });
+    if (exists) continue;
+
+    const { start, end } = shipment.deliverySlot || {};
+
+    await Delivery.create({
+      orderId: shipment._id,
+      status: "pending",
+      trackingNumber: shipment.trackingNumber,
+      // A booked window is the delivery promise
+      ...(start && { scheduledSlot: { start, end }, estimatedDeliveryDate: end }),
+    });
+  }
+};
+
+// Apply the same field updates to every sub-order of a parent order
+export const updateSubOrders = async (parentOrderId, updates, { user, note } = {}) => {
+  const update = { $set: updates };
+  if (updates.status) {
+    update.$push = { statusHistory: statusEntry(updates.status, { user, note }) };
+  }
+
+  await Order.updateMany({ parentOrderId }, update);
+
+  // Bulk updates skip the save hooks, announce the new status by hand
+  if (updates.status) {
+    const subOrders = await Order.find({ parentOrderId });
+    subOrders.forEach((subOrder) => orderEvents.emit("status", subOrder));
+  }
+};
+
+// Derive the parent order status from the statuses of its sub-orders
+export const rollUpParentStatus = async (parentOrderId) => {
+  const parentOrder = await Order.findById(parentOrderId);
+  if (!parentOrder) return null;
+
+  const subOrders = await Order.find({ parentOrderId }).select("status");
+  if (subOrders.length === 0) return parentOrder;
+
+  const active = subOrders
+    .map((subOrder) => subOrder.status)
+    .filter((status) => status !== "cancelled");
+
+  let status;
+  if (active.length === 0) {
+    status = "cancelled";
+  } else if (active.every((subStatus) => subStatus === active[0])) {
+    status = active[0];
+  } else {
+    status = "processing";
+  }
+
+  if (status === parentOrder.status) return parentOrder;
+
+  parentOrder.status = status;
+  parentOrder.statusHistory.push(
+    statusEntry(status, { note: "Updated from pharmacy shipments" })
+  );
+
+  if (status === "delivered") {
+    parentOrder.deliveredAt = new Date();
+  }
+
+  await parentOrder.save();
+  return parentOrder;
+};
+
+// Load the sub-orders of a parent order together with their deliveries
+export const getShipments = async (parentOrderId) => {
+  const subOrders = await Order.find({ parentOrderId })
+    .populate("items.medicine")
+    .populate("items.prescriptionId", "title doctorName validUntil status image")
+    .populate({ path: "pharmacyId", select: "name address phone" })
+    .sort({ createdAt: 1 });
+
+  return Promise.all(
+    subOrders.map(async (subOrder) => ({
+      order: subOrder,
+      // The code the customer reads out to the courier
+      delivery: await Delivery.findOne({ orderId: subOrder._id }).select("+otp"),
+    }))
+  );
+};
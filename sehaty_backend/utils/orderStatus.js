@@ -0,0 +1,85 @@
+import { httpError } from "./httpError.js";
+
+// Allowed moves between order statuses, anything not listed is refused
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  payment_pending: ["confirmed", "payment_failed", "cancelled"],
+  payment_failed: ["payment_pending", "cancelled"],
+  confirmed: ["processing", "ready_for_pickup", "cancelled"],
+  processing: ["shipped", "ready_for_pickup", "cancelled"],
+  // Click-and-collect orders are handed over at the counter instead of shipped
+  ready_for_pickup: ["delivered", "cancelled"],
+  // A failed delivery brings the order back to the pharmacy
+  shipped: ["delivered", "processing"],
+  delivered: [],
+  cancelled: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses a pharmacy owner may set, payment statuses belong to the system
+export const PHARMACY_STATUSES = [
+  "confirmed",
+  "processing",
+  "ready_for_pickup",
+  "shipped",
+  "delivered",
+  "cancelled",
+];
+
+// Statuses that only make sense for one way of fulfilling an order
+const DELIVERY_ONLY_STATUSES = ["shipped"];
+const PICKUP_ONLY_STATUSES = ["ready_for_pickup"];
+
+export const canTransition = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+export const assertTransition = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw httpError(400, `Invalid order status: ${to}`);
+  }
+  if (!canTransition(from, to)) {
+    throw httpError(400, `Cannot change order status from ${from} to ${to}`);
+  }
+};
+
+// Refuse statuses that do not fit how the order reaches the customer
+export const assertFulfillmentStatus = (order, status) => {
+  const isPickup = order.fulfillment === "pickup";
+
+  if (isPickup && DELIVERY_ONLY_STATUSES.includes(status)) {
+    throw httpError(400, "Pickup orders are collected at the pharmacy, not shipped");
+  }
+  if (!isPickup && PICKUP_ONLY_STATUSES.includes(status)) {
+    throw httpError(400, "Only pickup orders can be made ready for pickup");
+  }
+};
+
+// Build a status history entry; without a user the change was made by the system
+export const statusEntry = (status, { user, note } = {}) => ({
+  status,
+  changedBy: user?._id,
+  role: user?.role || "system",
+  note,
+  changedAt: new Date(),
+});
+
+/**
+ * Move an order to a new status and append it to the order's history.
+ * The caller saves the order.
+ */
+export const setOrderStatus = (order, status, { user, note, force = false } = {}) => {
+  if (!force) {
+    assertTransition(order.status, status);
+    assertFulfillmentStatus(order, status);
+  }
+
+  order.status = status;
+  order.statusHistory.push(statusEntry(status, { user, note }));
+
+  if (status === "delivered") {
+    order.deliveredAt = new Date();
+  }
+
+  return order;
+};
@@ -0,0 +1,27 @@
+import { httpError } from "../httpError.js";
+
+// Cash handed to the courier or at the pharmacy counter. Nothing is charged
+// online, refunds are only recorded and the pharmacy gives the money back.
+const cashProvider = {
+  code: "cash",
+  flow: "on_delivery",
+
+  isEnabled: () => true,
+
+  createIntent: async () => ({}),
+
+  verify: async (order) => ({ state: order.isPaid ? "paid" : "pending" }),
+
+  handleWebhook: async () => {
+    throw httpError(400, "Cash payments have no callbacks");
+  },
+
+  refund: async () => ({}),
+
+  // Collected together with the rest of the order
+  chargeDifference: async () => ({}),
+
+  recordOutcome: () => {},
+};
+
+export default cashProvider;
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { httpError } from "../httpError.js";
+import { config } from "../../config/config.js";
+
+// Payment intents of this server process, the fake provider keeps no records
+const intents = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomUUID()}`;
+
+// The newest intent of an order, sub-orders are paid through their checkout
+const latestIntent = (order) => {
+  const orderId = (order.parentOrderId || order._id).toString();
+  return [...intents.values()]
+    .filter((intent) => intent.orderId === orderId && !intent.substitutionId)
+    .at(-1);
+};
+
+// The intent a fake payment was made through
+const intentOfTransaction = (transactionId) =>
+  [...intents.values()].find(
+    (candidate) => transactionId && candidate.transactionId === transactionId
+  );
+
+/**
+ * A stand-in for a card provider that never leaves this server, to run the
+ * whole checkout locally or in tests. Its payment page is served by the API
+ * and lets the customer pay or decline; nothing is charged.
+ *
+ * Only offered when PAYMENTS_FAKE_PROVIDER=true.
+ */
+const fakeProvider = {
+  code: "fake",
+  flow: "redirect",
+
+  isEnabled: () => config.payments.fakeProvider,
+
+  async createIntent(order) {
+    const intentId = newId("fake_intent");
+    intents.set(intentId, {
+      intentId,
+      orderId: order._id.toString(),
+      amount: order.total,
+      status: "pending",
+    });
+
+    return {
+      paymentUrl: `${config.server.baseUrl}/api/payment/fake/${intentId}`,
+      returnUrl: `${config.app.deepLinkScheme}://payment-complete/${order._id}`,
+    };
+  },
+
+  async verify(order) {
+    const intent = latestIntent(order);
+    if (!intent || intent.status === "pending") return { state: "abandoned" };
+
+    return { state: intent.status, transactionId: intent.transactionId };
+  },
+
+  // Called by the fake payment page with { intentId, success }
+  async handleWebhook({ intentId, success }) {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw httpError(404, "Payment not found");
+    }
+
+    // The page may be submitted twice, the first answer counts
+    if (intent.status === "pending") {
+      intent.status = success ? "paid" : "failed";
+      intent.transactionId = newId("fake_txn");
+    }
+
+    return {
+      success: intent.status === "paid",
+      orderId: intent.orderId,
+      substitutionId: intent.substitutionId,
+      transactionId: intent.transactionId,
+    };
+  },
+
+  async refund(order) {
+    const intent = latestIntent(order);
+    if (intent?.status !== "paid") {
+      throw httpError(400, "No fake payment found for this order");
+    }
+
+    return { transactionId: newId("fake_refund") };
+  },
+
+  async chargeDifference(order, substitution) {
+    const intentId = newId("fake_intent");
+    intents.set(intentId, {
+      intentId,
+      orderId: (order.parentOrderId || order._id).toString(),
+      substitutionId: substitution._id.toString(),
+      amount: substitution.priceDifference,
+      status: "pending",
+    });
+
+    return {
+      paymentUrl: `${config.server.baseUrl}/api/payment/fake/${intentId}`,
+      returnUrl: `${config.app.deepLinkScheme}://substitution/${substitution._id}`,
+    };
+  },
+
+  async confirmDifference(substitution, transactionId) {
+    const intent = intentOfTransaction(transactionId);
+    return (
+      intent?.status === "paid" &&
+      intent.substitutionId === substitution._id.toString() &&
+      intent.amount === substitution.settlement.amount
+    );
+  },
+
+  async refundDifference(substitution, transactionId) {
+    const intent = intentOfTransaction(transactionId);
+    if (intent?.status !== "paid" || intent.substitutionId !== substitution._id.toString()) {
+      throw httpError(400, "No fake payment found for this replacement");
+    }
+
+    return { transactionId: newId("fake_refund") };
+  },
+
+  recordOutcome: () => {},
+
+  // The intent behind a fake payment page, for rendering it
+  findIntent: (intentId) => intents.get(intentId),
+};
+
+export default fakeProvider;
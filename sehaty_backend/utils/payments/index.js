@@ -0,0 +1,113 @@
+import PaymentMethod from "../../models/PaymentMethod.js";
+import Pharmacy from "../../models/PharmacyModel.js";
+import { httpError } from "../httpError.js";
+import cashProvider from "./cashProvider.js";
+import fakeProvider from "./fakeProvider.js";
+import paymobProvider from "./paymobProvider.js";
+import walletProvider from "./walletProvider.js";
+
+/**
+ * Payment providers take the money for checkout orders. Each one is an
+ * object with:
+ *
+ * - code: what orders store as their `paymentMethod`
+ * - flow: "redirect" when the customer pays on a hosted page after the order
+ *   is placed, "instant" when it is charged inside the checkout transaction,
+ *   "on_delivery" when the money is collected in person
+ * - isEnabled(): whether it can be offered at all
+ * - createIntent(order, { user, address, session }): start paying for an
+ *   order. Redirect providers return { paymentUrl, returnUrl } and may set
+ *   their details on the order for the caller to save.
+ * - verify(order): where the payment stands,
+ *   { state: "paid" | "failed" | "pending" | "abandoned", transactionId }
+ * - handleWebhook(payload): read a provider callback into
+ *   { success, orderId, transactionId }
+ * - refund(order, amount, { user, session }): give money back, { transactionId }
+ * - chargeDifference(order, substitution, { user, session }): take what a
+ *   replaced order line costs more. Instant providers charge it in the
+ *   caller's transaction and return { transactionId }, redirect providers
+ *   return { paymentUrl, returnUrl } and may set their details on the
+ *   substitution for the caller to save.
+ * - confirmDifference(substitution, transactionId): redirect providers only,
+ *   whether that transaction paid the replacement's difference in full
+ * - refundDifference(substitution, transactionId): redirect providers only,
+ *   give that payment of the difference back, { transactionId }
+ * - recordOutcome(order, { status, transactionId }): note a settled payment
+ *   on the order
+ */
+export const PAYMENT_PROVIDERS = [paymobProvider, cashProvider, walletProvider, fakeProvider];
+
+// Payment method records made before providers were chosen per record
+const PROVIDER_FOR_NAME = { cash: "cash", card: "paymob", wallet: "wallet" };
+
+export const findPaymentProvider = (code) =>
+  PAYMENT_PROVIDERS.find((provider) => provider.code === code) || null;
+
+// The provider an order was paid through. Orders placed with methods that
+// no longer exist were paid on delivery.
+export const paymentProviderOf = (order) =>
+  findPaymentProvider(order.paymentMethod) || cashProvider;
+
+// Codes of the providers the customer pays for after placing the order
+export const redirectProviderCodes = () =>
+  PAYMENT_PROVIDERS.filter((provider) => provider.flow === "redirect").map(
+    (provider) => provider.code
+  );
+
+const providerOfMethod = (method) =>
+  findPaymentProvider(method.provider || PROVIDER_FOR_NAME[method.name]);
+
+/**
+ * Payment methods a checkout from these pharmacies can be paid with: the
+ * active PaymentMethod records whose provider is enabled, accepted by every
+ * pharmacy. A pharmacy without payment methods set accepts them all.
+ */
+export const availablePaymentMethods = async (pharmacyIds) => {
+  const [methods, pharmacies] = await Promise.all([
+    PaymentMethod.find({ isActive: true, isDeleted: { $ne: true } }),
+    Pharmacy.find({ _id: { $in: pharmacyIds } }).select("paymentMethods"),
+  ]);
+
+  // Until payment methods are set up in the admin panel every provider is offered
+  const candidates = methods.length
+    ? methods.map((method) => ({ method, provider: providerOfMethod(method) }))
+    : PAYMENT_PROVIDERS.map((provider) => ({ provider }));
+
+  const available = new Map();
+  for (const { method, provider } of candidates) {
+    if (!provider?.isEnabled() || available.has(provider.code)) continue;
+
+    const accepted = pharmacies.every(
+      (pharmacy) =>
+        !method ||
+        !pharmacy.paymentMethods?.length ||
+        pharmacy.paymentMethods.some((id) => id.equals(method._id))
+    );
+    if (!accepted) continue;
+
+    available.set(provider.code, {
+      code: provider.code,
+      flow: provider.flow,
+      name: method?.name || provider.code,
+      description: method?.description,
+    });
+  }
+
+  return [...available.values()];
+};
+
+// The provider for a checkout, refused when these pharmacies cannot take it
+export const resolvePaymentProvider = async (code, pharmacyIds) => {
+  if (!code) {
+    throw httpError(400, "Payment method is required");
+  }
+
+  const available = await availablePaymentMethods(pharmacyIds);
+  if (!available.some((method) => method.code === code)) {
+    throw httpError(400, `Payment method "${code}" is not available for this order`, {
+      paymentMethods: available,
+    });
+  }
+
+  return findPaymentProvider(code);
+};
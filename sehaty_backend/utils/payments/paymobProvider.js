@@ -0,0 +1,143 @@
+import Order from "../../models/OrderModel.js";
+import PaymobService, {
+  merchantOrderReference,
+  substitutionIdFromReference,
+  substitutionReference,
+} from "../paymob.service.js";
+import { httpError } from "../httpError.js";
+import { config } from "../../config/config.js";
+
+const isTrue = (value) => value === true || value === "true";
+
+// The Paymob transaction that paid for an order, sub-orders are paid through their checkout
+const paymentTransactionId = async (order) => {
+  if (order.paymob?.transactionId) return order.paymob.transactionId;
+  if (!order.parentOrderId) return null;
+
+  const parentOrder = await Order.findById(order.parentOrderId).select("paymob");
+  return parentOrder?.paymob?.transactionId || null;
+};
+
+const billingDataOf = (user, address) => ({
+  first_name: user.firstName || "Customer",
+  last_name: user.lastName || "User",
+  email: user.email,
+  phone_number: user.phone || "+201000000000",
+  country: "EG",
+  city: address?.city || "Cairo",
+  street: address?.street || "N/A",
+  building: address?.building || "N/A",
+  floor: address?.floor || "N/A",
+  apartment: address?.apartment || "N/A",
+});
+
+// Card payments on Paymob's hosted page
+const paymobProvider = {
+  code: "paymob",
+  flow: "redirect",
+
+  isEnabled: () => true,
+
+  // Every call is a new attempt with its own Paymob order
+  async createIntent(order, { user, address }) {
+    const attempt = (order.paymob?.attempts || 0) + 1;
+    const amountCents = Math.round(order.total * 100);
+    const returnUrl = `${config.app.deepLinkScheme}://payment-complete/${order._id}`;
+    const { paymentUrl, paymobOrderId } = await PaymobService.getPaymentUrl(
+      merchantOrderReference(order._id, attempt),
+      amountCents,
+      billingDataOf(user, address),
+      returnUrl
+    );
+
+    order.paymob = {
+      iframeId: PaymobService.iframeId,
+      orderId: paymobOrderId,
+      attempts: attempt,
+      amountCents,
+      paymentStatus: "pending",
+      callbackUrl: `${config.server.baseUrl}/api/payment/paymob/callback`,
+      returnUrl: returnUrl
+    };
+
+    return { paymentUrl, returnUrl };
+  },
+
+  // Asks Paymob, the customer may have paid without the callback reaching us
+  async verify(order) {
+    let transactionId = order.paymob?.transactionId;
+
+    if (!transactionId && order.paymob?.orderId) {
+      const transaction = await PaymobService.findOrderTransaction(order.paymob.orderId);
+      transactionId = transaction?.id;
+    }
+
+    if (!transactionId) return { state: "abandoned" };
+
+    const details = await PaymobService.verifyPayment(transactionId);
+    if (isTrue(details.pending)) return { state: "pending", transactionId };
+
+    return { state: isTrue(details.success) ? "paid" : "failed", transactionId };
+  },
+
+  handleWebhook: (payload) => PaymobService.processCallback(payload),
+
+  async refund(order, amount) {
+    const transactionId = await paymentTransactionId(order);
+    if (!transactionId) {
+      throw httpError(400, "No Paymob transaction found for this order");
+    }
+
+    const refund = await PaymobService.refund(transactionId, Math.round(amount * 100));
+    return { transactionId: refund.id?.toString() };
+  },
+
+  // A Paymob payment of its own, the order's payment is already settled
+  async chargeDifference(order, substitution, { user }) {
+    const attempt = (substitution.paymob?.attempts || 0) + 1;
+    const returnUrl = `${config.app.deepLinkScheme}://substitution/${substitution._id}`;
+    const { paymentUrl, paymobOrderId } = await PaymobService.getPaymentUrl(
+      substitutionReference(substitution._id, attempt),
+      Math.round(substitution.priceDifference * 100),
+      billingDataOf(user),
+      returnUrl
+    );
+
+    substitution.paymob = { orderId: paymobOrderId?.toString(), attempts: attempt };
+
+    return { paymentUrl, returnUrl };
+  },
+
+  // Whether Paymob took the full difference of this replacement in the transaction
+  async confirmDifference(substitution, transactionId) {
+    if (!transactionId) return false;
+
+    const transaction = await PaymobService.verifyPayment(transactionId);
+    return (
+      isTrue(transaction.success) &&
+      !isTrue(transaction.pending) &&
+      substitutionIdFromReference(transaction.order?.merchant_order_id) ===
+        substitution._id.toString() &&
+      Number(transaction.amount_cents) === Math.round(substitution.settlement.amount * 100)
+    );
+  },
+
+  // The difference was a Paymob payment of its own, it is refunded as such
+  async refundDifference(substitution, transactionId) {
+    const refund = await PaymobService.refund(
+      transactionId,
+      Math.round(substitution.settlement.amount * 100)
+    );
+    return { transactionId: refund.id?.toString() };
+  },
+
+  recordOutcome(order, { status, transactionId }) {
+    order.paymob = {
+      ...order.paymob,
+      transactionId: transactionId || order.paymob?.transactionId,
+      paymentStatus: status,
+    };
+  },
+};
+
+export default paymobProvider;
@@ -0,0 +1,35 @@
+import { httpError } from "../httpError.js";
+import { payDifferenceFromWallet, payOrderFromWallet, refundToWallet } from "../wallet.js";
+
+// The customer's wallet balance, charged inside the checkout transaction
+const walletProvider = {
+  code: "wallet",
+  flow: "instant",
+
+  isEnabled: () => true,
+
+  async createIntent(order, { session }) {
+    const { transaction } = await payOrderFromWallet(order, { session });
+    return { transactionId: transaction._id.toString() };
+  },
+
+  verify: async (order) => ({ state: order.isPaid ? "paid" : "failed" }),
+
+  handleWebhook: async () => {
+    throw httpError(400, "Wallet payments have no callbacks");
+  },
+
+  async refund(order, amount, { user, session }) {
+    const { transaction } = await refundToWallet(order, amount, { user, session });
+    return { transactionId: transaction._id.toString() };
+  },
+
+  async chargeDifference(order, substitution, { session }) {
+    const { transaction } = await payDifferenceFromWallet(order, substitution, { session });
+    return { transactionId: transaction._id.toString() };
+  },
+
+  recordOutcome: () => {},
+};
+
+export default walletProvider;
@@ -3,13 +3,41 @@ import crypto from 'crypto'; // You forgot to import this
 import Order from '../models/OrderModel.js';
 import { config } from '../config/config.js';
 
-class PaymobService {
-  constructor() {
-    this.apiKey = config.paymob.apiKey;
-    this.iframeId = config.paymob.iframeId;
-    this.integrationId = config.paymob.integrationId;
-    this.hmacSecret = config.paymob.hmacSecret;
-    this.baseUrl = "https://accept.paymobsolutions.com/api";
+// Paymob refuses a merchant order id it has seen before, so payment retries
+// send "<orderId>_<attempt>"
+export const merchantOrderReference = (orderId, attempt = 1) =>
+  attempt > 1 ? `${orderId}_${attempt}` : orderId.toString();
+
+export const orderIdFromReference = (reference) => String(reference).split('_')[0];
+
+// Wallet top-ups are paid through Paymob too, as "wallet-<topUpId>"
+const TOP_UP_PREFIX = 'wallet-';
+
+export const topUpReference = (topUpId) => `${TOP_UP_PREFIX}${topUpId}`;
+
+export const topUpIdFromReference = (reference) =>
+  String(reference).startsWith(TOP_UP_PREFIX) ? String(reference).slice(TOP_UP_PREFIX.length) : null;
+
+// The difference of a replaced order line is paid as "swap-<substitutionId>",
+// retries append the attempt like order references
+const SUBSTITUTION_PREFIX = 'swap-';
+
+export const substitutionReference = (substitutionId, attempt = 1) =>
+  merchantOrderReference(`${SUBSTITUTION_PREFIX}${substitutionId}`, attempt);
+
+export const substitutionIdFromReference = (reference) => {
+  const base = orderIdFromReference(reference);
+  return base.startsWith(SUBSTITUTION_PREFIX) ? base.slice(SUBSTITUTION_PREFIX.length) : null;
+};
+
+export class PaymobService {
+  // Options override the configured credentials, e.g. to talk to a stub server
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || config.paymob.apiKey;
+    this.iframeId = options.iframeId || config.paymob.iframeId;
+    this.integrationId = options.integrationId || config.paymob.integrationId;
+    this.hmacSecret = options.hmacSecret || config.paymob.hmacSecret;
+    this.baseUrl = options.baseUrl || config.paymob.baseUrl;
   }
  async registerWebhook() {
     try {
@@ -32,22 +60,26 @@ class PaymobService {
       }
 
       const { obj } = payload;
-      
-      // Validate HMAC if provided
-      if (obj.hmac) {
-        if (!this.validateHMAC(obj.hmac, obj)) {
-          throw new Error("Invalid HMAC signature");
-        }
+
+      // Paymob signs every callback, anything unsigned did not come from Paymob
+      const hmac = payload.hmac || obj.hmac;
+      if (!hmac || !this.validateHMAC(hmac, obj)) {
+        throw new Error("Invalid HMAC signature");
       }
 
-      const order = await Order.findById(obj.merchant_order_id);
-      if (!order) {
+      const topUpId = topUpIdFromReference(obj.merchant_order_id);
+      const substitutionId = substitutionIdFromReference(obj.merchant_order_id);
+      const orderId =
+        topUpId || substitutionId ? null : orderIdFromReference(obj.merchant_order_id);
+      if (orderId && !(await Order.findById(orderId))) {
         throw new Error("Order not found");
       }
 
       return {
         success: obj.success === "true",
-        orderId: obj.merchant_order_id,
+        orderId,
+        topUpId,
+        substitutionId,
         transactionId: obj.id,
         amount: obj.amount_cents / 100,
         payload: obj
@@ -67,7 +99,7 @@ class PaymobService {
       );
 
       return {
-        paymentUrl: `https://accept.paymobsolutions.com/api/acceptance/iframes/${this.iframeId}?payment_token=${paymentKey}`,
+        paymentUrl: `${this.baseUrl}/acceptance/iframes/${this.iframeId}?payment_token=${paymentKey}`,
         paymobOrderId,
         paymentKey,
       };
@@ -154,29 +186,114 @@ class PaymobService {
     }
   }
 
+  /**
+   * The transaction made for a Paymob order, or null when the customer
+   * never submitted a payment.
+   */
+  async findOrderTransaction(paymobOrderId) {
+    try {
+      const token = await this.authenticate();
+      const response = await axios.post(`${this.baseUrl}/ecommerce/orders/transaction_inquiry`, {
+        auth_token: token,
+        order_id: paymobOrderId.toString(),
+      });
+      return response.data?.id ? response.data : null;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      console.error("Paymob transaction inquiry error:", error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Transactions created since a date, read page by page from the newest.
+   */
+  async listTransactions({ since }) {
+    try {
+      const token = await this.authenticate();
+      const transactions = [];
+
+      for (let page = 1; ; page++) {
+        const response = await axios.get(`${this.baseUrl}/acceptance/portal-transactions`, {
+          params: { page },
+          headers: { Authorization: `Bearer ${token}` },
+        });
+
+        const results = response.data?.results || [];
+        const recent = results.filter((transaction) => new Date(transaction.created_at) >= since);
+        transactions.push(...recent);
+
+        // Past the window, or no more pages
+        if (!response.data?.next || recent.length < results.length) break;
+      }
+
+      return transactions;
+    } catch (error) {
+      console.error("Paymob transaction list error:", error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund (part of) a captured transaction.
+   * Resolves with the refund transaction, rejects when Paymob declines it.
+   */
+  async refund(transactionId, amountCents) {
+    try {
+      const token = await this.authenticate();
+      const response = await axios.post(`${this.baseUrl}/acceptance/void_refund/refund`, {
+        auth_token: token,
+        transaction_id: transactionId.toString(),
+        amount_cents: amountCents.toString(),
+      });
+
+      const refund = response.data;
+      if (refund.success === false || refund.success === "false") {
+        throw new Error(refund.data?.message || "Refund was declined by Paymob");
+      }
+
+      return refund;
+    } catch (error) {
+      console.error("Paymob refund error:", error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Paymob signs these fields of the transaction, in this order
   validateHMAC(hmac, obj) {
     try {
-      // For redirection callback, we need to handle the data differently
-      const entries = Object.entries(obj)
-        .filter(([k]) => k !== 'hmac') // Remove hmac from calculation
-        .sort(([a], [b]) => a.localeCompare(b));
+      const signedKeys = [
+        'amount_cents',
+        'created_at',
+        'currency',
+        'error_occured',
+        'has_parent_transaction',
+        'id',
+        'integration_id',
+        'is_3d_secure',
+        'is_auth',
+        'is_capture',
+        'is_refunded',
+        'is_standalone_payment',
+        'is_voided',
+        'order.id',
+        'owner',
+        'pending',
+        'source_data.pan',
+        'source_data.sub_type',
+        'source_data.type',
+        'success'
+      ];
 
-      // Create concatenated string with key=value format
-      const concatenated = entries.map(([k, v]) => `${k}=${v}`).join('');
+      const concatenated = signedKeys
+        .map(key => key.split('.').reduce((value, part) => value?.[part], obj) ?? '')
+        .join('');
 
-      // Calculate HMAC using SHA512
       const calculatedHmac = crypto
         .createHmac('sha512', this.hmacSecret)
         .update(concatenated)
         .digest('hex');
 
-      console.log('HMAC Validation:', {
-        received: hmac,
-        calculated: calculatedHmac,
-        data: concatenated,
-        secret: this.hmacSecret
-      });
-
       return hmac === calculatedHmac;
     } catch (error) {
       console.error('HMAC validation error:', error);
@@ -215,7 +332,8 @@ class PaymobService {
       const concatenated = requiredKeys
         .map(key => {
           if (key === 'PLAINTEXT') return 'PLAINTEXT';
-          if (key.includes('.')) {
+          // Express keeps dotted query keys as they are
+          if (key.includes('.') && query[key] === undefined) {
             const [parent, child] = key.split('.');
             return query[parent]?.[child] || '';
           }
@@ -232,8 +350,7 @@ class PaymobService {
       console.log('Redirection HMAC Validation:', {
         received: hmac,
         calculated: calculatedHmac,
-        data: concatenated,
-        secret: this.hmacSecret
+        data: concatenated
       });
 
       return hmac === calculatedHmac;
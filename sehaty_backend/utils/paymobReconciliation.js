@@ -0,0 +1,200 @@
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import PaymentDiscrepancy from "../models/PaymentDiscrepancyModel.js";
+import Substitution from "../models/SubstitutionModel.js";
+import WalletTopUp from "../models/WalletTopUpModel.js";
+import PaymobService, {
+  orderIdFromReference,
+  substitutionIdFromReference,
+  substitutionReference,
+  topUpIdFromReference,
+  topUpReference,
+} from "./paymob.service.js";
+import { httpError } from "./httpError.js";
+import { roundMoney } from "./money.js";
+import { config } from "../config/config.js";
+
+const DAY = 24 * 60 * 60000;
+
+const isTrue = (value) => value === true || value === "true";
+
+// Money actually taken: settled, successful and not voided
+const isCharge = (transaction) =>
+  isTrue(transaction.success) && !isTrue(transaction.pending) && !isTrue(transaction.is_voided);
+
+const toAmount = (cents) => roundMoney(Number(cents) / 100);
+
+// Record a mismatch once, later runs only note that it is still there
+const flag = async (found, discrepancy) => {
+  const now = new Date();
+  const result = await PaymentDiscrepancy.updateOne(
+    { key: discrepancy.key },
+    { $setOnInsert: discrepancy, $set: { lastSeenAt: now } },
+    { upsert: true }
+  );
+
+  found.push({ ...discrepancy, isNew: result.upsertedCount > 0 });
+};
+
+// What each charged reference should have paid for: a checkout order, a wallet
+// top-up or the difference of a replaced order line
+const loadPayments = async (references) => {
+  const ids = (parse) =>
+    references.map(parse).filter((id) => id && mongoose.isValidObjectId(id));
+
+  const isOrder = (reference) =>
+    !topUpIdFromReference(reference) && !substitutionIdFromReference(reference);
+
+  const orders = await Order.find({
+    _id: { $in: ids((reference) => isOrder(reference) && reference) },
+  }).select("total isPaid paymob");
+  const topUps = await WalletTopUp.find({ _id: { $in: ids(topUpIdFromReference) } });
+  const substitutions = await Substitution.find({
+    _id: { $in: ids(substitutionIdFromReference) },
+  });
+
+  const payments = new Map();
+  for (const order of orders) {
+    payments.set(order._id.toString(), {
+      match: { orderId: order._id },
+      name: "order",
+      // Replaced lines change the total after the payment, compare with what was asked
+      amount: order.paymob?.amountCents ? order.paymob.amountCents / 100 : order.total,
+      isPaid: order.isPaid,
+      paymobOrderId: order.paymob?.orderId,
+    });
+  }
+  for (const topUp of topUps) {
+    payments.set(topUpReference(topUp._id), {
+      match: { topUpId: topUp._id },
+      name: "wallet top-up",
+      amount: topUp.amount,
+      isPaid: topUp.status === "paid",
+      paymobOrderId: topUp.paymob?.orderId,
+    });
+  }
+  for (const substitution of substitutions) {
+    payments.set(substitutionReference(substitution._id), {
+      match: { substitutionId: substitution._id, orderId: substitution.parentOrderId },
+      name: "item replacement",
+      amount: substitution.settlement?.amount,
+      isPaid: substitution.settlement?.status === "paid",
+      paymobOrderId: substitution.paymob?.orderId,
+    });
+  }
+
+  return payments;
+};
+
+/**
+ * Compare Paymob's successful transactions of the last few days with our
+ * orders and wallet top-ups and record every mismatch for review in the
+ * admin panel:
+ *
+ * - missing_callback: Paymob took the money but the order or top-up is not
+ *   paid, the callback never arrived or failed
+ * - unknown_order: a charge for a merchant order id we do not have
+ * - amount_mismatch: the charge differs from the order total
+ * - duplicate_charge: more than one charge for the same order
+ *
+ * Takes the Paymob client to use, so it can run against a fake Paymob API.
+ * Returns what was found, `isNew` marks mismatches not seen before.
+ */
+export const reconcilePaymobTransactions = async ({
+  paymob = PaymobService,
+  now = new Date(),
+} = {}) => {
+  const since = new Date(now.getTime() - config.paymob.reconciliationDays * DAY);
+  const transactions = (await paymob.listTransactions({ since })).filter(isCharge);
+
+  // Charges per merchant order id, retries of one order count as the same order
+  const chargesByOrder = new Map();
+  for (const transaction of transactions) {
+    const merchantOrderId = transaction.order?.merchant_order_id;
+    const reference = merchantOrderId ? orderIdFromReference(merchantOrderId) : "";
+    chargesByOrder.set(reference, [...(chargesByOrder.get(reference) || []), transaction]);
+  }
+
+  const payments = await loadPayments([...chargesByOrder.keys()]);
+  const found = [];
+
+  for (const [reference, charges] of chargesByOrder) {
+    const payment = payments.get(reference);
+
+    if (!payment) {
+      for (const charge of charges) {
+        await flag(found, {
+          type: "unknown_order",
+          key: `unknown_order:${charge.id}`,
+          merchantOrderId: charge.order?.merchant_order_id,
+          paymobOrderId: charge.order?.id?.toString(),
+          transactionIds: [String(charge.id)],
+          chargedAmount: toAmount(charge.amount_cents),
+          details: "Paymob charged an order we have no record of",
+        });
+      }
+      continue;
+    }
+
+    const transactionIds = charges.map((charge) => String(charge.id));
+    const base = {
+      ...payment.match,
+      paymobOrderId: payment.paymobOrderId,
+      expectedAmount: roundMoney(payment.amount),
+    };
+
+    if (!payment.isPaid) {
+      await flag(found, {
+        ...base,
+        type: "missing_callback",
+        key: `missing_callback:${reference}`,
+        transactionIds,
+        chargedAmount: toAmount(charges[0].amount_cents),
+        details: `Paymob charged the customer but the ${payment.name} is not marked as paid`,
+      });
+    }
+
+    if (charges.length > 1) {
+      await flag(found, {
+        ...base,
+        type: "duplicate_charge",
+        key: `duplicate_charge:${reference}:${[...transactionIds].sort().join(",")}`,
+        transactionIds,
+        chargedAmount: toAmount(
+          charges.reduce((sum, charge) => sum + Number(charge.amount_cents), 0)
+        ),
+        details: `The customer was charged ${charges.length} times for this ${payment.name}`,
+      });
+    }
+
+    for (const charge of charges) {
+      if (Number(charge.amount_cents) === Math.round(payment.amount * 100)) continue;
+
+      await flag(found, {
+        ...base,
+        type: "amount_mismatch",
+        key: `amount_mismatch:${charge.id}`,
+        transactionIds: [String(charge.id)],
+        chargedAmount: toAmount(charge.amount_cents),
+        details: `The amount charged differs from the ${payment.name} total`,
+      });
+    }
+  }
+
+  return found;
+};
+
+// Close a mismatch once it has been dealt with, e.g. refunded or marked paid by hand
+export const resolveDiscrepancy = async (discrepancy, { user, note }) => {
+  if (discrepancy.status === "resolved") {
+    throw httpError(400, "This discrepancy is already resolved");
+  }
+
+  discrepancy.status = "resolved";
+  discrepancy.resolvedBy = user._id;
+  discrepancy.resolvedAt = new Date();
+  discrepancy.resolutionNote = note;
+  await discrepancy.save();
+
+  return discrepancy;
+};
@@ -0,0 +1,41 @@
+import Pharmacy from "../models/PharmacyModel.js";
+
+// Ids of the pharmacies a user owns through Pharmacy.ownerId
+export const getOwnedPharmacyIds = async (user) => {
+  const pharmacies = await Pharmacy.find({
+    ownerId: user._id,
+    isDeleted: false,
+  }).select("_id");
+
+  return pharmacies.map((pharmacy) => pharmacy._id.toString());
+};
+
+export const ownsPharmacy = async (user, pharmacyId) => {
+  if (!pharmacyId) return false;
+  const owned = await getOwnedPharmacyIds(user);
+  return owned.includes(pharmacyId.toString());
+};
+
+/**
+ * Whether a user may manage an order as its pharmacy. Sub-orders belong to
+ * one pharmacy; orders placed before the split belong to a pharmacy owner
+ * only when every item comes from a pharmacy they own.
+ */
+export const canManageOrder = async (user, order) => {
+  if (user.role === "admin") return true;
+  if (user.role !== "pharmacy_owner") return false;
+
+  const owned = await getOwnedPharmacyIds(user);
+
+  if (order.pharmacyId) {
+    return owned.includes(order.pharmacyId.toString());
+  }
+
+  return (
+    order.subOrders.length === 0 &&
+    order.items.length > 0 &&
+    order.items.every(
+      (item) => item.pharmacyId && owned.includes(item.pharmacyId.toString())
+    )
+  );
+};
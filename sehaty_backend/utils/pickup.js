@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import Order from "../models/OrderModel.js";
+import { httpError } from "./httpError.js";
+import { notifyUser } from "./notifications.js";
+import { setOrderStatus } from "./orderStatus.js";
+import { rollUpParentStatus } from "./orderSplit.js";
+import { cancelOrderAndShipments } from "./orderCancellation.js";
+import { config } from "../config/config.js";
+
+const QR_PREFIX = "sehaty-pickup";
+
+// Statuses of a pickup order that still waits to be handed over
+const OPEN_PICKUP_STATUSES = [
+  "pending",
+  "payment_pending",
+  "confirmed",
+  "processing",
+  "ready_for_pickup",
+];
+
+// Six digits, short enough to read out at the counter
+const generatePickupCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+// A code no other open pickup of the same pharmacy is using
+const uniquePickupCode = async (pharmacyId, { session } = {}) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = generatePickupCode();
+    const taken = await Order.exists({
+      pharmacyId,
+      "pickup.code": code,
+      status: { $in: OPEN_PICKUP_STATUSES },
+    }).session(session || null);
+
+    if (!taken) return code;
+  }
+
+  throw httpError(503, "Could not generate a pickup code, please try again");
+};
+
+// Give every pharmacy shipment of a pickup checkout its own code
+export const assignPickupCodes = async (subOrders, { session } = {}) => {
+  for (const subOrder of subOrders) {
+    subOrder.pickup = { code: await uniquePickupCode(subOrder.pharmacyId, { session }) };
+    await subOrder.save({ session });
+  }
+};
+
+// What the customer's QR code holds, scanned at the counter
+export const pickupQrPayload = (order) => `${QR_PREFIX}:${order._id}:${order.pickup.code}`;
+
+export const pickupQrDataUrl = (order) =>
+  QRCode.toDataURL(pickupQrPayload(order), { margin: 1, width: 240 });
+
+const parsePickupQr = (payload) => {
+  const [prefix, orderId, code] = String(payload).trim().split(":");
+  if (prefix !== QR_PREFIX || !orderId || !code) {
+    throw httpError(400, "Invalid pickup QR code");
+  }
+  return { orderId, code };
+};
+
+const codesMatch = (expected, given) =>
+  Boolean(expected) &&
+  expected.length === given.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+
+/**
+ * Find the order a pickup code belongs to, either from the scanned QR code
+ * or from a code typed in at a given pharmacy. Unknown and wrong codes both
+ * give the same 404.
+ */
+export const findPickupOrder = async ({ qr, code, pharmacyId }) => {
+  let order = null;
+
+  if (qr) {
+    const scanned = parsePickupQr(qr);
+    order = await Order.findById(scanned.orderId).catch(() => null);
+    if (order && !codesMatch(order.pickup?.code, scanned.code)) order = null;
+  } else {
+    if (!code || !pharmacyId) {
+      throw httpError(400, "Pickup code and pharmacy are required");
+    }
+    order = await Order.findOne({
+      pharmacyId,
+      "pickup.code": String(code).trim(),
+      status: { $in: OPEN_PICKUP_STATUSES },
+    }).catch(() => null);
+  }
+
+  if (!order || order.isDeleted || order.fulfillment !== "pickup") {
+    throw httpError(404, "Pickup code not found");
+  }
+
+  return order;
+};
+
+// Start the collection window of a shipment packed for pickup, the caller saves the order
+export const startPickupHold = (order) => {
+  const readyAt = new Date();
+  order.pickup.readyAt = readyAt;
+  order.pickup.expiresAt = new Date(readyAt.getTime() + config.order.pickupHoldHours * 3600000);
+  return order;
+};
+
+// Let the customer know which code to show at the counter
+export const notifyPickupReady = (order) =>
+  notifyUser(order.userId, {
+    title: "Your order is ready for pickup",
+    body: `Show code ${order.pickup.code} at the pharmacy to collect your order.`,
+    type: "order",
+    data: { orderId: order._id, status: order.status },
+  }).catch((error) => console.error("Pickup notification failed:", error.message));
+
+// Hand a packed order over to the customer
+export const confirmPickup = async (order, { user }) => {
+  if (order.status !== "ready_for_pickup") {
+    throw httpError(400, "Order is not ready for pickup yet");
+  }
+
+  setOrderStatus(order, "delivered", { user, note: "Collected at the pharmacy" });
+  order.pickup.collectedAt = order.deliveredAt;
+  order.pickup.collectedBy = user._id;
+  await order.save();
+
+  if (order.parentOrderId) {
+    await rollUpParentStatus(order.parentOrderId);
+  }
+
+  return order;
+};
+
+// Cancel pickup orders that were never collected, returns the cancelled order ids
+export const cancelExpiredPickups = async (now = new Date()) => {
+  const orders = await Order.find({
+    status: "ready_for_pickup",
+    "pickup.expiresAt": { $lte: now },
+    isDeleted: { $ne: true },
+  });
+
+  const cancelled = [];
+  for (const order of orders) {
+    try {
+      await cancelOrderAndShipments(order, { reason: "Not collected in time" });
+      cancelled.push(order._id);
+
+      await notifyUser(order.userId, {
+        title: "Pickup order cancelled",
+        body: `Your order ${order.trackingNumber} was not collected in time and has been cancelled.`,
+        type: "order",
+        data: { orderId: order._id, status: order.status },
+      }).catch((error) => console.error("Pickup notification failed:", error.message));
+    } catch (error) {
+      console.error(`Could not cancel uncollected order ${order._id}:`, error.message);
+    }
+  }
+
+  return cancelled;
+};
@@ -0,0 +1,191 @@
+import mongoose from "mongoose";
+import Order from "../models/OrderModel.js";
+import Prescription from "../models/PrescriptionModel.js";
+import { httpError } from "./httpError.js";
+
+// Orders that never went through do not use up a prescription
+const UNSPENT_ORDER_STATUSES = ["cancelled", "payment_failed"];
+
+// What a pharmacy needs to check the prescription an order line is dispensed against
+export const PRESCRIPTION_DETAILS =
+  "title doctorName doctorSpecialty validUntil status image medicines";
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Whether the user has an approved, unexpired prescription listing the medicine
+export const isCoveredByPrescription = async (userId, medicineId) =>
+  Boolean(
+    await Prescription.exists({
+      patientId: userId,
+      status: "approved",
+      isDeleted: { $ne: true },
+      validUntil: { $gte: new Date() },
+      "medicines.medicineId": medicineId,
+    })
+  );
+
+// Packs of a medicine already ordered against a prescription
+export const orderedQuantity = async (prescriptionId, medicineId) => {
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        parentOrderId: null,
+        isDeleted: { $ne: true },
+        status: { $nin: UNSPENT_ORDER_STATUSES },
+        "items.prescriptionId": toObjectId(prescriptionId),
+      },
+    },
+    { $unwind: "$items" },
+    {
+      $match: {
+        "items.prescriptionId": toObjectId(prescriptionId),
+        "items.medicine": toObjectId(medicineId),
+      },
+    },
+    { $group: { _id: null, quantity: { $sum: "$items.quantity" } } },
+  ]);
+
+  return result?.quantity || 0;
+};
+
+// Packs of the medicine the prescription lists, null when it does not list it
+const prescribedQuantity = (prescription, medicineId) => {
+  const entries = prescription.medicines.filter(
+    (entry) => entry.medicineId?.toString() === medicineId.toString()
+  );
+  if (entries.length === 0) return null;
+
+  return entries.reduce((sum, entry) => sum + (entry.quantity || 1), 0);
+};
+
+/**
+ * Why a prescription cannot cover an order line, or null when it can.
+ * `statuses` are the review states accepted: the cart takes a prescription
+ * still waiting for review, checkout only an approved one. `reserved` counts
+ * packs other lines of the same checkout already take from it.
+ */
+export const prescriptionProblem = async (
+  prescription,
+  { userId, medicineId, name, quantity },
+  { statuses = ["approved"], reserved = 0 } = {}
+) => {
+  if (
+    !prescription ||
+    prescription.isDeleted ||
+    prescription.patientId.toString() !== userId.toString()
+  ) {
+    return "Prescription not found";
+  }
+
+  if (!statuses.includes(prescription.status)) {
+    return prescription.status === "rejected"
+      ? "The prescription was rejected"
+      : "The prescription has not been approved yet";
+  }
+
+  if (prescription.validUntil < new Date()) {
+    return "The prescription has expired";
+  }
+
+  const prescribed = prescribedQuantity(prescription, medicineId);
+  if (prescribed === null) {
+    return `The prescription does not list ${name}`;
+  }
+
+  const remaining =
+    prescribed - (await orderedQuantity(prescription._id, medicineId)) - reserved;
+  if (remaining < quantity) {
+    return remaining > 0
+      ? `The prescription covers only ${remaining} more of ${name}`
+      : `${name} has already been ordered as often as the prescription allows`;
+  }
+
+  return null;
+};
+
+/**
+ * Link every priced line of a prescription-only medicine to an approved
+ * prescription of the user. A line keeps the prescription the customer chose,
+ * otherwise the matching one that expires first is used. Returns the lines
+ * nothing covers.
+ */
+export const matchPrescriptions = async (user, lines) => {
+  // Other lines are not dispensed against a prescription
+  for (const line of lines) {
+    if (!line.prescriptionRequired) delete line.prescriptionId;
+  }
+
+  const restricted = lines.filter((line) => line.prescriptionRequired);
+  if (restricted.length === 0) return [];
+
+  const prescriptions = await Prescription.find({
+    patientId: user._id,
+    isDeleted: { $ne: true },
+    $or: [
+      { "medicines.medicineId": { $in: restricted.map((line) => line.medicine) } },
+      { _id: { $in: restricted.map((line) => line.prescriptionId).filter(Boolean) } },
+    ],
+  }).sort({ validUntil: 1 });
+
+  // Packs each prescription already gives to earlier lines of this checkout
+  const reserved = new Map();
+  const uncovered = [];
+
+  for (const line of restricted) {
+    const candidates = line.prescriptionId
+      ? [prescriptions.find((prescription) => prescription._id.equals(line.prescriptionId))]
+      : prescriptions;
+    const request = {
+      userId: user._id,
+      medicineId: line.medicine,
+      name: line.name,
+      quantity: line.quantity,
+    };
+
+    let reason = "An approved prescription is required";
+    let match = null;
+
+    for (const prescription of candidates) {
+      const key = `${prescription?._id}:${line.medicine}`;
+      const problem = await prescriptionProblem(prescription, request, {
+        reserved: reserved.get(key) || 0,
+      });
+
+      if (!problem) {
+        match = prescription;
+        reserved.set(key, (reserved.get(key) || 0) + line.quantity);
+        break;
+      }
+      // The customer's own choice explains best why the line is refused
+      if (line.prescriptionId || candidates.length === 1) reason = problem;
+    }
+
+    if (match) {
+      line.prescriptionId = match._id;
+    } else {
+      uncovered.push({
+        medicineId: line.medicine,
+        pharmacyId: line.pharmacyId,
+        name: line.name,
+        quantity: line.quantity,
+        prescriptionId: line.prescriptionId,
+        reason,
+      });
+    }
+  }
+
+  return uncovered;
+};
+
+// Refuse a checkout with a prescription-only medicine nothing covers
+export const requirePrescriptions = async (user, lines) => {
+  const uncovered = await matchPrescriptions(user, lines);
+
+  if (uncovered.length > 0) {
+    throw httpError(
+      400,
+      `${uncovered.map((line) => line.name).join(", ")} can only be ordered with an approved prescription`,
+      { prescriptionRequired: uncovered }
+    );
+  }
+};
@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { httpError } from "./httpError.js";
+import { roundMoney } from "./money.js";
+import { findPromoCode, evaluatePromo } from "./promoEngine.js";
+import { quoteDelivery, verifyDeliveryQuote } from "./deliveryQuote.js";
+import { config } from "../config/config.js";
+
+// Price each requested item from the pharmacy catalog, never from the client
+export const priceItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, "Order has no items");
+  }
+
+  const lines = [];
+
+  for (const item of items) {
+    if (!item.medicineId || !item.pharmacyId) {
+      throw httpError(400, "Invalid item data: missing medicineId or pharmacyId");
+    }
+
+    if (item.prescriptionId && !mongoose.isValidObjectId(item.prescriptionId)) {
+      throw httpError(400, `Invalid prescription for medicine ${item.medicineId}`);
+    }
+
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity < 1) {
+      throw httpError(400, `Invalid quantity for medicine ${item.medicineId}`);
+    }
+
+    const pharmacyMedicine = await PharmacyMedicine.findOne({
+      medicineId: item.medicineId,
+      pharmacyId: item.pharmacyId,
+      isAvailable: true,
+      isDeleted: false,
+    }).populate("medicineId", "name categoryId prescriptionRequired");
+
+    if (!pharmacyMedicine || !pharmacyMedicine.medicineId) {
+      throw httpError(
+        400,
+        `Medicine ${item.medicineId} is not available in pharmacy ${item.pharmacyId}`
+      );
+    }
+
+    if (pharmacyMedicine.stock < quantity) {
+      throw httpError(400, `Insufficient stock for medicine ${item.medicineId}`);
+    }
+
+    // PharmacyMedicine.discount is a percentage off the shelf price
+    const unitPrice = pharmacyMedicine.price;
+    const discount = pharmacyMedicine.discount || 0;
+    const price = roundMoney(unitPrice * (1 - discount / 100));
+
+    lines.push({
+      medicine: pharmacyMedicine.medicineId._id,
+      pharmacyId: pharmacyMedicine.pharmacyId,
+      name: pharmacyMedicine.medicineId.name,
+      categoryId: pharmacyMedicine.medicineId.categoryId,
+      quantity,
+      unitPrice,
+      discount,
+      price,
+      lineTotal: roundMoney(price * quantity),
+      prescriptionRequired: Boolean(pharmacyMedicine.medicineId.prescriptionRequired),
+      // Checked against the customer's prescriptions before the order is placed
+      prescriptionId: item.prescriptionId || undefined,
+    });
+  }
+
+  return lines;
+};
+
+// Pharmacies without delivery options set offer both delivery and pickup
+const assertPickupAvailable = async (shipments) => {
+  const pharmacies = await Pharmacy.find({
+    _id: { $in: shipments.map((shipment) => shipment.pharmacyId) },
+  }).select("name deliveryOptions");
+
+  const noPickup = pharmacies.filter(
+    (pharmacy) =>
+      pharmacy.deliveryOptions?.length > 0 && !pharmacy.deliveryOptions.includes("pickup")
+  );
+
+  if (noPickup.length > 0) {
+    throw httpError(
+      400,
+      `${noPickup.map((pharmacy) => pharmacy.name).join(", ")} does not offer pickup`
+    );
+  }
+};
+
+/**
+ * Build the full price breakdown of a checkout.
+ *
+ * Returns the priced item lines, one entry per pharmacy shipment and the
+ * totals of the whole checkout. Amounts are in EGP. The promo code is
+ * checked against `user`, who is also the one it will be redeemed for.
+ *
+ * Delivery fees come from a signed `deliveryQuote` when one is given,
+ * otherwise they are quoted for `address`. Without an address the base
+ * fee is used, which is only good enough for a preview. Pickup orders
+ * have no delivery fee but every pharmacy has to offer pickup.
+ */
+export const priceOrder = async ({
+  items,
+  promoCode: code,
+  user,
+  address,
+  deliveryQuote,
+  fulfillment = "delivery",
+}) => {
+  if (!["delivery", "pickup"].includes(fulfillment)) {
+    throw httpError(400, `Invalid fulfillment: ${fulfillment}`);
+  }
+
+  const lines = await priceItems(items);
+  const promoCode = await findPromoCode(code);
+
+  const groups = new Map();
+  for (const line of lines) {
+    const key = line.pharmacyId.toString();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  }
+
+  const shipments = [...groups.entries()].map(([pharmacyId, shipmentLines]) => {
+    const itemsTotal = roundMoney(
+      shipmentLines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+    );
+    const subtotal = roundMoney(
+      shipmentLines.reduce((sum, line) => sum + line.lineTotal, 0)
+    );
+
+    return {
+      pharmacyId,
+      items: shipmentLines,
+      itemsTotal,
+      itemDiscount: roundMoney(itemsTotal - subtotal),
+      subtotal,
+    };
+  });
+
+  let delivery = null;
+  let deliveryFees = null;
+  if (fulfillment === "pickup") {
+    await assertPickupAvailable(shipments);
+    deliveryFees = new Map(shipments.map((shipment) => [shipment.pharmacyId, 0]));
+  } else if (address && deliveryQuote) {
+    deliveryFees = verifyDeliveryQuote(deliveryQuote, { addressId: address._id, shipments });
+  } else if (address) {
+    delivery = await quoteDelivery({ address, shipments });
+    deliveryFees = new Map(delivery.shipments.map((quote) => [quote.pharmacyId, quote.fee]));
+  }
+
+  for (const shipment of shipments) {
+    shipment.deliveryFee = deliveryFees
+      ? deliveryFees.get(shipment.pharmacyId.toString())
+      : config.order.deliveryFee;
+  }
+
+  const subtotal = roundMoney(
+    shipments.reduce((sum, shipment) => sum + shipment.subtotal, 0)
+  );
+  const promoShares = promoCode
+    ? await evaluatePromo(promoCode, { user, shipments })
+    : shipments.map(() => 0);
+  const promoDiscount = roundMoney(promoShares.reduce((sum, share) => sum + share, 0));
+
+  shipments.forEach((shipment, index) => {
+    shipment.promoDiscount = promoShares[index];
+    shipment.total = roundMoney(
+      shipment.subtotal - shipment.promoDiscount + shipment.deliveryFee
+    );
+  });
+
+  const sum = (field) =>
+    roundMoney(shipments.reduce((total, shipment) => total + shipment[field], 0));
+
+  return {
+    items: lines,
+    shipments,
+    promoCode,
+    fulfillment,
+    delivery,
+    breakdown: {
+      itemsTotal: sum("itemsTotal"),
+      itemDiscount: sum("itemDiscount"),
+      subtotal,
+      promoDiscount,
+      deliveryFee: sum("deliveryFee"),
+      total: sum("total"),
+      currency: config.order.currency,
+    },
+  };
+};
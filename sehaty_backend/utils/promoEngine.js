@@ -0,0 +1,208 @@
+import Order from "../models/OrderModel.js";
+import PromoCode from "../models/PromoCodeModel.js";
+import PromoRedemption from "../models/PromoRedemptionModel.js";
+import { httpError } from "./httpError.js";
+import { roundMoney, allocate } from "./money.js";
+
+// Look up a promo code that can be used right now, returns null when none was given
+export const findPromoCode = async (code, { session } = {}) => {
+  if (code === undefined || code === null) return null;
+
+  if (typeof code !== "string" || !code.trim()) {
+    throw httpError(400, "Invalid promo code");
+  }
+
+  // Codes are stored in upper case, older ones may still be as typed
+  const typed = code.trim();
+  const promoCode = await PromoCode.findOne({
+    code: { $in: [typed, typed.toUpperCase()] },
+    isActive: true,
+    isDeleted: false,
+  }).session(session || null);
+
+  if (!promoCode) {
+    throw httpError(400, "Invalid promo code");
+  }
+
+  const now = new Date();
+  if (promoCode.startDate && promoCode.startDate > now) {
+    throw httpError(400, "Promo code is not active yet");
+  }
+
+  if (promoCode.expiryDate && promoCode.expiryDate < now) {
+    throw httpError(400, "Promo code has expired");
+  }
+
+  return promoCode;
+};
+
+const idsOf = (refs = []) => refs.map((ref) => ref.toString());
+
+// Whether an item line falls inside the categories / pharmacies the code is limited to
+const isLineInScope = (promoCode, line) => {
+  const categories = idsOf(promoCode.categories);
+  const pharmacies = idsOf(promoCode.pharmacies);
+
+  if (pharmacies.length > 0 && !pharmacies.includes(line.pharmacyId.toString())) {
+    return false;
+  }
+
+  if (categories.length > 0 && !categories.includes(line.categoryId?.toString())) {
+    return false;
+  }
+
+  return true;
+};
+
+// Check the limits that depend on who is using the code
+const checkUserLimits = async (promoCode, user, session) => {
+  if (promoCode.usageLimit && promoCode.usageCount >= promoCode.usageLimit) {
+    throw httpError(400, "Promo code usage limit has been reached");
+  }
+
+  if (!user) return;
+
+  if (promoCode.perUserLimit) {
+    const used = await PromoRedemption.countDocuments({
+      promoCodeId: promoCode._id,
+      userId: user._id,
+      status: "redeemed",
+    }).session(session || null);
+
+    if (used >= promoCode.perUserLimit) {
+      throw httpError(400, "You have already used this promo code");
+    }
+  }
+
+  if (promoCode.firstOrderOnly) {
+    const hasOrdered = await Order.exists({
+      userId: user._id,
+      parentOrderId: null,
+      status: { $nin: ["cancelled", "payment_failed"] },
+      isDeleted: { $ne: true },
+    }).session(session || null);
+
+    if (hasOrdered) {
+      throw httpError(400, "Promo code is only valid on your first order");
+    }
+  }
+};
+
+/**
+ * Work out how much a promo code takes off each shipment of a checkout.
+ *
+ * Throws a 400 with a user facing message when the code cannot be used.
+ * Returns the discount of every shipment in the order they were given.
+ */
+export const evaluatePromo = async (promoCode, { user, shipments, session }) => {
+  await checkUserLimits(promoCode, user, session);
+
+  const subtotal = roundMoney(
+    shipments.reduce((sum, shipment) => sum + shipment.subtotal, 0)
+  );
+
+  if (promoCode.minOrderValue && subtotal < promoCode.minOrderValue) {
+    throw httpError(
+      400,
+      `Promo code requires a minimum order of ${promoCode.minOrderValue} EGP`
+    );
+  }
+
+  // Only the in-scope part of each shipment counts towards the discount
+  const eligible = shipments.map((shipment) =>
+    roundMoney(
+      shipment.items
+        .filter((line) => isLineInScope(promoCode, line))
+        .reduce((sum, line) => sum + line.lineTotal, 0)
+    )
+  );
+
+  const eligibleTotal = roundMoney(eligible.reduce((sum, value) => sum + value, 0));
+  if (eligibleTotal === 0) {
+    throw httpError(400, "Promo code does not apply to the items in your cart");
+  }
+
+  const cap = (amount) =>
+    promoCode.maxDiscountAmount ? Math.min(amount, promoCode.maxDiscountAmount) : amount;
+
+  switch (promoCode.type) {
+    case "fixed": {
+      const discount = roundMoney(Math.min(promoCode.discountAmount || 0, eligibleTotal));
+      return allocate(discount, eligible);
+    }
+    case "free_delivery": {
+      // Waive the delivery fee of every shipment that has an in-scope item
+      const fees = shipments.map((shipment, index) =>
+        eligible[index] > 0 ? shipment.deliveryFee : 0
+      );
+      const waived = fees.reduce((sum, fee) => sum + fee, 0);
+      return allocate(roundMoney(cap(waived)), fees);
+    }
+    default: {
+      const discount = cap(eligibleTotal * ((promoCode.discountPercentage || 0) / 100));
+      return allocate(roundMoney(Math.min(discount, eligibleTotal)), eligible);
+    }
+  }
+};
+
+/**
+ * Record the use of a promo code by a checkout order.
+ *
+ * The usage counter is bumped with a guarded update so concurrent checkouts
+ * cannot go past the total limit. Meant to run inside the order transaction.
+ */
+export const redeemPromo = async ({ promoCode, user, orderId, discount }, { session } = {}) => {
+  const filter = { _id: promoCode._id, isActive: true, isDeleted: false };
+  if (promoCode.usageLimit) {
+    filter.usageCount = { $lt: promoCode.usageLimit };
+  }
+
+  const updated = await PromoCode.findOneAndUpdate(
+    filter,
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw httpError(409, "Promo code usage limit has been reached");
+  }
+
+  // Re-check the per user limit now that we are inside the transaction
+  if (promoCode.perUserLimit) {
+    const used = await PromoRedemption.countDocuments({
+      promoCodeId: promoCode._id,
+      userId: user._id,
+      status: "redeemed",
+    }).session(session || null);
+
+    if (used >= promoCode.perUserLimit) {
+      throw httpError(409, "You have already used this promo code");
+    }
+  }
+
+  const [redemption] = await PromoRedemption.create(
+    [{ promoCodeId: promoCode._id, userId: user._id, orderId, discount }],
+    { session }
+  );
+
+  return redemption;
+};
+
+// Give a promo code use back when its checkout order is cancelled
+export const rollbackPromo = async (orderId, { session } = {}) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { orderId, status: "redeemed" },
+    { $set: { status: "rolled_back", rolledBackAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (!redemption) return null;
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCodeId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+
+  return redemption;
+};
@@ -0,0 +1,145 @@
+import { Server } from "socket.io";
+import Delivery from "../models/DeliveryModel.js";
+import Order from "../models/OrderModel.js";
+import { findUserByToken } from "../middleware/authMiddleware.js";
+import { isDeliveryCourier, recordCourierLocation } from "./deliveries.js";
+import { orderEvents } from "./orderEvents.js";
+import { canManageOrder } from "./pharmacyAccess.js";
+
+const orderRoom = (orderId) => `order:${orderId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// What a tracking screen shows of a delivery, never the customer's code
+const deliveryView = (delivery) => ({
+  deliveryId: delivery._id,
+  orderId: delivery.orderId,
+  status: delivery.status,
+  currentLocation: delivery.currentLocation,
+  estimatedArrivalAt: delivery.estimatedArrivalAt,
+  actualDeliveryDate: delivery.actualDeliveryDate,
+});
+
+// The customer, admins, the pharmacy and the courier of one of its deliveries may follow an order
+const canTrackOrder = async (user, order, deliveries) => {
+  if (order.userId?.toString() === user._id.toString()) return true;
+  if (await canManageOrder(user, order)) return true;
+  return user.role === "courier" && deliveries.some((delivery) => isDeliveryCourier(user, delivery));
+};
+
+// Rooms an update of a (sub-)order goes to: its own and its checkout's
+const roomsOf = ({ _id, parentOrderId }) =>
+  [_id, parentOrderId].filter(Boolean).map((id) => orderRoom(id));
+
+const handleTrackOrder = async (socket, { orderId } = {}) => {
+  const order = await Order.findById(orderId).catch(() => null);
+  if (!order || order.isDeleted) {
+    return { error: "Order not found" };
+  }
+
+  const subOrders = await Order.find({ parentOrderId: order._id }).select("status");
+  const deliveries = await Delivery.find({
+    orderId: { $in: [order._id, ...subOrders.map((subOrder) => subOrder._id)] },
+  });
+
+  if (!(await canTrackOrder(socket.data.user, order, deliveries))) {
+    return { error: "Not authorized to track this order" };
+  }
+
+  socket.join(orderRoom(order._id));
+
+  return {
+    orderId: order._id,
+    status: order.status,
+    shipments: subOrders.map((subOrder) => ({ orderId: subOrder._id, status: subOrder.status })),
+    deliveries: deliveries.map(deliveryView),
+  };
+};
+
+const handleCourierLocation = async (socket, { deliveryId, latitude, longitude, heading } = {}) => {
+  const delivery = await Delivery.findById(deliveryId).catch(() => null);
+  if (!delivery || !isDeliveryCourier(socket.data.user, delivery)) {
+    return { error: "Delivery not found" };
+  }
+
+  await recordCourierLocation(delivery, { latitude, longitude, heading });
+  return deliveryView(delivery);
+};
+
+// Run a socket handler and answer through the client's acknowledgement callback
+const withAck = (socket, handler) => async (payload, ack) => {
+  try {
+    const result = await handler(socket, payload);
+    if (typeof ack === "function") ack(result);
+  } catch (error) {
+    if (typeof ack === "function") ack({ error: error.message });
+  }
+};
+
+// Forward order and delivery events to the sockets following them
+const broadcast = (io) => {
+  const forDelivery = async (event, delivery) => {
+    try {
+      const order = await Order.findById(delivery.orderId).select("parentOrderId");
+      if (!order) return;
+      io.to(roomsOf(order)).emit(event, deliveryView(delivery));
+    } catch (error) {
+      console.error(`Could not broadcast ${event}:`, error.message);
+    }
+  };
+
+  orderEvents.on("status", (order) => {
+    const update = {
+      orderId: order._id,
+      parentOrderId: order.parentOrderId,
+      status: order.status,
+      change: order.statusHistory?.at(-1),
+    };
+    io.to([...roomsOf(order), userRoom(order.userId)]).emit("order:status", update);
+  });
+
+  orderEvents.on("delivery", (delivery) => forDelivery("delivery:update", delivery));
+  orderEvents.on("location", (delivery) => forDelivery("delivery:location", delivery));
+};
+
+/**
+ * Attach the live tracking channel to the HTTP server.
+ *
+ * Clients connect with the same JWT as the REST API (`auth.token` or an
+ * Authorization header), join an order with "track:order" and then get
+ * "order:status", "delivery:update" and "delivery:location" events.
+ * Couriers send their position with "courier:location".
+ */
+export const initRealtime = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: { origin: "*" },
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const token =
+        socket.handshake.auth?.token ||
+        socket.handshake.headers.authorization?.replace("Bearer ", "");
+      const user = token ? await findUserByToken(token) : null;
+
+      if (!user) {
+        return next(new Error("Token is not valid"));
+      }
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error("Token is not valid"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    socket.join(userRoom(socket.data.user._id));
+
+    socket.on("track:order", withAck(socket, handleTrackOrder));
+    socket.on("untrack:order", ({ orderId } = {}) => socket.leave(orderRoom(orderId)));
+    socket.on("courier:location", withAck(socket, handleCourierLocation));
+  });
+
+  broadcast(io);
+  return io;
+};
@@ -0,0 +1,196 @@
+import Order from "../models/OrderModel.js";
+import { httpError } from "./httpError.js";
+import { roundMoney } from "./money.js";
+import { notifyUser } from "./notifications.js";
+import { paymentProviderOf } from "./payments/index.js";
+import { runInTransaction } from "./transaction.js";
+
+// Orders a refund can be asked for: received, or cancelled after payment
+const REFUNDABLE_STATUSES = ["delivered", "cancelled"];
+
+// A refund waiting for review, the order gets no second request until it is decided
+const OPEN_REFUND_STATUSES = ["pending"];
+
+// The refund request shown on the order, the latest one
+export const latestRefund = (order) => order.refunds?.at(-1);
+
+// Money already paid back: every approved refund counts, not only the latest
+const refundedAmount = (order) =>
+  roundMoney(
+    (order.refunds || [])
+      .filter((refund) => refund.status === "approved")
+      .reduce((sum, refund) => sum + (refund.amount || 0), 0)
+  );
+
+// What is left to refund on an order
+export const refundableAmount = (order) =>
+  roundMoney((order.total || 0) - refundedAmount(order));
+
+// A checkout and its sub-orders cover the same payment, only one of them may be refunded
+const hasOverlappingRefund = async (order) => {
+  const related = order.parentOrderId
+    ? { _id: order.parentOrderId }
+    : { parentOrderId: order._id };
+
+  // An approved refund of one of them has already paid back part of the same money
+  return Order.exists({
+    ...related,
+    refundStatus: { $in: [...OPEN_REFUND_STATUSES, "approved"] },
+  });
+};
+
+/**
+ * Open a refund request on an order.
+ *
+ * Used both by customers and when a paid order is cancelled. The amount
+ * defaults to everything that has not been refunded yet and can never be more.
+ */
+export const openRefund = async (order, { user, reason, photos = [], amount }) => {
+  if (!order.isPaid) {
+    throw httpError(400, "Only paid orders can be refunded");
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw httpError(400, "Refunds can only be requested for delivered or cancelled orders");
+  }
+
+  if (OPEN_REFUND_STATUSES.includes(order.refundStatus)) {
+    throw httpError(400, "A refund has already been requested for this order");
+  }
+
+  if (await hasOverlappingRefund(order)) {
+    throw httpError(400, "A refund is already in progress for this checkout");
+  }
+
+  // Partial refunds can follow each other until the order total is paid back
+  const available = refundableAmount(order);
+  if (!(available > 0)) {
+    throw httpError(400, "This order has already been fully refunded");
+  }
+
+  const requestedAmount = amount !== undefined ? roundMoney(parseFloat(amount)) : available;
+
+  if (!(requestedAmount > 0) || requestedAmount > available) {
+    throw httpError(400, `Refund amount must be between 0 and ${available} EGP`);
+  }
+
+  // Earlier requests stay on the order as its refund history
+  order.refundStatus = "pending";
+  order.refunds.push({
+    status: "pending",
+    reason,
+    photos,
+    requestedAmount,
+    requestedAt: new Date(),
+    requestedBy: user?._id,
+  });
+
+  await order.save();
+  return order;
+};
+
+const notifyRefund = (order, title, body) =>
+  notifyUser(order.userId, {
+    title,
+    body,
+    type: "order",
+    data: { orderId: order._id, refundStatus: order.refundStatus },
+  }).catch((error) => console.error("Refund notification failed:", error.message));
+
+/**
+ * Approve a pending refund and send the money back.
+ *
+ * The money goes back through the provider the order was paid with: card
+ * payments to the card, where a declined refund leaves the order in
+ * `failed` so it can be approved again; wallet payments to the wallet. Cash
+ * orders are only recorded, the pharmacy hands the money back.
+ */
+export const approveRefund = async (order, { user, amount, note } = {}) => {
+  const refund = latestRefund(order);
+  if (!["pending", "failed"].includes(refund?.status)) {
+    throw httpError(400, "This order has no refund waiting for approval");
+  }
+
+  const available = refundableAmount(order);
+  const refundAmount = roundMoney(
+    amount !== undefined ? parseFloat(amount) : refund.requestedAmount || available
+  );
+
+  if (!(refundAmount > 0) || refundAmount > available) {
+    throw httpError(400, `Refund amount must be between 0 and ${available} EGP`);
+  }
+
+  refund.reviewedBy = user?._id;
+  refund.reviewedAt = new Date();
+  refund.reviewNote = note;
+
+  const provider = paymentProviderOf(order);
+  const markRefunded = ({ transactionId } = {}) => {
+    refund.status = "approved";
+    refund.amount = refundAmount;
+    refund.transactionId = transactionId;
+    refund.refundedAt = new Date();
+    refund.failureReason = undefined;
+    order.refundStatus = "approved";
+    order.refundAmount = refundedAmount(order);
+  };
+
+  if (provider.flow === "instant") {
+    // The provider's own ledger and the refund on the order are written as one unit
+    await runInTransaction(async (session) => {
+      markRefunded(await provider.refund(order, refundAmount, { user, session }));
+      await order.save({ session });
+    });
+  } else {
+    let result;
+    try {
+      result = await provider.refund(order, refundAmount, { user });
+    } catch (error) {
+      // Refused by our own checks, e.g. no payment to refund, there is nothing to retry
+      if (error.status && !error.response) throw error;
+
+      refund.status = "failed";
+      refund.failureReason = error.response?.data?.message || error.message;
+      order.refundStatus = "failed";
+      await order.save();
+
+      throw httpError(502, `Refund could not be processed: ${refund.failureReason}`);
+    }
+
+    markRefunded(result);
+    await order.save();
+  }
+
+  await notifyRefund(
+    order,
+    "Refund approved",
+    provider.code === "wallet"
+      ? `Your refund of ${refundAmount.toFixed(2)} EGP has been added to your wallet.`
+      : `Your refund of ${refundAmount.toFixed(2)} EGP has been approved.`
+  );
+
+  return order;
+};
+
+// Turn down a pending refund request
+export const rejectRefund = async (order, { user, note } = {}) => {
+  const refund = latestRefund(order);
+  if (!["pending", "failed"].includes(refund?.status)) {
+    throw httpError(400, "This order has no refund waiting for approval");
+  }
+
+  refund.status = "rejected";
+  refund.reviewedBy = user?._id;
+  refund.reviewedAt = new Date();
+  refund.reviewNote = note;
+  order.refundStatus = "rejected";
+  await order.save();
+
+  await notifyRefund(
+    order,
+    "Refund request declined",
+    note || "Your refund request has been declined."
+  );
+
+  return order;
+};
@@ -0,0 +1,105 @@
+import Cart from "../models/CartModel.js";
+import Medicine from "../models/MedicineModel.js";
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import { findMedicineAlternatives } from "./medicineAlternatives.js";
+import { roundMoney } from "./money.js";
+
+// The price a customer pays per unit today, after the pharmacy discount
+const effectivePrice = (pharmacyMedicine) =>
+  roundMoney(pharmacyMedicine.price * (1 - (pharmacyMedicine.discount || 0) / 100));
+
+// Alternatives for a medicine that can no longer be bought where it was
+const alternativesFor = async (medicineId) => {
+  const medicine = await Medicine.findById(medicineId);
+  if (!medicine || medicine.isDeleted) return [];
+
+  const { alternatives } = await findMedicineAlternatives(medicine);
+  return alternatives;
+};
+
+/**
+ * Put the items of a past order back into the user's cart.
+ *
+ * Every line is checked against its pharmacy again: unavailable lines are
+ * skipped and come back with alternatives, lines with too little stock are
+ * added with what is left, and price rises are reported.
+ */
+export const rebuildCartFromOrder = async (order, userId) => {
+  const report = { added: [], unavailable: [], partial: [], priceIncreased: [] };
+
+  let cart = await Cart.findOne({ userId });
+  if (!cart) {
+    cart = new Cart({ userId, items: [] });
+  }
+
+  for (const item of order.items) {
+    const line = {
+      medicineId: item.medicine,
+      pharmacyId: item.pharmacyId,
+      name: item.name,
+      quantity: item.quantity,
+    };
+
+    const pharmacyMedicine = await PharmacyMedicine.findOne({
+      medicineId: item.medicine,
+      pharmacyId: item.pharmacyId,
+      isDeleted: false,
+    }).populate("medicineId", "name");
+
+    if (!pharmacyMedicine || !pharmacyMedicine.isAvailable || pharmacyMedicine.stock < 1) {
+      report.unavailable.push({
+        ...line,
+        reason: pharmacyMedicine?.isAvailable ? "out_of_stock" : "unavailable",
+        alternatives: await alternativesFor(item.medicine),
+      });
+      continue;
+    }
+
+    line.name = line.name || pharmacyMedicine.medicineId?.name;
+
+    const existing = cart.items.find(
+      (cartItem) =>
+        cartItem.medicineId.toString() === item.medicine.toString() &&
+        cartItem.pharmacyId.toString() === item.pharmacyId.toString()
+    );
+    const inCart = existing?.quantity || 0;
+    const quantity = Math.min(item.quantity, pharmacyMedicine.stock - inCart);
+
+    if (quantity < 1) {
+      report.partial.push({ ...line, addedQuantity: 0, available: pharmacyMedicine.stock });
+      continue;
+    }
+
+    if (quantity < item.quantity) {
+      report.partial.push({ ...line, addedQuantity: quantity, available: pharmacyMedicine.stock });
+    }
+
+    // Orders placed before price snapshots existed have no previous price
+    const price = effectivePrice(pharmacyMedicine);
+    if (item.price && price > item.price) {
+      report.priceIncreased.push({ ...line, previousPrice: item.price, price });
+    }
+
+    if (existing) {
+      existing.quantity += quantity;
+      existing.price = pharmacyMedicine.price;
+    } else {
+      cart.items.push({
+        medicineId: item.medicine,
+        pharmacyId: item.pharmacyId,
+        quantity,
+        price: pharmacyMedicine.price,
+      });
+    }
+
+    report.added.push({ ...line, quantity, price });
+  }
+
+  await cart.save();
+
+  const populatedCart = await Cart.findById(cart._id)
+    .populate("items.medicineId")
+    .populate("items.pharmacyId");
+
+  return { cart: populatedCart, report };
+};
@@ -0,0 +1,118 @@
+import Category from "../models/CategoryModel.js";
+import Medicine from "../models/MedicineModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import { tokenize, wordPrefixPattern } from "./searchText.js";
+
+// Suggestions shown per group
+const GROUP_SIZE = 5;
+
+const emptyGroup = () => ({ count: 0, items: [] });
+
+// Every query word starts one of the indexed words of the field. The last
+// word is usually still being typed.
+const termsStartWith = (field, words) => ({
+  [`search.terms.${field}`]: { $all: words.map((word) => new RegExp(`^${word}`)) },
+});
+
+const startsWords = (text, words) => {
+  const terms = tokenize(text);
+  return words.every((word) => terms.some((term) => term.startsWith(word)));
+};
+
+// Medicine names and active ingredients, in one round trip
+const suggestFromMedicines = async (words) => {
+  const byName = termsStartWith("name", words);
+  const byIngredient = termsStartWith("activeIngredient", words);
+
+  const [result] = await Medicine.aggregate([
+    { $match: { isDeleted: false, $or: [byName, byIngredient] } },
+    {
+      $facet: {
+        names: [
+          { $match: byName },
+          { $sort: { rating: -1, name: 1 } },
+          { $limit: GROUP_SIZE },
+          { $project: { name: 1, image: 1 } },
+        ],
+        nameCount: [{ $match: byName }, { $count: "count" }],
+        ingredients: [
+          { $match: byIngredient },
+          {
+            $group: {
+              _id: "$search.ingredient",
+              name: { $first: "$activeIngredient" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1, name: 1 } },
+          { $limit: GROUP_SIZE },
+          { $project: { _id: 0, name: 1, count: 1 } },
+        ],
+        ingredientCount: [
+          { $match: byIngredient },
+          { $group: { _id: "$search.ingredient" } },
+          { $count: "count" },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    medicines: { count: result.nameCount[0]?.count || 0, items: result.names },
+    activeIngredients: {
+      count: result.ingredientCount[0]?.count || 0,
+      items: result.ingredients,
+    },
+  };
+};
+
+// There are few categories, they are matched in memory
+const suggestCategories = async (words) => {
+  const categories = await Category.find({ isDeleted: false }).select("name image").lean();
+  const matches = categories.filter((category) => startsWords(category.name, words));
+
+  return { count: matches.length, items: matches.slice(0, GROUP_SIZE) };
+};
+
+const suggestPharmacies = async (words) => {
+  const query = {
+    isDeleted: false,
+    $and: words.map((word) => ({ name: { $regex: wordPrefixPattern(word), $options: "i" } })),
+  };
+
+  const [items, count] = await Promise.all([
+    Pharmacy.find(query)
+      .select("name image rating")
+      .sort({ rating: -1, name: 1 })
+      .limit(GROUP_SIZE)
+      .lean(),
+    Pharmacy.countDocuments(query),
+  ]);
+
+  return { count, items };
+};
+
+/**
+ * Autocomplete for the search box: medicine names, active ingredients,
+ * categories and pharmacies starting with what was typed so far, in Arabic or
+ * English. Each group has its total count and its first few entries.
+ */
+export const suggestSearches = async (text) => {
+  const words = tokenize(text);
+  if (words.length === 0) {
+    return {
+      medicines: emptyGroup(),
+      activeIngredients: emptyGroup(),
+      categories: emptyGroup(),
+      pharmacies: emptyGroup(),
+    };
+  }
+
+  const [medicineGroups, categories, pharmacies] = await Promise.all([
+    suggestFromMedicines(words),
+    suggestCategories(words),
+    suggestPharmacies(words),
+  ]);
+
+  return { ...medicineGroups, categories, pharmacies };
+};
@@ -0,0 +1,118 @@
+// Text normalisation for search. Arabic and English spellings of the same word
+// are folded to one form so the index and the query meet in the middle.
+
+// Harakat, Quranic marks, superscript alef and tatweel carry no meaning for search
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+// Hamza and alef forms, taa marbuta and alef maqsura are often typed interchangeably
+const ARABIC_LETTERS = {
+  "\u0622": "\u0627",
+  "\u0623": "\u0627",
+  "\u0625": "\u0627",
+  "\u0671": "\u0627",
+  "\u0629": "\u0647",
+  "\u0649": "\u064A",
+  "\u0624": "\u0648",
+  "\u0626": "\u064A",
+};
+
+// The Arabic definite article, "البنادول" is found as "بنادول"
+const ARABIC_ARTICLE = /^\u0627\u0644(?=.{3})/;
+
+export const normalizeText = (value) =>
+  String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(ARABIC_MARKS, "")
+    .replace(/[\u0622\u0623\u0625\u0671\u0629\u0649\u0624\u0626]/g, (letter) => ARABIC_LETTERS[letter])
+    .replace(/[\u0660-\u0669]/g, (digit) => digit.charCodeAt(0) - 0x0660)
+    .replace(/[\u06F0-\u06F9]/g, (digit) => digit.charCodeAt(0) - 0x06f0)
+    .replace(/[^a-z0-9\u0621-\u064A]+/g, " ")
+    .trim();
+
+// Normalised words of a text, without repeats
+export const tokenize = (value) => [
+  ...new Set(
+    normalizeText(value)
+      .split(" ")
+      .filter(Boolean)
+      .map((word) => word.replace(ARABIC_ARTICLE, ""))
+  ),
+];
+
+// Three-letter pieces of the words, padded so word starts and ends count too
+export const trigrams = (words) => {
+  const grams = new Set();
+  for (const word of words) {
+    const padded = `_${word}_`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return [...grams];
+};
+
+// Levenshtein distance, giving up once it is over `max`
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos a word of this length may have and still match
+export const allowedTypos = (word) => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+// Spellings a normalised letter stands for in text that was never normalised
+const LETTER_VARIANTS = {
+  "\u0627": "[\u0627\u0622\u0623\u0625\u0671]",
+  "\u0647": "[\u0647\u0629]",
+  "\u064A": "[\u064A\u0649\u0626]",
+  "\u0648": "[\u0648\u0624]",
+};
+
+// Regex source matching the start of a word in raw text, for collections
+// without a search index. Takes a word from tokenize().
+export const wordPrefixPattern = (word) =>
+  `(^|\\s)(\u0627\u0644)?${[...word].map((letter) => LETTER_VARIANTS[letter] || letter).join("")}`;
+
+// Bump when the layout of the search index changes, older entries are rebuilt
+export const SEARCH_INDEX_VERSION = 1;
+
+// Medicine fields the search looks at and how much a match in each counts
+export const MEDICINE_SEARCH_FIELDS = {
+  name: 3,
+  genericName: 2,
+  activeIngredient: 2,
+  manufacture: 1,
+};
+
+// The search index stored on a medicine: its words per field and their trigrams
+export const buildMedicineSearch = (medicine) => {
+  const terms = {};
+  for (const field of Object.keys(MEDICINE_SEARCH_FIELDS)) {
+    terms[field] = tokenize(medicine[field]);
+  }
+
+  return {
+    terms,
+    grams: trigrams(Object.values(terms).flat()),
+    ingredient: normalizeText(medicine.activeIngredient) || undefined,
+    version: SEARCH_INDEX_VERSION,
+  };
+};
@@ -0,0 +1,259 @@
+import PharmacyMedicine from "../models/PharmacyMedicineModel.js";
+import Stock from "../models/StockModel.js";
+import StockReservation from "../models/StockReservationModel.js";
+import { httpError } from "./httpError.js";
+import { runInTransaction } from "./transaction.js";
+import { config } from "../config/config.js";
+
+// Move stock by `delta` units, refusing to go below zero
+const adjustStock = async ({ pharmacyId, medicineId, delta }, session) => {
+  const filter = { pharmacyId, medicineId, isDeleted: false };
+  if (delta < 0) {
+    filter.isAvailable = true;
+    filter.stock = { $gte: -delta };
+  }
+
+  const pharmacyMedicine = await PharmacyMedicine.findOneAndUpdate(
+    filter,
+    { $inc: { stock: delta } },
+    { new: true, session }
+  );
+
+  if (!pharmacyMedicine) return null;
+
+  // Keep the inventory record in step with the shelf
+  await Stock.updateOne(
+    { pharmacyId, medicineId },
+    { $set: { quantity: pharmacyMedicine.stock } },
+    { session }
+  );
+
+  return pharmacyMedicine;
+};
+
+/**
+ * Take the stock of each sub-order off the shelf.
+ *
+ * Runs inside the caller's transaction: a shortage on any line throws and
+ * the whole checkout is rolled back. With `hold` the reservation expires
+ * unless it is committed, otherwise it is committed straight away.
+ */
+export const reserveStock = async (orders, { session, hold = false } = {}) => {
+  const reservations = [];
+
+  for (const order of orders) {
+    const items = order.items.map((item) => ({
+      pharmacyId: item.pharmacyId,
+      medicineId: item.medicine,
+      quantity: item.quantity,
+    }));
+
+    for (const item of items) {
+      const updated = await adjustStock({ ...item, delta: -item.quantity }, session);
+      if (!updated) {
+        throw httpError(409, `Insufficient stock for medicine ${item.medicineId}`);
+      }
+    }
+
+    const now = new Date();
+    const [reservation] = await StockReservation.create(
+      [
+        {
+          orderId: order._id,
+          parentOrderId: order.parentOrderId,
+          userId: order.userId,
+          items,
+          status: hold ? "held" : "committed",
+          expiresAt: hold
+            ? new Date(now.getTime() + config.order.reservationMinutes * 60000)
+            : undefined,
+          committedAt: hold ? undefined : now,
+        },
+      ],
+      { session }
+    );
+
+    reservations.push(reservation);
+  }
+
+  return reservations;
+};
+
+// Set units aside outside of a checkout, e.g. a replacement offered to a
+// customer. Throws a 409 when the shelf does not have enough.
+export const takeStock = async ({ pharmacyId, medicineId, quantity }, { session } = {}) => {
+  const updated = await adjustStock({ pharmacyId, medicineId, delta: -quantity }, session);
+  if (!updated) {
+    throw httpError(409, `Insufficient stock for medicine ${medicineId}`);
+  }
+  return updated;
+};
+
+// Put units taken with takeStock back on the shelf
+export const returnStock = ({ pharmacyId, medicineId, quantity }, { session } = {}) =>
+  adjustStock({ pharmacyId, medicineId, delta: quantity }, session);
+
+/**
+ * Point the reservation of an order at a replacement line. Moves no stock:
+ * the reservation only records what a cancellation gives back. Orders
+ * placed before reservations existed have none and are left alone.
+ */
+export const replaceReservedItem = async (orderId, medicineId, replacement, { session } = {}) => {
+  const reservation = await StockReservation.findOne({ orderId }).session(session || null);
+  if (!reservation) return null;
+
+  const item = reservation.items.find((candidate) => candidate.medicineId.equals(medicineId));
+  if (item) {
+    item.medicineId = replacement.medicineId;
+    item.quantity = replacement.quantity;
+  } else {
+    reservation.items.push(replacement);
+  }
+
+  await reservation.save({ session });
+  return reservation;
+};
+
+// Reservations of a checkout order, or of a single sub-order
+const reservationQuery = (orderId) => ({
+  $or: [{ orderId }, { parentOrderId: orderId }],
+});
+
+// Make held stock final once the order has been paid
+export const commitReservations = async (orderId, { session } = {}) => {
+  const result = await StockReservation.updateMany(
+    { ...reservationQuery(orderId), status: "held" },
+    { $set: { status: "committed", committedAt: new Date() }, $unset: { expiresAt: 1 } },
+    { session }
+  );
+
+  return result.modifiedCount;
+};
+
+// Put one reservation's stock back, only the caller that flips it does the work
+const releaseReservation = (reservation, reason, session) =>
+  runInTransaction(
+    async (transactionSession) => {
+      const released = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: { $ne: "released" } },
+        { $set: { status: "released", releasedAt: new Date(), releaseReason: reason } },
+        { new: true, session: transactionSession }
+      );
+
+      if (!released) return false;
+
+      for (const item of released.items) {
+        await adjustStock({ ...item.toObject(), delta: item.quantity }, transactionSession);
+      }
+
+      return true;
+    },
+    { session }
+  );
+
+/**
+ * Release the stock reserved for an order or for all sub-orders of a
+ * checkout. Returns the number of reservations released, or null when the
+ * order never had a reservation (orders placed before reservations existed).
+ */
+export const releaseReservations = async (orderId, reason, { session } = {}) => {
+  const reservations = await StockReservation.find(reservationQuery(orderId)).session(
+    session || null
+  );
+
+  if (reservations.length === 0) return null;
+
+  let released = 0;
+  for (const reservation of reservations) {
+    if (await releaseReservation(reservation, reason, session)) {
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+// Release every held reservation whose payment window has passed
+export const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({
+    status: "held",
+    expiresAt: { $lte: new Date() },
+  });
+
+  const orderIds = new Set();
+  for (const reservation of expired) {
+    if (await releaseReservation(reservation, "expired")) {
+      orderIds.add((reservation.parentOrderId || reservation.orderId).toString());
+    }
+  }
+
+  return [...orderIds];
+};
+
+// Take the stock of released reservations off the shelf again, throws a 409
+// when the shelf no longer has enough
+const retakeReleased = async (orderId, reasons, update, session) => {
+  const reservations = await StockReservation.find({
+    ...reservationQuery(orderId),
+    status: "released",
+    releaseReason: { $in: reasons },
+  }).session(session);
+
+  for (const reservation of reservations) {
+    for (const item of reservation.items) {
+      const updated = await adjustStock(
+        { ...item.toObject(), delta: -item.quantity },
+        session
+      );
+      if (!updated) {
+        throw httpError(409, `Insufficient stock for medicine ${item.medicineId}`);
+      }
+    }
+
+    Object.assign(reservation, update);
+    reservation.releasedAt = undefined;
+    reservation.releaseReason = undefined;
+    await reservation.save({ session });
+  }
+};
+
+// Why the stock of an order still waiting for its payment may have been given back
+const UNPAID_RELEASE_REASONS = ["payment_failed", "expired"];
+
+/**
+ * Take stock again for an order paid after its payment failed or its hold
+ * expired. Returns false when the shelf no longer has enough stock.
+ */
+export const reclaimReleasedReservations = async (orderId) => {
+  try {
+    await runInTransaction((session) =>
+      retakeReleased(
+        orderId,
+        UNPAID_RELEASE_REASONS,
+        { status: "committed", committedAt: new Date() },
+        session
+      )
+    );
+
+    return true;
+  } catch (error) {
+    if (error.status === 409) return false;
+    throw error;
+  }
+};
+
+/**
+ * Hold the stock of an order again so its failed payment can be retried.
+ * Runs in the caller's transaction and throws a 409 when the shelf no
+ * longer has enough stock.
+ */
+export const reholdReservations = (orderId, { session } = {}) =>
+  retakeReleased(
+    orderId,
+    UNPAID_RELEASE_REASONS,
+    {
+      status: "held",
+      expiresAt: new Date(Date.now() + config.order.reservationMinutes * 60000),
+    },
+    session
+  );
@@ -0,0 +1,614 @@
+import mongoose from "mongoose";
+import Medicine from "../models/MedicineModel.js";
+import Order from "../models/OrderModel.js";
+import Pharmacy from "../models/PharmacyModel.js";
+import Substitution from "../models/SubstitutionModel.js";
+import { httpError } from "./httpError.js";
+import { findMedicineAlternatives } from "./medicineAlternatives.js";
+import { roundMoney } from "./money.js";
+import { notifyUser } from "./notifications.js";
+import { notifyOrderEvent } from "./orderNotifier.js";
+import { paymentProviderOf } from "./payments/index.js";
+import { isCoveredByPrescription } from "./prescriptions.js";
+import { priceItems } from "./pricing.js";
+import { replaceReservedItem, returnStock, takeStock } from "./stockReservation.js";
+import { runInTransaction } from "./transaction.js";
+
+// Order statuses in which the pharmacy is still packing
+const SUBSTITUTABLE_STATUSES = ["pending", "confirmed", "processing"];
+
+// Substitutions still waiting for the customer
+export const OPEN_SUBSTITUTION_STATUSES = ["proposed", "payment_pending"];
+
+// Substitutions turned down or taken back, a difference paid for them is owed back
+const CLOSED_SUBSTITUTION_STATUSES = ["rejected", "withdrawn"];
+
+const NOT_OPEN = "This replacement is no longer waiting for an answer";
+
+// Only the order that holds the line can change it: a sub-order, or an order
+// placed before the split
+const assertReplaceable = (order) => {
+  if (order.subOrders?.length > 0) {
+    throw httpError(400, "Items are replaced on the pharmacy's shipment, not on the checkout");
+  }
+  if (!SUBSTITUTABLE_STATUSES.includes(order.status)) {
+    throw httpError(400, `Items can no longer be replaced once the order is ${order.status}`);
+  }
+};
+
+const findLine = (order, itemId) => {
+  const line = mongoose.isValidObjectId(itemId) && order.items.id(itemId);
+  if (!line) {
+    throw httpError(404, "Order item not found");
+  }
+  return line;
+};
+
+// How a replacement relates to the medicine, null when it is not an alternative
+const replacementSource = (medicine, replacement) => {
+  if (medicine.alternatives?.some((id) => id.equals(replacement._id))) {
+    return "predefined";
+  }
+  if (medicine.activeIngredient && replacement.activeIngredient === medicine.activeIngredient) {
+    return "activeIngredient";
+  }
+  return null;
+};
+
+// A line that needs a prescription, or a replacement that does, is only
+// swapped for something an approved prescription of the customer covers
+const needsPrescriptionCover = (medicine, replacement) =>
+  Boolean(medicine.prescriptionRequired || replacement.prescriptionRequired);
+
+const assertPrescriptionCover = async (userId, medicine, replacement) => {
+  if (!needsPrescriptionCover(medicine, replacement)) return;
+
+  if (!(await isCoveredByPrescription(userId, replacement._id))) {
+    throw httpError(
+      400,
+      `${replacement.name} can only replace ${medicine.name} with an approved prescription that covers it`
+    );
+  }
+};
+
+const loadMedicines = async (substitution) => {
+  const [medicine, replacement] = await Promise.all([
+    Medicine.findById(substitution.original.medicine),
+    Medicine.findById(substitution.replacement.medicine),
+  ]);
+  if (!medicine || !replacement) {
+    throw httpError(404, "Medicine not found");
+  }
+  return { medicine, replacement };
+};
+
+/**
+ * Totals of an order once a line is replaced. The promo discount and the
+ * delivery fee stay as they were, the discount never exceeds what the items
+ * cost.
+ */
+const totalsWithReplacement = (order, substitution) => {
+  const items = order.items.map((item) =>
+    item._id.equals(substitution.itemId) ? substitution.replacement : item
+  );
+
+  const itemsTotal = roundMoney(
+    items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0)
+  );
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const promoDiscount = Math.min(order.priceBreakdown?.promoDiscount || 0, subtotal);
+  const deliveryFee = order.deliveryFee || 0;
+
+  return {
+    itemsTotal,
+    itemDiscount: roundMoney(itemsTotal - subtotal),
+    subtotal,
+    promoDiscount,
+    deliveryFee,
+    total: roundMoney(subtotal - promoDiscount + deliveryFee),
+  };
+};
+
+const TOTAL_FIELDS = ["itemsTotal", "itemDiscount", "subtotal", "promoDiscount", "total"];
+
+const replaceLine = (line, substitution) => {
+  const { medicine, name, unitPrice, discount, quantity, price, lineTotal } =
+    substitution.replacement;
+  line.set({ medicine, name, unitPrice, discount, quantity, price, lineTotal });
+};
+
+/**
+ * Put the replacement in place of the original line, in the caller's
+ * transaction: the line and totals of the order, the same line and totals
+ * of its checkout, and what its stock reservation gives back on
+ * cancellation. The original units are not put back, the pharmacy found
+ * them missing.
+ */
+const applySubstitution = async (substitution, { session }) => {
+  const order = await Order.findById(substitution.orderId).session(session);
+  const totals = totalsWithReplacement(order, substitution);
+  const before = Object.fromEntries(
+    TOTAL_FIELDS.map((field) => [field, order.priceBreakdown?.[field] || 0])
+  );
+
+  replaceLine(order.items.id(substitution.itemId), substitution);
+  order.subtotal = totals.subtotal;
+  order.total = totals.total;
+  for (const field of TOTAL_FIELDS) {
+    order.set(`priceBreakdown.${field}`, totals[field]);
+  }
+  await order.save({ session });
+
+  if (order.parentOrderId) {
+    const parentOrder = await Order.findById(order.parentOrderId).session(session);
+    const parentLine = parentOrder.items.find(
+      (item) =>
+        item.medicine?.equals(substitution.original.medicine) &&
+        item.pharmacyId?.equals(substitution.pharmacyId)
+    );
+    if (parentLine) {
+      replaceLine(parentLine, substitution);
+    }
+
+    // The checkout totals are the sum of its shipments, move them by as much
+    for (const field of TOTAL_FIELDS) {
+      const change = totals[field] - before[field];
+      parentOrder.set(
+        `priceBreakdown.${field}`,
+        roundMoney((parentOrder.priceBreakdown?.[field] || 0) + change)
+      );
+    }
+    parentOrder.subtotal = parentOrder.priceBreakdown.subtotal;
+    parentOrder.total = parentOrder.priceBreakdown.total;
+    parentOrder.discount = parentOrder.priceBreakdown.promoDiscount;
+    await parentOrder.save({ session });
+  }
+
+  await replaceReservedItem(
+    order._id,
+    substitution.original.medicine,
+    {
+      pharmacyId: substitution.pharmacyId,
+      medicineId: substitution.replacement.medicine,
+      quantity: substitution.replacement.quantity,
+    },
+    { session }
+  );
+
+  return order;
+};
+
+// Tell the pharmacy how the customer answered. Never fails the caller.
+const notifyPharmacy = async (substitution, title, body) => {
+  try {
+    const pharmacy = await Pharmacy.findById(substitution.pharmacyId).select("ownerId");
+    if (!pharmacy?.ownerId) return;
+
+    await notifyUser(pharmacy.ownerId, {
+      title,
+      body,
+      type: "order",
+      data: { orderId: substitution.orderId, substitutionId: substitution._id },
+    });
+  } catch (error) {
+    console.error(`Substitution notification for ${substitution._id} failed:`, error.message);
+  }
+};
+
+const notifyAccepted = (substitution) =>
+  notifyPharmacy(
+    substitution,
+    "Replacement accepted",
+    `The customer accepted ${substitution.replacement.name} instead of ${substitution.original.name}.`
+  );
+
+/**
+ * What the pharmacy can offer instead of an order line: alternatives of the
+ * medicine it has in stock. Options the customer's prescriptions do not
+ * cover are marked `prescriptionBlocked`.
+ */
+export const listSubstituteOptions = async (order, itemId) => {
+  assertReplaceable(order);
+  const line = findLine(order, itemId);
+
+  const medicine = await Medicine.findById(line.medicine);
+  if (!medicine) {
+    throw httpError(404, "Medicine not found");
+  }
+
+  const { alternatives, source } = await findMedicineAlternatives(medicine, {
+    pharmacyId: line.pharmacyId || order.pharmacyId,
+  });
+
+  const options = await Promise.all(
+    alternatives.map(async (alternative) => ({
+      ...alternative,
+      prescriptionBlocked:
+        needsPrescriptionCover(medicine, alternative) &&
+        !(await isCoveredByPrescription(order.userId, alternative._id)),
+    }))
+  );
+
+  return { item: line, source, alternatives: options };
+};
+
+/**
+ * Propose a replacement for an order line the pharmacy cannot supply. The
+ * replacement is priced from the pharmacy's shelf and its stock set aside
+ * until the customer answers.
+ */
+export const proposeSubstitution = async (order, { itemId, medicineId, quantity, note, user }) => {
+  assertReplaceable(order);
+  const line = findLine(order, itemId);
+
+  const open = await Substitution.exists({
+    orderId: order._id,
+    itemId: line._id,
+    status: { $in: OPEN_SUBSTITUTION_STATUSES },
+  });
+  if (open) {
+    throw httpError(400, "A replacement has already been proposed for this item");
+  }
+
+  if (!mongoose.isValidObjectId(medicineId)) {
+    throw httpError(400, "A replacement medicine is required");
+  }
+
+  const [medicine, replacement] = await Promise.all([
+    Medicine.findById(line.medicine),
+    Medicine.findOne({ _id: medicineId, isDeleted: { $ne: true } }),
+  ]);
+  if (!medicine || !replacement) {
+    throw httpError(404, "Medicine not found");
+  }
+
+  const source = replacementSource(medicine, replacement);
+  if (!source) {
+    throw httpError(400, `${replacement.name} is not an alternative to ${medicine.name}`);
+  }
+
+  await assertPrescriptionCover(order.userId, medicine, replacement);
+
+  const pharmacyId = line.pharmacyId || order.pharmacyId;
+  const [priced] = await priceItems([
+    { medicineId: replacement._id, pharmacyId, quantity: quantity ?? line.quantity },
+  ]);
+
+  const substitution = new Substitution({
+    orderId: order._id,
+    parentOrderId: order.parentOrderId,
+    userId: order.userId,
+    pharmacyId,
+    itemId: line._id,
+    original: line.toObject(),
+    replacement: priced,
+    source,
+    note,
+    priceDifference: roundMoney(priced.lineTotal - line.lineTotal),
+    proposedBy: user._id,
+  });
+
+  await runInTransaction(async (session) => {
+    await takeStock(
+      { pharmacyId, medicineId: replacement._id, quantity: priced.quantity },
+      { session }
+    );
+    await substitution.save({ session });
+  });
+
+  await notifyOrderEvent(order, "substitution_proposed", {
+    reason: `${line.name} can be replaced with ${replacement.name}`,
+  });
+
+  return substitution;
+};
+
+// Give back what an accepted replacement costs less. A refund the provider
+// declines stays on the replacement as failed, the line is swapped already.
+const refundDifference = async (substitution, order, provider, { user }) => {
+  let outcome;
+  try {
+    const { transactionId } = await provider.refund(order, substitution.settlement.amount, { user });
+    outcome = { status: "refunded", transactionId, settledAt: new Date() };
+  } catch (error) {
+    console.error(`Refunding the difference of substitution ${substitution._id} failed:`, error);
+    outcome = { status: "failed", failureReason: error.response?.data?.message || error.message };
+  }
+
+  const update = {};
+  for (const [key, value] of Object.entries(outcome)) {
+    substitution.settlement[key] = value;
+    update[`settlement.${key}`] = value;
+  }
+  await Substitution.updateOne({ _id: substitution._id }, { $set: update });
+};
+
+/**
+ * Accept a proposed replacement and settle the difference with the order's
+ * payment provider:
+ *
+ * - on delivery: nothing moves now, the new total is collected
+ * - instant (wallet): charged or refunded with the line swap as one unit
+ * - redirect (card): a lower total is refunded once the swap is claimed; a
+ *   higher one is paid on the provider's page first and the line is swapped when
+ *   the payment comes in. Returns { paymentUrl, returnUrl } for that page.
+ *
+ * A replacement waiting for its payment can be accepted again for a new page.
+ */
+export const acceptSubstitution = async (substitution, { user }) => {
+  if (!OPEN_SUBSTITUTION_STATUSES.includes(substitution.status)) {
+    throw httpError(400, NOT_OPEN);
+  }
+
+  const order = await Order.findById(substitution.orderId);
+  if (!order || !SUBSTITUTABLE_STATUSES.includes(order.status)) {
+    throw httpError(400, "This order can no longer be changed");
+  }
+
+  const { medicine, replacement } = await loadMedicines(substitution);
+  await assertPrescriptionCover(order.userId, medicine, replacement);
+
+  const difference = roundMoney(totalsWithReplacement(order, substitution).total - order.total);
+  const provider = paymentProviderOf(order);
+  substitution.priceDifference = difference;
+
+  if (provider.flow === "redirect" && difference > 0) {
+    const payment = await provider.chargeDifference(order, substitution, { user });
+
+    substitution.status = "payment_pending";
+    substitution.respondedAt = new Date();
+    substitution.settlement = { type: "charge", amount: difference, status: "pending" };
+    await substitution.save();
+
+    return { substitution, ...payment };
+  }
+
+  let settlement = { type: "none", amount: 0 };
+  if (difference !== 0 && provider.flow === "on_delivery") {
+    settlement = { type: "on_delivery", amount: difference };
+  }
+
+  // Card refunds cannot join the transaction, they follow once the swap is claimed
+  const refundsAfterClaim = difference < 0 && provider.flow === "redirect";
+  if (refundsAfterClaim) {
+    settlement = { type: "refund", amount: -difference, status: "pending" };
+  }
+
+  const accepted = await runInTransaction(async (session) => {
+    if (difference !== 0 && provider.flow === "instant") {
+      const { transactionId } =
+        difference > 0
+          ? await provider.chargeDifference(order, substitution, { user, session })
+          : await provider.refund(order, -difference, { user, session });
+
+      settlement = {
+        type: difference > 0 ? "charge" : "refund",
+        amount: Math.abs(difference),
+        status: difference > 0 ? "paid" : "refunded",
+        transactionId,
+        settledAt: new Date(),
+      };
+    }
+
+    const claimed = await Substitution.findOneAndUpdate(
+      { _id: substitution._id, status: { $in: OPEN_SUBSTITUTION_STATUSES } },
+      {
+        $set: {
+          status: "accepted",
+          respondedAt: new Date(),
+          priceDifference: difference,
+          settlement,
+        },
+      },
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw httpError(400, NOT_OPEN);
+    }
+
+    await applySubstitution(claimed, { session });
+    return claimed;
+  });
+
+  if (refundsAfterClaim) {
+    await refundDifference(accepted, order, provider, { user });
+  }
+
+  await notifyAccepted(accepted);
+
+  return { substitution: accepted };
+};
+
+/**
+ * Give back a difference paid after its replacement was closed. The payment
+ * is claimed first so a repeated report refunds it once; a refund the
+ * provider declines is tried again on the next report.
+ */
+const refundLatePayment = async (substitutionId, order, transactionId) => {
+  const claimed = await Substitution.findOneAndUpdate(
+    {
+      _id: substitutionId,
+      status: { $in: CLOSED_SUBSTITUTION_STATUSES },
+      "settlement.type": "charge",
+      "settlement.status": { $in: ["pending", "failed"] },
+    },
+    {
+      $set: {
+        "settlement.status": "paid",
+        "settlement.transactionId": transactionId?.toString(),
+        "settlement.settledAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return Substitution.findById(substitutionId);
+  }
+
+  let outcome;
+  try {
+    const refund = await paymentProviderOf(order).refundDifference(claimed, transactionId);
+    outcome = { status: "refunded", refundTransactionId: refund.transactionId };
+  } catch (error) {
+    console.error(`Refunding the late payment of substitution ${substitutionId} failed:`, error);
+    outcome = { status: "failed", failureReason: error.response?.data?.message || error.message };
+  }
+
+  const update = {};
+  for (const [key, value] of Object.entries(outcome)) {
+    claimed.settlement[key] = value;
+    update[`settlement.${key}`] = value;
+  }
+  await Substitution.updateOne({ _id: claimed._id }, { $set: update });
+
+  if (outcome.status === "refunded") {
+    await notifyUser(order.userId, {
+      title: "Replacement payment refunded",
+      body: `The ${claimed.settlement.amount.toFixed(2)} EGP you paid for ${
+        claimed.replacement.name
+      } has been refunded, the replacement was ${claimed.status}.`,
+      type: "order",
+      data: { orderId: claimed.orderId, substitutionId: claimed._id },
+    }).catch((error) => console.error("Substitution notification failed:", error.message));
+  }
+
+  return claimed;
+};
+
+/**
+ * Apply the payment of a replacement's difference. Providers may report the
+ * same outcome more than once; a declined payment leaves the replacement
+ * waiting so it can be paid again or rejected. A payment that arrives once
+ * the replacement was rejected or withdrawn is refunded.
+ */
+export const settleSubstitutionPayment = async (substitutionId, { success, transactionId }) => {
+  const substitution = await Substitution.findById(substitutionId).catch(() => null);
+  if (!substitution) {
+    throw httpError(404, "Substitution not found");
+  }
+
+  const paidLate =
+    success &&
+    CLOSED_SUBSTITUTION_STATUSES.includes(substitution.status) &&
+    ["pending", "failed"].includes(substitution.settlement?.status);
+  if (substitution.status !== "payment_pending" && !paidLate) return substitution;
+
+  // What the return page or callback claims is checked with the provider
+  let order;
+  if (success) {
+    order = await Order.findById(substitution.orderId);
+    const confirmed =
+      order && (await paymentProviderOf(order).confirmDifference?.(substitution, transactionId));
+    if (!confirmed) {
+      console.error(
+        `Substitution ${substitutionId} was reported paid but the provider does not confirm it`
+      );
+      return substitution;
+    }
+  }
+
+  if (!success) {
+    substitution.settlement.status = "failed";
+    substitution.settlement.transactionId = transactionId?.toString();
+    await substitution.save();
+    return substitution;
+  }
+
+  if (paidLate) {
+    return refundLatePayment(substitutionId, order, transactionId);
+  }
+
+  const accepted = await runInTransaction(async (session) => {
+    const claimed = await Substitution.findOneAndUpdate(
+      { _id: substitutionId, status: "payment_pending" },
+      {
+        $set: {
+          status: "accepted",
+          "settlement.status": "paid",
+          "settlement.transactionId": transactionId?.toString(),
+          "settlement.settledAt": new Date(),
+        },
+      },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    await applySubstitution(claimed, { session });
+    return claimed;
+  });
+
+  // Reported twice, or closed while the payment was checked
+  if (!accepted) {
+    return refundLatePayment(substitutionId, order, transactionId);
+  }
+
+  await notifyAccepted(accepted);
+  return accepted;
+};
+
+// Close an open replacement and put its set-aside stock back on the shelf
+const closeSubstitution = (substitution, status, reason) =>
+  runInTransaction(async (session) => {
+    const closed = await Substitution.findOneAndUpdate(
+      { _id: substitution._id, status: { $in: OPEN_SUBSTITUTION_STATUSES } },
+      { $set: { status, respondedAt: new Date(), rejectionReason: reason } },
+      { new: true, session }
+    );
+    if (!closed) {
+      throw httpError(400, NOT_OPEN);
+    }
+
+    await returnStock(
+      {
+        pharmacyId: closed.pharmacyId,
+        medicineId: closed.replacement.medicine,
+        quantity: closed.replacement.quantity,
+      },
+      { session }
+    );
+
+    return closed;
+  });
+
+// The customer turns the replacement down, the pharmacy decides what to do with the line
+export const rejectSubstitution = async (substitution, { reason } = {}) => {
+  const rejected = await closeSubstitution(substitution, "rejected", reason);
+
+  await notifyPharmacy(
+    rejected,
+    "Replacement rejected",
+    `The customer rejected ${rejected.replacement.name} instead of ${rejected.original.name}${
+      reason ? `: ${reason}` : "."
+    }`
+  );
+
+  return rejected;
+};
+
+// The pharmacy takes its proposal back, e.g. the original turned up after all
+export const withdrawSubstitution = (substitution, { reason } = {}) =>
+  closeSubstitution(substitution, "withdrawn", reason);
+
+// Withdraw every open replacement of a cancelled order
+export const withdrawOpenSubstitutions = async (orderId, reason) => {
+  const open = await Substitution.find({
+    orderId,
+    status: { $in: OPEN_SUBSTITUTION_STATUSES },
+  });
+
+  for (const substitution of open) {
+    try {
+      await withdrawSubstitution(substitution, { reason });
+    } catch (error) {
+      // Answered in the meantime
+      if (error.status !== 400) throw error;
+    }
+  }
+};
+
+// Whether an order, or any shipment of a checkout, waits for an answer on a replacement
+export const hasOpenSubstitution = (orderId) =>
+  Substitution.exists({
+    $or: [{ orderId }, { parentOrderId: orderId }],
+    status: { $in: OPEN_SUBSTITUTION_STATUSES },
+  });
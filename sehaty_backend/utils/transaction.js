@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+/**
+ * Run `work(session)` inside a MongoDB transaction.
+ *
+ * When the caller already holds a session the work joins that transaction
+ * instead of opening a new one. Requires a replica set (Atlas or a local
+ * single-node replica set).
+ */
+export const runInTransaction = async (work, { session } = {}) => {
+  if (session) return work(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await work(ownSession);
+    });
+    return result;
+  } finally {
+    await ownSession.endSession();
+  }
+};
+
+export default runInTransaction;
@@ -0,0 +1,241 @@
+import Wallet from "../models/WalletModel.js";
+import WalletTopUp from "../models/WalletTopUpModel.js";
+import WalletTransaction from "../models/WalletTransactionModel.js";
+import PaymobService, { topUpReference } from "./paymob.service.js";
+import { httpError } from "./httpError.js";
+import { roundMoney } from "./money.js";
+import { runInTransaction } from "./transaction.js";
+import { config } from "../config/config.js";
+
+// The wallet of a user, opened empty on first use
+export const getWallet = (userId, { session } = {}) =>
+  Wallet.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, balance: 0, currency: config.order.currency } },
+    { upsert: true, new: true, session }
+  );
+
+/**
+ * Move money in (positive amount) or out (negative) of a wallet and write
+ * the ledger entry for it, both in the caller's transaction. A debit only
+ * goes through while the balance covers it, so the balance never drops
+ * below zero even when two payments race.
+ */
+const postEntry = async ({ userId, amount, ...entry }, { session }) => {
+  amount = roundMoney(amount);
+
+  const wallet =
+    amount < 0
+      ? await Wallet.findOneAndUpdate(
+          { userId, balance: { $gte: -amount } },
+          { $inc: { balance: amount } },
+          { new: true, session }
+        )
+      : await Wallet.findOneAndUpdate(
+          { userId },
+          { $inc: { balance: amount }, $setOnInsert: { currency: config.order.currency } },
+          { upsert: true, new: true, session }
+        );
+
+  if (!wallet) {
+    throw httpError(400, "Insufficient wallet balance");
+  }
+
+  // Keep the stored balance in whole piasters, float sums would drift
+  const balance = roundMoney(wallet.balance);
+  if (balance !== wallet.balance) {
+    await Wallet.updateOne({ _id: wallet._id }, { $set: { balance } }, { session });
+    wallet.balance = balance;
+  }
+
+  const [transaction] = await WalletTransaction.create(
+    [{ ...entry, userId, amount, balanceAfter: wallet.balance }],
+    { session }
+  );
+
+  return { wallet, transaction };
+};
+
+// Pay a checkout order from the customer's wallet, inside the order's transaction
+export const payOrderFromWallet = (order, { session }) =>
+  postEntry(
+    {
+      userId: order.userId,
+      type: "order_payment",
+      amount: -order.total,
+      orderId: order._id,
+      description: "Order payment",
+    },
+    { session }
+  );
+
+// Pay what a replaced order line costs more, inside the caller's transaction
+export const payDifferenceFromWallet = (order, substitution, { session }) =>
+  postEntry(
+    {
+      userId: order.userId,
+      type: "substitution",
+      amount: -substitution.priceDifference,
+      orderId: order.parentOrderId || order._id,
+      description: `${substitution.replacement.name} instead of ${substitution.original.name}`,
+    },
+    { session }
+  );
+
+// Give refunded money back to the wallet
+export const refundToWallet = (order, amount, { user, session } = {}) =>
+  runInTransaction(
+    (session) =>
+      postEntry(
+        {
+          userId: order.userId,
+          type: "refund",
+          amount,
+          orderId: order.parentOrderId || order._id,
+          description: `Refund for order ${order.trackingNumber || order._id}`,
+          createdBy: user?._id,
+        },
+        { session }
+      ),
+    { session }
+  );
+
+// Correct a balance by hand, e.g. a goodwill credit. Needs a reason for the ledger.
+export const adjustWallet = async (userId, { amount, note, user }) => {
+  const value = roundMoney(parseFloat(amount));
+
+  if (!value) {
+    throw httpError(400, "Adjustment amount must be a non-zero number");
+  }
+  if (!note?.trim()) {
+    throw httpError(400, "A reason is required for a wallet adjustment");
+  }
+
+  return runInTransaction((session) =>
+    postEntry(
+      {
+        userId,
+        type: "adjustment",
+        amount: value,
+        description: note.trim(),
+        createdBy: user?._id,
+      },
+      { session }
+    )
+  );
+};
+
+/**
+ * Open a Paymob payment page to add money to the wallet. Returns the page
+ * URL and the deep link back into the app.
+ */
+export const startWalletTopUp = async (user, amount) => {
+  const value = roundMoney(parseFloat(amount));
+  const { minTopUp, maxTopUp } = config.wallet;
+
+  if (!(value >= minTopUp && value <= maxTopUp)) {
+    throw httpError(400, `Top-up amount must be between ${minTopUp} and ${maxTopUp} EGP`);
+  }
+
+  const topUp = await WalletTopUp.create({ userId: user._id, amount: value });
+
+  const billingData = {
+    first_name: user.firstName || "Customer",
+    last_name: user.lastName || "User",
+    email: user.email,
+    phone_number: user.phone || "+201000000000",
+    country: "EG",
+    city: "Cairo",
+    street: "N/A",
+    building: "N/A",
+    floor: "N/A",
+    apartment: "N/A",
+  };
+
+  const returnUrl = `${config.app.deepLinkScheme}://wallet-top-up/${topUp._id}`;
+
+  try {
+    const { paymentUrl, paymobOrderId } = await PaymobService.getPaymentUrl(
+      topUpReference(topUp._id),
+      Math.round(value * 100),
+      billingData,
+      returnUrl
+    );
+
+    topUp.paymob = { orderId: paymobOrderId?.toString() };
+    await topUp.save();
+
+    return { topUp, paymentUrl, returnUrl };
+  } catch (error) {
+    topUp.status = "failed";
+    await topUp.save();
+    throw httpError(502, `Top-up could not be started: ${error.message}`);
+  }
+};
+
+const isTrue = (value) => value === true || value === "true";
+
+// Ask Paymob whether a transaction really paid this top-up in full, callbacks
+// alone are not trusted with crediting money
+const isTopUpPaid = async (topUp, transactionId) => {
+  if (!transactionId) return false;
+
+  const transaction = await PaymobService.verifyPayment(transactionId);
+  return (
+    isTrue(transaction.success) &&
+    !isTrue(transaction.pending) &&
+    transaction.order?.merchant_order_id === topUpReference(topUp._id) &&
+    Number(transaction.amount_cents) === Math.round(topUp.amount * 100)
+  );
+};
+
+/**
+ * Credit a top-up once Paymob confirms it was paid. Paymob may report the
+ * same payment more than once, the top-up is only credited the first time.
+ * Returns the top-up, or null when there was nothing to credit.
+ */
+export const completeWalletTopUp = async (topUpId, transactionId) => {
+  const pending = await WalletTopUp.findById(topUpId).catch(() => null);
+  if (!pending || pending.status === "paid") return null;
+
+  if (!(await isTopUpPaid(pending, transactionId))) {
+    console.error(`Top-up ${topUpId} was reported paid but Paymob does not confirm it`);
+    return null;
+  }
+
+  return runInTransaction(async (session) => {
+    const topUp = await WalletTopUp.findOneAndUpdate(
+      { _id: topUpId, status: { $ne: "paid" } },
+      {
+        $set: {
+          status: "paid",
+          paidAt: new Date(),
+          "paymob.transactionId": transactionId.toString(),
+        },
+      },
+      { new: true, session }
+    );
+    if (!topUp) return null;
+
+    await postEntry(
+      {
+        userId: topUp.userId,
+        type: "top_up",
+        amount: topUp.amount,
+        topUpId: topUp._id,
+        description: "Wallet top-up",
+      },
+      { session }
+    );
+
+    return topUp;
+  });
+};
+
+// Record a declined top-up, nothing is credited
+export const failWalletTopUp = (topUpId, transactionId) =>
+  WalletTopUp.findOneAndUpdate(
+    { _id: topUpId, status: "pending" },
+    { $set: { status: "failed", "paymob.transactionId": transactionId?.toString() } },
+    { new: true }
+  );
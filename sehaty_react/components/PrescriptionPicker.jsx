@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { MaterialIcons } from '@expo/vector-icons';
+import { format } from 'date-fns';
+import { prescriptionAPI } from '../services/api';
+import PrescriptionUpload from './PrescriptionUpload';
+
+const listsMedicine = (prescription, medicineId) =>
+  (prescription.medicines || []).some(
+    (entry) => (entry.medicineId?._id || entry.medicineId) === medicineId
+  );
+
+// Choose one of the user's prescriptions for a prescription-only medicine, or
+// upload a new one for it. New uploads are reviewed before checkout accepts them.
+const PrescriptionPicker = ({ visible, medicine, quantity, onSelect, onClose }) => {
+  const [prescriptions, setPrescriptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showUpload, setShowUpload] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  const fetchPrescriptions = async () => {
+    try {
+      setLoading(true);
+      const response = await prescriptionAPI.getUserPrescriptions();
+      const now = new Date();
+      setPrescriptions(
+        (response.prescriptions || []).filter(
+          (prescription) =>
+            prescription.status !== 'rejected' &&
+            new Date(prescription.validUntil) >= now &&
+            listsMedicine(prescription, medicine?._id)
+        )
+      );
+    } catch (err) {
+      Alert.alert('Error', err.message || 'Failed to load your prescriptions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (visible) {
+      setShowUpload(false);
+      fetchPrescriptions();
+    }
+  }, [visible]);
+
+  const handleUploadSubmit = async (formData) => {
+    try {
+      setUploading(true);
+      const { prescription } = await prescriptionAPI.uploadPrescription(formData);
+      Alert.alert(
+        'Prescription uploaded',
+        'We will review your prescription. You can check out once it is approved.'
+      );
+      onSelect(prescription);
+    } catch (err) {
+      Alert.alert('Error', 'Failed to upload prescription');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const renderPrescription = ({ item }) => (
+    <TouchableOpacity style={styles.prescriptionCard} onPress={() => onSelect(item)}>
+      <View style={styles.prescriptionInfo}>
+        <Text style={styles.title}>{item.title}</Text>
+        <Text style={styles.detail}>Dr. {item.doctorName}</Text>
+        <Text style={styles.detail}>
+          Valid until {format(new Date(item.validUntil), 'MMM dd, yyyy')}
+        </Text>
+      </View>
+      <View style={[styles.statusBadge, styles[`${item.status}Badge`]]}>
+        <Text style={styles.statusText}>
+          {item.status === 'approved' ? 'Approved' : 'In review'}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <MaterialIcons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Prescription for {medicine?.name}</Text>
+          <View style={{ width: 24 }} />
+        </View>
+
+        {showUpload ? (
+          <PrescriptionUpload
+            onSubmit={handleUploadSubmit}
+            onCancel={() => setShowUpload(false)}
+            loading={uploading}
+            medicines={[{ medicineId: medicine?._id, quantity }]}
+          />
+        ) : loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#1B794B" />
+          </View>
+        ) : (
+          <FlatList
+            data={prescriptions}
+            keyExtractor={(item) => item._id}
+            renderItem={renderPrescription}
+            contentContainerStyle={styles.list}
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>
+                None of your prescriptions covers this medicine yet.
+              </Text>
+            }
+            ListFooterComponent={
+              <TouchableOpacity style={styles.uploadButton} onPress={() => setShowUpload(true)}>
+                <MaterialIcons name="add-a-photo" size={20} color="#fff" />
+                <Text style={styles.uploadButtonText}>Upload a prescription</Text>
+              </TouchableOpacity>
+            }
+          />
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    padding: 16,
+  },
+  prescriptionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  prescriptionInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  detail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  approvedBadge: {
+    backgroundColor: '#E8F5E9',
+  },
+  pendingBadge: {
+    backgroundColor: '#FFF3E0',
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#333',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginVertical: 16,
+  },
+  uploadButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1B794B',
+    borderRadius: 8,
+    padding: 14,
+    marginTop: 8,
+  },
+  uploadButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+});
+
+export default PrescriptionPicker;
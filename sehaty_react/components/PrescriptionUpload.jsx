@@ -14,7 +14,8 @@ import { MaterialIcons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
 import DateTimePicker from '@react-native-community/datetimepicker';
 
-const PrescriptionUpload = ({ onSubmit, onCancel, loading }) => {
+// `medicines` lists what the prescription is uploaded for, e.g. a cart item
+const PrescriptionUpload = ({ onSubmit, onCancel, loading, medicines }) => {
   const [image, setImage] = useState(null);
   const [title, setTitle] = useState('');
   const [doctorName, setDoctorName] = useState('');
@@ -81,6 +82,9 @@ const PrescriptionUpload = ({ onSubmit, onCancel, loading }) => {
       formData.append('doctorName', doctorName);
       formData.append('doctorSpecialty', doctorSpecialty);
       formData.append('validUntil', validUntil.toISOString());
+      if (medicines?.length) {
+        formData.append('medicines', JSON.stringify(medicines));
+      }
 
       // Call onSubmit with error handling
       try {
@@ -0,0 +1,151 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// Recent searches offered again while typing
+const MAX_MATCHING_RECENT = 3;
+
+const GROUPS = [
+  { key: 'medicines', title: 'Medicines', icon: 'medkit-outline' },
+  { key: 'activeIngredients', title: 'Active ingredients', icon: 'flask-outline' },
+  { key: 'categories', title: 'Categories', icon: 'grid-outline' },
+  { key: 'pharmacies', title: 'Pharmacies', icon: 'storefront-outline' },
+];
+
+// Dropdown under the search box: the user's recent searches and, once they
+// type, the medicines, active ingredients, categories and pharmacies matching.
+const SearchSuggestions = ({
+  query,
+  suggestions,
+  recentSearches,
+  onSelectQuery,
+  onSelectCategory,
+  onSelectPharmacy,
+  onClearRecent,
+}) => {
+  const typed = query.trim().toLowerCase();
+  const recent = typed
+    ? recentSearches
+        .filter((search) => search.query.toLowerCase().startsWith(typed))
+        .slice(0, MAX_MATCHING_RECENT)
+    : recentSearches;
+
+  const handleSelect = (groupKey, item) => {
+    if (groupKey === 'categories') onSelectCategory(item);
+    else if (groupKey === 'pharmacies') onSelectPharmacy(item);
+    else onSelectQuery(item.name);
+  };
+
+  const groups = typed
+    ? GROUPS.filter((group) => suggestions?.[group.key]?.count > 0)
+    : [];
+
+  if (recent.length === 0 && groups.length === 0) {
+    return typed && suggestions ? (
+      <View style={styles.container}>
+        <Text style={styles.emptyText}>No suggestions, search for "{query.trim()}"</Text>
+      </View>
+    ) : null;
+  }
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      {recent.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Recent searches</Text>
+            {!typed && (
+              <TouchableOpacity onPress={onClearRecent}>
+                <Text style={styles.clearText}>Clear</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {recent.map((search) => (
+            <TouchableOpacity
+              key={search.query}
+              style={styles.row}
+              onPress={() => onSelectQuery(search.query)}
+            >
+              <Ionicons name="time-outline" size={18} color="#606060" />
+              <Text style={styles.rowText} numberOfLines={1}>{search.query}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {groups.map((group) => (
+        <View key={group.key} style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>{group.title}</Text>
+            <Text style={styles.countText}>{suggestions[group.key].count}</Text>
+          </View>
+          {suggestions[group.key].items.map((item) => (
+            <TouchableOpacity
+              key={item._id || item.name}
+              style={styles.row}
+              onPress={() => handleSelect(group.key, item)}
+            >
+              <Ionicons name={group.icon} size={18} color="#1B794B" />
+              <Text style={styles.rowText} numberOfLines={1}>{item.name}</Text>
+              {item.count !== undefined && (
+                <Text style={styles.countText}>
+                  {`${item.count} ${item.count === 1 ? 'medicine' : 'medicines'}`}
+                </Text>
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  section: {
+    marginBottom: 12,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#1B794B',
+  },
+  clearText: {
+    fontSize: 14,
+    color: '#E53935',
+  },
+  countText: {
+    fontSize: 12,
+    color: '#A9A9A9',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#606060',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
+
+export default SearchSuggestions;
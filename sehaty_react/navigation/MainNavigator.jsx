@@ -14,6 +14,8 @@ import OrderSuccessScreen from '../screens/Order/OrderSuccessScreen';
 import OrderFailureScreen from '../screens/Order/OrderFailureScreen';
 import OrderTrackingScreen from "../screens/Order/OrderTrackingScreen";
 import EditProfileScreen from '../screens/Profile/EditProfileScreen';
+import NotificationSettingsScreen from '../screens/Profile/NotificationSettingsScreen';
+import WalletScreen from '../screens/Profile/WalletScreen';
 import OrderScreen from '../screens/Order/OrderScreen';
 import PrescriptionDetailsScreen from '../screens/Prescription/PrescriptionDetailsScreen';
 import PrescriptionListScreen from '../screens/Prescription/PrescriptionListScreen';
@@ -47,6 +49,8 @@ export default function MainNavigator() {
       <Stack.Screen name="OrderFailureScreen" component={OrderFailureScreen} />
       <Stack.Screen name="OrderTracking" component={OrderTrackingScreen} />
       <Stack.Screen name="EditProfile" component={EditProfileScreen} />
+      <Stack.Screen name="NotificationSettings" component={NotificationSettingsScreen} />
+      <Stack.Screen name="Wallet" component={WalletScreen} />
       <Stack.Screen name="PrescriptionDetails" component={PrescriptionDetailsScreen} />
       <Stack.Screen name="PrescriptionList" component={PrescriptionListScreen} />
       <Stack.Screen name="AddReminder" component={AddReminder} />
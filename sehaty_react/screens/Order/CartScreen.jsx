@@ -20,6 +20,7 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons, MaterialCommunityIcons } from "@expo/vector-icons";
 import { TrashIcon } from "react-native-heroicons/outline";
 import { cartAPI } from "../../services/api";
+import PrescriptionPicker from "../../components/PrescriptionPicker";
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
 
 const { width } = Dimensions.get("window");
@@ -30,6 +31,8 @@ export default function CartScreen() {
   const { items } = useSelector((state) => state.cart);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Cart item a prescription is being chosen for
+  const [prescriptionItem, setPrescriptionItem] = useState(null);
 
   // Use useFocusEffect to refresh cart data when screen comes into focus
   useFocusEffect(
@@ -93,6 +96,24 @@ export default function CartScreen() {
     }
   };
 
+  const handleSelectPrescription = async (prescription) => {
+    const itemId = prescriptionItem._id;
+    setPrescriptionItem(null);
+    try {
+      await cartAPI.setItemPrescription(itemId, prescription._id);
+      fetchCartData();
+    } catch (err) {
+      alert(err.message || 'Failed to attach the prescription');
+    }
+  };
+
+  const prescriptionLabel = (prescription) => {
+    if (!prescription) return 'Prescription required - tap to attach';
+    return prescription.status === 'approved'
+      ? `Prescription: ${prescription.title}`
+      : `Prescription: ${prescription.title} (in review)`;
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -175,6 +196,18 @@ export default function CartScreen() {
                         <Text style={styles.itemQuantity}>
                           {`Quantity: ${item.quantity}`}
                         </Text>
+                        {item.medicineId?.prescriptionRequired && (
+                          <TouchableOpacity onPress={() => setPrescriptionItem(item)}>
+                            <Text
+                              style={[
+                                styles.prescriptionText,
+                                !item.prescriptionId && styles.prescriptionMissing,
+                              ]}
+                            >
+                              {prescriptionLabel(item.prescriptionId)}
+                            </Text>
+                          </TouchableOpacity>
+                        )}
                         {!item.medicineId?.isAvailable && (
                           <TouchableOpacity
                             onPress={() =>
@@ -280,6 +313,14 @@ export default function CartScreen() {
           </>
         )}
       </ScrollView>
+
+      <PrescriptionPicker
+        visible={Boolean(prescriptionItem)}
+        medicine={prescriptionItem?.medicineId}
+        quantity={prescriptionItem?.quantity}
+        onSelect={handleSelectPrescription}
+        onClose={() => setPrescriptionItem(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -444,6 +485,15 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     marginBottom: 2,
   },
+  prescriptionText: {
+    fontSize: 13,
+    color: "#1B794B",
+    marginBottom: 2,
+  },
+  prescriptionMissing: {
+    color: "#D32F2F",
+    fontWeight: "bold",
+  },
   trashButton: {
     padding: 4,
   },
@@ -10,15 +10,27 @@ import {
 } from "react-native";
 import { useNavigation, useRoute } from "@react-navigation/native";
 import { MaterialIcons, Ionicons } from "@expo/vector-icons";
+import { isCardPayment, retryOrderPayment } from "../../utils/retryPayment";
 
 const OrderFailureScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
-  const { error, orderData, paymentMethod } = route.params || {};
+  const { error, orderData, paymentMethod, orderId } = route.params || {};
+
+  // Pay the order that was already placed instead of placing a new one
+  const handleRetryPaymob = async () => {
+    if (!orderId) {
+      navigation.navigate("PaymentScreen", orderData);
+      return;
+    }
+
+    await retryOrderPayment(orderId);
+    navigation.navigate("OrderTracking", { orderId });
+  };
 
   const handleRetry = () => {
     // For Paymob failures, we might want to try a different payment method
-    if (paymentMethod === 'paymob') {
+    if (isCardPayment(paymentMethod)) {
       Alert.alert(
         "Try Different Payment Method",
         "Would you like to try a different payment method?",
@@ -32,7 +44,7 @@ const OrderFailureScreen = () => {
           },
           {
             text: "Try Paymob Again",
-            onPress: () => navigation.navigate("PaymentScreen", orderData)
+            onPress: handleRetryPaymob
           },
           { text: "Cancel", style: "cancel" }
         ]
@@ -53,7 +65,7 @@ const OrderFailureScreen = () => {
   };
 
   // Special case for Paymob failures
-  const isPaymobError = paymentMethod === 'paymob';
+  const isPaymobError = isCardPayment(paymentMethod);
   const errorTitle = isPaymobError ? 'Payment Processing Failed' : 'Order Failed';
   const primaryErrorMessage = isPaymobError 
     ? 'There was an issue processing your card payment. Please try again or use a different payment method.'
@@ -14,16 +14,19 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import * as WebBrowser from 'expo-web-browser';
 import { cartAPI } from '../../services/api';
+import { shareInvoice } from '../../utils/invoiceShare';
+import { isCardPayment } from '../../utils/retryPayment';
 
 const OrderSuccessScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
   const { orderId, total = 0, paymentMethod, paymentCompleted } = route.params || {};
   const [isVerifying, setIsVerifying] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
 
   // Add payment verification
   const verifyPaymentStatus = async () => {
-    if (paymentMethod !== 'paymob' || paymentCompleted) return;
+    if (!isCardPayment(paymentMethod) || paymentCompleted) return;
     
     try {
       setIsVerifying(true);
@@ -74,7 +77,7 @@ const OrderSuccessScreen = () => {
 
     // Start polling for payment status if it's a Paymob payment
     let pollInterval;
-    if (paymentMethod === 'paymob' && !paymentCompleted) {
+    if (isCardPayment(paymentMethod) && !paymentCompleted) {
       pollInterval = setInterval(verifyPaymentStatus, 5000); // Poll every 5 seconds
     }
 
@@ -95,12 +98,18 @@ const OrderSuccessScreen = () => {
     navigation.navigate('MainTabs', { screen: 'Orders' });
   };
 
+  const handleInvoice = async () => {
+    setIsDownloading(true);
+    await shareInvoice(orderId);
+    setIsDownloading(false);
+  };
+
   const handleContinueShopping = () => {
     navigation.navigate('MainTabs', { screen: 'Home' });
   };
 
   // For Paymob payments, show different messaging
-  const isPaymobPending = paymentMethod === 'paymob' && !paymentCompleted;
+  const isPaymobPending = isCardPayment(paymentMethod) && !paymentCompleted;
 
   return (
     <SafeAreaView style={styles.container}>
@@ -155,6 +164,20 @@ const OrderSuccessScreen = () => {
               >
                 <Text style={styles.buttonText}>View Orders</Text>
               </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.button, styles.invoiceButton]}
+                onPress={handleInvoice}
+                disabled={isDownloading}
+              >
+                {isDownloading ? (
+                  <ActivityIndicator color="#1B794B" />
+                ) : (
+                  <Text style={[styles.buttonText, styles.invoiceButtonText]}>
+                    Download Invoice
+                  </Text>
+                )}
+              </TouchableOpacity>
             </>
           )}
 
@@ -240,6 +263,14 @@ const styles = StyleSheet.create({
   shopButton: {
     backgroundColor: '#81C784',
   },
+  invoiceButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#1B794B',
+  },
+  invoiceButtonText: {
+    color: '#1B794B',
+  },
   buttonText: {
     color: '#fff',
     fontSize: 16,
@@ -11,14 +11,29 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons, FontAwesome, FontAwesome5 } from '@expo/vector-icons';
+import MapView, { Marker } from 'react-native-maps';
 import { cartAPI, productsAPI } from '../../services/api';
+import { trackOrder } from '../../services/realtime';
+import { shareInvoice } from '../../utils/invoiceShare';
+import { isCardPayment, retryOrderPayment } from '../../utils/retryPayment';
+import { acceptSubstitution } from '../../utils/substitutionPayment';
 
 const OrderTrackingScreen = ({ route, navigation }) => {
   const { orderId } = route.params;
   const [order, setOrder] = useState(null);
   const [delivery, setDelivery] = useState(null);
+  const [shipments, setShipments] = useState([]);
+  // Click-and-collect only: one pickup code per pharmacy
+  const [pickups, setPickups] = useState([]);
+  // Live courier positions, keyed by delivery
+  const [couriers, setCouriers] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [isDownloadingInvoice, setIsDownloadingInvoice] = useState(false);
+  const [isRetryingPayment, setIsRetryingPayment] = useState(false);
+  // Replacements for out-of-stock items waiting for the customer's answer
+  const [substitutions, setSubstitutions] = useState([]);
+  const [answeringSubstitution, setAnsweringSubstitution] = useState(null);
 
   useEffect(() => {
     if (!orderId) {
@@ -29,9 +44,33 @@ const OrderTrackingScreen = ({ route, navigation }) => {
     fetchOrderDetails();
   }, [orderId]);
 
-  const fetchOrderDetails = async () => {
+  // Follow status changes and the courier's position while the screen is open
+  useEffect(() => {
+    if (!orderId) return;
+
+    const updateCourier = (update) =>
+      setCouriers((current) => ({ ...current, [update.deliveryId]: update }));
+
+    return trackOrder(orderId, {
+      onSnapshot: (snapshot) =>
+        setCouriers(
+          Object.fromEntries(
+            (snapshot.deliveries || []).map((update) => [update.deliveryId, update])
+          )
+        ),
+      onStatus: () => fetchOrderDetails({ silent: true }),
+      onDelivery: (update) => {
+        updateCourier(update);
+        fetchOrderDetails({ silent: true });
+      },
+      onLocation: updateCourier,
+      onError: (err) => console.log('Live tracking unavailable:', err.message),
+    });
+  }, [orderId]);
+
+  const fetchOrderDetails = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
       const response = await cartAPI.getOrderDetails(orderId);
       
@@ -41,27 +80,34 @@ const OrderTrackingScreen = ({ route, navigation }) => {
           throw new Error('Invalid order items data');
         }
 
-        // Calculate order summary
-        const subtotal = response.order.items.reduce((sum, item) => {
-          const itemTotal = (item.price || 0) * (item.quantity || 0);
-          return sum + itemTotal;
-        }, 0);
-
-        const deliveryFee = 20; // Fixed delivery fee
-        const total = subtotal + deliveryFee;
+        // Totals are stored on the order when it is placed
+        const breakdown = response.order.priceBreakdown || {};
+        const subtotal = breakdown.subtotal ?? response.order.subtotal ?? response.order.items.reduce(
+          (sum, item) => sum + (item.price || 0) * (item.quantity || 0),
+          0
+        );
 
-        // Add calculated values to order
         const enhancedOrder = {
           ...response.order,
           summary: {
             subtotal,
-            deliveryFee,
-            total
+            promoDiscount: breakdown.promoDiscount || 0,
+            deliveryFee: breakdown.deliveryFee ?? response.order.deliveryFee ?? 0,
+            total: breakdown.total ?? response.order.total ?? subtotal,
           }
         };
 
         setOrder(enhancedOrder);
         setDelivery(response.delivery);
+        setShipments(response.shipments || []);
+
+        if (response.order.fulfillment === 'pickup') {
+          const pickup = await cartAPI.getPickup(orderId);
+          setPickups(pickup.pickups || []);
+        }
+
+        const replacements = await cartAPI.getSubstitutions(orderId);
+        setSubstitutions(replacements.substitutions || []);
       } else {
         throw new Error('Invalid order data received');
       }
@@ -79,12 +125,16 @@ const OrderTrackingScreen = ({ route, navigation }) => {
       case 'delivered':
         return '#1B794B';
       case 'shipped':
+      case 'ready_for_pickup':
         return '#1976D2';
       case 'pending':
+      case 'payment_pending':
         return '#FFA000';
+      case 'confirmed':
       case 'processing':
         return '#1B794B';
       case 'cancelled':
+      case 'payment_failed':
         return '#F44336';
       default:
         return '#757575';
@@ -99,6 +149,8 @@ const OrderTrackingScreen = ({ route, navigation }) => {
         return "sync-outline";
       case "shipped":
         return "car-outline";
+      case "ready_for_pickup":
+        return "storefront-outline";
       case "delivered":
         return "checkmark-circle-outline";
       case "cancelled":
@@ -126,6 +178,8 @@ const OrderTrackingScreen = ({ route, navigation }) => {
   const renderOrderItem = (item, index) => {
     // Get medicine details from the populated data
     const medicine = item.medicine || {};
+    // Prefer the name captured at checkout, the catalog entry may have changed
+    const name = item.name || medicine.name || medicine.title || `Item ${index + 1}`;
     
     return (
       <View key={item._id || index} style={styles.itemCard}>
@@ -135,9 +189,7 @@ const OrderTrackingScreen = ({ route, navigation }) => {
           defaultSource={require('../../assets/sehaty_logo.png')}
         />
         <View style={styles.itemDetails}>
-          <Text style={styles.itemName}>
-            {medicine.name || medicine.title || `Item ${index + 1}`}
-          </Text>
+          <Text style={styles.itemName}>{name}</Text>
           <Text style={styles.itemQuantity}>Quantity: {item.quantity}</Text>
           <Text style={styles.itemPrice}>{formatPrice(item.price)}</Text>
         </View>
@@ -145,6 +197,265 @@ const OrderTrackingScreen = ({ route, navigation }) => {
     );
   };
 
+  const formatStatus = (status) => {
+    if (!status) return 'Unknown';
+    const label = status.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  };
+
+  const formatDateTime = (dateString) => {
+    try {
+      const date = new Date(dateString);
+      return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      })}`;
+    } catch (err) {
+      return 'Invalid date';
+    }
+  };
+
+  // Status changes recorded by the server, oldest first
+  const renderTimeline = (history = []) => (
+    <View style={styles.timeline}>
+      {history.map((entry, index) => {
+        const isLast = index === history.length - 1;
+        return (
+          <View key={entry._id || index} style={styles.timelineRow}>
+            <View style={styles.timelineMarker}>
+              <View
+                style={[
+                  styles.timelineDot,
+                  { backgroundColor: getStatusColor(entry.status) },
+                ]}
+              />
+              {!isLast && <View style={styles.timelineLine} />}
+            </View>
+            <View style={styles.timelineContent}>
+              <Text style={[styles.timelineStatus, { color: getStatusColor(entry.status) }]}>
+                {formatStatus(entry.status)}
+              </Text>
+              <Text style={styles.timelineDate}>{formatDateTime(entry.changedAt)}</Text>
+              {entry.note ? <Text style={styles.timelineNote}>{entry.note}</Text> : null}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+
+  const renderPickup = (pickup) => (
+    <View key={pickup.orderId} style={styles.pickupCard}>
+      <Text style={styles.pickupPharmacy}>{pickup.pharmacy?.name || 'Pharmacy'}</Text>
+      {pickup.pharmacy?.address ? (
+        <Text style={styles.pickupAddress}>{pickup.pharmacy.address}</Text>
+      ) : null}
+      {pickup.status === 'delivered' ? (
+        <Text style={styles.pickupNote}>Collected on {formatDateTime(pickup.collectedAt)}</Text>
+      ) : (
+        <>
+          <Text style={styles.pickupCode}>{pickup.code}</Text>
+          <Image source={{ uri: pickup.qrCode }} style={styles.pickupQr} />
+          <Text style={styles.pickupNote}>
+            {pickup.status === 'ready_for_pickup'
+              ? `Ready, collect before ${formatDateTime(pickup.expiresAt)}`
+              : 'We will let you know when your order is ready'}
+          </Text>
+        </>
+      )}
+    </View>
+  );
+
+  const minutesUntil = (dateString) =>
+    Math.max(1, Math.round((new Date(dateString).getTime() - Date.now()) / 60000));
+
+  // Map of couriers on their way with the delivery address as destination
+  const renderLiveTracking = (onTheWay) => {
+    const destination = order.deliveryAddress;
+    const hasDestination =
+      typeof destination?.latitude === 'number' && typeof destination?.longitude === 'number';
+    const first = onTheWay[0].currentLocation;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Live Tracking</Text>
+        <View style={styles.liveCard}>
+          <MapView
+            style={styles.liveMap}
+            region={{
+              latitude: first.latitude,
+              longitude: first.longitude,
+              latitudeDelta: 0.05,
+              longitudeDelta: 0.05,
+            }}
+          >
+            {onTheWay.map((courier) => (
+              <Marker
+                key={courier.deliveryId}
+                coordinate={{
+                  latitude: courier.currentLocation.latitude,
+                  longitude: courier.currentLocation.longitude,
+                }}
+                title="Courier"
+                pinColor="#1B794B"
+              />
+            ))}
+            {hasDestination && (
+              <Marker
+                coordinate={{ latitude: destination.latitude, longitude: destination.longitude }}
+                title="Delivery address"
+              />
+            )}
+          </MapView>
+          {onTheWay.map((courier) =>
+            courier.estimatedArrivalAt ? (
+              <Text key={courier.deliveryId} style={styles.liveEta}>
+                Arriving in ~{minutesUntil(courier.estimatedArrivalAt)} min
+              </Text>
+            ) : null
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const handleAcceptSubstitution = async (substitution) => {
+    setAnsweringSubstitution(substitution._id);
+    const result = await acceptSubstitution(order._id, substitution._id);
+    setAnsweringSubstitution(null);
+
+    if (result?.status === 'payment_pending') {
+      Alert.alert(
+        'Replacement',
+        result.settlement?.status === 'failed'
+          ? 'The payment did not go through. You can try again or reject the replacement.'
+          : 'Your payment is being processed, the order will update shortly.'
+      );
+    }
+    fetchOrderDetails({ silent: true });
+  };
+
+  const handleRejectSubstitution = (substitution) => {
+    Alert.alert(
+      'Reject replacement',
+      `Reject ${substitution.replacement.name}? The pharmacy will contact you about ${substitution.original.name}.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Reject',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setAnsweringSubstitution(substitution._id);
+              await cartAPI.rejectSubstitution(order._id, substitution._id);
+            } catch (err) {
+              Alert.alert('Replacement', err.message || 'Could not reject the replacement.');
+            } finally {
+              setAnsweringSubstitution(null);
+              fetchOrderDetails({ silent: true });
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSubstitution = (substitution) => {
+    const difference = substitution.priceDifference || 0;
+    const isAnswering = answeringSubstitution === substitution._id;
+
+    return (
+      <View key={substitution._id} style={styles.substitutionCard}>
+        <Text style={styles.substitutionPharmacy}>
+          {substitution.pharmacyId?.name || 'Pharmacy'}
+        </Text>
+        <Text style={styles.substitutionText}>
+          {substitution.original.name} x{substitution.original.quantity} is out of stock.
+        </Text>
+        <Text style={styles.substitutionText}>
+          Suggested: {substitution.replacement.name} x{substitution.replacement.quantity} (
+          {formatPrice(substitution.replacement.lineTotal)})
+        </Text>
+        {substitution.note ? (
+          <Text style={styles.substitutionNote}>{substitution.note}</Text>
+        ) : null}
+        <Text style={styles.substitutionDifference}>
+          {difference > 0
+            ? `You pay ${formatPrice(difference)} more`
+            : difference < 0
+            ? `You get ${formatPrice(-difference)} back`
+            : 'Same price'}
+        </Text>
+        <View style={styles.substitutionActions}>
+          <TouchableOpacity
+            style={[styles.substitutionButton, styles.substitutionReject]}
+            onPress={() => handleRejectSubstitution(substitution)}
+            disabled={isAnswering}
+          >
+            <Text style={styles.substitutionRejectText}>Reject</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.substitutionButton, styles.substitutionAccept]}
+            onPress={() => handleAcceptSubstitution(substitution)}
+            disabled={isAnswering}
+          >
+            {isAnswering ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.substitutionAcceptText}>
+                {substitution.status === 'payment_pending' ? 'Pay difference' : 'Accept'}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderShipment = ({ order: shipment, delivery: shipmentDelivery }, index) => (
+    <View key={shipment._id} style={styles.shipmentCard}>
+      <View style={styles.shipmentHeader}>
+        <FontAwesome5 name="clinic-medical" size={18} color="#1B794B" />
+        <Text style={styles.shipmentTitle}>
+          {shipment.pharmacyId?.name || `Shipment ${index + 1}`}
+        </Text>
+        <Text style={[styles.shipmentStatus, { color: getStatusColor(shipment.status) }]}>
+          {formatStatus(shipment.status)}
+        </Text>
+      </View>
+      {shipment.trackingNumber && (
+        <Text style={styles.trackingNumber}>
+          Tracking #: {shipment.trackingNumber}
+        </Text>
+      )}
+      {shipmentDelivery && (
+        <Text style={styles.shipmentDelivery}>
+          Delivery: {formatStatus(shipmentDelivery.status)}
+        </Text>
+      )}
+      {shipmentDelivery?.otp &&
+        ['picked_up', 'in_transit'].includes(shipmentDelivery.status) && (
+          <Text style={styles.deliveryCode}>
+            Delivery code: {shipmentDelivery.otp} (give it to the courier on arrival)
+          </Text>
+        )}
+      <View style={styles.shipmentItems}>
+        {shipment.items && shipment.items.map(renderOrderItem)}
+      </View>
+      {shipment.statusHistory?.length > 0 && renderTimeline(shipment.statusHistory)}
+      {shipment.fulfillment !== 'pickup' && (
+        <View style={styles.summaryRow}>
+          <Text style={styles.summaryLabel}>Delivery Fee</Text>
+          <Text style={styles.summaryValue}>{formatPrice(shipment.deliveryFee || 0)}</Text>
+        </View>
+      )}
+      <View style={styles.summaryRow}>
+        <Text style={styles.totalLabel}>Shipment Total</Text>
+        <Text style={styles.totalValue}>{formatPrice(shipment.total || 0)}</Text>
+      </View>
+    </View>
+  );
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -175,6 +486,21 @@ const OrderTrackingScreen = ({ route, navigation }) => {
     );
   }
 
+  const activePickups = pickups.filter((pickup) => pickup.status !== 'cancelled');
+  const openSubstitutions = substitutions.filter((substitution) =>
+    ['proposed', 'payment_pending'].includes(substitution.status)
+  );
+  // Unpaid card orders can be paid again until the server gives up on them
+  const canRetryPayment =
+    isCardPayment(order.paymentMethod) &&
+    !order.isPaid &&
+    ['payment_pending', 'payment_failed'].includes(order.status);
+  const couriersOnTheWay = Object.values(couriers).filter(
+    (courier) =>
+      courier.currentLocation?.latitude !== undefined &&
+      ['picked_up', 'in_transit'].includes(courier.status)
+  );
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView contentContainerStyle={styles.scrollContainer}>
@@ -201,26 +527,93 @@ const OrderTrackingScreen = ({ route, navigation }) => {
                 color={getStatusColor(order.status)}
               />
               <Text style={[styles.statusText, { color: getStatusColor(order.status) }]}>
-                {order.status ? order.status.charAt(0).toUpperCase() + order.status.slice(1) : 'Unknown'}
+                {formatStatus(order.status)}
               </Text>
             </View>
             <Text style={styles.orderId}>Order ID: {order._id}</Text>
             <Text style={styles.orderDate}>
               Ordered on: {formatDate(order.createdAt)}
             </Text>
+            {order.deliverySlot?.start && (
+              <Text style={styles.orderDate}>
+                Delivery window: {formatDateTime(order.deliverySlot.start)} -{' '}
+                {formatDateTime(order.deliverySlot.end)}
+              </Text>
+            )}
+            {canRetryPayment && (
+              <>
+                {order.paymentDueAt && (
+                  <Text style={styles.orderDate}>
+                    Pay before {formatDateTime(order.paymentDueAt)} to keep this order
+                  </Text>
+                )}
+                <TouchableOpacity
+                  style={styles.retryPaymentButton}
+                  onPress={async () => {
+                    setIsRetryingPayment(true);
+                    await retryOrderPayment(order._id);
+                    setIsRetryingPayment(false);
+                    fetchOrderDetails({ silent: true });
+                  }}
+                  disabled={isRetryingPayment}
+                >
+                  {isRetryingPayment ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.retryPaymentText}>Retry Payment</Text>
+                  )}
+                </TouchableOpacity>
+              </>
+            )}
           </View>
         </View>
 
-        {/* Order Items */}
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Order Items</Text>
-          <View style={styles.itemsContainer}>
-            {order.items && order.items.map(renderOrderItem)}
+        {/* Replacements proposed by the pharmacy, waiting for an answer */}
+        {openSubstitutions.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Item replacements</Text>
+            {openSubstitutions.map(renderSubstitution)}
           </View>
-        </View>
+        )}
+
+        {/* Courier position, while the order is on its way */}
+        {couriersOnTheWay.length > 0 && renderLiveTracking(couriersOnTheWay)}
+
+        {/* Pickup codes, shown at the pharmacy counter */}
+        {activePickups.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Pickup</Text>
+            {activePickups.map(renderPickup)}
+          </View>
+        )}
+
+        {/* Order Timeline */}
+        {order.statusHistory?.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Order Timeline</Text>
+            <View style={styles.statusCard}>{renderTimeline(order.statusHistory)}</View>
+          </View>
+        )}
+
+        {/* Shipments, one per pharmacy */}
+        {shipments.length > 0 ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              Shipments ({shipments.length})
+            </Text>
+            {shipments.map(renderShipment)}
+          </View>
+        ) : (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Order Items</Text>
+            <View style={styles.itemsContainer}>
+              {order.items && order.items.map(renderOrderItem)}
+            </View>
+          </View>
+        )}
 
         {/* Delivery Status */}
-        {delivery && (
+        {delivery && shipments.length === 0 && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Delivery Status</Text>
             <View style={styles.deliveryCard}>
@@ -245,10 +638,18 @@ const OrderTrackingScreen = ({ route, navigation }) => {
                 {formatPrice(order.summary?.subtotal || 0)}
               </Text>
             </View>
+            {order.summary?.promoDiscount > 0 && (
+              <View style={styles.summaryRow}>
+                <Text style={styles.summaryLabel}>Promo Discount</Text>
+                <Text style={styles.summaryValue}>
+                  - {formatPrice(order.summary.promoDiscount)}
+                </Text>
+              </View>
+            )}
             <View style={styles.summaryRow}>
               <Text style={styles.summaryLabel}>Delivery Fee</Text>
               <Text style={styles.summaryValue}>
-                {formatPrice(order.summary?.deliveryFee || 20)}
+                {formatPrice(order.summary?.deliveryFee || 0)}
               </Text>
             </View>
             <View style={[styles.summaryRow, styles.totalRow]}>
@@ -279,6 +680,28 @@ const OrderTrackingScreen = ({ route, navigation }) => {
             </Text>
           </View>
         </View>
+
+        {/* Invoice */}
+        <View style={styles.section}>
+          <TouchableOpacity
+            style={styles.invoiceButton}
+            onPress={async () => {
+              setIsDownloadingInvoice(true);
+              await shareInvoice(order._id);
+              setIsDownloadingInvoice(false);
+            }}
+            disabled={isDownloadingInvoice}
+          >
+            {isDownloadingInvoice ? (
+              <ActivityIndicator color="#1B794B" />
+            ) : (
+              <>
+                <Ionicons name="document-text-outline" size={20} color="#1B794B" />
+                <Text style={styles.invoiceButtonText}>Download / Share Invoice</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
       </ScrollView>
     </SafeAreaView>
   );
@@ -338,6 +761,22 @@ const styles = StyleSheet.create({
     marginHorizontal: 16,
     marginTop: 16,
   },
+  invoiceButton: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#1B794B",
+    borderRadius: 8,
+    padding: 14,
+  },
+  invoiceButtonText: {
+    color: "#1B794B",
+    fontSize: 16,
+    fontWeight: "bold",
+    marginLeft: 8,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: "bold",
@@ -416,6 +855,87 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: "#1B794B",
   },
+  timeline: {
+    paddingTop: 4,
+  },
+  timelineRow: {
+    flexDirection: "row",
+  },
+  timelineMarker: {
+    width: 20,
+    alignItems: "center",
+  },
+  timelineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginTop: 4,
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: "#E0E0E0",
+    marginVertical: 2,
+  },
+  timelineContent: {
+    flex: 1,
+    paddingLeft: 8,
+    paddingBottom: 12,
+  },
+  timelineStatus: {
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+  timelineDate: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  timelineNote: {
+    fontSize: 13,
+    color: "#333",
+    marginTop: 2,
+  },
+  shipmentCard: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  shipmentHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  shipmentTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#000",
+    marginLeft: 8,
+  },
+  shipmentStatus: {
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+  trackingNumber: {
+    fontSize: 14,
+    color: "#666",
+    marginBottom: 4,
+  },
+  shipmentDelivery: {
+    fontSize: 14,
+    color: "#666",
+    marginBottom: 8,
+  },
+  shipmentItems: {
+    marginTop: 8,
+  },
   deliveryCard: {
     backgroundColor: '#fff',
     borderRadius: 8,
@@ -506,6 +1026,144 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 8,
   },
+  deliveryCode: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#1B794B",
+    marginTop: 4,
+  },
+  retryPaymentButton: {
+    backgroundColor: "#1B794B",
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: "center",
+    marginTop: 12,
+  },
+  substitutionCard: {
+    backgroundColor: '#FFF8E1',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#FFE082',
+  },
+  substitutionPharmacy: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#000',
+    marginBottom: 6,
+  },
+  substitutionText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+  substitutionNote: {
+    fontSize: 13,
+    color: '#666',
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
+  substitutionDifference: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#1B794B',
+    marginTop: 4,
+  },
+  substitutionActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  substitutionButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    marginLeft: 8,
+    minWidth: 100,
+    alignItems: 'center',
+  },
+  substitutionReject: {
+    borderWidth: 1,
+    borderColor: '#D32F2F',
+  },
+  substitutionRejectText: {
+    color: '#D32F2F',
+    fontWeight: 'bold',
+  },
+  substitutionAccept: {
+    backgroundColor: '#1B794B',
+  },
+  substitutionAcceptText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  retryPaymentText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  liveCard: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    overflow: "hidden",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  liveMap: {
+    width: "100%",
+    height: 220,
+  },
+  liveEta: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#1B794B",
+    padding: 12,
+  },
+  pickupCard: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  pickupPharmacy: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#000",
+  },
+  pickupAddress: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 4,
+    textAlign: "center",
+  },
+  pickupCode: {
+    fontSize: 32,
+    fontWeight: "bold",
+    color: "#1B794B",
+    letterSpacing: 6,
+    marginTop: 12,
+  },
+  pickupQr: {
+    width: 180,
+    height: 180,
+    marginTop: 12,
+  },
+  pickupNote: {
+    fontSize: 14,
+    color: "#666",
+    marginTop: 12,
+    textAlign: "center",
+  },
 });
 
 export default OrderTrackingScreen; 
\ No newline at end of file
@@ -6,6 +6,9 @@ import {
   FlatList,
   TouchableOpacity,
   ActivityIndicator,
+  Modal,
+  ScrollView,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
@@ -15,6 +18,8 @@ const OrdersScreen = ({ navigation }) => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [reorderingId, setReorderingId] = useState(null);
+  const [reorderReport, setReorderReport] = useState(null);
 
   useEffect(() => {
     fetchOrders();
@@ -46,11 +51,130 @@ const OrdersScreen = ({ navigation }) => {
     }
   };
 
+  const handleReorder = async (orderId) => {
+    try {
+      setReorderingId(orderId);
+      const report = await cartAPI.reorder(orderId);
+      setReorderReport(report);
+    } catch (err) {
+      Alert.alert('Reorder Failed', err.message || 'Could not reorder this order.');
+    } finally {
+      setReorderingId(null);
+    }
+  };
+
+  const handleAddAlternative = async (alternative) => {
+    try {
+      await cartAPI.addToCart(alternative._id, 1, alternative.pharmacyInfo.pharmacyId);
+      Alert.alert('Added to Cart', `${alternative.name} was added to your cart.`);
+    } catch (err) {
+      Alert.alert('Error', err.message || 'Could not add this alternative.');
+    }
+  };
+
+  const goToCart = () => {
+    setReorderReport(null);
+    navigation.navigate('Cart');
+  };
+
+  const renderReorderReport = () => {
+    if (!reorderReport) return null;
+    const { added = [], unavailable = [], partial = [], priceIncreased = [] } = reorderReport;
+
+    return (
+      <Modal
+        visible
+        transparent
+        animationType="slide"
+        onRequestClose={() => setReorderReport(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Reorder Summary</Text>
+            <ScrollView style={styles.modalBody}>
+              <Text style={styles.reportHeading}>
+                {added.length} item{added.length === 1 ? '' : 's'} added to your cart
+              </Text>
+              {added.map((item) => (
+                <Text key={`added-${item.medicineId}-${item.pharmacyId}`} style={styles.reportLine}>
+                  • {item.name} × {item.quantity}
+                </Text>
+              ))}
+
+              {priceIncreased.length > 0 && (
+                <>
+                  <Text style={[styles.reportHeading, styles.reportWarning]}>Price increased</Text>
+                  {priceIncreased.map((item) => (
+                    <Text key={`price-${item.medicineId}-${item.pharmacyId}`} style={styles.reportLine}>
+                      • {item.name}: {formatPrice(item.previousPrice)} → {formatPrice(item.price)}
+                    </Text>
+                  ))}
+                </>
+              )}
+
+              {partial.length > 0 && (
+                <>
+                  <Text style={[styles.reportHeading, styles.reportWarning]}>Limited stock</Text>
+                  {partial.map((item) => (
+                    <Text key={`partial-${item.medicineId}-${item.pharmacyId}`} style={styles.reportLine}>
+                      • {item.name}: {item.addedQuantity} of {item.quantity} added
+                    </Text>
+                  ))}
+                </>
+              )}
+
+              {unavailable.length > 0 && (
+                <>
+                  <Text style={[styles.reportHeading, styles.reportError]}>Not available</Text>
+                  {unavailable.map((item) => (
+                    <View key={`missing-${item.medicineId}-${item.pharmacyId}`} style={styles.missingItem}>
+                      <Text style={styles.reportLine}>• {item.name || 'Medicine'}</Text>
+                      {item.alternatives?.length > 0 ? (
+                        item.alternatives.slice(0, 3).map((alternative) => (
+                          <TouchableOpacity
+                            key={alternative._id}
+                            style={styles.alternativeRow}
+                            onPress={() => handleAddAlternative(alternative)}
+                          >
+                            <Text style={styles.alternativeText}>
+                              {alternative.name} · {alternative.pharmacyInfo.pharmacyName} ·{' '}
+                              {formatPrice(alternative.pharmacyInfo.price)}
+                            </Text>
+                            <Ionicons name="add-circle-outline" size={20} color="#1B794B" />
+                          </TouchableOpacity>
+                        ))
+                      ) : (
+                        <Text style={styles.noAlternativeText}>No alternatives in stock</Text>
+                      )}
+                    </View>
+                  ))}
+                </>
+              )}
+            </ScrollView>
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalSecondaryButton]}
+                onPress={() => setReorderReport(null)}
+              >
+                <Text style={styles.modalSecondaryText}>Close</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalButton} onPress={goToCart}>
+                <Text style={styles.trackButtonText}>Go to Cart</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
       case 'delivered':
         return '#1B794B';
       case 'shipped':
+      case 'ready_for_pickup':
         return '#1976D2';
       case 'pending':
         return '#FFA000';
@@ -98,7 +222,7 @@ const OrdersScreen = ({ navigation }) => {
           <Text
             style={[styles.orderStatus, { color: getStatusColor(status) }]}
           >
-            {status.charAt(0).toUpperCase() + status.slice(1)}
+            {(status.charAt(0).toUpperCase() + status.slice(1)).replace(/_/g, ' ')}
           </Text>
         </View>
 
@@ -119,11 +243,22 @@ const OrdersScreen = ({ navigation }) => {
 
         <View style={styles.orderFooter}>
           <TouchableOpacity
-            style={styles.trackButton}
+            style={[styles.trackButton, styles.footerButton]}
             onPress={() => navigation.navigate('OrderTracking', { orderId })}
           >
             <Text style={styles.trackButtonText}>Track Order</Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.reorderButton, styles.footerButton]}
+            onPress={() => handleReorder(orderId)}
+            disabled={reorderingId !== null}
+          >
+            {reorderingId === orderId ? (
+              <ActivityIndicator size="small" color="#1B794B" />
+            ) : (
+              <Text style={styles.reorderButtonText}>Reorder</Text>
+            )}
+          </TouchableOpacity>
         </View>
       </TouchableOpacity>
     );
@@ -169,6 +304,7 @@ const OrdersScreen = ({ navigation }) => {
         refreshing={loading}
         onRefresh={fetchOrders}
       />
+      {renderReorderReport()}
     </SafeAreaView>
     </View>
   );
@@ -265,10 +401,15 @@ const styles = StyleSheet.create({
     fontWeight: '500',
   },
   orderFooter: {
+    flexDirection: 'row',
     borderTopWidth: 1,
     borderTopColor: '#E0E0E0',
     paddingTop: 12,
   },
+  footerButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
   trackButton: {
     backgroundColor: '#1B794B',
     padding: 8,
@@ -280,6 +421,101 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  reorderButton: {
+    borderWidth: 1,
+    borderColor: '#1B794B',
+    padding: 8,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  reorderButtonText: {
+    color: '#1B794B',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1B794B',
+    marginBottom: 12,
+  },
+  modalBody: {
+    marginBottom: 16,
+  },
+  reportHeading: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  reportWarning: {
+    color: '#FFA000',
+  },
+  reportError: {
+    color: '#F44336',
+  },
+  reportLine: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+  missingItem: {
+    marginBottom: 8,
+  },
+  alternativeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#E8F5E9',
+    borderRadius: 6,
+    padding: 8,
+    marginLeft: 12,
+    marginTop: 4,
+  },
+  alternativeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#333',
+  },
+  noAlternativeText: {
+    fontSize: 13,
+    color: '#757575',
+    marginLeft: 12,
+  },
+  modalActions: {
+    flexDirection: 'row',
+  },
+  modalButton: {
+    flex: 1,
+    backgroundColor: '#1B794B',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  modalSecondaryButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#1B794B',
+  },
+  modalSecondaryText: {
+    color: '#1B794B',
+    fontSize: 14,
+    fontWeight: '500',
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
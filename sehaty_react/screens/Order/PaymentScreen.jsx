@@ -8,6 +8,7 @@ import {
   Image,
   Alert,
   ActivityIndicator,
+  TextInput,
   Linking,
   Platform
 } from "react-native";
@@ -15,32 +16,211 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons, MaterialIcons, FontAwesome } from "@expo/vector-icons";
 import { useSelector, useDispatch } from "react-redux";
 import { clearCart } from "../../store/slices/cartSlice";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { cartAPI } from "../../services/api";
+import { cartAPI, walletAPI } from "../../services/api";
 import * as WebBrowser from "expo-web-browser";
 
+// How each payment provider the server offers is shown
+const PAYMENT_OPTIONS = {
+  cash: {
+    icon: <FontAwesome name="money" size={24} color="#1B794B" />,
+    label: (isPickup) => (isPickup ? "Cash at Pickup" : "Cash on Delivery"),
+  },
+  wallet: {
+    icon: <MaterialIcons name="account-balance-wallet" size={24} color="#1B794B" />,
+    label: (isPickup, balance) => `Wallet (EGP ${balance.toFixed(2)})`,
+  },
+  paymob: {
+    icon: <FontAwesome name="cc-visa" size={24} color="#1B794B" />,
+    label: () => "Credit/Debit Card",
+  },
+  fake: {
+    icon: <MaterialIcons name="science" size={24} color="#1B794B" />,
+    label: () => "Test Card (no charge)",
+  },
+};
+
 const PaymentScreen = ({ navigation, route }) => {
   const { selectedAddress, cartItems } = route.params || {};
   const dispatch = useDispatch();
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState("cash");
+  // "pickup": collect the order at the pharmacy, no delivery fee
+  const [fulfillment, setFulfillment] = useState("delivery");
+  const isPickup = fulfillment === "pickup";
   const [isProcessing, setIsProcessing] = useState(false);
-  const [userBalance, setUserBalance] = useState(1000); // Mock balance in EGP
+  const [userBalance, setUserBalance] = useState(0);
+  // Methods every pharmacy of this checkout accepts, from the server
+  const [paymentMethods, setPaymentMethods] = useState([]);
+
+  const [priceBreakdown, setPriceBreakdown] = useState(null);
+  // Signed by the server, checkout charges exactly these delivery fees
+  const [deliveryQuote, setDeliveryQuote] = useState(null);
+  const [isPricing, setIsPricing] = useState(true);
+  const [promoInput, setPromoInput] = useState("");
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+  // Booked delivery window, null delivers as soon as possible
+  const [deliverySlots, setDeliverySlots] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  // Prescription-only items checkout would refuse, with the reason
+  const [prescriptionIssues, setPrescriptionIssues] = useState([]);
+
+  const orderItems = (cartItems || []).map((item) => ({
+    medicineId: item.medicineId,
+    pharmacyId: item.pharmacyId,
+    quantity: parseInt(item.quantity) || 0,
+    prescriptionId: item.prescriptionId?._id || item.prescriptionId,
+  }));
+
+  const idOf = (value) => value?._id || value;
+  const prescriptionIssueOf = (item) =>
+    prescriptionIssues.find(
+      (issue) =>
+        issue.medicineId === idOf(item.medicineId) && issue.pharmacyId === idOf(item.pharmacyId)
+    );
 
-  // Calculate total price
-  const calculateSubtotal = () => {
-    return cartItems.reduce((sum, item) => {
-      return sum + item.price * item.quantity;
-    }, 0);
+  // Prices and fees are worked out by the server, delivery by distance to the address
+  const fetchPricing = async (promoCode = appliedPromo?.code) => {
+    try {
+      setIsPricing(true);
+      const response = await cartAPI.previewOrder({
+        items: orderItems,
+        address: isPickup ? undefined : selectedAddress?._id,
+        promoCode,
+        fulfillment,
+      });
+      setPriceBreakdown(response.priceBreakdown);
+      setDeliveryQuote(response.deliveryQuote);
+      setPaymentMethods(response.paymentMethods || []);
+      setPrescriptionIssues(response.prescriptionRequired || []);
+    } catch (error) {
+      setPriceBreakdown(null);
+      setDeliveryQuote(null);
+      Alert.alert(
+        "Pricing Failed",
+        error.message || "Could not calculate your order total.",
+        [{ text: "OK" }]
+      );
+    } finally {
+      setIsPricing(false);
+    }
   };
 
-  const subtotal = calculateSubtotal();
-  const deliveryFee = 25;
-  const total = subtotal + deliveryFee;
+  useEffect(() => {
+    if (cartItems && cartItems.length > 0) {
+      fetchPricing();
+    }
+  }, [cartItems, fulfillment]);
+
+  const fetchDeliverySlots = async () => {
+    const pharmacyIds = [...new Set(orderItems.map((item) => item.pharmacyId).filter(Boolean))];
+    if (pharmacyIds.length === 0) return;
+
+    try {
+      const response = await cartAPI.getDeliverySlots(pharmacyIds);
+      setDeliverySlots(response.slots || []);
+      // Drop a choice that has been booked up in the meantime
+      setSelectedSlot((current) =>
+        (response.slots || []).some((slot) => slot.start === current) ? current : null
+      );
+    } catch (error) {
+      // Scheduling is optional, the order is then delivered as soon as possible
+      setDeliverySlots([]);
+      setSelectedSlot(null);
+    }
+  };
+
+  useEffect(() => {
+    if (!isPickup && cartItems && cartItems.length > 0) {
+      fetchDeliverySlots();
+    }
+  }, [cartItems, fulfillment]);
+
+  // The balance is kept by the server, reload it when coming back from a top-up
+  const fetchWalletBalance = async () => {
+    try {
+      const { balance } = await walletAPI.getBalance();
+      setUserBalance(balance);
+    } catch (error) {
+      console.error("Error loading wallet balance:", error);
+    }
+  };
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener("focus", fetchWalletBalance);
+    return unsubscribe;
+  }, [navigation]);
+
+  const formatSlot = (slot) => {
+    const start = new Date(slot.start);
+    const end = new Date(slot.end);
+    const today = new Date();
+    const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+    const day =
+      start.toDateString() === today.toDateString()
+        ? "Today"
+        : start.toDateString() === tomorrow.toDateString()
+        ? "Tomorrow"
+        : start.toLocaleDateString([], { weekday: "short", day: "numeric", month: "short" });
+    const time = (date) => date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+
+    return `${day} ${time(start)} - ${time(end)}`;
+  };
+
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) return;
+
+    try {
+      setIsApplyingPromo(true);
+      setPromoError(null);
+      const response = await cartAPI.applyPromo(
+        code,
+        orderItems,
+        isPickup ? undefined : selectedAddress?._id,
+        fulfillment
+      );
+      setAppliedPromo(response.promo);
+      setPriceBreakdown(response.priceBreakdown);
+      setDeliveryQuote(response.deliveryQuote);
+    } catch (error) {
+      setPromoError(error.message || "This promo code cannot be used.");
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = async () => {
+    setAppliedPromo(null);
+    setPromoInput("");
+    setPromoError(null);
+    await fetchPricing(null);
+  };
+
+  const subtotal = priceBreakdown?.subtotal || 0;
+  const itemDiscount = priceBreakdown?.itemDiscount || 0;
+  const promoDiscount = priceBreakdown?.promoDiscount || 0;
+  const deliveryFee = priceBreakdown?.deliveryFee || 0;
+  const total = priceBreakdown?.total || 0;
 
   const handlePaymentMethodSelect = (method) => {
     setSelectedPaymentMethod(method);
   };
 
+  // Fall back to the first offered method when the chosen one is not accepted
+  useEffect(() => {
+    if (
+      paymentMethods.length > 0 &&
+      !paymentMethods.some((method) => method.code === selectedPaymentMethod)
+    ) {
+      setSelectedPaymentMethod(paymentMethods[0].code);
+    }
+  }, [paymentMethods]);
+
+  const selectedFlow = paymentMethods.find(
+    (method) => method.code === selectedPaymentMethod
+  )?.flow;
+
   const handlePaymobPayment = async (response, paymentUrl) => {
     // Use the deep link as return URL
     const returnUrl = response.deepLink;
@@ -70,7 +250,7 @@ const PaymentScreen = ({ navigation, route }) => {
       // Navigate to success screen
       navigation.navigate("OrderSuccessScreen", {
         orderId: response._id,
-        paymentMethod: "paymob",
+        paymentMethod: selectedPaymentMethod,
         total: total,
         paymentCompleted: true,
       });
@@ -78,12 +258,14 @@ const PaymentScreen = ({ navigation, route }) => {
       // Navigate to failure screen
       navigation.navigate("OrderFailureScreen", {
         error: "Payment was not completed. Please try again.",
+        // The order is kept and can be paid again
+        orderId: response._id,
         orderData: {
           selectedAddress,
           cartItems,
           total,
         },
-        paymentMethod: "paymob",
+        paymentMethod: selectedPaymentMethod,
       });
     }
   };
@@ -96,7 +278,7 @@ const PaymentScreen = ({ navigation, route }) => {
           2
         )}) is less than the total amount (EGP ${total.toFixed(2)}).`,
         [
-          { text: "Add Funds", onPress: () => console.log("Add funds") },
+          { text: "Add Funds", onPress: () => navigation.navigate("Wallet") },
           { text: "Change Payment Method", style: "cancel" },
         ]
       );
@@ -111,43 +293,54 @@ const PaymentScreen = ({ navigation, route }) => {
         throw new Error("No items in cart");
       }
 
-      // Create order data with proper item structure
+      if (orderItems.some((item) => !item.medicineId || !item.pharmacyId)) {
+        throw new Error("Invalid item data in cart");
+      }
+
+      // The server prices the order, the total only confirms what the user saw
       const orderData = {
-        address: selectedAddress._id,
-        items: cartItems.map((item) => {
-          // Validate required fields
-          if (!item.medicineId || !item.pharmacyId) {
-            throw new Error("Invalid item data in cart");
-          }
-
-          return {
-            medicineId: item.medicineId,
-            pharmacyId: item.pharmacyId,
-            quantity: parseInt(item.quantity) || 0,
-            price: parseFloat(item.price) || 0,
-          };
-        }),
+        address: isPickup ? undefined : selectedAddress._id,
+        items: orderItems,
+        fulfillment,
+        deliverySlot: isPickup ? undefined : selectedSlot || undefined,
         paymentMethod: selectedPaymentMethod,
-        subtotal: parseFloat(subtotal.toFixed(2)),
-        deliveryFee: parseFloat(deliveryFee.toFixed(2)),
-        total: parseFloat(total.toFixed(2)),
-        status: "pending",
+        promoCode: appliedPromo?.code,
+        deliveryQuote,
+        total,
       };
 
       // Call the API to create the order
-      const response = await cartAPI.createOrder(orderData);
+      let response;
+      try {
+        response = await cartAPI.createOrder(orderData);
+      } catch (error) {
+        if (error.priceBreakdown) {
+          setPriceBreakdown(error.priceBreakdown);
+        } else if (error.prescriptionRequired) {
+          setPrescriptionIssues(error.prescriptionRequired);
+        } else if (selectedPaymentMethod === "wallet") {
+          // Another payment may have used the balance meanwhile
+          fetchWalletBalance();
+        } else if (selectedSlot) {
+          // The slot may have filled up, show what is still free
+          fetchDeliverySlots();
+          fetchPricing();
+        } else {
+          // The delivery quote may have expired, get a fresh one
+          fetchPricing();
+        }
+        throw error;
+      }
 
-      // Handle Paymob payment flow
-      if (selectedPaymentMethod === "paymob" && response.paymentUrl) {
+      // The customer pays on the provider's page
+      if (response.requiresPayment && response.paymentUrl) {
         setIsProcessing(false);
         return handlePaymobPayment(response, response.paymentUrl);
       }
 
-      // If using wallet, deduct balance
+      // The server took the payment from the wallet with the order
       if (selectedPaymentMethod === "wallet") {
-        const newBalance = userBalance - total;
-        setUserBalance(newBalance);
-        await AsyncStorage.setItem("@user_balance", newBalance.toString());
+        fetchWalletBalance();
       }
 
       // Clear cart
@@ -226,6 +419,11 @@ const PaymentScreen = ({ navigation, route }) => {
                     {item.medicineId?.name || item.name}
                   </Text>
                   <Text style={styles.itemQuantity}>Qty: {item.quantity}</Text>
+                  {prescriptionIssueOf(item) && (
+                    <Text style={styles.prescriptionIssue}>
+                      {prescriptionIssueOf(item).reason}
+                    </Text>
+                  )}
                 </View>
                 <Text style={styles.itemPrice}>
                   EGP {item.price * item.quantity}
@@ -233,83 +431,214 @@ const PaymentScreen = ({ navigation, route }) => {
               </View>
             ))}
           </View>
-        </View>
-
-        {/* Delivery Address */}
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Delivery Address</Text>
-          <View style={styles.addressCard}>
-            <View style={styles.addressHeader}>
-              <Ionicons name="location-outline" size={24} color="#1B794B" />
-              <Text style={styles.addressTitle}>
-                {selectedAddress?.title || "Default Address"}
+          {prescriptionIssues.length > 0 && (
+            <TouchableOpacity
+              style={styles.prescriptionNotice}
+              onPress={() => navigation.navigate("Cart")}
+            >
+              <MaterialIcons name="description" size={20} color="#D32F2F" />
+              <Text style={styles.prescriptionNoticeText}>
+                Some items need an approved prescription. Attach one in your cart.
               </Text>
-            </View>
-            <Text style={styles.addressText}>{selectedAddress?.address}</Text>
-          </View>
+            </TouchableOpacity>
+          )}
         </View>
 
-        {/* Payment Method */}
+        {/* Delivery Method */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Payment Method</Text>
+          <Text style={styles.sectionTitle}>Delivery Method</Text>
           <View style={styles.paymentMethods}>
             <TouchableOpacity
-              style={[
-                styles.paymentMethod,
-                selectedPaymentMethod === "cash" && styles.selectedPayment,
-              ]}
-              onPress={() => handlePaymentMethodSelect("cash")}
+              style={[styles.paymentMethod, !isPickup && styles.selectedPayment]}
+              onPress={() => setFulfillment("delivery")}
             >
-              <FontAwesome name="money" size={24} color="#1B794B" />
-              <Text style={styles.paymentText}>Cash on Delivery</Text>
+              <MaterialIcons name="local-shipping" size={24} color="#1B794B" />
+              <Text style={styles.paymentText}>Home Delivery</Text>
             </TouchableOpacity>
-            {/* <TouchableOpacity
-              style={[
-                styles.paymentMethod,
-                selectedPaymentMethod === 'wallet' && styles.selectedPayment
-              ]}
-              onPress={() => handlePaymentMethodSelect('wallet')}
-            >
-              <MaterialIcons name="account-balance-wallet" size={24} color="#1B794B" />
-              <Text style={styles.paymentText}>Wallet (EGP {userBalance})</Text>
-            </TouchableOpacity> */}
             <TouchableOpacity
-              style={[
-                styles.paymentMethod,
-                selectedPaymentMethod === "paymob" && styles.selectedPayment,
-              ]}
-              onPress={() => handlePaymentMethodSelect("paymob")}
+              style={[styles.paymentMethod, isPickup && styles.selectedPayment]}
+              onPress={() => setFulfillment("pickup")}
             >
-              <FontAwesome name="cc-visa" size={24} color="#1B794B" />
-              <Text style={styles.paymentText}>Credit/Debit Card</Text>
+              <MaterialIcons name="storefront" size={24} color="#1B794B" />
+              <Text style={styles.paymentText}>Pick up at Pharmacy</Text>
             </TouchableOpacity>
           </View>
+          {isPickup && (
+            <Text style={styles.pickupHint}>
+              You will get a pickup code to show at the pharmacy once your order is ready.
+            </Text>
+          )}
+        </View>
+
+        {/* Delivery Address */}
+        {!isPickup && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Delivery Address</Text>
+            <View style={styles.addressCard}>
+              <View style={styles.addressHeader}>
+                <Ionicons name="location-outline" size={24} color="#1B794B" />
+                <Text style={styles.addressTitle}>
+                  {selectedAddress?.title || "Default Address"}
+                </Text>
+              </View>
+              <Text style={styles.addressText}>{selectedAddress?.address}</Text>
+            </View>
+          </View>
+        )}
+
+        {/* Delivery Time */}
+        {!isPickup && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Delivery Time</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              <TouchableOpacity
+                style={[styles.slotChip, !selectedSlot && styles.slotChipSelected]}
+                onPress={() => setSelectedSlot(null)}
+              >
+                <Text style={[styles.slotText, !selectedSlot && styles.slotTextSelected]}>
+                  As soon as possible
+                </Text>
+              </TouchableOpacity>
+              {deliverySlots.map((slot) => (
+                <TouchableOpacity
+                  key={slot.start}
+                  style={[styles.slotChip, selectedSlot === slot.start && styles.slotChipSelected]}
+                  onPress={() => setSelectedSlot(slot.start)}
+                >
+                  <Text
+                    style={[
+                      styles.slotText,
+                      selectedSlot === slot.start && styles.slotTextSelected,
+                    ]}
+                  >
+                    {formatSlot(slot)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        )}
+
+        {/* Payment Method */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Payment Method</Text>
+          <View style={styles.paymentMethods}>
+            {paymentMethods.map((method) => {
+              const option = PAYMENT_OPTIONS[method.code];
+              return (
+                <TouchableOpacity
+                  key={method.code}
+                  style={[
+                    styles.paymentMethod,
+                    selectedPaymentMethod === method.code && styles.selectedPayment,
+                  ]}
+                  onPress={() => handlePaymentMethodSelect(method.code)}
+                >
+                  {option?.icon || <MaterialIcons name="payment" size={24} color="#1B794B" />}
+                  <Text style={styles.paymentText}>
+                    {option ? option.label(isPickup, userBalance) : method.name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Promo Code */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Promo Code</Text>
+          {appliedPromo ? (
+            <View style={styles.appliedPromo}>
+              <MaterialIcons name="local-offer" size={20} color="#1B794B" />
+              <View style={styles.appliedPromoInfo}>
+                <Text style={styles.appliedPromoCode}>{appliedPromo.code}</Text>
+                {appliedPromo.description ? (
+                  <Text style={styles.appliedPromoDescription}>
+                    {appliedPromo.description}
+                  </Text>
+                ) : null}
+              </View>
+              <TouchableOpacity onPress={handleRemovePromo}>
+                <Text style={styles.removePromoText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.promoRow}>
+              <TextInput
+                style={styles.promoInput}
+                placeholder="Enter promo code"
+                value={promoInput}
+                onChangeText={setPromoInput}
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={[
+                  styles.promoButton,
+                  (!promoInput.trim() || isApplyingPromo) && styles.payButtonDisabled,
+                ]}
+                onPress={handleApplyPromo}
+                disabled={!promoInput.trim() || isApplyingPromo}
+              >
+                {isApplyingPromo ? (
+                  <ActivityIndicator color="#fff" size="small" />
+                ) : (
+                  <Text style={styles.promoButtonText}>Apply</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+          {promoError && <Text style={styles.promoError}>{promoError}</Text>}
         </View>
 
         {/* Price Summary */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Price Summary</Text>
           <View style={styles.priceSummary}>
-            <View style={styles.priceRow}>
-              <Text style={styles.priceLabel}>Subtotal</Text>
-              <Text style={styles.priceValue}>EGP {subtotal}</Text>
-            </View>
-            <View style={styles.priceRow}>
-              <Text style={styles.priceLabel}>Delivery Fee</Text>
-              <Text style={styles.priceValue}>EGP {deliveryFee}</Text>
-            </View>
-            <View style={[styles.priceRow, styles.totalRow]}>
-              <Text style={styles.totalLabel}>Total</Text>
-              <Text style={styles.totalValue}>EGP {total}</Text>
-            </View>
+            {isPricing ? (
+              <ActivityIndicator color="#1B794B" />
+            ) : (
+              <>
+                <View style={styles.priceRow}>
+                  <Text style={styles.priceLabel}>Subtotal</Text>
+                  <Text style={styles.priceValue}>EGP {subtotal.toFixed(2)}</Text>
+                </View>
+                {itemDiscount > 0 && (
+                  <View style={styles.priceRow}>
+                    <Text style={styles.priceLabel}>Item Discounts (included)</Text>
+                    <Text style={styles.priceValue}>- EGP {itemDiscount.toFixed(2)}</Text>
+                  </View>
+                )}
+                {promoDiscount > 0 && (
+                  <View style={styles.priceRow}>
+                    <Text style={styles.priceLabel}>Promo Discount</Text>
+                    <Text style={styles.priceValue}>- EGP {promoDiscount.toFixed(2)}</Text>
+                  </View>
+                )}
+                {!isPickup && (
+                  <View style={styles.priceRow}>
+                    <Text style={styles.priceLabel}>Delivery Fee</Text>
+                    <Text style={styles.priceValue}>EGP {deliveryFee.toFixed(2)}</Text>
+                  </View>
+                )}
+                <View style={[styles.priceRow, styles.totalRow]}>
+                  <Text style={styles.totalLabel}>Total</Text>
+                  <Text style={styles.totalValue}>EGP {total.toFixed(2)}</Text>
+                </View>
+              </>
+            )}
           </View>
         </View>
         <View style={styles.section}>
           {/* Pay Button */}
           <TouchableOpacity
-            style={[styles.payButton, isProcessing && styles.payButtonDisabled]}
+            style={[
+              styles.payButton,
+              (isProcessing || isPricing || !priceBreakdown || prescriptionIssues.length > 0) &&
+                styles.payButtonDisabled,
+            ]}
             onPress={handlePlaceOrder}
-            disabled={isProcessing}
+            disabled={isProcessing || isPricing || !priceBreakdown || prescriptionIssues.length > 0}
           >
             {isProcessing ? (
               <ActivityIndicator color="#fff" />
@@ -317,8 +646,10 @@ const PaymentScreen = ({ navigation, route }) => {
               <Text style={styles.payButtonText}>
                 {selectedPaymentMethod === "wallet"
                   ? "Pay with Wallet"
-                  : selectedPaymentMethod === "paymob"
+                  : selectedFlow === "redirect"
                   ? "Pay with Card"
+                  : isPickup
+                  ? "Pay at Pickup"
                   : "Pay on Delivery"}
               </Text>
             )}
@@ -384,6 +715,24 @@ const styles = StyleSheet.create({
     shadowRadius: 2,
     elevation: 2,
   },
+  prescriptionIssue: {
+    fontSize: 13,
+    color: "#D32F2F",
+    marginTop: 2,
+  },
+  prescriptionNotice: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFEBEE",
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 12,
+  },
+  prescriptionNoticeText: {
+    flex: 1,
+    color: "#D32F2F",
+    marginLeft: 8,
+  },
   itemRow: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -524,6 +873,84 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: "bold",
   },
+  promoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  promoInput: {
+    flex: 1,
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    marginRight: 8,
+  },
+  promoButton: {
+    backgroundColor: "#1B794B",
+    borderRadius: 8,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+  },
+  promoButtonText: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+  promoError: {
+    color: "#D32F2F",
+    marginTop: 6,
+  },
+  appliedPromo: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#E8F5E9",
+    borderRadius: 8,
+    padding: 12,
+  },
+  appliedPromoInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  appliedPromoCode: {
+    fontWeight: "bold",
+    color: "#1B794B",
+  },
+  appliedPromoDescription: {
+    color: "#606060",
+    fontSize: 13,
+  },
+  removePromoText: {
+    color: "#D32F2F",
+    fontWeight: "600",
+  },
+  slotChip: {
+    backgroundColor: "#fff",
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+  },
+  slotChipSelected: {
+    backgroundColor: "#1B794B",
+    borderColor: "#1B794B",
+  },
+  slotText: {
+    color: "#333",
+    fontSize: 14,
+  },
+  slotTextSelected: {
+    color: "#fff",
+    fontWeight: "600",
+  },
+  pickupHint: {
+    color: "#606060",
+    fontSize: 13,
+    marginTop: 8,
+  },
 });
 
 export default PaymentScreen;
@@ -44,6 +44,7 @@ const TrackOrderScreen = ({ navigation, route }) => {
       case "processing":
         return "#1B794B";
       case "shipped":
+      case "ready_for_pickup":
         return "#2196F3";
       case "delivered":
         return "#4CAF50";
@@ -64,6 +65,8 @@ const TrackOrderScreen = ({ navigation, route }) => {
         return "cog-outline";
       case "shipped":
         return "car-outline";
+      case "ready_for_pickup":
+        return "storefront-outline";
       case "delivered":
         return "checkmark-circle-outline";
       case "cancelled":
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { authAPI } from '../../services/api';
+
+// Order events the server notifies about, in lifecycle order
+const EVENTS = [
+  { key: 'order_placed', label: 'Order placed' },
+  { key: 'order_confirmed', label: 'Order confirmed' },
+  { key: 'order_shipped', label: 'Order on the way' },
+  { key: 'order_delivered', label: 'Order delivered' },
+  { key: 'order_cancelled', label: 'Order cancelled' },
+  { key: 'substitution_proposed', label: 'Replacement suggested' },
+  { key: 'payment_failed', label: 'Payment failed' },
+];
+
+const CHANNELS = [
+  { key: 'push', label: 'Push' },
+  { key: 'email', label: 'Email' },
+];
+
+const NotificationSettingsScreen = ({ navigation }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await authAPI.getNotificationPreferences();
+      setPreferences(response.preferences);
+    } catch (err) {
+      setError(err.message || 'Failed to load notification settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Flip the switch right away and put it back if the server refuses
+  const toggle = async (event, channel, enabled) => {
+    const previous = preferences;
+    setPreferences({
+      ...preferences,
+      [event]: { ...preferences[event], [channel]: enabled },
+    });
+
+    try {
+      const response = await authAPI.updateNotificationPreferences({
+        [event]: { [channel]: enabled },
+      });
+      setPreferences(response.preferences);
+    } catch (err) {
+      setPreferences(previous);
+      Alert.alert('Error', err.message || 'Could not save your notification settings');
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#1B794B" />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={fetchPreferences}>
+          <Text style={styles.retryText}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#000" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Notifications</Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.hint}>
+          Order updates always appear in the app. Choose where else you want to hear about them.
+        </Text>
+
+        {EVENTS.map((event) => (
+          <View key={event.key} style={styles.card}>
+            <Text style={styles.eventLabel}>{event.label}</Text>
+            {CHANNELS.map((channel) => (
+              <View key={channel.key} style={styles.channelRow}>
+                <Text style={styles.channelLabel}>{channel.label}</Text>
+                <Switch
+                  value={preferences?.[event.key]?.[channel.key] ?? true}
+                  onValueChange={(enabled) => toggle(event.key, channel.key, enabled)}
+                  trackColor={{ false: '#ccc', true: '#A5D6A7' }}
+                  thumbColor={preferences?.[event.key]?.[channel.key] === false ? '#f4f3f4' : '#1B794B'}
+                />
+              </View>
+            ))}
+          </View>
+        ))}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    color: 'red',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  retryButton: {
+    backgroundColor: '#1B794B',
+    padding: 10,
+    borderRadius: 5,
+  },
+  retryText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#E8F5E9',
+  },
+  backButton: {
+    width: 24,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  content: {
+    padding: 16,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  eventLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#000',
+    marginBottom: 8,
+  },
+  channelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  channelLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
+
+export default NotificationSettingsScreen;
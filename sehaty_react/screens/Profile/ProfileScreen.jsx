@@ -137,12 +137,24 @@ export default function ProfileScreen({ navigation }) {
       label: 'Wishlist',
       onPress: () => navigation.navigate('Wishlist'),
     },
+    {
+      id: 'wallet',
+      icon: <MaterialIcons name="account-balance-wallet" size={24} color="#1B794B" />,
+      label: 'Wallet',
+      onPress: () => navigation.navigate('Wallet'),
+    },
     {
       id: 'addresses',
       icon: <MaterialIcons name="location-on" size={24} color="#1B794B" />,
       label: 'My Addresses',
       onPress: () => navigation.navigate('AddressListScreen'),
     },
+    {
+      id: 'notifications',
+      icon: <MaterialIcons name="notifications-none" size={24} color="#1B794B" />,
+      label: 'Notifications',
+      onPress: () => navigation.navigate('NotificationSettings'),
+    },
     
     {
       id: 'logout',
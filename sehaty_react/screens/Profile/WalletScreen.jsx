@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons, MaterialIcons } from '@expo/vector-icons';
+import { walletAPI } from '../../services/api';
+import { topUpWallet } from '../../utils/walletTopUp';
+
+const QUICK_AMOUNTS = [50, 100, 200, 500];
+
+const TYPE_LABELS = {
+  top_up: 'Top up',
+  order_payment: 'Order payment',
+  refund: 'Refund',
+  adjustment: 'Adjustment',
+  substitution: 'Item replacement',
+};
+
+const WalletScreen = ({ navigation }) => {
+  const [balance, setBalance] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [amount, setAmount] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [toppingUp, setToppingUp] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchWallet = useCallback(async () => {
+    try {
+      setError(null);
+      const [wallet, history] = await Promise.all([
+        walletAPI.getBalance(),
+        walletAPI.getTransactions(1),
+      ]);
+      setBalance(wallet.balance);
+      setTransactions(history.transactions);
+      setPage(1);
+      setTotalPages(history.totalPages);
+    } catch (err) {
+      setError(err.message || 'Failed to load your wallet');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWallet();
+  }, [fetchWallet]);
+
+  const loadMore = async () => {
+    if (loadingMore || page >= totalPages) return;
+
+    try {
+      setLoadingMore(true);
+      const history = await walletAPI.getTransactions(page + 1);
+      setTransactions((current) => [...current, ...history.transactions]);
+      setPage(page + 1);
+      setTotalPages(history.totalPages);
+    } catch (err) {
+      console.error('Error loading wallet history:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleTopUp = async () => {
+    const value = parseFloat(amount);
+    if (!(value > 0)) {
+      Alert.alert('Top up', 'Please enter the amount to add.');
+      return;
+    }
+
+    setToppingUp(true);
+    const topUp = await topUpWallet(value);
+    setToppingUp(false);
+    if (!topUp) return;
+
+    if (topUp.status === 'paid') {
+      setAmount('');
+      Alert.alert('Top up', `EGP ${topUp.amount.toFixed(2)} has been added to your wallet.`);
+    } else if (topUp.status === 'failed') {
+      Alert.alert('Top up', 'The payment did not go through and no money was taken.');
+    } else {
+      Alert.alert('Top up', 'Your payment is being processed, your balance will update shortly.');
+    }
+
+    fetchWallet();
+  };
+
+  const renderTransaction = ({ item }) => {
+    const isCredit = item.amount > 0;
+    return (
+      <View style={styles.transaction}>
+        <View style={styles.transactionInfo}>
+          <Text style={styles.transactionType}>{TYPE_LABELS[item.type] || item.type}</Text>
+          {item.description ? (
+            <Text style={styles.transactionDescription}>{item.description}</Text>
+          ) : null}
+          {item.orderId?.trackingNumber ? (
+            <Text style={styles.transactionDescription}>Order {item.orderId.trackingNumber}</Text>
+          ) : null}
+          <Text style={styles.transactionDate}>{new Date(item.createdAt).toLocaleString()}</Text>
+        </View>
+        <View style={styles.transactionAmounts}>
+          <Text style={[styles.transactionAmount, isCredit ? styles.credit : styles.debit]}>
+            {isCredit ? '+' : '-'}EGP {Math.abs(item.amount).toFixed(2)}
+          </Text>
+          <Text style={styles.transactionBalance}>Balance EGP {item.balanceAfter.toFixed(2)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#1B794B" />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={fetchWallet}>
+          <Text style={styles.retryText}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#000" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Wallet</Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      <FlatList
+        data={transactions}
+        keyExtractor={(item) => item._id}
+        renderItem={renderTransaction}
+        contentContainerStyle={styles.content}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              fetchWallet();
+            }}
+            colors={['#1B794B']}
+          />
+        }
+        ListHeaderComponent={
+          <>
+            <View style={styles.balanceCard}>
+              <MaterialIcons name="account-balance-wallet" size={32} color="#fff" />
+              <Text style={styles.balanceLabel}>Available balance</Text>
+              <Text style={styles.balanceValue}>EGP {(balance || 0).toFixed(2)}</Text>
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Add money</Text>
+              <View style={styles.quickAmounts}>
+                {QUICK_AMOUNTS.map((value) => (
+                  <TouchableOpacity
+                    key={value}
+                    style={[
+                      styles.quickAmount,
+                      amount === String(value) && styles.quickAmountSelected,
+                    ]}
+                    onPress={() => setAmount(String(value))}
+                  >
+                    <Text
+                      style={[
+                        styles.quickAmountText,
+                        amount === String(value) && styles.quickAmountTextSelected,
+                      ]}
+                    >
+                      {value}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TextInput
+                style={styles.amountInput}
+                value={amount}
+                onChangeText={setAmount}
+                placeholder="Amount in EGP"
+                keyboardType="decimal-pad"
+              />
+              <TouchableOpacity
+                style={[styles.topUpButton, toppingUp && styles.topUpButtonDisabled]}
+                onPress={handleTopUp}
+                disabled={toppingUp}
+              >
+                {toppingUp ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.topUpText}>Top up with card</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.sectionTitle}>History</Text>
+          </>
+        }
+        ListEmptyComponent={<Text style={styles.emptyText}>No wallet transactions yet</Text>}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.footerLoader} color="#1B794B" /> : null
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    color: 'red',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  retryButton: {
+    backgroundColor: '#1B794B',
+    padding: 10,
+    borderRadius: 5,
+  },
+  retryText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#E8F5E9',
+  },
+  backButton: {
+    width: 24,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  content: {
+    padding: 16,
+  },
+  balanceCard: {
+    backgroundColor: '#1B794B',
+    borderRadius: 12,
+    padding: 20,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  balanceLabel: {
+    color: '#E8F5E9',
+    fontSize: 14,
+    marginTop: 8,
+  },
+  balanceValue: {
+    color: '#fff',
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#000',
+    marginBottom: 12,
+  },
+  quickAmounts: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  quickAmount: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#1B794B',
+    alignItems: 'center',
+  },
+  quickAmountSelected: {
+    backgroundColor: '#1B794B',
+  },
+  quickAmountText: {
+    color: '#1B794B',
+    fontWeight: 'bold',
+  },
+  quickAmountTextSelected: {
+    color: '#fff',
+  },
+  amountInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  topUpButton: {
+    backgroundColor: '#1B794B',
+    padding: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  topUpButtonDisabled: {
+    opacity: 0.6,
+  },
+  topUpText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  transaction: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  transactionInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  transactionType: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#000',
+  },
+  transactionDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  transactionDate: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  transactionAmounts: {
+    alignItems: 'flex-end',
+  },
+  transactionAmount: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  credit: {
+    color: '#1B794B',
+  },
+  debit: {
+    color: '#D32F2F',
+  },
+  transactionBalance: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 16,
+  },
+  footerLoader: {
+    marginVertical: 12,
+  },
+});
+
+export default WalletScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   View,
   Text,
@@ -12,11 +12,12 @@ import {
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons, AntDesign } from "@expo/vector-icons";
-import { productsAPI, wishlistAPI, cartAPI } from "../../services/api";
+import { productsAPI, wishlistAPI, cartAPI, authAPI } from "../../services/api";
 import { useDispatch, useSelector } from "react-redux";
 import { addToCart } from "../../store/slices/cartSlice";
 import { addToWishlist, removeFromWishlist } from "../../store/slices/wishlistSlice";
 import { useNavigation } from '@react-navigation/native';
+import SearchSuggestions from "../../components/SearchSuggestions";
 
 const SearchScreen = () => {
   const navigation = useNavigation();
@@ -24,54 +25,71 @@ const SearchScreen = () => {
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [suggestions, setSuggestions] = useState(null);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(true);
+  const [hasSearched, setHasSearched] = useState(false);
+  // Only the answer for the latest keystroke is shown
+  const latestSuggestQuery = useRef("");
   const dispatch = useDispatch();
   const wishlist = useSelector((state) => state.wishlist.items);
+  const { isAuthenticated } = useSelector((state) => state.auth);
 
-  // Handle search when query changes
   useEffect(() => {
-    const delayDebounceFn = setTimeout(() => {
-      if (searchQuery.trim().length > 2) {
-        handleSearch();
-      } else if (searchQuery.trim().length === 0) {
-        setSearchResults([]);
+    if (isAuthenticated) {
+      authAPI.getRecentSearches().then(setRecentSearches).catch(() => {});
+    }
+  }, [isAuthenticated]);
+
+  // Suggest while typing
+  useEffect(() => {
+    const query = searchQuery.trim();
+    latestSuggestQuery.current = query;
+
+    if (query.length === 0) {
+      setSuggestions(null);
+      return;
+    }
+
+    const delayDebounceFn = setTimeout(async () => {
+      try {
+        const response = await productsAPI.getSearchSuggestions(query);
+        if (latestSuggestQuery.current === query) {
+          setSuggestions(response);
+        }
+      } catch (err) {
+        // The dropdown is a shortcut, searching still works without it
       }
-    }, 500);
+    }, 250);
 
     return () => clearTimeout(delayDebounceFn);
   }, [searchQuery]);
 
-  const handleSearch = async () => {
-    if (searchQuery.trim().length === 0) return;
+  const rememberSearch = async (query) => {
+    if (!isAuthenticated) return;
+
+    try {
+      setRecentSearches(await authAPI.addRecentSearch(query));
+    } catch (err) {
+      // Not remembering a search does not stop it
+    }
+  };
+
+  const handleSearch = async (text = searchQuery) => {
+    const query = text.trim();
+    if (query.length === 0) return;
 
+    setShowSuggestions(false);
+    setHasSearched(true);
     setIsLoading(true);
     setError(null);
+    Keyboard.dismiss();
+    rememberSearch(query);
 
     try {
-      const results = await productsAPI.searchProducts(searchQuery);
-      
-      // Process results to combine duplicate medicines with different pharmacy options
-      const processedResults = results.reduce((acc, item) => {
-        const existingItem = acc.find(i => i._id === item._id);
-        if (existingItem) {
-          // If pharmacy info doesn't exist in the item, add it
-          if (!existingItem.pharmacyOptions) {
-            existingItem.pharmacyOptions = [existingItem.pharmacyInfo];
-          }
-          // Add new pharmacy option if it doesn't exist
-          if (item.pharmacyInfo && !existingItem.pharmacyOptions.some(p => p.pharmacyId === item.pharmacyInfo.pharmacyId)) {
-            existingItem.pharmacyOptions.push(item.pharmacyInfo);
-          }
-        } else {
-          // Create new item with pharmacy options array
-          acc.push({
-            ...item,
-            pharmacyOptions: item.pharmacyInfo ? [item.pharmacyInfo] : []
-          });
-        }
-        return acc;
-      }, []);
-
-      setSearchResults(processedResults);
+      // Results come ranked, each with its pharmacy options cheapest first
+      const results = await productsAPI.searchProducts(query);
+      setSearchResults(results);
     } catch (error) {
       setError("Failed to search products. Please try again.");
       setSearchResults([]);
@@ -80,10 +98,42 @@ const SearchScreen = () => {
     }
   };
 
+  const handleChangeText = (text) => {
+    setSearchQuery(text);
+    setShowSuggestions(true);
+    if (text.trim().length === 0) {
+      setSearchResults([]);
+      setHasSearched(false);
+    }
+  };
+
+  const handleSelectQuery = (query) => {
+    setSearchQuery(query);
+    handleSearch(query);
+  };
+
+  const handleSelectCategory = (category) => {
+    navigation.navigate("Medicines", { categoryId: category._id });
+  };
+
+  const handleSelectPharmacy = (pharmacy) => {
+    navigation.navigate("PharmacyMedicines", { pharmacy });
+  };
+
+  const handleClearRecent = async () => {
+    try {
+      setRecentSearches(await authAPI.clearRecentSearches());
+    } catch (err) {
+      alert('Failed to clear your recent searches. Please try again.');
+    }
+  };
+
   const handleClearSearch = () => {
     setSearchQuery("");
     setSearchResults([]);
-    Keyboard.dismiss();
+    setSuggestions(null);
+    setHasSearched(false);
+    setShowSuggestions(true);
   };
 
   const toggleFavorite = async (item) => {
@@ -138,7 +188,8 @@ const SearchScreen = () => {
   const renderItem = ({ item }) => {
     // Check if item is in wishlist using medicineId
     const isInWishlist = wishlist.some((wishlistItem) => wishlistItem.medicineId === item._id);
-    
+    const isInStock = item.isAvailable && item.pharmacyOptions?.length > 0;
+
     return (
       <TouchableOpacity
         style={styles.productCard}
@@ -167,7 +218,7 @@ const SearchScreen = () => {
             </TouchableOpacity>
           </View>
           <Text style={styles.productQuantity}>{item.quantity}</Text>
-          {!item.isAvailable && (
+          {!isInStock && (
             <View style={styles.outOfStockContainer}>
               <Text style={styles.outOfStock}>Out of Stock</Text>
               <TouchableOpacity
@@ -200,7 +251,7 @@ const SearchScreen = () => {
                 </Text>
               )}
             </View>
-            {item.isAvailable && (
+            {isInStock && (
               <TouchableOpacity
                 style={styles.addToCartButton}
                 onPress={() => handleAddToCart(item)}
@@ -239,10 +290,11 @@ const SearchScreen = () => {
             style={styles.searchInput}
             placeholder="Search medicines, symptoms..."
             value={searchQuery}
-            onChangeText={setSearchQuery}
+            onChangeText={handleChangeText}
+            onFocus={() => setShowSuggestions(true)}
             autoCapitalize="none"
             returnKeyType="search"
-            onSubmitEditing={handleSearch}
+            onSubmitEditing={() => handleSearch()}
           />
           {searchQuery.length > 0 && (
             <TouchableOpacity onPress={handleClearSearch}>
@@ -252,14 +304,24 @@ const SearchScreen = () => {
         </View>
       </View>
 
-      {isLoading ? (
+      {showSuggestions && (searchQuery.trim() || recentSearches.length > 0) ? (
+        <SearchSuggestions
+          query={searchQuery}
+          suggestions={suggestions}
+          recentSearches={recentSearches}
+          onSelectQuery={handleSelectQuery}
+          onSelectCategory={handleSelectCategory}
+          onSelectPharmacy={handleSelectPharmacy}
+          onClearRecent={handleClearRecent}
+        />
+      ) : isLoading ? (
         <View style={styles.loaderContainer}>
           <ActivityIndicator size="large" color="#1B794B" />
         </View>
       ) : error ? (
         <View style={styles.errorContainer}>
           <Text style={styles.errorText}>{error}</Text>
-          <TouchableOpacity style={styles.retryButton} onPress={handleSearch}>
+          <TouchableOpacity style={styles.retryButton} onPress={() => handleSearch()}>
             <Text style={styles.retryButtonText}>Retry</Text>
           </TouchableOpacity>
         </View>
@@ -270,7 +332,7 @@ const SearchScreen = () => {
           keyExtractor={(item) => `${item._id}_${item.name}`}
           contentContainerStyle={styles.resultsList}
         />
-      ) : searchQuery.length > 2 ? (
+      ) : hasSearched ? (
         <View style={styles.noResultsContainer}>
           <Ionicons name="search-outline" size={64} color="#1B794B" />
           <Text style={styles.noResultsText}>No results found</Text>
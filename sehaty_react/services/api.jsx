@@ -6,9 +6,10 @@ import { store } from '../store';
 import { logoutUser } from '../store/slices/authSlice';
 import { navigationRef } from '../navigation/RootNavigation';
 import Constants from 'expo-constants';
+import * as FileSystem from 'expo-file-system';
 
 // Get the API URL from environment variables
-const API_URL = Constants.expoConfig?.extra?.API_URL || ' https://9e96-197-57-121-35.ngrok-free.app/api';
+export const API_URL = Constants.expoConfig?.extra?.API_URL || ' https://9e96-197-57-121-35.ngrok-free.app/api';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -411,6 +412,72 @@ export const authAPI = {
       throw handleApiError(error);
     }
   },
+  /**
+   * Get the channels each order notification is sent on
+   * @returns {Promise<Object>} { preferences: { order_shipped: { push, email }, ... } }
+   */
+  getNotificationPreferences: async () => {
+    try {
+      const response = await api.get("/auth/notification-preferences");
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Turn push or email on or off for order events
+   * @param {Object} preferences - e.g. { order_shipped: { email: false } }
+   * @returns {Promise<Object>} The updated preferences
+   */
+  updateNotificationPreferences: async (preferences) => {
+    try {
+      const response = await api.put("/auth/notification-preferences", { preferences });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Get the user's latest searches
+   * @returns {Promise<Array>} [{ query, searchedAt }], newest first
+   */
+  getRecentSearches: async () => {
+    try {
+      const response = await api.get("/auth/recent-searches");
+      return response.data.searches || [];
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Remember a search on the user's account
+   * @param {string} query - What was searched for
+   * @returns {Promise<Array>} The updated recent searches
+   */
+  addRecentSearch: async (query) => {
+    try {
+      const response = await api.post("/auth/recent-searches", { query });
+      return response.data.searches || [];
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Forget all of the user's recent searches
+   * @returns {Promise<Array>} The now empty recent searches
+   */
+  clearRecentSearches: async () => {
+    try {
+      const response = await api.delete("/auth/recent-searches");
+      return response.data.searches || [];
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
 };
 
 export const productsAPI = {
@@ -431,14 +498,15 @@ export const productsAPI = {
   },
 
   /**
-   * Search products by query
+   * Search products by query, in Arabic or English, tolerating small typos.
+   * Each result lists the pharmacies that have it in stock, cheapest first.
    * @param {string} query - Search query
-   * @returns {Promise<Array>} Search results
+   * @returns {Promise<Array>} Search results, best match first
    */
   searchProducts: async (query) => {
     try {
-      const response = await api.get("/medicines", {
-        params: { search: query },
+      const response = await api.get("/medicines/search", {
+        params: { query },
       });
       return response.data.medicines || [];
     } catch (error) {
@@ -446,6 +514,21 @@ export const productsAPI = {
     }
   },
 
+  /**
+   * Autocomplete for the search box
+   * @param {string} q - What was typed so far
+   * @returns {Promise<Object>} { medicines, activeIngredients, categories, pharmacies },
+   *   each { count, items }
+   */
+  getSearchSuggestions: async (q) => {
+    try {
+      const response = await api.get("/medicines/suggest", { params: { q } });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   /**
    * Get product by ID
    * @param {string} id - Product ID
@@ -523,6 +606,20 @@ export const pharmacyAPI = {
   },
 };
 
+// Checkout waiting for an answer from the server and the key it was sent with
+let pendingCheckout = null;
+
+const checkoutIdempotencyKey = (orderData) => {
+  const fingerprint = JSON.stringify(orderData);
+  if (pendingCheckout?.fingerprint !== fingerprint) {
+    pendingCheckout = {
+      fingerprint,
+      key: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`,
+    };
+  }
+  return pendingCheckout.key;
+};
+
 export const cartAPI = {
   /**
    * Get user's cart
@@ -604,6 +701,21 @@ export const cartAPI = {
     }
   },
 
+  /**
+   * Attach a prescription to a prescription-only cart item
+   * @param {string} itemId - ID of the cart item
+   * @param {string|null} prescriptionId - ID of the prescription, null to detach it
+   * @returns {Promise<Object>} Updated cart data
+   */
+  setItemPrescription: async (itemId, prescriptionId) => {
+    try {
+      const response = await api.put(`/cart/items/${itemId}/prescription`, { prescriptionId });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   /**
    * Remove item from cart
    * @param {string} itemId - ID of the item to remove
@@ -634,18 +746,89 @@ export const cartAPI = {
   },
 
   /**
-   * Create order from cart
-   * @param {Object} orderData - Order data including address, items, payment method, etc.
-   * @returns {Promise<Object>} Created order data
+   * Check a promo code against the items being bought
+   * @param {string} code - Promo code entered by the user
+   * @param {Array} items - Optional items ({ medicineId, pharmacyId, quantity }), defaults to the cart
+   * @param {string} address - Optional delivery address ID, used to quote delivery fees
+   * @param {string} fulfillment - "delivery" (default) or "pickup"
+   * @returns {Promise<Object>} Applied promo, the updated price breakdown and delivery quote
    */
-  createOrder: async (orderData) => {
+  applyPromo: async (code, items, address, fulfillment) => {
     try {
-      const response = await api.post("/orders", orderData);
+      const response = await api.post("/cart/apply-promo", {
+        code,
+        items,
+        address,
+        fulfillment,
+      });
       return response.data;
     } catch (error) {
       throw handleApiError(error);
     }
   },
+
+  /**
+   * Get the server-side price breakdown for a checkout
+   * @param {Object} pricingData - Items ({ medicineId, pharmacyId, quantity }), optional address, promoCode and fulfillment
+   * @returns {Promise<Object>} Priced items, per-pharmacy shipments, price breakdown and signed delivery quote
+   */
+  previewOrder: async (pricingData) => {
+    try {
+      const response = await api.post("/orders/pricing", pricingData);
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Get the delivery windows all pharmacies of a cart can deliver in
+   * @param {Array<string>} pharmacyIds - IDs of the pharmacies in the cart
+   * @returns {Promise<Object>} Bookable slots ({ start, end, remaining }), fully booked ones left out
+   */
+  getDeliverySlots: async (pharmacyIds) => {
+    try {
+      const response = await api.get("/orders/delivery-slots", {
+        params: { pharmacies: pharmacyIds.join(",") },
+      });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Place an order. Repeats of the same checkout (retries, double taps)
+   * send the same Idempotency-Key, so the server places it only once
+   * @param {Object} orderData - Checkout sent to the server
+   * @returns {Promise<Object>} The created order
+   */
+  createOrder: async (orderData) => {
+    const idempotencyKey = checkoutIdempotencyKey(orderData);
+    try {
+      const response = await api.post("/orders", orderData, {
+        headers: { "Idempotency-Key": idempotencyKey },
+      });
+      pendingCheckout = null;
+      return response.data;
+    } catch (error) {
+      // The server answered, the next attempt is a new checkout. Without an
+      // answer the order may exist, so a retry keeps the key
+      if (error.response) {
+        pendingCheckout = null;
+      }
+      const apiError = handleApiError(error);
+      // Sent back when prices changed since the user reviewed the order
+      if (error.response?.data?.priceBreakdown) {
+        apiError.priceBreakdown = error.response.data.priceBreakdown;
+      }
+      // Prescription-only items no approved prescription covers
+      if (error.response?.data?.prescriptionRequired) {
+        apiError.prescriptionRequired = error.response.data.prescriptionRequired;
+      }
+      throw apiError;
+    }
+  },
   verifyPayment: async (orderId) => {
     try {
       const response = await api.get(`/orders/${orderId}/verify-payment`);
@@ -655,6 +838,20 @@ export const cartAPI = {
     }
   },
 
+  /**
+   * Open a new Paymob payment for an unpaid order
+   * @param {string} orderId - ID of the checkout order
+   * @returns {Promise<Object>} paymentUrl and the deepLink the payment page returns to
+   */
+  retryPayment: async (orderId) => {
+    try {
+      const response = await api.post(`/orders/${orderId}/retry-payment`);
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   /**
    * Get order details
    * @param {string} orderId - ID of the order to fetch
@@ -709,6 +906,112 @@ export const cartAPI = {
       throw handleApiError(error);
     }
   },
+
+  /**
+   * Rebuild the cart from a previous order
+   * @param {string} orderId - ID of the order to repeat
+   * @returns {Promise<Object>} Updated cart and a report of added, unavailable, partial and pricier items
+   */
+  reorder: async (orderId) => {
+    try {
+      const response = await api.post(`/orders/${orderId}/reorder`);
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Download the PDF invoice of an order to the app's documents folder
+   * @param {string} orderId - ID of the order
+   * @returns {Promise<string>} Local file URI of the PDF
+   */
+  downloadInvoice: async (orderId) => {
+    try {
+      const token = await AsyncStorage.getItem("@auth_token");
+      const fileUri = `${FileSystem.documentDirectory}invoice-${orderId}.pdf`;
+
+      const result = await FileSystem.downloadAsync(
+        `${API_URL.trim()}/orders/${orderId}/invoice`,
+        fileUri,
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+
+      if (result.status !== 200) {
+        await FileSystem.deleteAsync(fileUri, { idempotent: true });
+        throw new Error("Could not download the invoice");
+      }
+
+      return result.uri;
+    } catch (error) {
+      console.error("Download Invoice Error:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the pickup codes of a click-and-collect order
+   * @param {string} orderId - ID of the order
+   * @returns {Promise<Object>} One pickup per pharmacy with its code, QR code image and expiry
+   */
+  getPickup: async (orderId) => {
+    try {
+      const response = await api.get(`/orders/${orderId}/pickup`);
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Get the replacements pharmacies proposed for out-of-stock items
+   * @param {string} orderId - ID of the order
+   * @returns {Promise<Object>} substitutions, newest first
+   */
+  getSubstitutions: async (orderId) => {
+    try {
+      const response = await api.get(`/orders/${orderId}/substitutions`);
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Accept a proposed replacement
+   * @param {string} orderId - ID of the order
+   * @param {string} substitutionId - ID of the replacement
+   * @returns {Promise<Object>} The substitution, with a paymentUrl and deepLink when the difference is paid by card
+   */
+  acceptSubstitution: async (orderId, substitutionId) => {
+    try {
+      const response = await api.post(
+        `/orders/${orderId}/substitutions/${substitutionId}/accept`
+      );
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Reject a proposed replacement
+   * @param {string} orderId - ID of the order
+   * @param {string} substitutionId - ID of the replacement
+   * @param {string} [reason] - Why the replacement is not wanted
+   * @returns {Promise<Object>} The rejected substitution
+   */
+  rejectSubstitution: async (orderId, substitutionId, reason) => {
+    try {
+      const response = await api.post(
+        `/orders/${orderId}/substitutions/${substitutionId}/reject`,
+        { reason }
+      );
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
 };
 
 export const addressesAPI = {
@@ -862,6 +1165,65 @@ export const userAPI = {
   },
 };
 
+// Wallet API
+export const walletAPI = {
+  /**
+   * Get the current wallet balance
+   * @returns {Promise<Object>} balance and currency
+   */
+  getBalance: async () => {
+    try {
+      const response = await api.get("/wallet");
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Get wallet transactions, newest first
+   * @param {number} page - Page number
+   * @param {number} limit - Transactions per page
+   * @returns {Promise<Object>} transactions and pagination
+   */
+  getTransactions: async (page = 1, limit = 20) => {
+    try {
+      const response = await api.get("/wallet/transactions", { params: { page, limit } });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Start a Paymob top-up
+   * @param {number} amount - Amount in EGP
+   * @returns {Promise<Object>} topUpId, paymentUrl and the deepLink the payment page returns to
+   */
+  topUp: async (amount) => {
+    try {
+      const response = await api.post("/wallet/top-ups", { amount });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  /**
+   * Get where a top-up stands
+   * @param {string} topUpId - ID of the top-up
+   * @returns {Promise<Object>} status and the new balance
+   */
+  getTopUp: async (topUpId) => {
+    try {
+      const response = await api.get(`/wallet/top-ups/${topUpId}`);
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+};
+
 // Prescription API
 export const prescriptionAPI = {
   // Get all prescriptions for the current user
@@ -928,6 +1290,11 @@ export const prescriptionAPI = {
       uploadFormData.append('doctorName', formData._parts.find(part => part[0] === 'doctorName')[1]);
       uploadFormData.append('doctorSpecialty', formData._parts.find(part => part[0] === 'doctorSpecialty')[1]);
       uploadFormData.append('validUntil', formData._parts.find(part => part[0] === 'validUntil')[1]);
+      // Medicines the prescription is uploaded for, e.g. from the cart
+      const medicines = formData._parts.find(part => part[0] === 'medicines');
+      if (medicines) {
+        uploadFormData.append('medicines', medicines[1]);
+      }
 
       console.log('Making API request with config:', {
         url: '/prescriptions/upload',
@@ -0,0 +1,50 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { io } from "socket.io-client";
+import { API_URL } from "./api";
+
+// The live tracking socket is served next to the API, not under /api
+const SOCKET_URL = API_URL.trim().replace(/\/api\/?$/, "");
+
+/**
+ * Follow an order live: status changes, delivery updates and the courier's position.
+ * @param {string} orderId - ID of the order to follow
+ * @param {Object} handlers - onSnapshot, onStatus, onDelivery, onLocation and onError callbacks
+ * @returns {Function} Call to stop following the order
+ */
+export const trackOrder = (orderId, handlers = {}) => {
+  let socket = null;
+  let stopped = false;
+
+  AsyncStorage.getItem("@auth_token").then((token) => {
+    if (stopped) return;
+
+    socket = io(SOCKET_URL, {
+      auth: { token },
+      transports: ["websocket"],
+    });
+
+    // Join again after every reconnect, rooms do not survive a dropped connection
+    socket.on("connect", () => {
+      socket.emit("track:order", { orderId }, (snapshot) => {
+        if (snapshot?.error) {
+          handlers.onError?.(new Error(snapshot.error));
+        } else {
+          handlers.onSnapshot?.(snapshot);
+        }
+      });
+    });
+
+    socket.on("order:status", (update) => handlers.onStatus?.(update));
+    socket.on("delivery:update", (delivery) => handlers.onDelivery?.(delivery));
+    socket.on("delivery:location", (delivery) => handlers.onLocation?.(delivery));
+    socket.on("connect_error", (error) => handlers.onError?.(error));
+  });
+
+  return () => {
+    stopped = true;
+    if (socket) {
+      socket.emit("untrack:order", { orderId });
+      socket.disconnect();
+    }
+  };
+};
@@ -0,0 +1,26 @@
+import { Alert } from 'react-native';
+import * as Sharing from 'expo-sharing';
+import { cartAPI } from '../services/api';
+
+/**
+ * Download the invoice of an order and open the share sheet, so it can be
+ * saved to files or sent on
+ * @param {string} orderId - ID of the order
+ */
+export const shareInvoice = async (orderId) => {
+  try {
+    const uri = await cartAPI.downloadInvoice(orderId);
+
+    if (await Sharing.isAvailableAsync()) {
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/pdf',
+        dialogTitle: 'Order invoice',
+        UTI: 'com.adobe.pdf',
+      });
+    } else {
+      Alert.alert('Invoice Downloaded', `Saved to ${uri}`);
+    }
+  } catch (error) {
+    Alert.alert('Invoice', error.message || 'Could not download the invoice.');
+  }
+};
@@ -0,0 +1,29 @@
+import { Alert } from 'react-native';
+import * as WebBrowser from 'expo-web-browser';
+import { cartAPI } from '../services/api';
+
+// Payment methods paid on a provider's card page after the order is placed
+export const isCardPayment = (paymentMethod) => ['paymob', 'fake'].includes(paymentMethod);
+
+/**
+ * Pay an unpaid card order again: opens a fresh Paymob page and waits for
+ * the customer to come back to the app
+ * @param {string} orderId - ID of the order
+ * @returns {Promise<boolean>} Whether the payment page sent the customer back
+ */
+export const retryOrderPayment = async (orderId) => {
+  try {
+    const { paymentUrl, deepLink } = await cartAPI.retryPayment(orderId);
+
+    const result = await WebBrowser.openAuthSessionAsync(paymentUrl, deepLink, {
+      showInRecents: true,
+      preferEphemeralSession: true,
+    });
+    await WebBrowser.dismissBrowser();
+
+    return result.type === 'success' || Boolean(result.url?.includes('payment-complete'));
+  } catch (error) {
+    Alert.alert('Payment', error.message || 'Could not start the payment.');
+    return false;
+  }
+};
@@ -0,0 +1,50 @@
+import { Alert } from 'react-native';
+import * as WebBrowser from 'expo-web-browser';
+import { cartAPI } from '../services/api';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Accept a replacement the pharmacy proposed. When the order was paid by
+ * card and the replacement costs more, the difference is paid on the
+ * provider's page first; its confirmation can arrive a moment after the
+ * customer is sent back, so a pending payment is looked at a few more times.
+ * @param {string} orderId - ID of the order
+ * @param {string} substitutionId - ID of the replacement
+ * @returns {Promise<Object|null>} The substitution as it ended, null if accepting failed
+ */
+export const acceptSubstitution = async (orderId, substitutionId) => {
+  try {
+    const { substitution, paymentUrl, deepLink } = await cartAPI.acceptSubstitution(
+      orderId,
+      substitutionId
+    );
+    if (!paymentUrl) return substitution;
+
+    await WebBrowser.openAuthSessionAsync(paymentUrl, deepLink, {
+      showInRecents: true,
+      preferEphemeralSession: true,
+    });
+    await WebBrowser.dismissBrowser();
+
+    const findCurrent = async () => {
+      const { substitutions } = await cartAPI.getSubstitutions(orderId);
+      return substitutions.find((candidate) => candidate._id === substitutionId);
+    };
+
+    let current = await findCurrent();
+    for (
+      let attempt = 0;
+      attempt < 3 && current?.status === 'payment_pending' && current.settlement?.status === 'pending';
+      attempt++
+    ) {
+      await wait(2000);
+      current = await findCurrent();
+    }
+
+    return current || substitution;
+  } catch (error) {
+    Alert.alert('Replacement', error.message || 'Could not accept the replacement.');
+    return null;
+  }
+};
@@ -0,0 +1,35 @@
+import { Alert } from 'react-native';
+import * as WebBrowser from 'expo-web-browser';
+import { walletAPI } from '../services/api';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Add money to the wallet: opens the Paymob page, then asks the server how
+ * the top-up ended. Paymob's confirmation can arrive a moment after the
+ * customer is sent back, so a pending top-up is looked at a few more times.
+ * @param {number} amount - Amount in EGP
+ * @returns {Promise<Object|null>} The top-up status and balance, null if it never started
+ */
+export const topUpWallet = async (amount) => {
+  try {
+    const { topUpId, paymentUrl, deepLink } = await walletAPI.topUp(amount);
+
+    await WebBrowser.openAuthSessionAsync(paymentUrl, deepLink, {
+      showInRecents: true,
+      preferEphemeralSession: true,
+    });
+    await WebBrowser.dismissBrowser();
+
+    let topUp = await walletAPI.getTopUp(topUpId);
+    for (let attempt = 0; attempt < 3 && topUp.status === 'pending'; attempt++) {
+      await wait(2000);
+      topUp = await walletAPI.getTopUp(topUpId);
+    }
+
+    return topUp;
+  } catch (error) {
+    Alert.alert('Top up', error.message || 'Could not start the top-up.');
+    return null;
+  }
+};